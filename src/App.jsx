@@ -1,7 +1,74 @@
-import { useState, useEffect, useRef } from 'react';
-import { processFiles, createPreviewURL, revokePreviewURL } from './utils/pdfProcessor';
-import { extractJSONFromImages } from './utils/chromeAI';
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { processFiles, renderPdfPages, rotatePage, createPreviewURL, revokePreviewURL, validateFile, createThumbnail, MAX_PAGES } from './utils/pdfProcessor';
+import { selectedPages, parsePageRanges, formatPageRanges, movePage } from './utils/pageSelection';
+import { filesFromDataTransfer, filesFromClipboard, openCamera, closeCamera, captureFrame } from './utils/fileInput';
+import { ACCEPTED_FILES } from './utils/formatDecoders';
+import { formFieldsOfPages, formFieldsToJSON, mergeFormFields } from './utils/formFields';
+import { extractDocument } from './utils/documentExtractor';
+import { getPreprocessSettings, setPreprocessSettings, preprocessPages } from './utils/imagePreprocessor';
 import { getAIStatus } from './utils/aiAvailability';
+import {
+  PROVIDER_OPTIONS,
+  getProviderSettings,
+  setProviderSettings,
+  getProviderSettingsError,
+  getReplayFixture,
+  setReplayFixture,
+  getRecording,
+  clearRecording,
+  createProvider
+} from './utils/modelProvider';
+import { parseFixtureFile } from './utils/recordReplay';
+import { parseSchema } from './utils/schemaValidator';
+import { summarizeReport } from './utils/fieldValidator';
+import { joinPath } from './utils/jsonPath';
+import { createBatchQueue } from './utils/batchQueue';
+import { downloadFile } from './utils/download';
+import { flattenToTable, splitIntoSheets, tableToCSV } from './utils/tableExport';
+import { createWorkbook } from './utils/xlsxWriter';
+import {
+  createEditHistory,
+  setValue,
+  addRow,
+  removeValue,
+  undoEdit,
+  redoEdit,
+  getEditLog
+} from './utils/jsonEditor';
+import { isLowAgreement, LOW_AGREEMENT } from './utils/consensus';
+import { groundValues, locateWithModel, applyModelRegions, summarizeGrounding } from './utils/sourceGrounding';
+import {
+  createTemplate,
+  loadTemplates,
+  saveTemplates,
+  upsertTemplate,
+  removeTemplate,
+  duplicateTemplate,
+  getTemplateError,
+  exportTemplates,
+  parseTemplateFile,
+  mergeTemplates
+} from './utils/templateStore';
+import {
+  saveExtraction,
+  listExtractions,
+  getExtraction,
+  deleteExtraction,
+  clearHistory,
+  searchExtractions,
+  getHistorySettings,
+  setHistorySettings
+} from './utils/historyStore';
+import {
+  FIELD_TYPES,
+  isContainerType,
+  updateField,
+  removeField,
+  addField,
+  getFieldErrors,
+  compileToJSONSchema,
+  compileToPrompt
+} from './utils/schemaBuilder';
 
 function App() {
   const [step, setStep] = useState('home');
@@ -9,13 +76,26 @@ function App() {
   const [files, setFiles] = useState([]);
   const [processedImages, setProcessedImages] = useState([]);
   const [schemaPrompt, setSchemaPrompt] = useState('');
+  const [jsonSchemaText, setJsonSchemaText] = useState('');
+  const [schemaMode, setSchemaMode] = useState('describe'); // describe | builder
+  const [schemaFields, setSchemaFields] = useState([]);
+  const [inputMode, setInputMode] = useState('hybrid'); // image | hybrid | text (PDF text layer)
+  const [consistencyRuns, setConsistencyRuns] = useState(1); // > 1 runs self-consistency extraction
+  const [formMode, setFormMode] = useState('merge'); // off | only | merge (PDF form fields)
   const [jsonOutput, setJsonOutput] = useState(null);
+  const [partialOutput, setPartialOutput] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [extractionMeta, setExtractionMeta] = useState(null);
   const [error, setError] = useState(null);
   const [aiStatus, setAiStatus] = useState({ loading: true, available: false, state: 'checking' });
+  // Pages the user kept selected in the upload step, in their order
+  const pagesToExtract = useMemo(() => selectedPages(processedImages), [processedImages]);
   
   // Use ref to track if check is in progress (survives StrictMode double-invoke)
   const checkInProgressRef = useRef(false);
   const isMountedRef = useRef(true);
+  // Aborts the extraction in progress (LoadingScreen's Cancel button)
+  const extractAbortRef = useRef(null);
 
   // Helper function to check AI with retries
   const checkAIWithRetry = async (maxAttempts = 3) => {
@@ -49,7 +129,8 @@ function App() {
             loading: false,
             available: true,
             error: null,
-            state: status.state
+            state: status.state,
+            provider: status.provider
           });
           checkInProgressRef.current = false;
           return;
@@ -75,7 +156,9 @@ function App() {
             loading: false,
             available: false,
             error: status.error || null,
-            state: status.state
+            detail: status.detail,
+            state: status.state,
+            provider: status.provider
           });
         }
         checkInProgressRef.current = false;
@@ -118,19 +201,148 @@ function App() {
   const handleProcess = async () => {
     setStep('loading');
     setError(null);
+    setPartialOutput(null);
+    setProgress(null);
+    const controller = new AbortController();
+    extractAbortRef.current = controller;
     
     try {
-      const imageBlobs = processedImages.map(img => img.blob);
-      const result = await extractJSONFromImages({ imageBlobs, schemaPrompt });
-      setJsonOutput(result);
+      const formFields = formMode === 'off' ? [] : formFieldsOfPages(pagesToExtract);
+      const formMeta = formFields.length > 0
+        ? { count: formFields.length, source: formFields[0].source, merged: formMode === 'merge' }
+        : null;
+
+      // Form fields only: the values are in the file, no model needed
+      if (formMode === 'only' && formFields.length > 0) {
+        const data = formFieldsToJSON(formFields);
+        const meta = { conflicts: [], batchCount: 0, formFields: formMeta };
+        setJsonOutput(data);
+        setExtractionMeta(meta);
+        setStep('results');
+        saveToHistory({ data, rawOutputs: [] }, meta);
+        return;
+      }
+
+      const { schema: jsonSchema } = parseSchema(jsonSchemaText);
+      const result = await extractDocument({
+        pages: pagesToExtract,
+        inputMode: resolveInputMode(pagesToExtract, inputMode),
+        schemaPrompt,
+        jsonSchema,
+        runs: consistencyRuns,
+        onPartial: setPartialOutput,
+        onProgress: setProgress,
+        signal: controller.signal
+      });
+      const meta = {
+        conflicts: result.conflicts,
+        batchCount: result.batchCount,
+        validation: result.validation,
+        consensus: result.consensus,
+        budget: result.budget,
+        formFields: formMeta
+      };
+      const data = formMeta ? mergeFormFields(result.data, formFieldsToJSON(formFields)) : result.data;
+      setJsonOutput(data);
+      setExtractionMeta(meta);
       setStep('results');
+      saveToHistory({ ...result, data }, meta);
     } catch (err) {
-      console.error('Processing error:', err);
-      setError(err.message || 'Failed to extract data');
+      // Cancelled: back to the schema step with files and request as they were
+      if (err.name !== 'AbortError') {
+        console.error('Processing error:', err);
+        setError(err.message || 'Failed to extract data');
+      }
       setStep('home');
       setModalStep(2); // Go back to schema step
       setTimeout(() => setStep('modal'), 100);
+    } finally {
+      extractAbortRef.current = null;
+    }
+  };
+
+  const handleCancelProcess = () => {
+    extractAbortRef.current?.abort();
+  };
+
+  // History is best-effort: a failed save never affects the extraction
+  const saveToHistory = async (result, meta) => {
+    const settings = getHistorySettings();
+    if (!settings.enabled) return;
+
+    try {
+      const thumbnails = await Promise.all(
+        pagesToExtract.slice(0, 4).map(page => createThumbnail(page.blob))
+      );
+      const fileNames = files.map(file => file.name);
+      await saveExtraction({
+        title: fileNames.length > 1 ? `${fileNames[0]} + ${fileNames.length - 1} more` : fileNames[0] || 'Untitled',
+        fileNames,
+        pageCount: pagesToExtract.length,
+        thumbnails,
+        files: settings.keepFiles ? files : null,
+        request: { schemaPrompt, jsonSchemaText, schemaMode, schemaFields, inputMode, consistencyRuns, formMode },
+        rawOutputs: result.rawOutputs,
+        data: result.data,
+        meta
+      });
+    } catch (err) {
+      console.warn('Could not save extraction to history:', err);
+    }
+  };
+
+  const restoreRequest = (request) => {
+    setSchemaPrompt(request.schemaPrompt || '');
+    setJsonSchemaText(request.jsonSchemaText || '');
+    setSchemaMode(request.schemaMode || 'describe');
+    setSchemaFields(request.schemaFields || []);
+    setInputMode(request.inputMode || 'hybrid');
+    setConsistencyRuns(request.consistencyRuns || 1);
+    setFormMode(request.formMode || 'merge');
+  };
+
+  const handleOpenHistory = async (id) => {
+    const record = await getExtraction(id);
+    if (!record) return;
+    restoreRequest(record.request);
+    setFiles([]);
+    setProcessedImages([]);
+    setJsonOutput(record.data);
+    setExtractionMeta(record.meta);
+    setStep('results');
+  };
+
+  // Re-run opens the request again; without stored files the user re-uploads them.
+  // Errors are thrown to the history page, which shows them and asks for PDF passwords.
+  const handleRerunHistory = async (id, { getPassword = null } = {}) => {
+    const record = await getExtraction(id);
+    if (!record) return;
+
+    const warnings = [];
+    let pages = [];
+    if (record.files?.length > 0) {
+      try {
+        pages = await processFiles(record.files, {
+          onWarning: (warning) => warnings.push(warning),
+          preprocess: getPreprocessSettings(),
+          getPassword
+        });
+      } catch (err) {
+        console.error('Re-running extraction failed:', err);
+        throw new Error(`Could not open the saved files: ${err.message}`);
+      }
+      if (pages.length === 0) {
+        throw new Error(warnings.map(warning => warning.message).join(' ') || 'The saved files have no pages to extract.');
+      }
     }
+
+    restoreRequest(record.request);
+    // Skipped files or pages are shown on the schema step
+    setError(warnings.length > 0 ? warnings.map(warning => warning.message).join(' ') : null);
+    setFiles(pages.length > 0 ? record.files : []);
+    setProcessedImages(pages);
+    setModalStep(pages.length > 0 ? 2 : 1);
+    setStep('modal');
   };
 
   const handleReset = () => {
@@ -139,10 +351,34 @@ function App() {
     setFiles([]);
     setProcessedImages([]);
     setSchemaPrompt('');
+    setJsonSchemaText('');
+    setSchemaMode('describe');
+    setSchemaFields([]);
+    setInputMode('hybrid');
+    setConsistencyRuns(1);
+    setFormMode('merge');
     setJsonOutput(null);
+    setExtractionMeta(null);
     setError(null);
   };
 
+  const schemaProps = {
+    schemaPrompt,
+    setSchemaPrompt,
+    jsonSchemaText,
+    setJsonSchemaText,
+    schemaMode,
+    setSchemaMode,
+    schemaFields,
+    setSchemaFields,
+    inputMode,
+    setInputMode,
+    consistencyRuns,
+    setConsistencyRuns,
+    formMode,
+    setFormMode
+  };
+
   return (
     <div className="antialiased bg-gradient-to-br from-slate-50 via-white to-amber-50/30 text-slate-900 min-h-screen overflow-x-hidden">
       {/* Background Effects */}
@@ -151,13 +387,17 @@ function App() {
       {/* AI Status Warning */}
       {aiStatus?.state === 'unsupported' && (
         <div className="fixed top-0 left-0 right-0 bg-red-500 text-white px-4 py-3 text-center text-sm font-medium z-50 shadow-lg">
-          ⚠️ Chrome Built-in AI not available. Please use Chrome 127+ with AI features enabled.
+          ⚠️ {aiStatus.provider
+            ? `${aiStatus.provider.label} is not available. ${aiStatus.provider.setupHint}`
+            : 'The model is not available. Check Model settings.'}
         </div>
       )}
       
       {step === 'home' && (
         <HomePage 
           onStart={() => setStep('modal')} 
+          onStartBatch={() => setStep('batch')}
+          onOpenHistory={() => setStep('history')}
           aiStatus={aiStatus} 
           checkAIWithRetry={checkAIWithRetry}
           checkInProgressRef={checkInProgressRef}
@@ -168,25 +408,58 @@ function App() {
         <ConversionModal
           modalStep={modalStep}
           setModalStep={setModalStep}
-          files={files}
           setFiles={setFiles}
           processedImages={processedImages}
           setProcessedImages={setProcessedImages}
           schemaPrompt={schemaPrompt}
           setSchemaPrompt={setSchemaPrompt}
+          jsonSchemaText={jsonSchemaText}
+          setJsonSchemaText={setJsonSchemaText}
+          schemaMode={schemaMode}
+          setSchemaMode={setSchemaMode}
+          schemaFields={schemaFields}
+          setSchemaFields={setSchemaFields}
+          inputMode={inputMode}
+          setInputMode={setInputMode}
+          consistencyRuns={consistencyRuns}
+          setConsistencyRuns={setConsistencyRuns}
+          formMode={formMode}
+          setFormMode={setFormMode}
           error={error}
           onProcess={handleProcess}
           onClose={handleReset}
         />
       )}
       
+      {step === 'batch' && (
+        <BatchPage
+          schemaProps={schemaProps}
+          onBack={() => setStep('home')}
+        />
+      )}
+      
+      {step === 'history' && (
+        <HistoryPage
+          onOpen={handleOpenHistory}
+          onRerun={handleRerunHistory}
+          onBack={() => setStep('home')}
+        />
+      )}
+      
       {step === 'loading' && (
-        <LoadingScreen imageCount={processedImages.length} />
+        <LoadingScreen
+          imageCount={pagesToExtract.length}
+          partialOutput={partialOutput}
+          progress={progress}
+          onCancel={handleCancelProcess}
+        />
       )}
       
       {step === 'results' && (
         <ResultsPage 
           jsonOutput={jsonOutput}
+          extractionMeta={extractionMeta}
+          pages={pagesToExtract}
           onReset={handleReset}
         />
       )}
@@ -194,6 +467,23 @@ function App() {
   );
 }
 
+// Text-only input needs a text layer on every page; images have none.
+// Uploaded text documents (text, HTML, email) always send their text.
+function resolveInputMode(pages, inputMode) {
+  const textPages = pages.filter(page => page.text).length;
+  if (textPages === 0) return 'image';
+  if (pages.every(page => page.type === 'text')) return 'text';
+  if (inputMode === 'text' && textPages < pages.length) return 'hybrid';
+  if (inputMode === 'image' && pages.some(page => page.type === 'text')) return 'hybrid';
+  return inputMode;
+}
+
+function getSchemaError(schemaMode, schemaFields, jsonSchemaText) {
+  return schemaMode === 'builder'
+    ? getFieldErrors(schemaFields)[0]
+    : parseSchema(jsonSchemaText).error;
+}
+
 // ===== Background Effects =====
 const BackgroundEffects = () => (
   <div className="fixed inset-0 z-0 pointer-events-none overflow-hidden">
@@ -204,7 +494,9 @@ const BackgroundEffects = () => (
 );
 
 // ===== Home Page =====
-function HomePage({ onStart, aiStatus, checkAIWithRetry, checkInProgressRef }) {
+function HomePage({ onStart, onStartBatch, onOpenHistory, aiStatus, checkAIWithRetry, checkInProgressRef }) {
+  const [showModelSettings, setShowModelSettings] = useState(false);
+
   return (
     <main className="relative z-10 min-h-screen flex items-center justify-center px-4 sm:px-6 lg:px-8">
       <div className="max-w-4xl mx-auto text-center">
@@ -257,6 +549,12 @@ function HomePage({ onStart, aiStatus, checkAIWithRetry, checkInProgressRef }) {
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M13 7l5 5m0 0l-5 5m5-5H6"/>
                   </svg>
                 </button>
+                <button
+                  onClick={onStartBatch}
+                  className="mt-4 text-sm font-medium text-amber-700 hover:text-amber-800 transition-colors"
+                >
+                  Have many documents? Use batch mode →
+                </button>
                 
               </div>
             ) : (
@@ -268,13 +566,15 @@ function HomePage({ onStart, aiStatus, checkAIWithRetry, checkInProgressRef }) {
                   Convert to JSON
                 </button>
                 <p className="text-red-600 text-sm mt-3 font-medium">
-                  {aiStatus.state === 'unsupported' 
-                    ? 'Chrome AI is not available in your browser. Please use Chrome 127+ with AI features enabled.' 
-                    : aiStatus.state === 'unavailable'
-                      ? 'Chrome AI is not available in your browser. Please use Chrome 127+ with AI features enabled.'
-                      : aiStatus.state === 'downloading'
-                        ? 'Chrome AI model is downloading. Please wait and try again.' 
-                        : 'Error checking AI availability. Please try again.'}
+                  {aiStatus.provider && aiStatus.provider.id !== 'chrome'
+                    ? aiStatus.error || aiStatus.detail || `${aiStatus.provider.label} is not available. ${aiStatus.provider.setupHint}`
+                    : aiStatus.state === 'unsupported' 
+                      ? 'Chrome AI is not available in your browser. Please use Chrome 127+ with AI features enabled.' 
+                      : aiStatus.state === 'unavailable'
+                        ? 'Chrome AI is not available in your browser. Please use Chrome 127+ with AI features enabled.'
+                        : aiStatus.state === 'downloading'
+                          ? 'Chrome AI model is downloading. Please wait and try again.' 
+                          : 'Error checking AI availability. Please try again.'}
                 </p>
                 
                 {/* Add refresh button for retrying AI status check */}
@@ -291,6 +591,41 @@ function HomePage({ onStart, aiStatus, checkAIWithRetry, checkInProgressRef }) {
             )}
           </div>
 
+          {/* Model Provider */}
+          <div className="mb-4">
+            <button
+              onClick={() => setShowModelSettings(!showModelSettings)}
+              className="inline-flex items-center text-sm font-medium text-slate-600 hover:text-amber-700 transition-colors"
+            >
+              <svg className="w-4 h-4 mr-1.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 3v2m6-2v2M9 19v2m6-2v2M5 9H3m2 6H3m18-6h-2m2 6h-2M7 19h10a2 2 0 002-2V7a2 2 0 00-2-2H7a2 2 0 00-2 2v10a2 2 0 002 2zM9 9h6v6H9V9z" />
+              </svg>
+              Model: {aiStatus.provider?.label || 'checking...'} · Model settings
+            </button>
+            {showModelSettings && (
+              <ProviderSettings
+                onSaved={() => {
+                  setShowModelSettings(false);
+                  checkAIWithRetry();
+                }}
+                onCancel={() => setShowModelSettings(false)}
+              />
+            )}
+          </div>
+
+          {/* History */}
+          <div className="mb-8">
+            <button
+              onClick={onOpenHistory}
+              className="inline-flex items-center text-sm font-medium text-slate-600 hover:text-amber-700 transition-colors"
+            >
+              <svg className="w-4 h-4 mr-1.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+              </svg>
+              Past extractions
+            </button>
+          </div>
+
           {/* Trust Indicators */}
           <div className="flex flex-wrap items-center justify-center gap-6 text-sm text-slate-500">
             <div className="flex items-center">
@@ -320,20 +655,275 @@ function HomePage({ onStart, aiStatus, checkAIWithRetry, checkInProgressRef }) {
   );
 }
 
+// ===== Provider Settings =====
+function ProviderSettings({ onSaved, onCancel }) {
+  const [draft, setDraft] = useState(getProviderSettings);
+  const [models, setModels] = useState([]);
+  const [checking, setChecking] = useState(false);
+  const [connection, setConnection] = useState(null); // { ok, message }
+  const [fixture, setFixture] = useState(getReplayFixture);
+  const [fixtureChanged, setFixtureChanged] = useState(false);
+  const [fixtureError, setFixtureError] = useState(null);
+  const [recordedCount, setRecordedCount] = useState(() => getRecording().entries.length);
+
+  const error = getProviderSettingsError(draft) || fixtureError;
+
+  const updateOpenAI = (patch) => {
+    setDraft(current => ({ ...current, openai: { ...current.openai, ...patch } }));
+    setConnection(null);
+  };
+
+  const handleCheck = async () => {
+    setChecking(true);
+    try {
+      const found = await createProvider(draft).listModels(AbortSignal.timeout(5000));
+      setModels(found);
+      setConnection({
+        ok: found.length > 0,
+        message: found.length > 0
+          ? `Connected. ${found.length} model${found.length !== 1 ? 's' : ''} available.`
+          : 'Connected, but the server has no models loaded.'
+      });
+    } catch (err) {
+      setConnection({ ok: false, message: `Could not reach ${draft.openai.baseUrl}: ${err.message}` });
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleLoadFixture = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setFixture(parseFixtureFile(await file.text()));
+      setFixtureChanged(true);
+      setFixtureError(null);
+    } catch (err) {
+      setFixtureError(err.message);
+    }
+  };
+
+  const handleDownloadRecording = () => {
+    downloadFile(JSON.stringify(getRecording(), null, 2), `buggu-recording-${Date.now()}.json`);
+  };
+
+  const handleClearRecording = () => {
+    clearRecording();
+    setRecordedCount(0);
+  };
+
+  const handleSave = () => {
+    if (error) return;
+    try {
+      if (fixtureChanged) setReplayFixture(fixture);
+    } catch {
+      setFixtureError('The recording is too large to keep in this browser');
+      return;
+    }
+    setProviderSettings(draft);
+    onSaved();
+  };
+
+  const inputClass = 'w-full px-3 py-2 rounded-lg border-2 border-slate-200 focus:border-amber-500 focus:ring-4 focus:ring-amber-500/10 outline-none transition-all text-slate-800 text-sm';
+
+  return (
+    <div className="mt-4 max-w-xl mx-auto text-left bg-white rounded-2xl shadow-xl border border-slate-100 p-6 space-y-4 animate-fade-in-up">
+      <h3 className="text-lg font-semibold text-slate-800">Model settings</h3>
+
+      <div className="space-y-2">
+        {PROVIDER_OPTIONS.map(option => (
+          <label
+            key={option.id}
+            className={`flex items-start gap-3 p-3 rounded-xl border-2 cursor-pointer transition-colors ${
+              draft.provider === option.id ? 'border-amber-500 bg-amber-50' : 'border-slate-200 hover:border-amber-300'
+            }`}
+          >
+            <input
+              type="radio"
+              name="model-provider"
+              checked={draft.provider === option.id}
+              onChange={() => setDraft(current => ({ ...current, provider: option.id }))}
+              className="mt-1 accent-amber-600"
+            />
+            <span>
+              <span className="block font-medium text-slate-800">{option.label}</span>
+              <span className="block text-sm text-slate-500">{option.description}</span>
+            </span>
+          </label>
+        ))}
+      </div>
+
+      {draft.provider === 'openai-compatible' && (
+        <div className="space-y-3">
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">Server URL</label>
+            <input
+              type="url"
+              value={draft.openai.baseUrl}
+              onChange={(e) => updateOpenAI({ baseUrl: e.target.value })}
+              placeholder="http://localhost:11434/v1"
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">Model</label>
+            <input
+              type="text"
+              list="provider-models"
+              value={draft.openai.model}
+              onChange={(e) => updateOpenAI({ model: e.target.value })}
+              placeholder="First model the server lists"
+              className={inputClass}
+            />
+            <datalist id="provider-models">
+              {models.map(model => <option key={model} value={model} />)}
+            </datalist>
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">API key (optional)</label>
+              <input
+                type="password"
+                value={draft.openai.apiKey}
+                onChange={(e) => updateOpenAI({ apiKey: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Context size (tokens)</label>
+              <input
+                type="number"
+                min="1"
+                value={draft.openai.contextWindow ?? ''}
+                onChange={(e) => updateOpenAI({ contextWindow: e.target.value === '' ? null : Number(e.target.value) })}
+                placeholder="Unknown"
+                className={inputClass}
+              />
+            </div>
+          </div>
+          <p className="text-xs text-slate-500">
+            The server must accept requests from this page. For Ollama, set <code className="font-mono">OLLAMA_ORIGINS</code> to this page&apos;s address; llama-server allows it by default.
+          </p>
+          <div className="flex items-center gap-3">
+            <button
+              onClick={handleCheck}
+              disabled={checking || !!error}
+              className="px-4 py-2 text-sm font-medium text-amber-700 bg-amber-100 rounded-lg hover:bg-amber-200 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {checking ? 'Checking...' : 'Test connection'}
+            </button>
+            {connection && (
+              <span className={`text-sm ${connection.ok ? 'text-green-700' : 'text-red-600'}`}>{connection.message}</span>
+            )}
+          </div>
+        </div>
+      )}
+
+      {draft.provider === 'replay' && (
+        <div className="space-y-2 text-sm">
+          <p className="text-slate-600">
+            {fixture
+              ? `Loaded: ${fixture.entries.length} recorded response${fixture.entries.length !== 1 ? 's' : ''}${fixture.provider ? ` from ${fixture.provider}` : ''}, ${new Date(fixture.createdAt).toLocaleString()}.`
+              : 'No recording loaded. Turn on recording with a real model, run an extraction and download the file.'}
+          </p>
+          <input
+            type="file"
+            accept="application/json,.json"
+            onChange={handleLoadFixture}
+            id="fixture-load-input"
+            className="hidden"
+          />
+          <label htmlFor="fixture-load-input" className="inline-block font-medium text-amber-700 hover:text-amber-800 cursor-pointer">
+            {fixture ? 'Load a different recording' : 'Load recording'}
+          </label>
+          <p className="text-xs text-slate-500">
+            Run the same files with the same request and settings; each prompt is answered with its recorded response.
+          </p>
+        </div>
+      )}
+
+      {draft.provider !== 'replay' && (
+        <div className="space-y-1 text-sm">
+          <label className="flex items-center gap-2 text-slate-700 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={draft.record}
+              onChange={(e) => setDraft(current => ({ ...current, record: e.target.checked }))}
+              className="w-4 h-4 accent-amber-600"
+            />
+            Record model responses for replay
+          </label>
+          {recordedCount > 0 && (
+            <p className="pl-6 text-slate-600">
+              {recordedCount} response{recordedCount !== 1 ? 's' : ''} recorded ·{' '}
+              <button onClick={handleDownloadRecording} className="font-medium text-amber-700 hover:text-amber-800">
+                Download recording
+              </button>
+              {' · '}
+              <button onClick={handleClearRecording} className="font-medium text-slate-600 hover:text-slate-800">
+                Clear
+              </button>
+            </p>
+          )}
+          {draft.record && (
+            <p className="pl-6 text-xs text-slate-500">The recording holds the prompts, including document text, but only hashes of images.</p>
+          )}
+        </div>
+      )}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div className="flex justify-end gap-3">
+        <button
+          onClick={onCancel}
+          className="px-4 py-2 rounded-xl text-slate-700 hover:bg-slate-100 font-medium transition-colors"
+        >
+          Cancel
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={!!error}
+          className="px-5 py-2 rounded-xl bg-gradient-to-r from-amber-600 to-orange-600 text-white font-semibold shadow-lg shadow-amber-600/25 hover:shadow-amber-600/40 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Save
+        </button>
+      </div>
+    </div>
+  );
+}
+
 // ===== Conversion Modal =====
 function ConversionModal({ 
   modalStep, 
   setModalStep, 
-  files, 
   setFiles, 
   processedImages, 
   setProcessedImages,
   schemaPrompt,
   setSchemaPrompt,
+  jsonSchemaText,
+  setJsonSchemaText,
+  schemaMode,
+  setSchemaMode,
+  schemaFields,
+  setSchemaFields,
+  inputMode,
+  setInputMode,
+  consistencyRuns,
+  setConsistencyRuns,
+  formMode,
+  setFormMode,
   error,
   onProcess, 
   onClose 
 }) {
+  const schemaError = getSchemaError(schemaMode, schemaFields, jsonSchemaText);
+  const selectedImages = selectedPages(processedImages);
+  // Form fields alone need no request for the model
+  const formOnly = formMode === 'only' && formFieldsOfPages(selectedImages).length > 0;
+
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm animate-fade-in">
       <div className="bg-white rounded-3xl shadow-2xl max-w-4xl w-full max-h-[90vh] overflow-hidden animate-scale-in">
@@ -368,7 +958,6 @@ function ConversionModal({
         <div className="p-6 overflow-y-auto max-h-[calc(90vh-180px)]">
           {modalStep === 1 ? (
             <UploadStep
-              files={files}
               setFiles={setFiles}
               processedImages={processedImages}
               setProcessedImages={setProcessedImages}
@@ -377,7 +966,20 @@ function ConversionModal({
             <SchemaStep
               schemaPrompt={schemaPrompt}
               setSchemaPrompt={setSchemaPrompt}
-              processedImages={processedImages}
+              jsonSchemaText={jsonSchemaText}
+              setJsonSchemaText={setJsonSchemaText}
+              schemaMode={schemaMode}
+              setSchemaMode={setSchemaMode}
+              schemaFields={schemaFields}
+              setSchemaFields={setSchemaFields}
+              inputMode={inputMode}
+              setInputMode={setInputMode}
+              consistencyRuns={consistencyRuns}
+              setConsistencyRuns={setConsistencyRuns}
+              formMode={formMode}
+              setFormMode={setFormMode}
+              schemaError={schemaError}
+              processedImages={selectedImages}
               error={error}
             />
           )}
@@ -395,7 +997,7 @@ function ConversionModal({
           {modalStep === 1 ? (
             <button
               onClick={() => setModalStep(2)}
-              disabled={processedImages.length === 0}
+              disabled={selectedImages.length === 0}
               className="px-6 py-2.5 rounded-xl bg-gradient-to-r from-amber-600 to-orange-600 text-white font-semibold hover:shadow-lg hover:scale-105 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:scale-100"
             >
               Next: Define Schema →
@@ -403,7 +1005,7 @@ function ConversionModal({
           ) : (
             <button
               onClick={onProcess}
-              disabled={!schemaPrompt.trim()}
+              disabled={!formOnly && (!schemaPrompt.trim() || !!schemaError)}
               className="px-6 py-2.5 rounded-xl bg-gradient-to-r from-amber-600 to-orange-600 text-white font-semibold hover:shadow-lg hover:scale-105 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:scale-100 flex items-center gap-2"
             >
               <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -418,41 +1020,278 @@ function ConversionModal({
   );
 }
 
+// ===== Password Prompt =====
+// Asks for the password of an encrypted PDF; answering null skips the file
+function PasswordPrompt({ request, onAnswer }) {
+  const [password, setPassword] = useState('');
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        onAnswer(password);
+        setPassword('');
+      }}
+      className="p-4 bg-amber-50 border-2 border-amber-200 rounded-xl space-y-3 animate-fade-in"
+    >
+      <div className="flex items-start gap-3">
+        <svg className="w-5 h-5 text-amber-600 flex-shrink-0 mt-0.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+        </svg>
+        <div>
+          <p className="font-semibold text-amber-800">"{request.fileName}" is password protected</p>
+          <p className="text-sm text-amber-700">
+            {request.incorrect
+              ? 'That password is not right. Try again.'
+              : 'Enter its password to open it. The password is only used to open the file and is not saved.'}
+          </p>
+        </div>
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          autoFocus
+          autoComplete="off"
+          placeholder="PDF password"
+          className={`flex-1 min-w-[12rem] px-3 py-2 rounded-lg border-2 bg-white focus:outline-none ${
+            request.incorrect ? 'border-red-300 focus:border-red-400' : 'border-amber-200 focus:border-amber-400'
+          }`}
+        />
+        <button
+          type="submit"
+          disabled={!password}
+          className="px-4 py-2 rounded-lg bg-gradient-to-r from-amber-600 to-orange-600 text-white font-semibold disabled:opacity-50"
+        >
+          Unlock
+        </button>
+        <button
+          type="button"
+          onClick={() => onAnswer(null)}
+          className="px-4 py-2 rounded-lg text-slate-700 hover:bg-amber-100 font-medium"
+        >
+          Skip file
+        </button>
+      </div>
+    </form>
+  );
+}
+
 // ===== Upload Step =====
-function UploadStep({ files, setFiles, processedImages, setProcessedImages }) {
+function UploadStep({ setFiles, processedImages, setProcessedImages }) {
   const [loading, setLoading] = useState(false);
   const [previewUrls, setPreviewUrls] = useState([]);
+  const [warnings, setWarnings] = useState([]);
+  const [preprocess, setPreprocess] = useState(getPreprocessSettings);
+  const [showOriginal, setShowOriginal] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [dragIndex, setDragIndex] = useState(null);
+  const [dropActive, setDropActive] = useState(false);
+  const [cameraOpen, setCameraOpen] = useState(false);
+  const [passwordRequest, setPasswordRequest] = useState(null);
+  const [renderProgress, setRenderProgress] = useState(null);
+  const renderAbortRef = useRef(null);
+
+  // Called by pdf.js (through processFiles) for encrypted PDFs, again after a wrong password
+  const askPassword = ({ fileName, incorrect }) => new Promise(resolve => {
+    setPasswordRequest({ fileName, incorrect, resolve });
+  });
+
+  const answerPassword = (value) => {
+    passwordRequest.resolve(value);
+    setPasswordRequest(null);
+  };
+
+  // PDF renders report each page and can be cancelled from the upload zone
+  const startRender = () => {
+    renderAbortRef.current = new AbortController();
+    setRenderProgress({ page: 0, pageCount: 0 });
+    return { onProgress: setRenderProgress, signal: renderAbortRef.current.signal };
+  };
+
+  const endRender = () => {
+    renderAbortRef.current = null;
+    setRenderProgress(null);
+  };
+
+  const cancelRender = () => {
+    renderAbortRef.current?.abort();
+    // The file waiting for its password is dropped with the rest
+    if (passwordRequest) answerPassword(null);
+  };
+
+  useEffect(() => () => renderAbortRef.current?.abort(), []);
   
-  const handleFileUpload = async (e) => {
-    const uploadedFiles = Array.from(e.target.files);
-    setFiles(uploadedFiles);
+  // Picked, dropped, pasted and camera files all come through here and are
+  // added after the pages already uploaded
+  const addFiles = async (newFiles) => {
+    if (newFiles.length === 0) return;
+
+    const accepted = [];
+    const collected = [];
+    for (const file of newFiles) {
+      const check = validateFile(file);
+      if (check.valid) {
+        accepted.push(file);
+      } else {
+        collected.push({ code: 'rejected', message: `"${file.name}": ${check.error}`, fileName: file.name });
+      }
+    }
+    setWarnings(collected);
+    if (accepted.length === 0) return;
+
     setLoading(true);
-    
     try {
-      const processed = await processFiles(uploadedFiles);
-      setProcessedImages(processed);
-      const urls = processed.map(img => createPreviewURL(img.blob));
-      setPreviewUrls(urls);
+      const processed = await processFiles(accepted, {
+        maxPages: MAX_PAGES - processedImages.length,
+        onWarning: (warning) => collected.push(warning),
+        preprocess,
+        getPassword: askPassword,
+        ...startRender()
+      });
+      setWarnings([...collected]);
+      setFiles(current => [...current, ...accepted]);
+      setProcessedImages(pages => [...pages, ...processed]);
     } catch (error) {
-      alert('Error processing files: ' + error.message);
+      // Cancelled: nothing from this batch is added
+      if (error.name !== 'AbortError') {
+        alert('Error processing files: ' + error.message);
+      }
     } finally {
+      endRender();
       setLoading(false);
     }
   };
 
+  const handleFileUpload = (e) => {
+    addFiles(Array.from(e.target.files));
+    // Allow picking the same file again
+    e.target.value = '';
+  };
+
+  const handleFileDrop = async (e) => {
+    e.preventDefault();
+    setDropActive(false);
+    // Pages being reordered are dragged too; they carry no files
+    if (dragIndex !== null) return;
+    addFiles(await filesFromDataTransfer(e.dataTransfer));
+  };
+
+  // Ctrl+V anywhere in the step adds copied images and screenshots
   useEffect(() => {
-    return () => {
-      previewUrls.forEach(url => revokePreviewURL(url));
+    const handlePaste = (e) => {
+      const pasted = filesFromClipboard(e.clipboardData);
+      if (pasted.length === 0) return;
+      e.preventDefault();
+      addFiles(pasted);
     };
-  }, [previewUrls]);
+    document.addEventListener('paste', handlePaste);
+    return () => document.removeEventListener('paste', handlePaste);
+  });
+
+  // Re-run the cleanup from the original photos whenever a setting changes.
+  // Pages rotated, removed or moved meanwhile keep those edits.
+  const updatePreprocess = async (patch) => {
+    const settings = setPreprocessSettings(patch);
+    setPreprocess(settings);
+    setLoading(true);
+    const pages = processedImages;
+    try {
+      const cleaned = await preprocessPages(pages, settings);
+      const byPage = new Map(pages.map((page, i) => [page, cleaned[i]]));
+      setProcessedImages(current => current.map(page => byPage.get(page) ?? page));
+    } catch (error) {
+      console.error('Photo cleanup failed:', error);
+      setWarnings([{ code: 'cleanup', message: `Could not clean up the photos: ${error.message}` }]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    const urls = processedImages.map(img => createPreviewURL(showOriginal && img.originalBlob ? img.originalBlob : img.blob));
+    setPreviewUrls(urls);
+    return () => urls.forEach(url => revokePreviewURL(url));
+  }, [processedImages, showOriginal]);
+
+  const hasPhotos = processedImages.some(img => img.type === 'image');
+  const hasCleanedPhotos = processedImages.some(img => img.originalBlob);
+  const selectedCount = selectedPages(processedImages).length;
+  const pdfSources = [...new Set(processedImages.filter(img => img.source).map(img => img.source))];
+
+  const toggleSelected = (page) => {
+    setProcessedImages(pages => pages.map(p => (p === page ? { ...p, selected: p.selected === false } : p)));
+  };
+
+  const removePage = (page) => {
+    setProcessedImages(pages => pages.filter(p => p !== page));
+  };
+
+  const handleRotate = async (page) => {
+    setBusy(true);
+    try {
+      const rotated = await rotatePage(page, { preprocess });
+      setProcessedImages(pages => pages.map(p => (p === page ? rotated : p)));
+    } catch (error) {
+      alert('Could not rotate page: ' + error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDrop = (index) => {
+    if (dragIndex !== null && dragIndex !== index) {
+      setProcessedImages(pages => movePage(pages, dragIndex, index));
+    }
+    setDragIndex(null);
+  };
+
+  // Select the PDF's pages in the range, rendering any that weren't loaded yet
+  const applyPageRange = async (source, pageNums) => {
+    const loaded = processedImages.filter(img => img.source === source).map(img => img.pageNum);
+    const room = MAX_PAGES - processedImages.length;
+    const missing = pageNums.filter(pageNum => !loaded.includes(pageNum));
+    if (missing.length > room) {
+      throw new Error(`That would load ${missing.length} more pages; only ${Math.max(0, room)} fit (limit ${MAX_PAGES} pages per upload)`);
+    }
+
+    setBusy(true);
+    try {
+      const added = missing.length > 0 ? await renderPdfPages(source, missing, startRender()) : [];
+      setProcessedImages(pages => {
+        const updated = pages.map(p => (p.source === source ? { ...p, selected: pageNums.includes(p.pageNum) } : p));
+        const last = updated.findLastIndex(p => p.source === source);
+        updated.splice(last + 1, 0, ...added);
+        return updated;
+      });
+    } finally {
+      endRender();
+      setBusy(false);
+    }
+  };
 
   return (
     <div className="space-y-6">
+      {/* PDF Password */}
+      {passwordRequest && <PasswordPrompt request={passwordRequest} onAnswer={answerPassword} />}
+
+      {/* Camera */}
+      {cameraOpen && (
+        <CameraCapture
+          onUse={(shots) => {
+            setCameraOpen(false);
+            addFiles(shots);
+          }}
+          onClose={() => setCameraOpen(false)}
+        />
+      )}
+
       {/* Upload Zone */}
-      <div className="relative">
+      <div className={`relative ${cameraOpen ? 'hidden' : ''}`}>
         <input 
           type="file" 
-          accept="image/*,application/pdf"
+          accept={ACCEPTED_FILES}
           multiple
           onChange={handleFileUpload}
           id="file-input"
@@ -460,29 +1299,93 @@ function UploadStep({ files, setFiles, processedImages, setProcessedImages }) {
         />
         <label 
           htmlFor="file-input" 
-          className="flex flex-col items-center justify-center w-full h-64 border-2 border-dashed border-amber-300 rounded-2xl cursor-pointer bg-gradient-to-br from-amber-50/50 to-orange-50/50 hover:from-amber-50 hover:to-orange-50 transition-all duration-300 group"
+          onDragOver={(e) => {
+            e.preventDefault();
+            if (dragIndex === null) setDropActive(true);
+          }}
+          onDragLeave={(e) => !e.currentTarget.contains(e.relatedTarget) && setDropActive(false)}
+          onDrop={handleFileDrop}
+          className={`flex flex-col items-center justify-center w-full h-64 border-2 border-dashed rounded-2xl cursor-pointer bg-gradient-to-br hover:from-amber-50 hover:to-orange-50 transition-all duration-300 group ${
+            dropActive ? 'border-amber-500 from-amber-100 to-orange-100' : 'border-amber-300 from-amber-50/50 to-orange-50/50'
+          }`}
         >
-          {loading ? (
+          {loading || renderProgress ? (
             <div className="text-center">
               <div className="w-16 h-16 bg-amber-100 rounded-full flex items-center justify-center mx-auto mb-4">
                 <svg className="w-8 h-8 text-amber-600 animate-spin" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
                 </svg>
               </div>
-              <p className="text-slate-600 font-medium">Processing files...</p>
+              {renderProgress?.pageCount > 0 ? (
+                <>
+                  <p className="text-slate-600 font-medium">
+                    Rendering page {Math.min(renderProgress.page + 1, renderProgress.pageCount)} of {renderProgress.pageCount}
+                  </p>
+                  <p className="text-sm text-slate-500 truncate max-w-xs mx-auto">{renderProgress.fileName}</p>
+                  <div className="w-48 h-1.5 bg-amber-100 rounded-full overflow-hidden mx-auto mt-3">
+                    <div
+                      className="h-full bg-amber-500 transition-all duration-300"
+                      style={{ width: `${(renderProgress.page / renderProgress.pageCount) * 100}%` }}
+                    />
+                  </div>
+                </>
+              ) : (
+                <p className="text-slate-600 font-medium">Processing files...</p>
+              )}
+              {renderProgress && (
+                <button
+                  onClick={(e) => {
+                    e.preventDefault();
+                    cancelRender();
+                  }}
+                  className="mt-4 px-4 py-1.5 rounded-lg border-2 border-slate-200 hover:border-red-300 hover:bg-red-50 text-sm text-slate-600 font-medium transition-colors"
+                >
+                  Cancel
+                </button>
+              )}
             </div>
           ) : (
             <>
               <svg className="w-16 h-16 text-amber-500 mb-4 group-hover:scale-110 transition-transform" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
               </svg>
-              <p className="text-lg font-semibold text-slate-700 mb-1">Click to upload files</p>
-              <p className="text-sm text-slate-500">Images (PNG, JPG) or PDF (max 3 pages)</p>
+              <p className="text-lg font-semibold text-slate-700 mb-1">
+                {dropActive ? 'Drop to add' : 'Drop files or folders, or click to upload'}
+              </p>
+              <p className="text-sm text-slate-500">Images (PNG, JPG, HEIC, TIFF), PDFs of any length, text, HTML or emails · paste screenshots with Ctrl+V</p>
             </>
           )}
         </label>
+        <button
+          onClick={() => setCameraOpen(true)}
+          disabled={loading}
+          className="mt-3 w-full py-2.5 rounded-xl border-2 border-slate-200 hover:border-amber-300 hover:bg-amber-50 text-slate-700 font-medium transition-colors flex items-center justify-center gap-2 disabled:opacity-50"
+        >
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M3 9a2 2 0 012-2h.93a2 2 0 001.664-.89l.812-1.22A2 2 0 0110.07 4h3.86a2 2 0 011.664.89l.812 1.22A2 2 0 0018.07 7H19a2 2 0 012 2v9a2 2 0 01-2 2H5a2 2 0 01-2-2V9z" />
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 13a3 3 0 11-6 0 3 3 0 016 0z" />
+          </svg>
+          Take photos with the camera
+        </button>
       </div>
 
+      {/* Warnings */}
+      {warnings.length > 0 && (
+        <div className="p-4 bg-amber-50 border-2 border-amber-200 rounded-xl flex items-start gap-3 animate-fade-in">
+          <svg className="w-5 h-5 text-amber-600 flex-shrink-0 mt-0.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
+          </svg>
+          <div className="space-y-1">
+            <p className="font-semibold text-amber-800">
+              {warnings.every(warning => warning.code === 'cleanup') ? 'Photos were not cleaned up' : 'Some files or pages were left out'}
+            </p>
+            {warnings.map((warning, i) => (
+              <p key={i} className="text-sm text-amber-700">{warning.message}</p>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Preview Grid */}
       {processedImages.length > 0 && (
         <div className="space-y-4 animate-fade-in-up">
@@ -494,14 +1397,16 @@ function UploadStep({ files, setFiles, processedImages, setProcessedImages }) {
                 </svg>
               </div>
               <p className="font-semibold text-slate-800">
-                {processedImages.length} page{processedImages.length !== 1 ? 's' : ''} ready
+                {selectedCount === processedImages.length
+                  ? `${processedImages.length} page${processedImages.length !== 1 ? 's' : ''} ready`
+                  : `${selectedCount} of ${processedImages.length} pages selected`}
               </p>
             </div>
             <button
               onClick={() => {
                 setFiles([]);
                 setProcessedImages([]);
-                setPreviewUrls([]);
+                setWarnings([]);
               }}
               className="text-sm text-red-600 hover:text-red-700 font-medium"
             >
@@ -509,10 +1414,110 @@ function UploadStep({ files, setFiles, processedImages, setProcessedImages }) {
             </button>
           </div>
 
+          {/* Photo Cleanup */}
+          {hasPhotos && (
+            <div className="p-4 bg-slate-50 border border-slate-200 rounded-xl space-y-3 text-sm">
+              <div className="flex flex-wrap items-center justify-between gap-3">
+                <label className="flex items-center gap-2 font-semibold text-slate-700 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={preprocess.enabled}
+                    disabled={loading}
+                    onChange={(e) => updatePreprocess({ enabled: e.target.checked })}
+                    className="w-4 h-4 accent-amber-600"
+                  />
+                  Clean up photos
+                </label>
+                {hasCleanedPhotos && (
+                  <div className="flex rounded-lg border border-slate-200 overflow-hidden">
+                    {[['Before', true], ['After', false]].map(([label, original]) => (
+                      <button
+                        key={label}
+                        onClick={() => setShowOriginal(original)}
+                        className={`px-3 py-1 font-medium transition-colors ${
+                          showOriginal === original ? 'bg-amber-600 text-white' : 'bg-white text-slate-600 hover:bg-amber-50'
+                        }`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+              {preprocess.enabled && (
+                <div className="flex flex-wrap items-center gap-x-5 gap-y-2 text-slate-700">
+                  <label className="flex items-center gap-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={preprocess.straighten}
+                      disabled={loading}
+                      onChange={(e) => updatePreprocess({ straighten: e.target.checked })}
+                      className="w-4 h-4 accent-amber-600"
+                    />
+                    Straighten and crop
+                  </label>
+                  <label className="flex items-center gap-2">
+                    Enhance
+                    <select
+                      value={preprocess.enhance}
+                      disabled={loading}
+                      onChange={(e) => updatePreprocess({ enhance: e.target.value })}
+                      className="px-2 py-1 rounded-lg border border-slate-200 bg-white"
+                    >
+                      <option value="auto">Auto contrast</option>
+                      <option value="binarize">Black and white (faded receipts)</option>
+                      <option value="off">Off</option>
+                    </select>
+                  </label>
+                  <label className="flex items-center gap-2">
+                    Max size
+                    <select
+                      value={preprocess.maxDimension ?? ''}
+                      disabled={loading}
+                      onChange={(e) => updatePreprocess({ maxDimension: e.target.value ? Number(e.target.value) : null })}
+                      className="px-2 py-1 rounded-lg border border-slate-200 bg-white"
+                    >
+                      <option value="1024">1024 px</option>
+                      <option value="1600">1600 px</option>
+                      <option value="2048">2048 px</option>
+                      <option value="3072">3072 px</option>
+                      <option value="">Original</option>
+                    </select>
+                  </label>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* PDF Page Ranges */}
+          {pdfSources.map((source, i) => (
+            <PageRangePicker
+              key={i}
+              source={source}
+              pages={processedImages.filter(img => img.source === source)}
+              disabled={busy || loading}
+              onApply={(pageNums) => applyPageRange(source, pageNums)}
+            />
+          ))}
+
+          <p className="text-xs text-slate-500">
+            Click a page to leave it out, drag pages to change their order. Pages are read in this order.
+          </p>
+
           <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-4">
             {processedImages.map((img, i) => (
-              <div key={i} className="group relative bg-white rounded-xl overflow-hidden shadow-md hover:shadow-xl transition-all duration-300 border border-slate-200">
-                <div className="aspect-[3/4] overflow-hidden bg-slate-100">
+              <div
+                key={i}
+                draggable={!busy}
+                onDragStart={() => setDragIndex(i)}
+                onDragOver={(e) => e.preventDefault()}
+                onDrop={() => handleDrop(i)}
+                onDragEnd={() => setDragIndex(null)}
+                className={`group relative bg-white rounded-xl overflow-hidden shadow-md hover:shadow-xl transition-all duration-300 border cursor-grab ${
+                  dragIndex === i ? 'opacity-50 border-amber-400' : 'border-slate-200'
+                } ${img.selected === false ? 'opacity-50 grayscale' : ''}`}
+              >
+                <div className="aspect-[3/4] overflow-hidden bg-slate-100" onClick={() => toggleSelected(img)}>
                   <img 
                     src={previewUrls[i]} 
                     alt={img.name}
@@ -521,11 +1526,46 @@ function UploadStep({ files, setFiles, processedImages, setProcessedImages }) {
                 </div>
                 <div className="p-2 bg-slate-50">
                   <p className="text-xs text-slate-600 truncate">{img.name}</p>
+                  {img.preprocessing?.length > 0 && (
+                    <p className="text-xs text-amber-700 truncate" title={img.preprocessing.map(step => step.label).join(', ')}>
+                      {img.preprocessing.map(step => step.label).join(' · ')}
+                    </p>
+                  )}
                 </div>
-                <div className="absolute top-2 right-2 w-6 h-6 bg-green-500 rounded-full flex items-center justify-center shadow-lg">
-                  <svg className="w-4 h-4 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 13l4 4L19 7" />
-                  </svg>
+                <button
+                  onClick={() => toggleSelected(img)}
+                  title={img.selected === false ? 'Include this page' : 'Leave this page out'}
+                  className={`absolute top-2 right-2 w-6 h-6 rounded-full flex items-center justify-center shadow-lg ${
+                    img.selected === false ? 'bg-white border-2 border-slate-300' : 'bg-green-500'
+                  }`}
+                >
+                  {img.selected !== false && (
+                    <svg className="w-4 h-4 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 13l4 4L19 7" />
+                    </svg>
+                  )}
+                </button>
+                <div className="absolute top-2 left-2 flex gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                  <button
+                    onClick={() => handleRotate(img)}
+                    disabled={busy}
+                    title="Rotate 90°"
+                    className="w-7 h-7 bg-white/90 rounded-lg shadow flex items-center justify-center text-slate-600 hover:text-amber-700 disabled:opacity-50"
+                  >
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9" />
+                    </svg>
+                  </button>
+                  <button
+                    onClick={() => removePage(img)}
+                    disabled={busy}
+                    title="Remove page"
+                    className="w-7 h-7 bg-white/90 rounded-lg shadow flex items-center justify-center text-slate-600 hover:text-red-600 disabled:opacity-50"
+                  >
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+                    </svg>
+                  </button>
                 </div>
               </div>
             ))}
@@ -536,129 +1576,1292 @@ function UploadStep({ files, setFiles, processedImages, setProcessedImages }) {
   );
 }
 
-// ===== Schema Step =====
-function SchemaStep({ schemaPrompt, setSchemaPrompt, processedImages, error }) {
-  const [showPreview, setShowPreview] = useState(false);
-  const [previewUrls, setPreviewUrls] = useState([]);
-  
+// ===== Camera Capture =====
+function CameraCapture({ onUse, onClose }) {
+  const videoRef = useRef(null);
+  const [shots, setShots] = useState([]);
+  const [shotUrls, setShotUrls] = useState([]);
+  const [ready, setReady] = useState(false);
+  const [error, setError] = useState(null);
+
   useEffect(() => {
-    const urls = processedImages.map(img => createPreviewURL(img.blob));
-    setPreviewUrls(urls);
-    return () => urls.forEach(url => revokePreviewURL(url));
-  }, [processedImages]);
-  
-  const examples = [
-    {
-      title: "Invoice",
-      prompt: "Extract invoice number, date, vendor name, line items with descriptions and prices, subtotal, tax, and total amount"
-    },
-    {
-      title: "Receipt",
-      prompt: "Extract receipt items with names, quantities, and prices; also get the store name, date, and total"
-    },
-    {
-      title: "Document",
-      prompt: "Extract all text content and organize it by sections with headings"
+    let stream = null;
+    let cancelled = false;
+    openCamera()
+      .then((opened) => {
+        if (cancelled) {
+          closeCamera(opened);
+          return;
+        }
+        stream = opened;
+        videoRef.current.srcObject = opened;
+      })
+      .catch((err) => setError(err.message));
+
+    return () => {
+      cancelled = true;
+      closeCamera(stream);
+    };
+  }, []);
+
+  useEffect(() => {
+    const urls = shots.map(shot => createPreviewURL(shot));
+    setShotUrls(urls);
+    return () => urls.forEach(url => revokePreviewURL(url));
+  }, [shots]);
+
+  const takeShot = async () => {
+    const shot = await captureFrame(videoRef.current, shots.length + 1);
+    setShots(current => [...current, shot]);
+  };
+
+  return (
+    <div className="p-4 bg-slate-900 rounded-2xl space-y-3 animate-fade-in">
+      {error ? (
+        <p className="p-6 text-center text-red-300">{error}</p>
+      ) : (
+        <video
+          ref={videoRef}
+          autoPlay
+          playsInline
+          muted
+          onLoadedMetadata={() => setReady(true)}
+          className="w-full max-h-80 rounded-xl bg-black object-contain"
+        />
+      )}
+      <p className="text-xs text-slate-400 text-center">
+        For a long receipt, take overlapping shots from top to bottom. Each shot becomes a page.
+      </p>
+
+      {shots.length > 0 && (
+        <div className="flex gap-2 overflow-x-auto">
+          {shots.map((shot, i) => (
+            <div key={i} className="relative flex-shrink-0">
+              <img src={shotUrls[i]} alt={shot.name} className="h-20 rounded-lg border border-slate-600" />
+              <button
+                onClick={() => setShots(current => current.filter(s => s !== shot))}
+                title="Remove shot"
+                className="absolute -top-1 -right-1 w-5 h-5 bg-white rounded-full text-xs text-slate-700 shadow"
+              >
+                ×
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between gap-2">
+        <button
+          onClick={onClose}
+          className="px-4 py-2 rounded-xl text-slate-300 hover:bg-slate-800 font-medium transition-colors"
+        >
+          Cancel
+        </button>
+        <button
+          onClick={takeShot}
+          disabled={!ready || !!error}
+          className="px-5 py-2 rounded-xl bg-white text-slate-800 font-semibold hover:bg-amber-50 transition-colors disabled:opacity-50"
+        >
+          Take shot
+        </button>
+        <button
+          onClick={() => onUse(shots)}
+          disabled={shots.length === 0}
+          className="px-4 py-2 rounded-xl bg-gradient-to-r from-amber-600 to-orange-600 text-white font-semibold disabled:opacity-50"
+        >
+          Use {shots.length || ''} shot{shots.length !== 1 ? 's' : ''}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// ===== Page Range Picker =====
+function PageRangePicker({ source, pages, disabled, onApply }) {
+  const pageCount = pages[0]?.pageCount || pages.length;
+  const selected = pages.filter(page => page.selected !== false).map(page => page.pageNum);
+  const [text, setText] = useState('');
+  const [error, setError] = useState(null);
+
+  const apply = async () => {
+    try {
+      await onApply(parsePageRanges(text, pageCount));
+      setText('');
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="p-3 bg-slate-50 border border-slate-200 rounded-xl text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-medium text-slate-700 truncate max-w-[16rem]" title={source.name}>{source.name}</span>
+        <span className="text-slate-500">
+          {pageCount} page{pageCount !== 1 ? 's' : ''} · using {formatPageRanges(selected) || 'none'}
+        </span>
+        <div className="flex items-center gap-2 ml-auto">
+          <input
+            type="text"
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && apply()}
+            placeholder="Pages, e.g. 4–7, 12"
+            disabled={disabled}
+            className="w-40 px-2 py-1 rounded-lg border border-slate-200 bg-white focus:outline-none focus:border-amber-400"
+          />
+          <button
+            onClick={apply}
+            disabled={disabled || !text.trim()}
+            className="px-3 py-1 rounded-lg bg-amber-600 text-white font-medium hover:bg-amber-700 disabled:opacity-50"
+          >
+            Use pages
+          </button>
+        </div>
+      </div>
+      {error && <p className="mt-2 text-red-600">{error}</p>}
+    </div>
+  );
+}
+
+// ===== Schema Step =====
+function SchemaStep({ 
+  schemaPrompt, 
+  setSchemaPrompt, 
+  jsonSchemaText, 
+  setJsonSchemaText, 
+  schemaMode,
+  setSchemaMode,
+  schemaFields,
+  setSchemaFields,
+  inputMode,
+  setInputMode,
+  consistencyRuns,
+  setConsistencyRuns,
+  formMode,
+  setFormMode,
+  schemaError, 
+  processedImages, 
+  error 
+}) {
+  const [showPreview, setShowPreview] = useState(false);
+  const [showSchema, setShowSchema] = useState(!!jsonSchemaText);
+  const textPageCount = processedImages.filter(img => img.text).length;
+  const allPagesHaveText = textPageCount > 0 && textPageCount === processedImages.length;
+  const formFieldCount = formFieldsOfPages(processedImages).length;
+
+  // Builder edits recompile into the prompt and schema the extractor uses
+  const handleFieldsChange = (fields) => {
+    setSchemaFields(fields);
+    setSchemaPrompt(compileToPrompt(fields));
+    setJsonSchemaText(fields.length > 0 ? JSON.stringify(compileToJSONSchema(fields), null, 2) : '');
+  };
+
+  const switchMode = (mode) => {
+    if (mode === schemaMode) return;
+    setSchemaMode(mode);
+    if (mode === 'builder') {
+      handleFieldsChange(schemaFields);
+    }
+  };
+  const [previewUrls, setPreviewUrls] = useState([]);
+  
+  useEffect(() => {
+    const urls = processedImages.map(img => createPreviewURL(img.blob));
+    setPreviewUrls(urls);
+    return () => urls.forEach(url => revokePreviewURL(url));
+  }, [processedImages]);
+  
+  const applyTemplate = (template) => {
+    if (template.fields?.length > 0) {
+      setSchemaMode('builder');
+      handleFieldsChange(template.fields);
+      return;
+    }
+    setSchemaMode('describe');
+    setSchemaPrompt(template.prompt);
+    setJsonSchemaText(template.schema ? JSON.stringify(template.schema, null, 2) : '');
+    setShowSchema(!!template.schema);
+  };
+  
+  const currentTemplate = () => createTemplate({
+    prompt: schemaPrompt,
+    schema: parseSchema(jsonSchemaText).schema,
+    fields: schemaMode === 'builder' && schemaFields.length > 0 ? schemaFields : null
+  });
+  
+  return (
+    <div className="space-y-6">
+      {/* Preview Toggle */}
+      {processedImages.length > 0 && (
+        <div className="flex items-center justify-between p-4 bg-slate-50 rounded-xl">
+          <div className="flex items-center gap-2">
+            <svg className="w-5 h-5 text-slate-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
+            </svg>
+            <span className="font-medium text-slate-700">{processedImages.length} uploaded pages</span>
+          </div>
+          <button
+            onClick={() => setShowPreview(!showPreview)}
+            className="px-4 py-2 rounded-lg bg-white border border-slate-200 hover:bg-slate-50 transition-colors text-sm font-medium text-slate-700"
+          >
+            {showPreview ? 'Hide Preview' : 'Show Preview'}
+          </button>
+        </div>
+      )}
+
+      {/* Preview Grid */}
+      {showPreview && (
+        <div className="grid grid-cols-3 sm:grid-cols-4 md:grid-cols-6 gap-3 p-4 bg-slate-50 rounded-xl animate-fade-in">
+          {processedImages.map((img, i) => (
+            <div key={i} className="aspect-[3/4] rounded-lg overflow-hidden bg-white shadow-sm border border-slate-200">
+              <img 
+                src={previewUrls[i]} 
+                alt={img.name}
+                className="w-full h-full object-cover"
+              />
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* PDF Text Layer */}
+      {textPageCount > 0 && (
+        <div className="p-4 bg-slate-50 rounded-xl">
+          <p className="text-sm font-semibold text-slate-700 mb-1">
+            {textPageCount} page{textPageCount !== 1 ? 's have' : ' has'} a digital text layer
+          </p>
+          <p className="text-xs text-slate-500 mb-3">
+            Sending the PDF's own text keeps numbers and IDs exact instead of relying on the model to read them.
+          </p>
+          <div className="flex flex-wrap gap-2">
+            {[
+              { value: 'image', label: 'Image only' },
+              { value: 'hybrid', label: 'Image + text' },
+              { value: 'text', label: 'Text only', disabled: !allPagesHaveText }
+            ].map(mode => (
+              <button
+                key={mode.value}
+                onClick={() => setInputMode(mode.value)}
+                disabled={mode.disabled}
+                title={mode.disabled ? 'Some pages have no text layer' : undefined}
+                className={`px-3 py-1.5 rounded-lg text-sm font-medium border-2 transition-all disabled:opacity-40 disabled:cursor-not-allowed ${
+                  inputMode === mode.value
+                    ? 'border-amber-400 bg-amber-50 text-amber-700'
+                    : 'border-slate-200 bg-white text-slate-600 hover:border-amber-200'
+                }`}
+              >
+                {mode.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* PDF Form Fields */}
+      {formFieldCount > 0 && (
+        <div className="p-4 bg-slate-50 rounded-xl">
+          <p className="text-sm font-semibold text-slate-700 mb-1">
+            {formFieldCount} fillable form field{formFieldCount !== 1 ? 's' : ''} found
+          </p>
+          <p className="text-xs text-slate-500 mb-3">
+            The PDF stores what was typed into its form. Those values can be copied exactly, instantly and without the AI.
+          </p>
+          <div className="flex flex-wrap gap-2">
+            {[
+              { value: 'only', label: 'Form fields only (no AI)' },
+              { value: 'merge', label: 'Form fields + AI for the rest' },
+              { value: 'off', label: 'Ignore form fields' }
+            ].map(mode => (
+              <button
+                key={mode.value}
+                onClick={() => setFormMode(mode.value)}
+                className={`px-3 py-1.5 rounded-lg text-sm font-medium border-2 transition-all ${
+                  formMode === mode.value
+                    ? 'border-amber-400 bg-amber-50 text-amber-700'
+                    : 'border-slate-200 bg-white text-slate-600 hover:border-amber-200'
+                }`}
+              >
+                {mode.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Accuracy */}
+      <div className="p-4 bg-slate-50 rounded-xl">
+        <p className="text-sm font-semibold text-slate-700 mb-1">Accuracy</p>
+        <p className="text-xs text-slate-500 mb-3">
+          High accuracy extracts the document several times and keeps the value most runs agree on. Fields the runs disagree on are flagged for review.
+        </p>
+        <div className="flex flex-wrap gap-2">
+          {[
+            { value: 1, label: 'Standard' },
+            { value: 3, label: 'High (3 runs)' },
+            { value: 5, label: 'Highest (5 runs)' }
+          ].map(option => (
+            <button
+              key={option.value}
+              onClick={() => setConsistencyRuns(option.value)}
+              className={`px-3 py-1.5 rounded-lg text-sm font-medium border-2 transition-all ${
+                consistencyRuns === option.value
+                  ? 'border-amber-400 bg-amber-50 text-amber-700'
+                  : 'border-slate-200 bg-white text-slate-600 hover:border-amber-200'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Mode Tabs */}
+      <div className="inline-flex p-1 bg-slate-100 rounded-xl">
+        {[
+          { value: 'describe', label: 'Describe in words' },
+          { value: 'builder', label: 'Build fields' }
+        ].map(mode => (
+          <button
+            key={mode.value}
+            onClick={() => switchMode(mode.value)}
+            className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${
+              schemaMode === mode.value
+                ? 'bg-white text-amber-700 shadow-sm'
+                : 'text-slate-600 hover:text-slate-800'
+            }`}
+          >
+            {mode.label}
+          </button>
+        ))}
+      </div>
+
+      {schemaMode === 'builder' ? (
+        <SchemaBuilder
+          fields={schemaFields}
+          onChange={handleFieldsChange}
+          schemaPrompt={schemaPrompt}
+          schemaError={schemaError}
+        />
+      ) : (
+        <>
+          {/* Schema Input */}
+          <div>
+            <label className="block text-sm font-semibold text-slate-700 mb-2">
+              Describe what data you want to extract:
+            </label>
+            <textarea
+              placeholder="Example: Extract invoice number, date, items with prices, and total amount"
+              value={schemaPrompt}
+              onChange={(e) => setSchemaPrompt(e.target.value)}
+              rows={6}
+              className="w-full px-4 py-3 rounded-xl border-2 border-slate-200 focus:border-amber-400 focus:ring-4 focus:ring-amber-100 transition-all outline-none resize-none font-mono text-sm"
+            />
+            <p className="mt-2 text-xs text-slate-500">
+              💡 Tip: Be specific about the fields and format you want
+            </p>
+          </div>
+
+          {/* JSON Schema (optional) */}
+          <div>
+            <button
+              onClick={() => setShowSchema(!showSchema)}
+              className="flex items-center gap-2 text-sm font-semibold text-slate-700 hover:text-amber-700 transition-colors"
+            >
+              <svg className={`w-4 h-4 transition-transform ${showSchema ? 'rotate-90' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5l7 7-7 7" />
+              </svg>
+              JSON Schema (optional)
+            </button>
+            {showSchema && (
+              <div className="mt-3 animate-fade-in">
+                <textarea
+                  placeholder={'{\n  "type": "object",\n  "properties": {\n    "invoice_number": { "type": "string" },\n    "total": { "type": "number" }\n  },\n  "required": ["invoice_number", "total"]\n}'}
+                  value={jsonSchemaText}
+                  onChange={(e) => setJsonSchemaText(e.target.value)}
+                  rows={8}
+                  className={`w-full px-4 py-3 rounded-xl border-2 ${schemaError ? 'border-red-300' : 'border-slate-200'} focus:border-amber-400 focus:ring-4 focus:ring-amber-100 transition-all outline-none resize-none font-mono text-sm`}
+                />
+                {schemaError ? (
+                  <p className="mt-2 text-xs text-red-600">{schemaError}</p>
+                ) : (
+                  <p className="mt-2 text-xs text-slate-500">
+                    🔒 When set, the model is constrained to this schema so key names stay identical between runs
+                  </p>
+                )}
+              </div>
+            )}
+          </div>
+        </>
+      )}
+
+      {/* Templates */}
+      <TemplateLibrary onApply={applyTemplate} getCurrent={currentTemplate} />
+
+      {/* Error Display */}
+      {error && (
+        <div className="p-4 bg-red-50 border-2 border-red-200 rounded-xl flex items-start gap-3 animate-shake">
+          <svg className="w-5 h-5 text-red-600 flex-shrink-0 mt-0.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+          </svg>
+          <div>
+            <p className="font-semibold text-red-800">Processing Error</p>
+            <p className="text-sm text-red-700">{error}</p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ===== Template Library =====
+function TemplateLibrary({ onApply, getCurrent }) {
+  const [templates, setTemplates] = useState(loadTemplates);
+  const [editing, setEditing] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const update = (next) => {
+    setTemplates(next);
+    saveTemplates(next);
+  };
+
+  const handleSave = (template) => {
+    update(upsertTemplate(templates, template));
+    setEditing(null);
+  };
+
+  const handleDelete = (template) => {
+    if (!window.confirm(`Delete the "${template.name}" template?`)) return;
+    update(removeTemplate(templates, template.id));
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const { templates: imported, errors } = parseTemplateFile(await file.text());
+    const merged = mergeTemplates(templates, imported);
+    update(merged.templates);
+
+    const parts = [];
+    if (merged.added) parts.push(`${merged.added} added`);
+    if (merged.replaced) parts.push(`${merged.replaced} updated`);
+    setNotice({
+      error: imported.length === 0,
+      message: [parts.length > 0 ? `Imported templates: ${parts.join(', ')}.` : 'No templates imported.', ...errors].join(' ')
+    });
+  };
+
+  const handleExport = () => {
+    downloadFile(exportTemplates(templates), `buggu-templates-${Date.now()}.json`);
+  };
+
+  if (editing) {
+    return (
+      <TemplateEditor
+        template={editing}
+        onSave={handleSave}
+        onCancel={() => setEditing(null)}
+      />
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <p className="text-sm font-semibold text-slate-700">Templates:</p>
+        <div className="flex items-center gap-3 text-sm font-medium">
+          <button
+            onClick={() => setEditing(getCurrent())}
+            className="text-amber-700 hover:text-amber-800"
+          >
+            + Save current
+          </button>
+          <input
+            type="file"
+            accept="application/json,.json"
+            onChange={handleImport}
+            id="template-import-input"
+            className="hidden"
+          />
+          <label htmlFor="template-import-input" className="text-slate-600 hover:text-slate-800 cursor-pointer">
+            Import
+          </label>
+          <button
+            onClick={handleExport}
+            disabled={templates.length === 0}
+            className="text-slate-600 hover:text-slate-800 disabled:opacity-50"
+          >
+            Export
+          </button>
+        </div>
+      </div>
+
+      {notice && (
+        <p className={`mb-3 text-xs ${notice.error ? 'text-red-600' : 'text-green-700'}`}>{notice.message}</p>
+      )}
+
+      {templates.length === 0 ? (
+        <p className="p-4 rounded-xl border-2 border-dashed border-slate-200 text-sm text-slate-500 text-center">
+          No templates yet. Describe a request and save it for next time.
+        </p>
+      ) : (
+        <div className="grid gap-3">
+          {templates.map(template => (
+            <div
+              key={template.id}
+              className="p-4 rounded-xl bg-white border-2 border-slate-200 hover:border-amber-300 hover:bg-amber-50/50 transition-all group"
+            >
+              <div className="flex items-start justify-between gap-3">
+                <button onClick={() => onApply(template)} className="flex-1 text-left">
+                  <p className="font-semibold text-slate-800 mb-1 group-hover:text-amber-700 transition-colors">
+                    {template.name}
+                    {template.fields?.length > 0 && (
+                      <span className="ml-2 px-1.5 py-0.5 rounded bg-slate-100 text-slate-500 text-xs font-medium">fields</span>
+                    )}
+                    {!template.fields?.length && template.schema && (
+                      <span className="ml-2 px-1.5 py-0.5 rounded bg-slate-100 text-slate-500 text-xs font-medium">schema</span>
+                    )}
+                  </p>
+                  <p className="text-sm text-slate-600 line-clamp-2">{template.prompt}</p>
+                </button>
+                <div className="flex flex-shrink-0 items-center gap-2 text-xs font-medium opacity-60 group-hover:opacity-100 transition-opacity">
+                  {template.sampleOutput != null && (
+                    <button
+                      onClick={() => setExpandedId(expandedId === template.id ? null : template.id)}
+                      className="text-slate-600 hover:text-slate-800"
+                    >
+                      Sample
+                    </button>
+                  )}
+                  <button onClick={() => setEditing(template)} className="text-slate-600 hover:text-slate-800">Edit</button>
+                  <button onClick={() => update(duplicateTemplate(templates, template.id))} className="text-slate-600 hover:text-slate-800">Duplicate</button>
+                  <button onClick={() => handleDelete(template)} className="text-red-600 hover:text-red-700">Delete</button>
+                </div>
+              </div>
+              {expandedId === template.id && (
+                <pre className="mt-3 p-3 rounded-lg bg-slate-900 text-slate-100 text-xs font-mono overflow-auto max-h-48">
+                  {JSON.stringify(template.sampleOutput, null, 2)}
+                </pre>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ===== Template Editor =====
+function TemplateEditor({ template, onSave, onCancel }) {
+  const [name, setName] = useState(template.name);
+  const [prompt, setPrompt] = useState(template.prompt);
+  const [schemaText, setSchemaText] = useState(template.schema ? JSON.stringify(template.schema, null, 2) : '');
+  const [sampleText, setSampleText] = useState(template.sampleOutput != null ? JSON.stringify(template.sampleOutput, null, 2) : '');
+  const fromBuilder = template.fields?.length > 0;
+
+  const parsedSchema = parseSchema(schemaText);
+  let sampleOutput = null;
+  let sampleError = null;
+  if (sampleText.trim()) {
+    try {
+      sampleOutput = JSON.parse(sampleText);
+    } catch (err) {
+      sampleError = `Invalid JSON: ${err.message}`;
+    }
+  }
+
+  const draft = { ...template, name: name.trim(), prompt, schema: parsedSchema.schema, sampleOutput };
+  const error = parsedSchema.error || sampleError || getTemplateError(draft);
+
+  const inputClass = 'w-full px-4 py-3 rounded-xl border-2 border-slate-200 focus:border-amber-400 focus:ring-4 focus:ring-amber-100 transition-all outline-none text-sm disabled:bg-slate-50 disabled:text-slate-500';
+
+  return (
+    <div className="p-4 rounded-xl border-2 border-amber-200 bg-amber-50/30 space-y-4 animate-fade-in">
+      <p className="text-sm font-semibold text-slate-700">{template.name ? 'Edit template' : 'New template'}</p>
+      <input
+        type="text"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        placeholder="Template name, e.g. Supplier invoice"
+        className={inputClass}
+      />
+      <textarea
+        value={prompt}
+        onChange={(e) => setPrompt(e.target.value)}
+        disabled={fromBuilder}
+        placeholder="What should be extracted?"
+        rows={3}
+        className={`${inputClass} resize-none font-mono`}
+      />
+      <textarea
+        value={schemaText}
+        onChange={(e) => setSchemaText(e.target.value)}
+        disabled={fromBuilder}
+        placeholder="JSON Schema (optional)"
+        rows={4}
+        className={`${inputClass} resize-none font-mono`}
+      />
+      {fromBuilder && (
+        <p className="text-xs text-slate-500">
+          Prompt and schema come from the field builder. Apply the template, edit its fields, then save it again.
+        </p>
+      )}
+      <textarea
+        value={sampleText}
+        onChange={(e) => setSampleText(e.target.value)}
+        placeholder="Sample output (optional JSON)"
+        rows={4}
+        className={`${inputClass} resize-none font-mono`}
+      />
+      <div className="flex items-center justify-between gap-3">
+        <p className="text-xs text-red-600">{error}</p>
+        <div className="flex gap-2">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 rounded-lg text-sm font-medium text-slate-700 hover:bg-slate-200 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onSave(draft)}
+            disabled={!!error}
+            className="px-4 py-2 rounded-lg text-sm font-semibold text-white bg-gradient-to-r from-amber-600 to-orange-600 hover:shadow-lg transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Save template
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ===== Schema Builder =====
+function SchemaBuilder({ fields, onChange, schemaPrompt, schemaError }) {
+  const [showCompiled, setShowCompiled] = useState(false);
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <p className="block text-sm font-semibold text-slate-700 mb-2">
+          Fields to extract:
+        </p>
+        {fields.length === 0 ? (
+          <div className="p-6 text-center rounded-xl border-2 border-dashed border-slate-200 text-sm text-slate-500">
+            No fields yet. Add the values you want Buggu to pull from your documents.
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {fields.map(field => (
+              <FieldEditor
+                key={field.id}
+                field={field}
+                depth={0}
+                onUpdate={(id, patch) => onChange(updateField(fields, id, patch))}
+                onRemove={(id) => onChange(removeField(fields, id))}
+                onAddChild={(id) => onChange(addField(fields, id))}
+              />
+            ))}
+          </div>
+        )}
+        <button
+          onClick={() => onChange(addField(fields))}
+          className="mt-3 px-4 py-2 rounded-lg bg-amber-100 text-amber-700 hover:bg-amber-200 text-sm font-medium transition-colors"
+        >
+          + Add field
+        </button>
+      </div>
+
+      {schemaError ? (
+        <p className="text-xs text-red-600">{schemaError}</p>
+      ) : (
+        <div>
+          <button
+            onClick={() => setShowCompiled(!showCompiled)}
+            className="text-xs font-medium text-slate-500 hover:text-amber-700 transition-colors"
+          >
+            {showCompiled ? 'Hide generated request' : 'Show generated request'}
+          </button>
+          {showCompiled && (
+            <pre className="mt-2 p-3 bg-slate-50 rounded-xl border border-slate-200 text-xs font-mono text-slate-700 whitespace-pre-wrap animate-fade-in">
+              {schemaPrompt}
+            </pre>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ===== Field Editor =====
+function FieldEditor({ field, depth, onUpdate, onRemove, onAddChild }) {
+  return (
+    <div className={`p-3 rounded-xl border-2 border-slate-200 bg-white space-y-2 ${depth > 0 ? 'bg-slate-50/60' : ''}`}>
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          type="text"
+          placeholder="field_name"
+          value={field.name}
+          onChange={(e) => onUpdate(field.id, { name: e.target.value })}
+          className="flex-1 min-w-[8rem] px-3 py-1.5 rounded-lg border border-slate-200 focus:border-amber-400 outline-none font-mono text-sm"
+        />
+        <select
+          value={field.type}
+          onChange={(e) => onUpdate(field.id, { type: e.target.value })}
+          className="px-3 py-1.5 rounded-lg border border-slate-200 focus:border-amber-400 outline-none text-sm bg-white"
+        >
+          {FIELD_TYPES.map(type => (
+            <option key={type.value} value={type.value}>{type.label}</option>
+          ))}
+        </select>
+        <label className="flex items-center gap-1.5 text-sm text-slate-600">
+          <input
+            type="checkbox"
+            checked={field.required}
+            onChange={(e) => onUpdate(field.id, { required: e.target.checked })}
+            className="accent-amber-600"
+          />
+          Required
+        </label>
+        <button
+          onClick={() => onRemove(field.id)}
+          title="Remove field"
+          className="w-8 h-8 rounded-lg hover:bg-red-50 flex items-center justify-center transition-colors"
+        >
+          <svg className="w-4 h-4 text-red-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+      <input
+        type="text"
+        placeholder="Description (optional), e.g. &quot;Total including tax&quot;"
+        value={field.description}
+        onChange={(e) => onUpdate(field.id, { description: e.target.value })}
+        className="w-full px-3 py-1.5 rounded-lg border border-slate-200 focus:border-amber-400 outline-none text-sm"
+      />
+      {isContainerType(field.type) && (
+        <div className="pl-4 border-l-2 border-amber-200 space-y-2">
+          {field.fields.map(child => (
+            <FieldEditor
+              key={child.id}
+              field={child}
+              depth={depth + 1}
+              onUpdate={onUpdate}
+              onRemove={onRemove}
+              onAddChild={onAddChild}
+            />
+          ))}
+          <button
+            onClick={() => onAddChild(field.id)}
+            className="text-xs font-medium text-amber-700 hover:text-amber-800"
+          >
+            + Add {field.type === 'array' ? 'item field' : 'nested field'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ===== Batch Page =====
+const BATCH_STATUS_STYLES = {
+  queued: { label: 'Queued', className: 'bg-slate-100 text-slate-600' },
+  processing: { label: 'Processing', className: 'bg-amber-100 text-amber-700 animate-pulse' },
+  done: { label: 'Done', className: 'bg-green-100 text-green-700' },
+  error: { label: 'Failed', className: 'bg-red-100 text-red-700' },
+  paused: { label: 'Paused', className: 'bg-slate-200 text-slate-600' }
+};
+
+function BatchPage({ schemaProps, onBack }) {
+  const [items, setItems] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [rejected, setRejected] = useState([]);
+  const [viewing, setViewing] = useState(null);
+  const settingsRef = useRef(null);
+  const queueRef = useRef(null);
+
+  const { schemaPrompt, schemaMode, schemaFields, jsonSchemaText } = schemaProps;
+  const schemaError = getSchemaError(schemaMode, schemaFields, jsonSchemaText);
+
+  if (!queueRef.current) {
+    queueRef.current = createBatchQueue({
+      // Each queued file is its own document, extracted with the settings captured on Start
+      processItem: async (item, signal) => {
+        const { schemaPrompt: prompt, jsonSchema, inputMode, runs } = settingsRef.current;
+        const warnings = [];
+        const pages = await processFiles(item.files, {
+          preprocess: getPreprocessSettings(),
+          onWarning: (warning) => warnings.push(warning),
+          signal
+        });
+        if (pages.length === 0) throw new Error(warnings[0]?.message || 'No readable pages');
+        const result = await extractDocument({
+          pages,
+          inputMode: resolveInputMode(pages, inputMode),
+          schemaPrompt: prompt,
+          jsonSchema,
+          runs,
+          signal
+        });
+        return { ...result, pageCount: pages.length };
+      },
+      onChange: (next) => {
+        setItems(next);
+        setRunning(queueRef.current?.isRunning() ?? false);
+      }
+    });
+  }
+  const queue = queueRef.current;
+
+  // Stop the item in progress and the rest of the queue when leaving the page
+  useEffect(() => () => queue.cancel(), [queue]);
+
+  const handleAddFiles = (e) => {
+    const selected = Array.from(e.target.files);
+    const accepted = [];
+    const problems = [];
+
+    for (const file of selected) {
+      const check = validateFile(file);
+      if (check.valid) {
+        accepted.push({ name: file.name, files: [file] });
+      } else {
+        problems.push(`${file.name}: ${check.error}`);
+      }
+    }
+
+    setRejected(problems);
+    queue.add(accepted);
+    e.target.value = '';
+  };
+
+  const handleStart = () => {
+    settingsRef.current = {
+      schemaPrompt,
+      jsonSchema: parseSchema(jsonSchemaText).schema,
+      inputMode: schemaProps.inputMode,
+      runs: schemaProps.consistencyRuns
+    };
+    queue.start();
+  };
+
+  const handleExport = () => {
+    const documents = items
+      .filter(item => item.status === 'done')
+      .map(item => ({
+        name: item.name,
+        pageCount: item.result.pageCount,
+        data: item.result.data,
+        issues: summarizeReport(item.result.validation.report).issues
+      }));
+
+    const combined = {
+      exportedAt: new Date().toISOString(),
+      request: settingsRef.current?.schemaPrompt || schemaPrompt,
+      documentCount: documents.length,
+      documents
+    };
+    downloadFile(JSON.stringify(combined, null, 2), `batch-export-${Date.now()}.json`);
+  };
+
+  const counts = items.reduce((acc, item) => ({ ...acc, [item.status]: (acc[item.status] || 0) + 1 }), {});
+  const pendingCount = (counts.queued || 0) + (counts.processing || 0);
+  const canStart = items.some(item => item.status === 'queued') && schemaPrompt.trim() && !schemaError;
+
+  return (
+    <div className="relative z-10 min-h-screen px-4 sm:px-6 lg:px-8 py-12">
+      <div className="max-w-5xl mx-auto space-y-8">
+        {/* Header */}
+        <div className="flex items-center justify-between animate-fade-in">
+          <div>
+            <h2 className="text-4xl font-bold text-slate-800 mb-1">Batch Mode</h2>
+            <p className="text-slate-600">Every file is extracted as its own document with the same request.</p>
+          </div>
+          <button
+            onClick={onBack}
+            className="px-4 py-2 rounded-xl text-slate-700 hover:bg-slate-200 font-medium transition-colors"
+          >
+            ← Home
+          </button>
+        </div>
+
+        {/* Request */}
+        <div className="bg-white rounded-2xl shadow-xl border border-slate-100 p-6 animate-fade-in-up">
+          <h3 className="text-lg font-semibold text-slate-800 mb-4">1. What should Buggu extract?</h3>
+          <SchemaStep {...schemaProps} schemaError={schemaError} processedImages={[]} error={null} />
+        </div>
+
+        {/* Queue */}
+        <div className="bg-white rounded-2xl shadow-xl border border-slate-100 p-6 animate-fade-in-up">
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+            <h3 className="text-lg font-semibold text-slate-800">2. Documents</h3>
+            <div className="flex flex-wrap items-center gap-2">
+              <input
+                type="file"
+                accept={ACCEPTED_FILES}
+                multiple
+                onChange={handleAddFiles}
+                id="batch-file-input"
+                className="hidden"
+              />
+              <label
+                htmlFor="batch-file-input"
+                className="px-4 py-2 rounded-lg bg-amber-100 text-amber-700 hover:bg-amber-200 text-sm font-medium cursor-pointer transition-colors"
+              >
+                + Add files
+              </label>
+              {running ? (
+                <>
+                  <button
+                    onClick={() => queue.stop()}
+                    className="px-4 py-2 rounded-lg bg-white border-2 border-slate-200 hover:border-amber-300 text-sm font-medium text-slate-700 transition-colors"
+                  >
+                    Pause queue
+                  </button>
+                  <button
+                    onClick={() => queue.cancel()}
+                    className="px-4 py-2 rounded-lg bg-white border-2 border-slate-200 hover:border-red-300 hover:bg-red-50 text-sm font-medium text-slate-700 transition-colors"
+                  >
+                    Stop now
+                  </button>
+                </>
+              ) : (
+                <button
+                  onClick={handleStart}
+                  disabled={!canStart}
+                  className="px-4 py-2 rounded-lg bg-gradient-to-r from-amber-600 to-orange-600 text-white text-sm font-semibold hover:shadow-lg transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {items.some(item => item.status === 'done' || item.status === 'error') ? 'Resume queue' : 'Start'}
+                </button>
+              )}
+              <button
+                onClick={handleExport}
+                disabled={!counts.done}
+                className="px-4 py-2 rounded-lg bg-white border-2 border-slate-200 hover:border-amber-300 text-sm font-medium text-slate-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Export {counts.done || 0} result{counts.done !== 1 ? 's' : ''}
+              </button>
+            </div>
+          </div>
+
+          {rejected.length > 0 && (
+            <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-xl text-sm text-red-700 space-y-1">
+              {rejected.map((problem, i) => <p key={i}>{problem}</p>)}
+            </div>
+          )}
+
+          {items.length === 0 ? (
+            <div className="p-8 text-center rounded-xl border-2 border-dashed border-slate-200 text-sm text-slate-500">
+              Add receipts, invoices or PDFs. Each file becomes one row.
+            </div>
+          ) : (
+            <>
+              <p className="text-sm text-slate-500 mb-3">
+                {counts.done || 0} done · {counts.error || 0} failed · {pendingCount} pending · {counts.paused || 0} paused
+              </p>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-slate-500 border-b border-slate-200">
+                      <th className="py-2 pr-4 font-medium">Document</th>
+                      <th className="py-2 pr-4 font-medium">Status</th>
+                      <th className="py-2 pr-4 font-medium">Result</th>
+                      <th className="py-2 font-medium text-right">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {items.map(item => {
+                      const issues = item.result && summarizeReport(item.result.validation.report).issues;
+                      return (
+                        <tr key={item.id} className="border-b border-slate-100 last:border-0">
+                          <td className="py-2 pr-4 text-slate-800 truncate max-w-[16rem]" title={item.name}>{item.name}</td>
+                          <td className="py-2 pr-4">
+                            <span className={`px-2 py-0.5 rounded-md text-xs font-medium ${BATCH_STATUS_STYLES[item.status].className}`}>
+                              {BATCH_STATUS_STYLES[item.status].label}
+                            </span>
+                          </td>
+                          <td className="py-2 pr-4 text-slate-600">
+                            {item.status === 'done' && (
+                              <>
+                                {item.result.pageCount} page{item.result.pageCount !== 1 ? 's' : ''}
+                                {issues > 0 && <span className="text-amber-700"> · {issues} to check</span>}
+                              </>
+                            )}
+                            {item.status === 'error' && <span className="text-red-600">{item.error}</span>}
+                          </td>
+                          <td className="py-2 text-right whitespace-nowrap space-x-3">
+                            {item.status === 'done' && (
+                              <button onClick={() => setViewing(item)} className="text-amber-700 hover:text-amber-800 font-medium">View</button>
+                            )}
+                            {(item.status === 'queued' || item.status === 'processing') && (
+                              <button onClick={() => queue.pause(item.id)} className="text-slate-600 hover:text-slate-800 font-medium">Pause</button>
+                            )}
+                            {item.status === 'paused' && (
+                              <button onClick={() => queue.resume(item.id)} className="text-slate-600 hover:text-slate-800 font-medium">Resume</button>
+                            )}
+                            {(item.status === 'error' || item.status === 'done') && (
+                              <button onClick={() => queue.retry(item.id)} className="text-slate-600 hover:text-slate-800 font-medium">Retry</button>
+                            )}
+                            {item.status !== 'processing' && (
+                              <button onClick={() => queue.remove(item.id)} className="text-red-600 hover:text-red-700 font-medium">Remove</button>
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+
+        {/* Result Viewer */}
+        {viewing && (
+          <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm animate-fade-in">
+            <div className="bg-white rounded-3xl shadow-2xl max-w-3xl w-full max-h-[85vh] overflow-hidden animate-scale-in">
+              <div className="bg-gradient-to-r from-slate-800 to-slate-700 px-6 py-4 flex items-center justify-between">
+                <span className="text-slate-300 text-sm font-mono truncate">{viewing.name}</span>
+                <button
+                  onClick={() => setViewing(null)}
+                  className="w-8 h-8 rounded-lg hover:bg-slate-600 flex items-center justify-center transition-colors"
+                >
+                  <svg className="w-5 h-5 text-slate-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+                  </svg>
+                </button>
+              </div>
+              <div className="p-6 bg-slate-900 overflow-auto max-h-[calc(85vh-64px)]">
+                <pre className="text-sm font-mono text-slate-100 leading-relaxed">
+                  {JSON.stringify(viewing.result.data, null, 2)}
+                </pre>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ===== History Page =====
+function HistoryPage({ onOpen, onRerun, onBack }) {
+  const [records, setRecords] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [query, setQuery] = useState('');
+  const [settings, setSettings] = useState(getHistorySettings);
+  const [error, setError] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [thumbUrls, setThumbUrls] = useState({});
+  const [passwordRequest, setPasswordRequest] = useState(null);
+
+  // Saved PDFs may be encrypted; their passwords are never stored
+  const askPassword = ({ fileName, incorrect }) => new Promise(resolve => {
+    setPasswordRequest({ fileName, incorrect, resolve });
+  });
+
+  const answerPassword = (value) => {
+    passwordRequest.resolve(value);
+    setPasswordRequest(null);
+  };
+
+  const loadRecords = async () => {
+    try {
+      setRecords(await listExtractions());
+    } catch (err) {
+      setError(err.message || 'Could not read history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadRecords();
+  }, []);
+
+  // One object URL per record's first thumbnail, revoked when the list changes
+  useEffect(() => {
+    const urls = {};
+    for (const record of records) {
+      if (record.thumbnails?.[0]) urls[record.id] = createPreviewURL(record.thumbnails[0]);
     }
-  ];
-  
+    setThumbUrls(urls);
+    return () => Object.values(urls).forEach(url => revokePreviewURL(url));
+  }, [records]);
+
+  const updateSettings = (patch) => setSettings(setHistorySettings(patch));
+
+  const runAction = async (id, action) => {
+    setBusyId(id);
+    setError(null);
+    try {
+      await action(id);
+    } catch (err) {
+      setError(err.message || 'Something went wrong');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    await deleteExtraction(id);
+    setRecords(current => current.filter(record => record.id !== id));
+  };
+
+  const handleClear = async () => {
+    if (!window.confirm('Delete every saved extraction from this browser?')) return;
+    await clearHistory();
+    setRecords([]);
+  };
+
+  const visible = searchExtractions(records, query);
+
   return (
-    <div className="space-y-6">
-      {/* Preview Toggle */}
-      <div className="flex items-center justify-between p-4 bg-slate-50 rounded-xl">
-        <div className="flex items-center gap-2">
-          <svg className="w-5 h-5 text-slate-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
-          </svg>
-          <span className="font-medium text-slate-700">{processedImages.length} uploaded pages</span>
+    <div className="relative z-10 min-h-screen px-4 sm:px-6 lg:px-8 py-12">
+      <div className="max-w-5xl mx-auto space-y-8">
+        {/* Header */}
+        <div className="flex items-center justify-between animate-fade-in">
+          <div>
+            <h2 className="text-4xl font-bold text-slate-800 mb-1">Past Extractions</h2>
+            <p className="text-slate-600">Stored only in this browser. Nothing is uploaded.</p>
+          </div>
+          <button
+            onClick={onBack}
+            className="px-4 py-2 rounded-xl text-slate-700 hover:bg-slate-200 font-medium transition-colors"
+          >
+            ← Home
+          </button>
         </div>
-        <button
-          onClick={() => setShowPreview(!showPreview)}
-          className="px-4 py-2 rounded-lg bg-white border border-slate-200 hover:bg-slate-50 transition-colors text-sm font-medium text-slate-700"
-        >
-          {showPreview ? 'Hide Preview' : 'Show Preview'}
-        </button>
-      </div>
 
-      {/* Preview Grid */}
-      {showPreview && (
-        <div className="grid grid-cols-3 sm:grid-cols-4 md:grid-cols-6 gap-3 p-4 bg-slate-50 rounded-xl animate-fade-in">
-          {processedImages.map((img, i) => (
-            <div key={i} className="aspect-[3/4] rounded-lg overflow-hidden bg-white shadow-sm border border-slate-200">
-              <img 
-                src={previewUrls[i]} 
-                alt={img.name}
-                className="w-full h-full object-cover"
-              />
+        {/* Controls */}
+        <div className="bg-white rounded-2xl shadow-xl border border-slate-100 p-6 space-y-4 animate-fade-in-up">
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search file names, requests or extracted values..."
+            className="w-full px-4 py-3 rounded-xl border-2 border-slate-200 focus:border-amber-500 focus:ring-4 focus:ring-amber-500/10 outline-none transition-all text-slate-800"
+          />
+          <div className="flex flex-wrap items-center justify-between gap-3 text-sm">
+            <div className="flex flex-wrap gap-5 text-slate-700">
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={settings.enabled}
+                  onChange={(e) => updateSettings({ enabled: e.target.checked })}
+                  className="w-4 h-4 accent-amber-600"
+                />
+                Save new extractions
+              </label>
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={settings.keepFiles}
+                  disabled={!settings.enabled}
+                  onChange={(e) => updateSettings({ keepFiles: e.target.checked })}
+                  className="w-4 h-4 accent-amber-600"
+                />
+                Keep original files (enables one-click re-run)
+              </label>
             </div>
-          ))}
+            {records.length > 0 && (
+              <button onClick={handleClear} className="text-red-600 hover:text-red-700 font-medium">
+                Delete all
+              </button>
+            )}
+          </div>
         </div>
-      )}
 
-      {/* Schema Input */}
-      <div>
-        <label className="block text-sm font-semibold text-slate-700 mb-2">
-          Describe what data you want to extract:
-        </label>
-        <textarea
-          placeholder="Example: Extract invoice number, date, items with prices, and total amount"
-          value={schemaPrompt}
-          onChange={(e) => setSchemaPrompt(e.target.value)}
-          rows={6}
-          className="w-full px-4 py-3 rounded-xl border-2 border-slate-200 focus:border-amber-400 focus:ring-4 focus:ring-amber-100 transition-all outline-none resize-none font-mono text-sm"
-        />
-        <p className="mt-2 text-xs text-slate-500">
-          💡 Tip: Be specific about the fields and format you want
-        </p>
-      </div>
+        {passwordRequest && <PasswordPrompt request={passwordRequest} onAnswer={answerPassword} />}
 
-      {/* Examples */}
-      <div>
-        <p className="text-sm font-semibold text-slate-700 mb-3">Quick templates:</p>
-        <div className="grid gap-3">
-          {examples.map((ex, i) => (
-            <button
-              key={i}
-              onClick={() => setSchemaPrompt(ex.prompt)}
-              className="text-left p-4 rounded-xl bg-white border-2 border-slate-200 hover:border-amber-300 hover:bg-amber-50/50 transition-all group"
-            >
-              <div className="flex items-start justify-between gap-3">
-                <div className="flex-1">
-                  <p className="font-semibold text-slate-800 mb-1 group-hover:text-amber-700 transition-colors">
-                    {ex.title}
-                  </p>
-                  <p className="text-sm text-slate-600 line-clamp-2">{ex.prompt}</p>
-                </div>
-                <svg className="w-5 h-5 text-amber-600 opacity-0 group-hover:opacity-100 transition-opacity flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5l7 7-7 7" />
-                </svg>
-              </div>
-            </button>
-          ))}
-        </div>
-      </div>
+        {error && (
+          <div className="p-4 bg-red-50 border-2 border-red-200 rounded-xl text-sm text-red-700 animate-fade-in">
+            {error}
+          </div>
+        )}
 
-      {/* Error Display */}
-      {error && (
-        <div className="p-4 bg-red-50 border-2 border-red-200 rounded-xl flex items-start gap-3 animate-shake">
-          <svg className="w-5 h-5 text-red-600 flex-shrink-0 mt-0.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
-          </svg>
-          <div>
-            <p className="font-semibold text-red-800">Processing Error</p>
-            <p className="text-sm text-red-700">{error}</p>
+        {/* Records */}
+        {loading ? (
+          <p className="text-center text-slate-500">Loading history...</p>
+        ) : visible.length === 0 ? (
+          <div className="p-8 text-center rounded-2xl border-2 border-dashed border-slate-200 text-sm text-slate-500">
+            {records.length === 0 ? 'Finished extractions will show up here.' : 'No extractions match your search.'}
           </div>
-        </div>
-      )}
+        ) : (
+          <div className="space-y-3 animate-fade-in-up">
+            {visible.map(record => {
+              const issues = record.meta?.validation ? summarizeReport(record.meta.validation.report).issues : 0;
+              return (
+                <div key={record.id} className="flex items-center gap-4 p-4 bg-white rounded-2xl shadow-md border border-slate-100">
+                  <div className="w-14 h-[4.5rem] flex-shrink-0 rounded-lg overflow-hidden bg-slate-100 border border-slate-200">
+                    {thumbUrls[record.id] && (
+                      <img src={thumbUrls[record.id]} alt="" className="w-full h-full object-cover" />
+                    )}
+                  </div>
+                  <div className="flex-1 min-w-0">
+                    <p className="font-semibold text-slate-800 truncate" title={record.title}>{record.title}</p>
+                    <p className="text-sm text-slate-500 truncate">{record.request?.schemaPrompt}</p>
+                    <p className="text-xs text-slate-400 mt-1">
+                      {new Date(record.createdAt).toLocaleString()} · {record.pageCount} page{record.pageCount !== 1 ? 's' : ''}
+                      {issues > 0 && <span className="text-amber-700"> · {issues} to check</span>}
+                    </p>
+                  </div>
+                  <div className="flex flex-shrink-0 items-center gap-3 text-sm font-medium">
+                    <button
+                      onClick={() => runAction(record.id, onOpen)}
+                      disabled={busyId !== null}
+                      className="text-amber-700 hover:text-amber-800 disabled:opacity-50"
+                    >
+                      Open
+                    </button>
+                    <button
+                      onClick={() => runAction(record.id, id => onRerun(id, { getPassword: askPassword }))}
+                      disabled={busyId !== null}
+                      title={record.hasFiles ? 'Run the same request on the stored files' : 'Opens the request; upload the files again'}
+                      className="text-slate-600 hover:text-slate-800 disabled:opacity-50"
+                    >
+                      {busyId === record.id ? 'Loading...' : 'Re-run'}
+                    </button>
+                    <button
+                      onClick={() => runAction(record.id, handleDelete)}
+                      disabled={busyId !== null}
+                      className="text-red-600 hover:text-red-700 disabled:opacity-50"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
     </div>
   );
 }
 
+// ===== Input Budget =====
+function BudgetLine({ budget }) {
+  return (
+    <>
+      Input: ~{budget.estimatedUsage.toLocaleString()} of {budget.available.toLocaleString()} tokens
+      {budget.rendering && ` · pages as ${budget.rendering.label}`}
+      {budget.fitsInOneRequest ? ' · one request' : ' · split into batches'}
+    </>
+  );
+}
+
 // ===== Loading Screen =====
-function LoadingScreen({ imageCount }) {
+function LoadingScreen({ imageCount, partialOutput, progress, onCancel }) {
+  const [cancelling, setCancelling] = useState(false);
+  const fieldCount = countLeafFields(partialOutput);
+
   return (
-    <div className="relative z-10 min-h-screen flex items-center justify-center px-4">
-      <div className="text-center max-w-md animate-fade-in">
+    <div className="relative z-10 min-h-screen flex items-center justify-center px-4 py-12">
+      <div className={`text-center ${partialOutput ? 'max-w-2xl w-full' : 'max-w-md'} animate-fade-in`}>
         {/* Spinner */}
         <div className="relative inline-flex items-center justify-center mb-8">
           <div className="absolute inset-0 bg-gradient-to-r from-amber-200/20 to-orange-200/20 rounded-full blur-2xl animate-pulse-slow"></div>
@@ -673,7 +2876,39 @@ function LoadingScreen({ imageCount }) {
         <h2 className="text-3xl font-bold text-slate-800 mb-3">
           Processing {imageCount} page{imageCount !== 1 ? 's' : ''}...
         </h2>
-        <p className="text-lg text-slate-600 mb-2">Using Chrome's on-device AI</p>
+        <p className="text-lg text-slate-600 mb-2">Using on-device AI</p>
+        {progress?.stage === 'budget' && (
+          <p className="text-sm font-medium text-slate-600 mt-4">
+            {progress.pageCount
+              ? `Preparing page ${progress.page} of ${progress.pageCount}...`
+              : 'Checking how much the model can read at once...'}
+          </p>
+        )}
+        {progress?.budget && progress.stage !== 'budget' && (
+          <p className="text-xs text-slate-500 mt-2">
+            <BudgetLine budget={progress.budget} />
+          </p>
+        )}
+        {progress?.stage === 'reprompt' && (
+          <p className="text-sm font-medium text-amber-700 mt-4">
+            Double-checking {progress.fieldCount} field{progress.fieldCount !== 1 ? 's' : ''} that looked wrong...
+          </p>
+        )}
+        {progress?.stage === 'extract' && (progress.batchCount > 1 || progress.runCount > 1) && (
+          <div className="max-w-xs mx-auto mt-4">
+            <p className="text-sm font-medium text-slate-600 mb-2">
+              {progress.runCount > 1 && `Run ${progress.run} of ${progress.runCount}`}
+              {progress.runCount > 1 && progress.batchCount > 1 && ' · '}
+              {progress.batchCount > 1 && `Batch ${progress.batch} of ${progress.batchCount}`}
+            </p>
+            <div className="h-2 bg-amber-100 rounded-full overflow-hidden">
+              <div
+                className="h-full bg-gradient-to-r from-amber-500 to-orange-500 transition-all duration-500"
+                style={{ width: `${(((progress.run || 1) - 1) * progress.batchCount + progress.batch - 1) / ((progress.runCount || 1) * progress.batchCount) * 100}%` }}
+              />
+            </div>
+          </div>
+        )}
         
         {/* Privacy Badge */}
         <div className="inline-flex items-center px-4 py-2 rounded-full bg-green-50 border border-green-200 text-green-800 text-sm font-medium mt-4">
@@ -683,40 +2918,479 @@ function LoadingScreen({ imageCount }) {
           Your data never leaves your browser
         </div>
 
+        {/* Live Partial Output */}
+        {partialOutput && (
+          <div className="mt-8 text-left bg-white/80 backdrop-blur-sm rounded-2xl shadow-xl border border-white/50 overflow-hidden animate-fade-in-up">
+            <div className="bg-gradient-to-r from-slate-800 to-slate-700 px-4 py-3 flex items-center justify-between">
+              <span className="text-slate-300 text-sm font-mono">Receiving data...</span>
+              <span className="px-2 py-0.5 rounded-md bg-slate-700 text-slate-300 text-xs font-medium">
+                {fieldCount} field{fieldCount !== 1 ? 's' : ''}
+              </span>
+            </div>
+            <div className="p-4 bg-slate-900 max-h-72 overflow-y-auto">
+              <pre className="text-xs font-mono text-slate-100 leading-relaxed whitespace-pre-wrap">
+                {JSON.stringify(partialOutput, null, 2)}
+                <span className="inline-block w-2 h-3.5 ml-0.5 bg-amber-400 animate-pulse align-middle" />
+              </pre>
+            </div>
+          </div>
+        )}
+
         {/* Loading Dots */}
         <div className="flex items-center justify-center gap-2 mt-8">
           <div className="w-3 h-3 bg-amber-500 rounded-full animate-bounce" style={{ animationDelay: '0s' }}></div>
           <div className="w-3 h-3 bg-amber-500 rounded-full animate-bounce" style={{ animationDelay: '0.2s' }}></div>
           <div className="w-3 h-3 bg-amber-500 rounded-full animate-bounce" style={{ animationDelay: '0.4s' }}></div>
         </div>
+
+        {/* Cancel */}
+        <button
+          onClick={() => {
+            setCancelling(true);
+            onCancel();
+          }}
+          disabled={cancelling}
+          className="mt-8 px-6 py-2.5 rounded-xl border-2 border-slate-200 bg-white hover:border-red-300 hover:bg-red-50 text-slate-700 font-medium transition-colors disabled:opacity-50"
+        >
+          {cancelling ? 'Cancelling...' : 'Cancel'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Count primitive values in a (partial) JSON value
+function countLeafFields(value) {
+  if (value === null || typeof value !== 'object') return value === undefined ? 0 : 1;
+  return Object.values(value).reduce((sum, child) => sum + countLeafFields(child), 0);
+}
+
+// ===== Validation Report =====
+const STATUS_STYLES = {
+  missing: { label: 'Missing', className: 'bg-red-100 text-red-700' },
+  'wrong-type': { label: 'Wrong type', className: 'bg-red-100 text-red-700' },
+  'invalid-date': { label: 'Bad date', className: 'bg-orange-100 text-orange-700' },
+  null: { label: 'Empty', className: 'bg-slate-100 text-slate-600' }
+};
+
+function ValidationReport({ validation }) {
+  const [expanded, setExpanded] = useState(false);
+  const { report, repromptedPaths } = validation;
+  const summary = summarizeReport(report);
+  const issues = report.filter(item => item.status !== 'ok');
+
+  if (report.length === 0) return null;
+
+  return (
+    <div className={`mb-8 p-4 border-2 rounded-xl animate-fade-in-up ${
+      issues.length === 0 ? 'bg-green-50 border-green-200' : 'bg-amber-50 border-amber-200'
+    }`}>
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <p className={`font-semibold ${issues.length === 0 ? 'text-green-800' : 'text-amber-800'}`}>
+            {issues.length === 0
+              ? `All ${summary.ok} fields passed validation`
+              : `${summary.issues} of ${report.length} fields need a second look`}
+          </p>
+          {repromptedPaths.length > 0 && (
+            <p className="text-sm text-slate-600">
+              {repromptedPaths.length} field{repromptedPaths.length !== 1 ? 's were' : ' was'} corrected by asking the model again
+            </p>
+          )}
+        </div>
+        {issues.length > 0 && (
+          <button
+            onClick={() => setExpanded(!expanded)}
+            className="text-sm font-medium text-amber-700 hover:text-amber-800"
+          >
+            {expanded ? 'Hide details' : 'Show details'}
+          </button>
+        )}
+      </div>
+
+      {expanded && (
+        <ul className="mt-3 space-y-1.5 animate-fade-in">
+          {issues.map(item => (
+            <li key={item.path} className="flex flex-wrap items-center gap-2 text-sm">
+              <span className={`px-2 py-0.5 rounded-md text-xs font-medium ${STATUS_STYLES[item.status]?.className || ''}`}>
+                {STATUS_STYLES[item.status]?.label || item.status}
+              </span>
+              <span className="font-mono text-slate-800">{item.path}</span>
+              <span className="text-slate-500">{item.message}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {repromptedPaths.length > 0 && expanded && (
+        <p className="mt-3 text-xs text-slate-500">
+          Corrected: <span className="font-mono">{repromptedPaths.join(', ')}</span>
+        </p>
+      )}
+    </div>
+  );
+}
+
+// ===== Page Preview =====
+function PagePreview({ pages, highlight }) {
+  const [index, setIndex] = useState(0);
+  const [url, setUrl] = useState(null);
+  const boxRef = useRef(null);
+  const page = pages[Math.min(index, pages.length - 1)];
+
+  useEffect(() => {
+    const next = createPreviewURL(page.blob);
+    setUrl(next);
+    return () => revokePreviewURL(next);
+  }, [page]);
+
+  // Jump to the page of the selected field and bring its box into view
+  useEffect(() => {
+    if (!highlight) return;
+    setIndex(highlight.pageIndex);
+    requestAnimationFrame(() => boxRef.current?.scrollIntoView({ block: 'center', behavior: 'smooth' }));
+  }, [highlight]);
+
+  return (
+    <div className="lg:sticky lg:top-6 self-start bg-white/80 backdrop-blur-sm rounded-2xl shadow-2xl border border-white/50 overflow-hidden animate-fade-in-up">
+      <div className="px-4 py-3 flex items-center justify-between border-b border-slate-200">
+        <button
+          onClick={() => setIndex(i => Math.max(0, i - 1))}
+          disabled={index === 0}
+          className="px-2 py-1 rounded-lg text-slate-600 hover:bg-slate-100 disabled:opacity-40 text-sm font-medium"
+        >
+          ← Prev
+        </button>
+        <span className="text-sm text-slate-600 truncate px-2" title={page.name}>
+          Page {index + 1} of {pages.length}
+        </span>
+        <button
+          onClick={() => setIndex(i => Math.min(pages.length - 1, i + 1))}
+          disabled={index >= pages.length - 1}
+          className="px-2 py-1 rounded-lg text-slate-600 hover:bg-slate-100 disabled:opacity-40 text-sm font-medium"
+        >
+          Next →
+        </button>
+      </div>
+      <div className="bg-slate-100 max-h-[600px] overflow-auto">
+        <div className="relative">
+          {url && <img src={url} alt={page.name} className="w-full" />}
+          {highlight?.pageIndex === index && (
+            <div
+              ref={boxRef}
+              className={`absolute border-2 rounded-sm pointer-events-none animate-fade-in ${
+                highlight.source === 'model' ? 'border-dashed border-orange-500 bg-orange-400/20' : 'border-amber-500 bg-amber-400/25'
+              }`}
+              style={{
+                left: `${highlight.box.x * 100}%`,
+                top: `${highlight.box.y * 100}%`,
+                width: `${highlight.box.width * 100}%`,
+                height: `${highlight.box.height * 100}%`
+              }}
+              title={highlight.source === 'model' ? 'Region reported by the model' : 'Matched in the PDF text layer'}
+            />
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ===== JSON Tree Editor =====
+const LEAF_TYPES = ['string', 'number', 'boolean', 'null'];
+
+function convertLeaf(value, type) {
+  if (type === 'null') return null;
+  if (type === 'boolean') return value === true || value === 'true';
+  if (type === 'number') {
+    const number = Number(value);
+    return value !== null && value !== '' && Number.isFinite(number) ? number : 0;
+  }
+  return value === null ? '' : String(value);
+}
+
+const GROUNDING_BADGES = {
+  partial: { label: '≈', className: 'text-amber-600', title: 'Most of the words were found on the page' },
+  unmatched: { label: 'not on page', className: 'px-1.5 rounded bg-red-100 text-red-700', title: 'Not found anywhere on the page; likely hallucinated' },
+  unverified: { label: '?', className: 'text-slate-400', title: 'On a page without a text layer; use "Locate on images with AI"' }
+};
+
+function JsonNode({ label, value, path, depth, onSet, onAddRow, onRemove, grounding, agreement, selectedPath, onSelect }) {
+  const isArray = Array.isArray(value);
+  const isObject = value !== null && typeof value === 'object';
+  const removeButton = path && (
+    <button
+      onClick={() => onRemove(path)}
+      title="Remove"
+      className="ml-auto text-slate-400 hover:text-red-600 text-xs font-medium"
+    >
+      ✕
+    </button>
+  );
+
+  if (!isObject) {
+    const location = grounding?.[path || '(root)'];
+    const badge = GROUNDING_BADGES[location?.status];
+    // Flag disagreement only while the value is still the consensus one; an edit means it was reviewed
+    const consensus = agreement?.[path || '(root)'];
+    const uncertain = isLowAgreement(consensus) && JSON.stringify(consensus.consensus) === JSON.stringify(value);
+    return (
+      <div className={`flex items-center gap-2 py-1 px-1 rounded-md ${selectedPath === path ? 'bg-amber-50' : ''} ${uncertain ? 'ring-1 ring-orange-300 bg-orange-50/60' : ''}`}>
+        {label !== undefined && (
+          <button
+            onClick={() => onSelect?.(path)}
+            disabled={!onSelect}
+            title={location?.box ? 'Show on page' : String(label)}
+            className={`w-40 flex-shrink-0 truncate text-left text-sm font-mono text-slate-700 ${location?.box ? 'hover:text-amber-700 underline decoration-dotted underline-offset-2' : ''}`}
+          >
+            {label}
+          </button>
+        )}
+        {badge && (
+          <span className={`flex-shrink-0 text-xs font-medium ${badge.className}`} title={badge.title}>{badge.label}</span>
+        )}
+        {uncertain && (
+          <span
+            className="flex-shrink-0 px-1.5 rounded bg-orange-100 text-orange-700 text-xs font-medium"
+            title={`Runs answered: ${consensus.values.map(v => (v === undefined ? 'missing' : JSON.stringify(v))).join(', ')}`}
+          >
+            {consensus.votes}/{consensus.runs} agree
+          </span>
+        )}
+        <JsonLeafInput value={value} onCommit={(next) => onSet(path, next)} />
+        <select
+          value={value === null ? 'null' : typeof value}
+          onChange={(e) => onSet(path, convertLeaf(value, e.target.value))}
+          className="px-1 py-1 rounded-md border border-slate-200 bg-white text-xs text-slate-500"
+        >
+          {LEAF_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+        </select>
+        {removeButton}
+      </div>
+    );
+  }
+
+  const entries = isArray ? value.map((item, i) => [i, item]) : Object.entries(value);
+
+  return (
+    <div className={depth > 0 ? 'py-1' : ''}>
+      {label !== undefined && (
+        <div className="flex items-center gap-2 py-1">
+          <span className="text-sm font-mono font-semibold text-slate-800">{label}</span>
+          <span className="text-xs text-slate-400">{isArray ? `${value.length} row${value.length !== 1 ? 's' : ''}` : 'object'}</span>
+          {removeButton}
+        </div>
+      )}
+      <div className={depth > 0 || label !== undefined ? 'pl-4 border-l-2 border-slate-100' : ''}>
+        {entries.map(([key, child]) => (
+          <JsonNode
+            key={key}
+            label={isArray ? `#${key + 1}` : key}
+            value={child}
+            path={joinPath(path, key)}
+            depth={depth + 1}
+            onSet={onSet}
+            onAddRow={onAddRow}
+            onRemove={onRemove}
+            grounding={grounding}
+            agreement={agreement}
+            selectedPath={selectedPath}
+            onSelect={onSelect}
+          />
+        ))}
+        {isArray && (
+          <button
+            onClick={() => onAddRow(path)}
+            className="mt-1 text-xs font-medium text-amber-700 hover:text-amber-800"
+          >
+            + Add row
+          </button>
+        )}
       </div>
     </div>
   );
 }
 
+// Text and number edits are committed on blur or Enter so each one is a single undo step
+function JsonLeafInput({ value, onCommit }) {
+  const [draft, setDraft] = useState(value === null ? '' : String(value));
+
+  useEffect(() => {
+    setDraft(value === null ? '' : String(value));
+  }, [value]);
+
+  if (typeof value === 'boolean') {
+    return (
+      <select
+        value={String(value)}
+        onChange={(e) => onCommit(e.target.value === 'true')}
+        className="flex-1 min-w-0 px-2 py-1 rounded-md border border-slate-200 bg-white text-sm"
+      >
+        <option value="true">true</option>
+        <option value="false">false</option>
+      </select>
+    );
+  }
+
+  const commit = () => {
+    if (typeof value === 'number') {
+      const number = Number(draft);
+      if (draft.trim() === '' || !Number.isFinite(number)) {
+        setDraft(String(value));
+        return;
+      }
+      onCommit(number);
+    } else if (value === null) {
+      if (draft !== '') onCommit(draft);
+    } else {
+      onCommit(draft);
+    }
+  };
+
+  return (
+    <input
+      type={typeof value === 'number' ? 'number' : 'text'}
+      value={draft}
+      placeholder={value === null ? 'null' : ''}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') e.target.blur();
+      }}
+      className="flex-1 min-w-0 px-2 py-1 rounded-md border border-slate-200 focus:border-amber-400 focus:ring-2 focus:ring-amber-100 outline-none text-sm"
+    />
+  );
+}
+
+// ===== Consensus Summary =====
+function ConsensusSummary({ consensus }) {
+  const low = Object.entries(consensus.agreement).filter(([, entry]) => isLowAgreement(entry));
+  const percent = Math.round(consensus.overall * 100);
+
+  return (
+    <div className={`mb-8 p-4 border-2 rounded-xl animate-fade-in-up ${
+      low.length > 0 ? 'bg-orange-50 border-orange-200' : 'bg-green-50 border-green-200'
+    }`}>
+      <p className={`font-semibold ${low.length > 0 ? 'text-orange-800' : 'text-green-800'}`}>
+        {consensus.runs} runs agreed on {percent}% of values
+        {consensus.failedRuns > 0 && ` (${consensus.failedRuns} run${consensus.failedRuns !== 1 ? 's' : ''} failed)`}
+      </p>
+      <p className={`text-sm mt-1 ${low.length > 0 ? 'text-orange-700' : 'text-green-700'}`}>
+        {low.length > 0
+          ? `${low.length} field${low.length !== 1 ? 's' : ''} had less than ${Math.round(LOW_AGREEMENT * 100)}% agreement and ${low.length !== 1 ? 'are' : 'is'} flagged below. Check ${low.length !== 1 ? 'them' : 'it'} against the document.`
+          : 'Every field had strong agreement.'}
+      </p>
+      {low.length > 0 && (
+        <ul className="mt-2 space-y-1 text-sm text-orange-700">
+          {low.map(([path, entry]) => (
+            <li key={path}>
+              <span className="font-mono">{path}</span>: {entry.votes}/{entry.runs} {entry.consensus === undefined
+                ? `left it out (dropped ${entry.values.filter(v => v !== undefined).map(v => JSON.stringify(v)).join(', ')})`
+                : `chose ${JSON.stringify(entry.consensus)}`}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
 // ===== Results Page =====
-function ResultsPage({ jsonOutput, onReset }) {
+function ResultsPage({ jsonOutput, extractionMeta, pages, onReset }) {
   const [copied, setCopied] = useState(false);
+  const [view, setView] = useState('edit'); // edit | json
+  const [history, setHistory] = useState(() => createEditHistory(jsonOutput));
+  const data = history.present;
+  const editLog = getEditLog(history);
+  const hasPages = pages.length > 0;
+
+  // Source grounding: text-layer matches update with every edit, model regions are requested on demand
+  const [selectedPath, setSelectedPath] = useState(null);
+  const [modelRegions, setModelRegions] = useState({});
+  const [locating, setLocating] = useState(null);
+  const [locateError, setLocateError] = useState(null);
+  const locateAbortRef = useRef(null);
+  const textLocations = useMemo(() => (hasPages ? groundValues(data, pages) : {}), [data, pages, hasPages]);
+  const grounding = useMemo(() => applyModelRegions(textLocations, modelRegions), [textLocations, modelRegions]);
+  const groundingSummary = summarizeGrounding(grounding);
+  const highlight = grounding[selectedPath]?.box ? grounding[selectedPath] : null;
+
+  const handleLocate = async () => {
+    const controller = new AbortController();
+    locateAbortRef.current = controller;
+    setLocating({ page: 0, pageCount: 0 });
+    setLocateError(null);
+    try {
+      const regions = await locateWithModel({
+        locations: grounding,
+        pages,
+        onProgress: setLocating,
+        signal: controller.signal
+      });
+      setModelRegions(current => ({ ...current, ...regions }));
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        console.error('Locating values failed:', err);
+        setLocateError(err.message || 'Could not locate values');
+      }
+    } finally {
+      locateAbortRef.current = null;
+      if (!controller.signal.aborted) setLocating(null);
+    }
+  };
+
+  const cancelLocate = () => {
+    locateAbortRef.current?.abort();
+    setLocating(null);
+  };
+
+  // Leaving the results stops any model calls still locating values
+  useEffect(() => () => locateAbortRef.current?.abort(), []);
+
+  // Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z, except inside inputs which have their own undo
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+      e.preventDefault();
+      setHistory(current => (e.shiftKey ? redoEdit(current) : undoEdit(current)));
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
   
   const copyToClipboard = () => {
-    navigator.clipboard.writeText(JSON.stringify(jsonOutput, null, 2));
+    navigator.clipboard.writeText(JSON.stringify(data, null, 2));
     setCopied(true);
     setTimeout(() => setCopied(false), 2000);
   };
   
   const downloadJSON = () => {
-    const blob = new Blob([JSON.stringify(jsonOutput, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `extracted-data-${Date.now()}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
+    downloadFile(JSON.stringify(data, null, 2), `extracted-data-${Date.now()}.json`);
+  };
+
+  // The BOM lets Excel detect UTF-8 when opening the CSV directly
+  const downloadCSV = () => {
+    downloadFile('\ufeff' + tableToCSV(flattenToTable(data)), `extracted-data-${Date.now()}.csv`, 'text/csv;charset=utf-8');
+  };
+
+  const downloadXLSX = () => {
+    downloadFile(createWorkbook(splitIntoSheets(data)), `extracted-data-${Date.now()}.xlsx`);
+  };
+
+  const downloadEditLog = () => {
+    const log = {
+      exportedAt: new Date().toISOString(),
+      edits: editLog.map(edit => ({ ...edit, at: new Date(edit.at).toISOString() })),
+      modelOutput: jsonOutput,
+      corrected: data
+    };
+    downloadFile(JSON.stringify(log, null, 2), `edit-log-${Date.now()}.json`);
   };
 
   return (
     <div className="relative z-10 min-h-screen px-4 sm:px-6 lg:px-8 py-12">
-      <div className="max-w-5xl mx-auto">
+      <div className={`${hasPages ? 'max-w-7xl' : 'max-w-5xl'} mx-auto`}>
         {/* Header */}
         <div className="text-center mb-8 animate-fade-in">
           <div className="inline-flex items-center justify-center w-16 h-16 bg-gradient-to-br from-green-100 to-emerald-100 rounded-2xl mb-4">
@@ -763,6 +3437,22 @@ function ResultsPage({ jsonOutput, onReset }) {
             Download
           </button>
 
+          {[
+            { label: 'CSV', onClick: downloadCSV },
+            { label: 'Excel', onClick: downloadXLSX }
+          ].map(format => (
+            <button
+              key={format.label}
+              onClick={format.onClick}
+              className="px-6 py-3 rounded-xl bg-white border-2 border-slate-200 hover:border-amber-300 hover:bg-amber-50 text-slate-700 font-semibold transition-all duration-200 hover:shadow-lg flex items-center gap-2"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M3 10h18M3 14h18m-9-4v8m-7 0h14a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v8a2 2 0 002 2z" />
+              </svg>
+              {format.label}
+            </button>
+          ))}
+
           <button
             onClick={onReset}
             className="px-6 py-3 rounded-xl bg-gradient-to-r from-amber-600 to-orange-600 text-white font-semibold hover:shadow-lg hover:scale-105 transition-all duration-200 flex items-center gap-2"
@@ -774,41 +3464,190 @@ function ResultsPage({ jsonOutput, onReset }) {
           </button>
         </div>
 
-        {/* JSON Viewer */}
-        <div className="bg-white/80 backdrop-blur-sm rounded-2xl shadow-2xl border border-white/50 overflow-hidden animate-fade-in-up" style={{ animationDelay: '0.2s' }}>
-          <div className="bg-gradient-to-r from-slate-800 to-slate-700 px-6 py-4 flex items-center justify-between">
-            <div className="flex items-center gap-3">
-              <div className="flex gap-2">
-                <div className="w-3 h-3 bg-red-400 rounded-full"></div>
-                <div className="w-3 h-3 bg-yellow-400 rounded-full"></div>
-                <div className="w-3 h-3 bg-green-400 rounded-full"></div>
+        {/* Validation Report */}
+        {extractionMeta?.validation && (
+          <ValidationReport validation={extractionMeta.validation} />
+        )}
+
+        {/* Consensus */}
+        {extractionMeta?.consensus && (
+          <ConsensusSummary consensus={extractionMeta.consensus} />
+        )}
+
+        {/* Form Fields */}
+        {extractionMeta?.formFields && (
+          <p className="mb-4 text-sm text-slate-500 text-center">
+            {extractionMeta.formFields.count} form field{extractionMeta.formFields.count !== 1 ? 's' : ''} copied exactly from the PDF
+            {extractionMeta.formFields.merged ? ' (under "formFields")' : ', no AI used'}
+          </p>
+        )}
+
+        {/* Input Budget */}
+        {extractionMeta?.budget && (
+          <p className="mb-8 text-sm text-slate-500 text-center">
+            <BudgetLine budget={extractionMeta.budget} />
+          </p>
+        )}
+
+        {/* Merge Conflicts */}
+        {extractionMeta?.conflicts?.length > 0 && (
+          <div className="mb-8 p-4 bg-amber-50 border-2 border-amber-200 rounded-xl animate-fade-in-up">
+            <p className="font-semibold text-amber-800 mb-2">
+              {extractionMeta.conflicts.length} field{extractionMeta.conflicts.length !== 1 ? 's' : ''} differed between page batches
+            </p>
+            <ul className="space-y-1 text-sm text-amber-700">
+              {extractionMeta.conflicts.map(conflict => (
+                <li key={conflict.path}>
+                  <span className="font-mono">{conflict.path}</span>: kept {JSON.stringify(conflict.chosen)}
+                  {' '}(seen {conflict.values.map(value => JSON.stringify(value)).join(', ')})
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* Source Check */}
+        {hasPages && groundingSummary.total > groundingSummary.skipped && (
+          <div className="mb-6 p-4 bg-white/80 rounded-xl border border-slate-200 flex flex-wrap items-center justify-between gap-3 text-sm animate-fade-in-up">
+            <p className="text-slate-700">
+              <span className="font-semibold">Source check:</span>{' '}
+              {groundingSummary.matched + groundingSummary.partial} of {groundingSummary.total - groundingSummary.skipped} values found on the page
+              {groundingSummary.unmatched > 0 && (
+                <span className="text-red-600 font-medium"> · {groundingSummary.unmatched} not found (likely hallucinated)</span>
+              )}
+              {groundingSummary.unverified > 0 && (
+                <span className="text-slate-500"> · {groundingSummary.unverified} on pages without a text layer</span>
+              )}
+              <span className="block text-xs text-slate-500 mt-1">Click a field name to see where it came from.</span>
+            </p>
+            {groundingSummary.unverified > 0 && (
+              <button
+                onClick={handleLocate}
+                disabled={!!locating}
+                className="px-4 py-2 rounded-lg bg-amber-100 text-amber-700 hover:bg-amber-200 font-medium transition-colors disabled:opacity-60"
+              >
+                {locating ? `Locating${locating.pageCount ? ` (page ${locating.page} of ${locating.pageCount})` : ''}...` : 'Locate on images with AI'}
+              </button>
+            )}
+            {locating && (
+              <button
+                onClick={cancelLocate}
+                className="px-4 py-2 rounded-lg border-2 border-slate-200 hover:border-red-300 hover:bg-red-50 text-slate-700 font-medium transition-colors"
+              >
+                Cancel
+              </button>
+            )}
+            {locateError && <p className="w-full text-xs text-red-600">{locateError}</p>}
+          </div>
+        )}
+
+        {/* Review */}
+        <div className={`grid gap-6 ${hasPages ? 'lg:grid-cols-2' : ''}`}>
+          {hasPages && <PagePreview pages={pages} highlight={highlight} />}
+
+          {/* JSON Viewer */}
+          <div className="bg-white/80 backdrop-blur-sm rounded-2xl shadow-2xl border border-white/50 overflow-hidden animate-fade-in-up" style={{ animationDelay: '0.2s' }}>
+            <div className="bg-gradient-to-r from-slate-800 to-slate-700 px-6 py-4 flex items-center justify-between">
+              <div className="flex items-center gap-3">
+                <div className="flex gap-2">
+                  <div className="w-3 h-3 bg-red-400 rounded-full"></div>
+                  <div className="w-3 h-3 bg-yellow-400 rounded-full"></div>
+                  <div className="w-3 h-3 bg-green-400 rounded-full"></div>
+                </div>
+                <span className="text-slate-300 text-sm font-mono">extracted-data.json</span>
               </div>
-              <span className="text-slate-300 text-sm font-mono">extracted-data.json</span>
-            </div>
-            <div className="flex items-center gap-2">
-              <div className="px-3 py-1 rounded-lg bg-slate-700 text-slate-300 text-xs font-medium">
-                JSON
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={() => setHistory(undoEdit)}
+                  disabled={history.past.length === 0}
+                  title="Undo"
+                  className="px-2 py-1 rounded-lg text-slate-300 hover:bg-slate-600 text-xs font-medium disabled:opacity-40 disabled:hover:bg-transparent"
+                >
+                  ↶ Undo
+                </button>
+                <button
+                  onClick={() => setHistory(redoEdit)}
+                  disabled={history.future.length === 0}
+                  title="Redo"
+                  className="px-2 py-1 rounded-lg text-slate-300 hover:bg-slate-600 text-xs font-medium disabled:opacity-40 disabled:hover:bg-transparent"
+                >
+                  Redo ↷
+                </button>
+                <div className="flex p-0.5 rounded-lg bg-slate-700">
+                  {['edit', 'json'].map(mode => (
+                    <button
+                      key={mode}
+                      onClick={() => setView(mode)}
+                      className={`px-3 py-1 rounded-md text-xs font-medium transition-colors ${
+                        view === mode ? 'bg-slate-500 text-white' : 'text-slate-300 hover:text-white'
+                      }`}
+                    >
+                      {mode === 'edit' ? 'Edit' : 'JSON'}
+                    </button>
+                  ))}
+                </div>
               </div>
             </div>
-          </div>
-          <div className="p-6 bg-slate-900 overflow-x-auto max-h-[600px] overflow-y-auto">
-            <pre className="text-sm font-mono text-slate-100 leading-relaxed">
-              {JSON.stringify(jsonOutput, null, 2)}
-            </pre>
+            {view === 'edit' ? (
+              <div className="p-4 bg-white overflow-x-auto max-h-[600px] overflow-y-auto">
+                <JsonNode
+                  value={data}
+                  path=""
+                  depth={0}
+                  onSet={(path, value) => setHistory(current => setValue(current, path, value))}
+                  onAddRow={(path) => setHistory(current => addRow(current, path))}
+                  onRemove={(path) => setHistory(current => removeValue(current, path))}
+                  grounding={grounding}
+                  agreement={extractionMeta?.consensus?.agreement}
+                  selectedPath={selectedPath}
+                  onSelect={hasPages ? setSelectedPath : null}
+                />
+              </div>
+            ) : (
+              <div className="p-6 bg-slate-900 overflow-x-auto max-h-[600px] overflow-y-auto">
+                <pre className="text-sm font-mono text-slate-100 leading-relaxed">
+                  {JSON.stringify(data, null, 2)}
+                </pre>
+              </div>
+            )}
           </div>
         </div>
 
+        {/* Edit Log */}
+        {editLog.length > 0 && (
+          <div className="mt-6 p-4 bg-white/80 rounded-xl border border-slate-200 animate-fade-in-up">
+            <div className="flex items-center justify-between mb-2">
+              <p className="font-semibold text-slate-800">
+                {editLog.length} correction{editLog.length !== 1 ? 's' : ''} to the model's output
+              </p>
+              <button onClick={downloadEditLog} className="text-sm font-medium text-amber-700 hover:text-amber-800">
+                Download edit log
+              </button>
+            </div>
+            <ul className="space-y-1 text-sm text-slate-600 max-h-48 overflow-y-auto">
+              {editLog.map((edit, i) => (
+                <li key={i}>
+                  <span className="font-mono text-slate-800">{edit.path}</span>
+                  {edit.type === 'set' && <>: {JSON.stringify(edit.before) ?? 'missing'} → {JSON.stringify(edit.after)}</>}
+                  {edit.type === 'add-row' && ': row added'}
+                  {edit.type === 'remove' && <>: removed {JSON.stringify(edit.before)}</>}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {/* Stats */}
         <div className="mt-8 grid grid-cols-1 sm:grid-cols-3 gap-4 animate-fade-in-up" style={{ animationDelay: '0.4s' }}>
           <div className="bg-white/80 backdrop-blur-sm rounded-xl p-4 border border-white/50 text-center">
             <div className="text-2xl font-bold text-amber-600 mb-1">
-              {JSON.stringify(jsonOutput).length}
+              {JSON.stringify(data).length}
             </div>
             <div className="text-sm text-slate-600">Characters</div>
           </div>
           <div className="bg-white/80 backdrop-blur-sm rounded-xl p-4 border border-white/50 text-center">
             <div className="text-2xl font-bold text-orange-600 mb-1">
-              {Object.keys(jsonOutput || {}).length}
+              {Object.keys(data || {}).length}
             </div>
             <div className="text-sm text-slate-600">Top-level Fields</div>
           </div>
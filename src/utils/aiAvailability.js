@@ -1,9 +1,14 @@
 // src/utils/aiAvailability.js
 import chromeAI from './chromeAI';
 
+/**
+ * Availability of the active model provider as a UI state
+ * @returns {Promise<Object>} - { state, detail, error?, provider: { id, label, setupHint } }
+ */
 export async function getAIStatus() {
   try {
-    const result = await chromeAI.available();
+    const { provider, ...result } = await chromeAI.available();
+    const info = { id: provider.id, label: provider.label, setupHint: provider.setupHint };
     
     console.log('AI availability result:', result);
     
@@ -11,21 +16,21 @@ export async function getAIStatus() {
     switch (result.status) {
       case 'readily':
       case 'available':
-        return { state: 'ready', detail: result.detail };
+        return { state: 'ready', detail: result.detail, provider: info };
       case 'after-download':
       case 'downloadable':
-        return { state: 'downloadable', detail: result.detail };
+        return { state: 'downloadable', detail: result.detail, provider: info };
       case 'downloading':
-        return { state: 'downloading', detail: result.detail };
+        return { state: 'downloading', detail: result.detail, provider: info };
       case 'unavailable':
-        return { state: 'unavailable', detail: result.detail };
+        return { state: 'unavailable', detail: result.detail, provider: info };
       case 'no-api':
-        return { state: 'unsupported', detail: 'Prompt API not available in this browser' };
+        return { state: 'unsupported', detail: 'Prompt API not available in this browser', provider: info };
       case 'error':
-        return { state: 'error', error: result.error, detail: result.detail };
+        return { state: 'error', error: result.error, detail: result.detail, provider: info };
       default:
         console.warn('Unknown AI status:', result.status);
-        return { state: 'unknown', detail: result };
+        return { state: 'unknown', detail: result, provider: info };
     }
   } catch (error) {
     console.error('AI status check failed:', error);
@@ -0,0 +1,177 @@
+// src/utils/batchQueue.js
+
+/**
+ * Sequential work queue for batch extraction.
+ * Items run one at a time (the on-device model handles a single session
+ * well) and each can be paused, resumed, retried or removed on its own.
+ * The item in progress gets an AbortSignal; pausing or removing it, or
+ * cancelling the queue, aborts its model calls.
+ *
+ * Item: { id, name, files, status, result, error, startedAt, finishedAt }
+ * status is one of 'queued' | 'processing' | 'done' | 'error' | 'paused'
+ */
+
+let itemCounter = 0;
+
+/**
+ * Create a batch queue
+ * @param {Object} options
+ * @param {Function} options.processItem - async (item, signal) => result
+ * @param {Function} [options.onChange] - Called with a copy of the items after every change
+ * @returns {Object} - Queue controls
+ */
+export function createBatchQueue({ processItem, onChange = null }) {
+  let items = [];
+  let running = false;
+  let active = null;
+  let controller = null;
+  // Set when the item in progress is aborted by pause() rather than cancel()
+  let pausing = false;
+
+  const emit = () => onChange?.(items.map(item => ({ ...item })));
+
+  const update = (id, patch) => {
+    items = items.map(item => (item.id === id ? { ...item, ...patch } : item));
+    emit();
+  };
+
+  const runNext = async () => {
+    if (active || !running) return;
+
+    const next = items.find(item => item.status === 'queued');
+    if (!next) {
+      running = false;
+      emit();
+      return;
+    }
+
+    active = next.id;
+    controller = new AbortController();
+    update(next.id, { status: 'processing', error: null, startedAt: Date.now(), finishedAt: null });
+
+    try {
+      const result = await processItem(next, controller.signal);
+      if (items.some(item => item.id === next.id)) {
+        update(next.id, { status: 'done', result, finishedAt: Date.now() });
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        // Cancelled, not failed: it runs again when the queue is started (or resumed, if paused)
+        if (items.some(item => item.id === next.id)) {
+          update(next.id, { status: pausing ? 'paused' : 'queued', startedAt: null });
+        }
+      } else {
+        console.error(`Batch item "${next.name}" failed:`, error);
+        if (items.some(item => item.id === next.id)) {
+          update(next.id, { status: 'error', error: error.message || 'Extraction failed', finishedAt: Date.now() });
+        }
+      }
+    } finally {
+      active = null;
+      controller = null;
+      pausing = false;
+    }
+
+    runNext();
+  };
+
+  return {
+    /**
+     * Queue documents; each entry becomes one item
+     * @param {Array<{ name: string, files: File[] }>} documents
+     */
+    add(documents) {
+      const added = documents.map(doc => {
+        itemCounter += 1;
+        return {
+          id: `item-${Date.now().toString(36)}-${itemCounter}`,
+          name: doc.name,
+          files: doc.files,
+          status: 'queued',
+          result: null,
+          error: null,
+          startedAt: null,
+          finishedAt: null
+        };
+      });
+      items = [...items, ...added];
+      emit();
+      runNext();
+    },
+
+    /** Start (or resume) working through queued items */
+    start() {
+      running = true;
+      emit();
+      runNext();
+    },
+
+    /** Stop after the item currently processing */
+    stop() {
+      running = false;
+      emit();
+    },
+
+    /** Stop now, aborting the item currently processing */
+    cancel() {
+      running = false;
+      controller?.abort();
+      emit();
+    },
+
+    /** Skip an item until it is resumed; a processing item is aborted */
+    pause(id) {
+      const item = items.find(entry => entry.id === id);
+      if (item?.status === 'queued') {
+        update(id, { status: 'paused' });
+      } else if (id === active) {
+        pausing = true;
+        controller?.abort();
+      }
+    },
+
+    /** Put a paused item back in the queue */
+    resume(id) {
+      const item = items.find(entry => entry.id === id);
+      if (item?.status === 'paused') {
+        update(id, { status: 'queued' });
+        runNext();
+      }
+    },
+
+    /** Re-queue a failed or finished item and start the queue, which may have drained */
+    retry(id) {
+      const item = items.find(entry => entry.id === id);
+      if (item && (item.status === 'error' || item.status === 'done')) {
+        running = true;
+        update(id, { status: 'queued', result: null, error: null });
+        runNext();
+      }
+    },
+
+    /** Drop an item; a processing item is aborted */
+    remove(id) {
+      if (id === active) controller?.abort();
+      items = items.filter(item => item.id !== id);
+      emit();
+    },
+
+    /** Drop every item that isn't processing */
+    clear() {
+      items = items.filter(item => item.id === active);
+      emit();
+    },
+
+    isRunning() {
+      return running;
+    },
+
+    getItems() {
+      return items.map(item => ({ ...item }));
+    }
+  };
+}
+
+export default {
+  createBatchQueue
+};
@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import { createBatchQueue } from './batchQueue';
+
+// processItem that resolves or rejects only when the test says so
+function controllable() {
+  const pending = {};
+  const processItem = (item, signal) => new Promise((resolve, reject) => {
+    pending[item.name] = { resolve, reject, signal };
+    signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+  });
+  return { pending, processItem };
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+const statuses = (queue) => Object.fromEntries(queue.getItems().map(item => [item.name, item.status]));
+
+describe('createBatchQueue', () => {
+  it('runs queued items one at a time once started', async () => {
+    const { pending, processItem } = controllable();
+    const queue = createBatchQueue({ processItem });
+    queue.add([{ name: 'a', files: [] }, { name: 'b', files: [] }]);
+    expect(statuses(queue)).toEqual({ a: 'queued', b: 'queued' });
+
+    queue.start();
+    expect(statuses(queue)).toEqual({ a: 'processing', b: 'queued' });
+
+    pending.a.resolve({ ok: 1 });
+    await flush();
+    expect(statuses(queue)).toEqual({ a: 'done', b: 'processing' });
+
+    pending.b.reject(new Error('boom'));
+    await flush();
+    expect(statuses(queue)).toEqual({ a: 'done', b: 'error' });
+    expect(queue.getItems()[1].error).toBe('boom');
+    expect(queue.isRunning()).toBe(false);
+  });
+
+  it('pauses a queued item and runs it again when resumed', async () => {
+    const { pending, processItem } = controllable();
+    const queue = createBatchQueue({ processItem });
+    queue.add([{ name: 'a', files: [] }, { name: 'b', files: [] }]);
+    const [, b] = queue.getItems();
+
+    queue.pause(b.id);
+    queue.start();
+    pending.a.resolve({});
+    await flush();
+    expect(statuses(queue)).toEqual({ a: 'done', b: 'paused' });
+
+    queue.resume(b.id);
+    expect(statuses(queue)).toEqual({ a: 'done', b: 'queued' });
+  });
+
+  it('aborts the processing item on pause and keeps it paused', async () => {
+    const { pending, processItem } = controllable();
+    const queue = createBatchQueue({ processItem });
+    queue.add([{ name: 'a', files: [] }, { name: 'b', files: [] }]);
+    const [a] = queue.getItems();
+
+    queue.start();
+    queue.pause(a.id);
+    expect(pending.a.signal.aborted).toBe(true);
+    await flush();
+    expect(statuses(queue)).toEqual({ a: 'paused', b: 'processing' });
+  });
+
+  it('re-queues the processing item when the queue is cancelled', async () => {
+    const { pending, processItem } = controllable();
+    const queue = createBatchQueue({ processItem });
+    queue.add([{ name: 'a', files: [] }]);
+
+    queue.start();
+    queue.cancel();
+    expect(pending.a.signal.aborted).toBe(true);
+    await flush();
+    expect(statuses(queue)).toEqual({ a: 'queued' });
+    expect(queue.isRunning()).toBe(false);
+  });
+
+  it('starts a drained queue again on retry', async () => {
+    const { pending, processItem } = controllable();
+    const queue = createBatchQueue({ processItem });
+    queue.add([{ name: 'a', files: [] }]);
+    const [a] = queue.getItems();
+
+    queue.start();
+    pending.a.reject(new Error('boom'));
+    await flush();
+    expect(queue.isRunning()).toBe(false);
+
+    queue.retry(a.id);
+    expect(queue.isRunning()).toBe(true);
+    expect(statuses(queue)).toEqual({ a: 'processing' });
+  });
+
+  it('aborts and drops a processing item on remove', async () => {
+    const { pending, processItem } = controllable();
+    const queue = createBatchQueue({ processItem });
+    queue.add([{ name: 'a', files: [] }, { name: 'b', files: [] }]);
+    const [a] = queue.getItems();
+
+    queue.start();
+    queue.remove(a.id);
+    expect(pending.a.signal.aborted).toBe(true);
+    await flush();
+    expect(statuses(queue)).toEqual({ b: 'processing' });
+  });
+});
@@ -1,140 +1,259 @@
 // src/utils/chromeAI.js
-import { sanitizeJSON as utilsSanitizeJSON, repairJSON } from './jsonUtils';
+import { sanitizeJSON, repairJSONWithReport, parsePartialJSON } from './jsonUtils';
+import { validateAgainstSchema } from './schemaValidator';
+import { getActiveProvider } from './modelProvider';
+import { createStreamText } from './streamText';
 
 let session = null;
-let modelParams = null;
+let sessionProvider = null;
+let sessionMultimodal = false;
+let sessionTemperature = null;
 
-function getLanguageModel() {
-    if (globalThis.LanguageModel) return globalThis.LanguageModel;
-    if (typeof chrome !== 'undefined' && chrome?.aiOriginTrial?.languageModel) {
-        return chrome.aiOriginTrial.languageModel;
-    }
-    return null;
-}
+// Fallback batch size when the session can't measure input usage
+const DEFAULT_PAGES_PER_BATCH = 3;
+// Share of the remaining input quota a single batch may use
+const QUOTA_SAFETY_RATIO = 0.8;
 
-async function checkAvailability() {
-    try {
-        const LM = getLanguageModel();
-        if (!LM) {
-            console.warn('LanguageModel API not found');
-            return { available: false, status: 'no-api', detail: null };
-        }
+const SYSTEM_PROMPT = `You are a precision data extraction assistant. Your job is to:
+1. Analyze document images (invoices, receipts, forms, tables, etc.)
+2. Extract structured information exactly as it appears
+3. Return ONLY valid JSON - no markdown, no explanations, no code fences
+4. Preserve numerical accuracy, dates, and formatting
+5. For tables: maintain row/column structure in JSON arrays
+6. If information is unclear, use null values`;
 
-        // Check if the API is accessible before calling availability
-        if (typeof LM.availability !== 'function') {
-            console.error('LanguageModel.availability is not a function');
-            return {
-                available: false,
-                status: 'error',
-                detail: null,
-                error: 'LanguageModel.availability is not a function'
-            };
-        }
+async function checkAvailability() {
+    const provider = getActiveProvider();
+    const result = await provider.availability();
+    return { ...result, provider };
+}
 
-        // Call availability with timeout to prevent hanging
-        const availabilityPromise = LM.availability();
-        const timeoutPromise = new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('Availability check timeout')), 5000)
-        );
-        
-        const availability = await Promise.race([availabilityPromise, timeoutPromise]);
+/**
+ * Create (or reuse) a session with the active model provider
+ * @param {Object} [options]
+ * @param {boolean} [options.multimodal] - Whether the session must accept image input
+ * @param {number} [options.temperature] - Sampling temperature; null keeps the model default
+ * @param {AbortSignal} [options.signal] - Cancels session creation
+ */
+async function createSessionIfNeeded({ multimodal = true, temperature = null, signal = null } = {}) {
+    const provider = getActiveProvider();
+    if (session && sessionProvider === provider && sessionMultimodal === multimodal && sessionTemperature === temperature) {
+        return session;
+    }
+    await resetSession();
+  
+    try {
+        session = await provider.createSession({ systemPrompt: SYSTEM_PROMPT, multimodal, temperature, signal });
         
-        console.log('AI availability status:', availability);
+        sessionProvider = provider;
+        sessionMultimodal = multimodal;
+        sessionTemperature = temperature;
+        console.log(`✅ ${provider.label} session created successfully`);
+        return session;
         
-        return {
-            available: availability !== 'unavailable',
-            status: availability,
-            detail: null
-        };
     } catch (error) {
-        console.error('Availability check error:', error);
-        return {
-            available: false,
-            status: 'error',
-            detail: null,
-            error: error?.message || 'Availability check failed'
-        };
+        if (error.name === 'AbortError') throw error;
+        console.error('Failed to create AI session:', error);
+        const wrapped = new Error(`Session creation failed: ${error.message}`);
+        // Keep the DOMException name so callers can detect NotSupportedError etc.
+        wrapped.name = error.name;
+        throw wrapped;
     }
 }
 
-async function createSessionIfNeeded() {
-   if (session) return session;
+/**
+ * Whether a prompt failed because of its responseConstraint rather than the
+ * model or the connection. Network failures are TypeErrors too ("Failed to
+ * fetch"), so a TypeError only counts when it is about the constraint.
+ */
+function isConstraintUnsupported(error) {
+    if (error.name === 'NotSupportedError') return true;
+    return error instanceof TypeError && /constraint|schema/i.test(error.message);
+}
 
-    const LM = getLanguageModel();
-    if (!LM) throw new Error('Prompt API not available');
+/**
+ * Prompt the session, constraining output to a JSON Schema when one is given.
+ * Falls back to an unconstrained prompt if responseConstraint isn't supported.
+ * The signal aborts the prompt in flight.
+ */
+async function promptWithConstraint(s, messages, jsonSchema, signal = null) {
+    const options = signal ? { signal } : {};
+    if (!jsonSchema) return await s.prompt(messages, options);
 
-    const availability = await LM.availability();
-    if (availability === 'unavailable') {
-        throw new Error('Model unavailable on this device/configuration');
+    try {
+        return await s.prompt(messages, { ...options, responseConstraint: jsonSchema });
+    } catch (error) {
+        if (isConstraintUnsupported(error)) {
+            console.warn('responseConstraint not supported, prompting without it:', error.message);
+            return await s.prompt(messages, options);
+        }
+        throw error;
     }
+}
+
+/**
+ * Streaming counterpart of promptWithConstraint. Calls onText with the full
+ * text received so far after every chunk and resolves with the final text.
+ */
+async function promptStreamingWithConstraint(s, messages, jsonSchema, onText, signal = null) {
+    const readStream = async (constraint) => {
+        const stream = s.promptStreaming(messages, { ...constraint, ...(signal && { signal }) });
+        const append = createStreamText();
+        let text = '';
+        for await (const chunk of stream) {
+            text = append(chunk);
+            onText(text);
+        }
+        return text;
+    };
+
+    if (!jsonSchema) return await readStream();
 
-    if (!modelParams) {
-        modelParams = await LM.params();
-    }
-  
     try {
-        session = await LM.create({
-            initialPrompts: [
-                {
-                    role: 'system',
-                    content:
-                        `You are a precision data extraction assistant. Your job is to:
-                        1. Analyze document images (invoices, receipts, forms, tables, etc.)
-                        2. Extract structured information exactly as it appears
-                        3. Return ONLY valid JSON - no markdown, no explanations, no code fences
-                        4. Preserve numerical accuracy, dates, and formatting
-                        5. For tables: maintain row/column structure in JSON arrays
-                        6. If information is unclear, use null values`,
-                },
-            ],
-            // Specify both text and image support
-            expectedInputs: [
-                { type: "text", languages: ["en"] },
-                { type: "image" }
-            ],
-            expectedOutputs: [
-                { type: "text", languages: ["en"] }  // Explicitly specify output language
-            ],
-            monitor(m) {
-                m.addEventListener('downloadprogress', (e) => {
-                    console.log(`Model download: ${Math.round(e.loaded * 100)}%`);
-                });
-            }
-        });
-        
-        console.log('✅ Chrome AI session created successfully');
-        return session;
-        
+        return await readStream({ responseConstraint: jsonSchema });
     } catch (error) {
-        console.error('Failed to create AI session:', error);
-        throw new Error(`Session creation failed: ${error.message}`);
+        if (isConstraintUnsupported(error)) {
+            console.warn('responseConstraint not supported, streaming without it:', error.message);
+            onText('');
+            return await readStream();
+        }
+        throw error;
     }
 }
 
 /**
- * NON-STREAMING version using prompt() with message array
+ * Parse raw model output into JSON, escalating from plain parsing to local
+ * repair and finally an AI repair prompt
  */
-export async function extractJSONFromImages({ imageBlobs, schemaPrompt }) {
-    const s = await createSessionIfNeeded();
-    
-    if (!imageBlobs || imageBlobs.length === 0) {
-        throw new Error('No images provided for extraction');
+async function parseModelOutput(s, rawResult, jsonSchema, signal = null) {
+    try {
+        // First attempt: Direct parsing of sanitized JSON
+        const jsonString = sanitizeJSON(rawResult);
+        return JSON.parse(jsonString);
+    } catch (parseError) {
+        console.warn('First JSON parsing attempt failed:', parseError.message);
     }
-    
-    console.log(`🔄 Processing ${imageBlobs.length} image(s)...`);
-    
-    const userMessage = {
+
+    try {
+        // Second attempt: Repair locally. Works on the raw text so truncated
+        // output isn't cut at its last closing brace by sanitizeJSON
+        const { value, fixes } = repairJSONWithReport(rawResult);
+        if (value === undefined) throw new SyntaxError('Nothing recoverable in AI response');
+        console.log('🔧 Repaired JSON locally:', fixes);
+        return value;
+    } catch (repairError) {
+        console.warn('JSON repair attempt failed:', repairError.message);
+    }
+
+    // Third attempt: If repair fails, try a manual repair prompt to the AI
+    console.log('Attempting AI-based JSON repair...');
+
+    const repairPrompt = `The following output was not valid JSON. Please fix it and return valid JSON only:
+
+Original output:
+${rawResult}
+
+Return corrected JSON only, with no additional text or formatting:`;
+
+    const repairedResult = await promptWithConstraint(s, [{
+        role: 'user',
+        content: repairPrompt
+    }], jsonSchema, signal);
+
+    // Try to parse the repaired result
+    const repairedJsonString = sanitizeJSON(repairedResult);
+    const parsedData = JSON.parse(repairedJsonString);
+
+    console.log('✅ JSON repair successful');
+    return parsedData;
+}
+
+/**
+ * Check parsed data against the JSON Schema. If the model ignored the
+ * constraint, ask it once to conform and keep whichever result has fewer
+ * violations; remaining problems are left to the field validation stage.
+ */
+async function enforceSchema(s, parsedData, jsonSchema, signal = null) {
+    const { valid, errors } = validateAgainstSchema(parsedData, jsonSchema);
+    if (valid) return parsedData;
+
+    console.warn('Result does not match schema:', errors);
+
+    const conformPrompt = `The following JSON does not match the required JSON Schema.
+
+JSON:
+${JSON.stringify(parsedData)}
+
+PROBLEMS:
+${errors.map(e => `- ${e.path}: ${e.message}`).join('\n')}
+
+JSON SCHEMA:
+${JSON.stringify(jsonSchema)}
+
+Return the corrected JSON only, using exactly the keys defined in the schema:`;
+
+    const conformedResult = await promptWithConstraint(s, [{
+        role: 'user',
+        content: conformPrompt
+    }], jsonSchema, signal);
+
+    const conformedData = await parseModelOutput(s, conformedResult, jsonSchema, signal);
+    const conformed = validateAgainstSchema(conformedData, jsonSchema);
+
+    if (conformed.valid) {
+        console.log('✅ Result conforms to schema after correction');
+        return conformedData;
+    }
+
+    console.warn('Result still does not match schema:', conformed.errors);
+    return conformed.errors.length < errors.length ? conformedData : parsedData;
+}
+
+/**
+ * Build the user message for an extraction request.
+ * inputMode 'image' sends page images, 'hybrid' adds the PDF text layer next
+ * to them and 'text' sends the text layer alone.
+ */
+function buildExtractionMessage({ imageBlobs, pageTexts, inputMode = 'image', schemaPrompt, jsonSchema, pageInfo }) {
+    const includeText = inputMode !== 'image' && pageTexts?.some(text => text);
+    const includeImages = inputMode !== 'text';
+
+    const textSection = includeText
+        ? `
+TEXT LAYER (exact text embedded in the PDF; use it for numbers, IDs and names, and the images for layout):
+${pageTexts
+    .map((text, i) => text ? `--- Page ${(pageInfo?.from || 1) + i} ---\n${text}` : null)
+    .filter(Boolean)
+    .join('\n')}
+`
+        : '';
+
+    const schemaSection = jsonSchema
+        ? `
+JSON SCHEMA (output MUST conform exactly, using these key names):
+${JSON.stringify(jsonSchema, null, 2)}
+`
+        : '';
+
+    const pageSection = pageInfo && pageInfo.total > imageBlobs.length
+        ? `
+PAGE CONTEXT:
+These are pages ${pageInfo.from}-${pageInfo.to} of a ${pageInfo.total}-page document. Extract only what appears on these pages; results from other pages are merged separately.
+`
+        : '';
+
+    return {
         role: 'user',
         content: [
             {
                 type: 'text',
-                value: `Extract structured data from the provided document image(s).
+                value: `Extract structured data from the provided document ${includeImages ? 'image(s)' : 'text'}.
 
 USER REQUEST:
 "${schemaPrompt}"
-
+${schemaSection}${pageSection}${textSection}
 EXTRACTION RULES:
-- Analyze ALL visual elements: text, numbers, tables, forms, layouts, handwriting
+- Analyze ALL ${includeImages ? 'visual elements' : 'content'}: text, numbers, tables, forms, layouts, handwriting
 - Extract data matching the user's request precisely
 - For multiple images: combine data logically (e.g., multi-page documents)
 - Return ONLY valid JSON (no markdown fences, no comments)
@@ -144,56 +263,188 @@ EXTRACTION RULES:
 
 JSON OUTPUT:`
             },
-            ...imageBlobs.map(blob => ({
+            ...(includeImages ? imageBlobs.map(blob => ({
                 type: 'image',
                 value: blob
-            }))
+            })) : [])
         ]
     };
+}
+
+// Input tokens a prompt may use, leaving room for the response and the repair prompts
+function inputBudget(s) {
+    return (s.inputQuota - (s.inputUsage || 0)) * QUOTA_SAFETY_RATIO;
+}
+
+/**
+ * Measure how much of the session's input quota an extraction prompt would use
+ * @param {Object} options - Same as extractJSONFromImages()
+ * @returns {Promise<Object|null>} - { usage, budget, quota }, or null when the provider can't measure
+ */
+export async function measureExtractionUsage({
+    imageBlobs,
+    pageTexts = null,
+    inputMode = 'image',
+    schemaPrompt,
+    jsonSchema = null,
+    pageInfo = null,
+    signal = null
+}) {
+    let s;
+    try {
+        s = await createSessionIfNeeded({ multimodal: inputMode !== 'text', signal });
+    } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        console.warn('Could not create session to measure input usage:', error.message);
+        return null;
+    }
+
+    if (typeof s.measureInputUsage !== 'function' || !s.inputQuota) return null;
+
+    try {
+        const message = buildExtractionMessage({ imageBlobs, pageTexts, inputMode, schemaPrompt, jsonSchema, pageInfo });
+        const usage = await s.measureInputUsage([message], signal ? { signal } : undefined);
+        return { usage, budget: inputBudget(s), quota: s.inputQuota };
+    } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        console.warn('Could not measure input usage:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Split page images into batches whose prompts fit the session's input quota.
+ * Uses measureInputUsage() when available, otherwise a fixed batch size.
+ * @param {Object} options
+ * @param {Blob[]} options.imageBlobs - Page images
+ * @param {string[]} [options.pageTexts] - PDF text layer per page ('' when none)
+ * @param {string} [options.inputMode] - 'image' | 'hybrid' | 'text'
+ * @param {string} options.schemaPrompt - Natural-language extraction request
+ * @param {Object} [options.jsonSchema] - JSON Schema the output must conform to
+ * @param {AbortSignal} [options.signal] - Cancels planning; rejects with an AbortError
+ * @returns {Promise<number[][]>} - Batches of page indices
+ */
+export async function planPageBatches({
+    imageBlobs,
+    pageTexts = null,
+    inputMode = 'image',
+    schemaPrompt,
+    jsonSchema = null,
+    signal = null
+}) {
+    const indices = imageBlobs.map((_, i) => i);
+    const fixedBatches = () => {
+        const batches = [];
+        for (let i = 0; i < indices.length; i += DEFAULT_PAGES_PER_BATCH) {
+            batches.push(indices.slice(i, i + DEFAULT_PAGES_PER_BATCH));
+        }
+        return batches;
+    };
+
+    let s;
+    try {
+        s = await createSessionIfNeeded({ multimodal: inputMode !== 'text', signal });
+    } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        // Let the extraction itself surface (or recover from) the session error
+        console.warn('Could not create session for batch planning:', error.message);
+        return fixedBatches();
+    }
+
+    if (typeof s.measureInputUsage !== 'function' || !s.inputQuota) {
+        return fixedBatches();
+    }
+
+    const budget = inputBudget(s);
+    const batches = [];
+    let current = [];
+
+    try {
+        for (const index of indices) {
+            const candidate = [...current, index];
+            const message = buildExtractionMessage({
+                imageBlobs: candidate.map(i => imageBlobs[i]),
+                pageTexts: pageTexts && candidate.map(i => pageTexts[i]),
+                inputMode,
+                schemaPrompt,
+                jsonSchema,
+                pageInfo: { from: 1, to: candidate.length, total: imageBlobs.length }
+            });
+            const usage = await s.measureInputUsage([message], signal ? { signal } : undefined);
+
+            if (usage <= budget || current.length === 0) {
+                current = candidate;
+            } else {
+                batches.push(current);
+                current = [index];
+            }
+        }
+        if (current.length > 0) batches.push(current);
+    } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        console.warn('Could not measure input usage, using fixed batches:', error.message);
+        return fixedBatches();
+    }
+
+    console.log(`📦 Planned ${batches.length} batch(es) for ${imageBlobs.length} page(s)`);
+    return batches;
+}
+
+/**
+ * Extract JSON from page images using prompt() with a message array.
+ * When onPartial is given and the session supports promptStreaming(),
+ * the response is streamed and onPartial receives the partially parsed JSON.
+ * @param {Object} options
+ * @param {Blob[]} options.imageBlobs - Page images
+ * @param {string[]} [options.pageTexts] - PDF text layer per page ('' when none)
+ * @param {string} [options.inputMode] - 'image' | 'hybrid' | 'text'
+ * @param {string} options.schemaPrompt - Natural-language extraction request
+ * @param {Object} [options.jsonSchema] - JSON Schema the output must conform to
+ * @param {Object} [options.pageInfo] - { from, to, total } when the images are a batch of a longer document
+ * @param {Function} [options.onPartial] - Called with the partial JSON value while streaming
+ * @param {Function} [options.onRawOutput] - Called with the model's raw response text
+ * @param {number} [options.temperature] - Sampling temperature for this extraction
+ * @param {AbortSignal} [options.signal] - Aborts the prompts in flight and destroys the session;
+ *   the promise rejects with an AbortError
+ */
+export async function extractJSONFromImages({
+    imageBlobs,
+    pageTexts = null,
+    inputMode = 'image',
+    schemaPrompt,
+    jsonSchema = null,
+    pageInfo = null,
+    onPartial = null,
+    onRawOutput = null,
+    temperature = null,
+    signal = null
+}) {
+    if (!imageBlobs || imageBlobs.length === 0) {
+        throw new Error('No images provided for extraction');
+    }
+    
+    console.log(`🔄 Processing ${imageBlobs.length} ${inputMode === 'text' ? 'page text layer' : 'image'}(s)...`);
+    
+    const userMessage = buildExtractionMessage({ imageBlobs, pageTexts, inputMode, schemaPrompt, jsonSchema, pageInfo });
     
     try {
+        const s = await createSessionIfNeeded({ multimodal: inputMode !== 'text', temperature, signal });
+
         // prompt() accepts array of messages with multimodal content
-        const rawResult = await s.prompt([userMessage]);
+        const rawResult = onPartial && typeof s.promptStreaming === 'function'
+            ? await promptStreamingWithConstraint(s, [userMessage], jsonSchema, (text) => {
+                const partial = parsePartialJSON(text);
+                if (partial !== undefined) onPartial(partial);
+            }, signal)
+            : await promptWithConstraint(s, [userMessage], jsonSchema, signal);
         console.log('Raw AI response:', rawResult);
+        onRawOutput?.(rawResult);
         
         // Layered approach to handle JSON parsing
-        let parsedData;
-        
-        try {
-            // First attempt: Direct parsing of sanitized JSON
-            const jsonString = utilsSanitizeJSON(rawResult);
-            parsedData = JSON.parse(jsonString);
-        } catch (parseError) {
-            console.warn('First JSON parsing attempt failed:', parseError.message);
-            
-            try {
-                // Second attempt: Try to repair the JSON
-                const jsonString = utilsSanitizeJSON(rawResult);
-                parsedData = repairJSON(jsonString);
-            } catch (repairError) {
-                console.warn('JSON repair attempt failed:', repairError.message);
-                
-                // Third attempt: If repair fails, try a manual repair prompt to the AI
-                console.log('Attempting AI-based JSON repair...');
-                
-                const repairPrompt = `The following output was not valid JSON. Please fix it and return valid JSON only:
-
-Original output:
-${rawResult}
-
-Return corrected JSON only, with no additional text or formatting:`;
+        let parsedData = await parseModelOutput(s, rawResult, jsonSchema, signal);
 
-                const repairedResult = await s.prompt([{ 
-                    role: 'user', 
-                    content: repairPrompt 
-                }]);
-                
-                // Try to parse the repaired result
-                const repairedJsonString = utilsSanitizeJSON(repairedResult);
-                parsedData = JSON.parse(repairedJsonString);
-                
-                console.log('✅ JSON repair successful');
-            }
+        if (jsonSchema) {
+            parsedData = await enforceSchema(s, parsedData, jsonSchema, signal);
         }
         
         console.log('✅ Extraction successful');
@@ -204,6 +455,12 @@ Return corrected JSON only, with no additional text or formatting:`;
         return parsedData;
         
     } catch (error) {
+        if (error.name === 'AbortError') {
+            // Cancelled: drop the session so nothing keeps running in the background
+            await resetSession();
+            throw error;
+        }
+
         console.error('Extraction error:', error);
         
         if (error instanceof SyntaxError) {
@@ -214,7 +471,26 @@ Return corrected JSON only, with no additional text or formatting:`;
         
         if (error.name === 'NotSupportedError') {
             await resetSession();
-            throw new Error('Multimodal image input not supported. Ensure Chrome Canary 128+ with image support enabled.');
+
+            // Born-digital PDFs can still be read through their text layer
+            const hasFullText = pageTexts?.length === imageBlobs.length && pageTexts.every(text => text);
+            if (inputMode !== 'text' && hasFullText) {
+                console.warn('Image input not supported, retrying with the PDF text layer only');
+                return await extractJSONFromImages({
+                    imageBlobs,
+                    pageTexts,
+                    inputMode: 'text',
+                    schemaPrompt,
+                    jsonSchema,
+                    pageInfo,
+                    onPartial,
+                    onRawOutput,
+                    temperature,
+                    signal
+                });
+            }
+
+            throw new Error(`Multimodal image input not supported. ${getActiveProvider().imageInputHint}`);
         }
         
         if (error.name === 'QuotaExceededError') {
@@ -231,52 +507,72 @@ Return corrected JSON only, with no additional text or formatting:`;
 
 
 /**
- * Clean up AI-generated JSON string
+ * Ask the model where on a page image each value is printed.
+ * Boxes are fractions (0-1) of the image, origin top-left; a value the model
+ * cannot see is reported as null.
+ * @param {Object} options
+ * @param {Blob} options.imageBlob - Page image
+ * @param {Array<{ path: string, value: * }>} options.values - Values to locate
+ * @param {AbortSignal} [options.signal] - Aborts the prompt in flight; rejects with an AbortError
+ * @returns {Promise<Object>} - { [path]: { x, y, width, height } | null }
  */
-function sanitizeJSON(rawText) {
-    if (!rawText) {
-        throw new Error('Empty response from AI model');
-    }
-    
-    let cleaned = rawText;
-    
-    // Remove markdown code fences
-    cleaned = cleaned.replace(/```json\s*/gi, '');
-    cleaned = cleaned.replace(/```\s*/g, '');
-    
-    // Remove common prefixes
-    cleaned = cleaned.replace(/^(Here's the JSON|Here is the JSON|JSON output|Output):\s*/gi, '');
-    
-    // Trim whitespace
-    cleaned = cleaned.trim();
-    
-    // Find first { or [ and last } or ]
-    const firstBrace = cleaned.indexOf('{');
-    const firstBracket = cleaned.indexOf('[');
-    
-    let startIndex = -1;
-    if (firstBrace !== -1 && firstBracket !== -1) {
-        startIndex = Math.min(firstBrace, firstBracket);
-    } else if (firstBrace !== -1) {
-        startIndex = firstBrace;
-    } else if (firstBracket !== -1) {
-        startIndex = firstBracket;
-    }
-    
-    const lastBrace = cleaned.lastIndexOf('}');
-    const lastBracket = cleaned.lastIndexOf(']');
-    const endIndex = Math.max(lastBrace, lastBracket);
-    
-    if (startIndex !== -1 && endIndex > startIndex) {
-        cleaned = cleaned.substring(startIndex, endIndex + 1);
-    }
-    
-    // Final validation
-    if (!cleaned.startsWith('{') && !cleaned.startsWith('[')) {
-        throw new Error('AI response does not contain valid JSON');
+export async function locateValuesInImage({ imageBlob, values, signal = null }) {
+    if (!values || values.length === 0) return {};
+
+    const boxSchema = {
+        type: ['object', 'null'],
+        properties: {
+            x: { type: 'number' },
+            y: { type: 'number' },
+            width: { type: 'number' },
+            height: { type: 'number' }
+        },
+        required: ['x', 'y', 'width', 'height'],
+        additionalProperties: false
+    };
+    const jsonSchema = {
+        type: 'object',
+        properties: Object.fromEntries(values.map(({ path }) => [path, boxSchema])),
+        required: values.map(({ path }) => path),
+        additionalProperties: false
+    };
+
+    const message = {
+        role: 'user',
+        content: [
+            {
+                type: 'text',
+                value: `Find where each of these values is printed in the image.
+
+VALUES:
+${values.map(({ path, value }) => `- "${path}": ${JSON.stringify(value)}`).join('\n')}
+
+For every key, return the bounding box of the printed value as fractions of the image size: x and y of the top-left corner, then width and height, all between 0 and 1. Return null for a value that does not appear in the image. Do not guess.
+
+JSON OUTPUT:`
+            },
+            { type: 'image', value: imageBlob }
+        ]
+    };
+
+    try {
+        const s = await createSessionIfNeeded({ multimodal: true, signal });
+        const rawResult = await promptWithConstraint(s, [message], jsonSchema, signal);
+        const parsed = await parseModelOutput(s, rawResult, jsonSchema, signal);
+
+        // Drop anything that isn't a usable box inside the image
+        const boxes = {};
+        for (const { path } of values) {
+            const box = parsed?.[path];
+            const usable = box
+                && [box.x, box.y, box.width, box.height].every(n => typeof n === 'number' && n >= 0 && n <= 1)
+                && box.width > 0 && box.height > 0;
+            boxes[path] = usable ? box : null;
+        }
+        return boxes;
+    } finally {
+        await resetSession();
     }
-    
-    return cleaned;
 }
 
 export function getSessionUsage() {
@@ -285,21 +581,13 @@ export function getSessionUsage() {
     return {
         inputUsage: session.inputUsage,
         inputQuota: session.inputQuota,
-        percentUsed: Math.round((session.inputUsage / session.inputQuota) * 100)
+        percentUsed: session.inputQuota ? Math.round((session.inputUsage / session.inputQuota) * 100) : null
     };
 }
 
 
 export async function getModelParams() {
-    const LanguageModel = getLanguageModel();
-    if (!LanguageModel) return null;
-    
-    try {
-        return await LanguageModel.params();
-    } catch (error) {
-        console.error('Failed to get model params:', error);
-        return null;
-    }
+    return await getActiveProvider().params();
 }
 
 
@@ -308,6 +596,7 @@ export async function resetSession() {
     if (session) {
         session.destroy();
         session = null;
+        sessionProvider = null;
     }
 }
 
@@ -323,25 +612,24 @@ export async function available() {
 
 // Additional utilities
 export async function getModelInfo() {
-    const LM = getLanguageModel();
-    if (!LM) return null;
+    const params = await getModelParams();
+    if (!params) return null;
 
-    try {
-        const params = await LM.params();
-        return {
-            defaultTemperature: params.defaultTemperature,
-            maxTemperature: params.maxTemperature,
-            defaultTopK: params.defaultTopK,
-            maxTopK: params.maxTopK
-        };
-    } catch {
-        return null;
-    }
+    return {
+        provider: getActiveProvider().label,
+        defaultTemperature: params.defaultTemperature,
+        maxTemperature: params.maxTemperature,
+        defaultTopK: params.defaultTopK,
+        maxTopK: params.maxTopK
+    };
 }
 
 export default {
     checkAvailability,
     extractJSONFromImages,
+    planPageBatches,
+    measureExtractionUsage,
+    locateValuesInImage,
     getSessionUsage,
     resetSession,
     getModelParams,
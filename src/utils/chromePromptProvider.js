@@ -0,0 +1,123 @@
+// src/utils/chromePromptProvider.js
+
+/**
+ * Model provider backed by Chrome's built-in Prompt API (Gemini Nano).
+ * Its sessions are the browser's own LanguageModel sessions.
+ */
+
+// Availability can hang while Chrome is still setting the model up
+const AVAILABILITY_TIMEOUT = 5000;
+
+function getLanguageModel() {
+  if (globalThis.LanguageModel) return globalThis.LanguageModel;
+  return globalThis.chrome?.aiOriginTrial?.languageModel || null;
+}
+
+async function availability() {
+  try {
+    const LM = getLanguageModel();
+    if (!LM) {
+      console.warn('LanguageModel API not found');
+      return { available: false, status: 'no-api', detail: null };
+    }
+
+    // Check if the API is accessible before calling availability
+    if (typeof LM.availability !== 'function') {
+      console.error('LanguageModel.availability is not a function');
+      return {
+        available: false,
+        status: 'error',
+        detail: null,
+        error: 'LanguageModel.availability is not a function'
+      };
+    }
+
+    const timeout = new Promise((_, reject) =>
+      setTimeout(() => reject(new Error('Availability check timeout')), AVAILABILITY_TIMEOUT)
+    );
+    const status = await Promise.race([LM.availability(), timeout]);
+
+    console.log('AI availability status:', status);
+
+    return {
+      available: status !== 'unavailable',
+      status,
+      detail: null
+    };
+  } catch (error) {
+    console.error('Availability check error:', error);
+    return {
+      available: false,
+      status: 'error',
+      detail: null,
+      error: error?.message || 'Availability check failed'
+    };
+  }
+}
+
+async function params() {
+  const LM = getLanguageModel();
+  if (!LM) return null;
+
+  try {
+    return await LM.params();
+  } catch (error) {
+    console.error('Failed to get model params:', error);
+    return null;
+  }
+}
+
+/**
+ * Create a Prompt API session
+ * @param {Object} options
+ * @param {string} options.systemPrompt
+ * @param {boolean} [options.multimodal] - Whether the session must accept image input
+ * @param {number} [options.temperature] - Sampling temperature; null keeps the model default
+ * @param {AbortSignal} [options.signal] - Cancels creation; aborting later destroys the session
+ * @returns {Promise<Object>} - LanguageModel session
+ */
+async function createSession({ systemPrompt, multimodal = true, temperature = null, signal = null }) {
+  const LM = getLanguageModel();
+  if (!LM) throw new Error('Prompt API not available');
+
+  const status = await LM.availability();
+  if (status === 'unavailable') {
+    throw new Error('Model unavailable on this device/configuration');
+  }
+
+  // temperature and topK must be set together; topK stays at the default
+  const modelParams = temperature !== null ? await params() : null;
+  const sampling = modelParams
+    ? { temperature: Math.min(temperature, modelParams.maxTemperature), topK: modelParams.defaultTopK }
+    : {};
+
+  return await LM.create({
+    ...sampling,
+    ...(signal && { signal }),
+    initialPrompts: [{ role: 'system', content: systemPrompt }],
+    // Specify both text and image support, or text only for the text-layer path
+    expectedInputs: multimodal
+      ? [{ type: 'text', languages: ['en'] }, { type: 'image' }]
+      : [{ type: 'text', languages: ['en'] }],
+    expectedOutputs: [
+      { type: 'text', languages: ['en'] } // Explicitly specify output language
+    ],
+    monitor(m) {
+      m.addEventListener('downloadprogress', (e) => {
+        console.log(`Model download: ${Math.round(e.loaded * 100)}%`);
+      });
+    }
+  });
+}
+
+export const chromePromptProvider = {
+  id: 'chrome',
+  label: 'Chrome built-in AI',
+  setupHint: 'Please use Chrome 127+ with AI features enabled, or switch to a local model server.',
+  imageInputHint: 'Ensure Chrome Canary 128+ with image support enabled.',
+  availability,
+  params,
+  createSession
+};
+
+export default chromePromptProvider;
@@ -0,0 +1,133 @@
+// src/utils/consensus.js
+
+import { joinPath } from './jsonPath';
+
+/**
+ * Combine several independent extractions of the same document into one
+ * result, field by field:
+ * - objects are aligned by key and arrays by index; row counts are voted on,
+ *   with runs that have no such list voting for none
+ * - each field takes the most common answer across runs, and a run that is
+ *   missing the field votes for "missing": a value only one run came up with
+ *   is dropped from the data and kept in its agreement entry for review
+ * - the agreement score of a leaf is the share of runs that gave the winning
+ *   answer; a dropped field's entry has consensus undefined
+ * Strings are compared ignoring case and whitespace, numbers numerically.
+ *
+ * Agreement entry: { score, votes, runs, consensus, values }
+ */
+
+// Fields below this share of agreeing runs are flagged for review
+export const LOW_AGREEMENT = 0.75;
+
+function kindOf(value) {
+  if (value === undefined) return 'missing';
+  if (Array.isArray(value)) return 'array';
+  if (value !== null && typeof value === 'object') return 'object';
+  return 'scalar';
+}
+
+function voteKey(value) {
+  if (value === undefined) return 'missing';
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    // "12.50" and 12.5 are the same answer
+    if (trimmed !== '' && !Number.isNaN(Number(trimmed))) return `n:${Number(trimmed)}`;
+    return `s:${trimmed.toLowerCase().replace(/\s+/g, ' ')}`;
+  }
+  if (typeof value === 'number') return `n:${value}`;
+  return `v:${JSON.stringify(value)}`;
+}
+
+// Most common entry; ties go to the earliest run
+function majority(items, keyOf) {
+  const groups = new Map();
+  items.forEach((item, index) => {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, { item, count: 0, first: index });
+    groups.get(key).count++;
+  });
+  return [...groups.values()].sort((a, b) => b.count - a.count || a.first - b.first)[0];
+}
+
+// inList: a row inside the voted length, which exists even where some runs have no such row
+function consensusNode(values, path, agreement, inList = false) {
+  const kinds = values.map(kindOf);
+  const present = kinds.filter(kind => kind !== 'missing');
+  const kind = majority(inList && present.length > 0 ? present : kinds, k => k).item;
+
+  if (kind === 'object') {
+    const keys = [];
+    for (const value of values) {
+      if (kindOf(value) !== 'object') continue;
+      for (const key of Object.keys(value)) {
+        if (!keys.includes(key)) keys.push(key);
+      }
+    }
+
+    const result = {};
+    for (const key of keys) {
+      const child = consensusNode(
+        values.map(value => (kindOf(value) === 'object' ? value[key] : undefined)),
+        joinPath(path, key),
+        agreement
+      );
+      if (child !== undefined) result[key] = child;
+    }
+    return result;
+  }
+
+  if (kind === 'array') {
+    // Runs without the list vote for no rows
+    const { item: length } = majority(values.map(value => (Array.isArray(value) ? value.length : 0)), n => n);
+    return Array.from({ length }, (_, index) => consensusNode(
+      values.map(value => (Array.isArray(value) ? value[index] : undefined)),
+      joinPath(path, index),
+      agreement,
+      true
+    ));
+  }
+
+  // Most runs left the field out: "missing" wins even over a tie among the answers
+  const winner = kind === 'missing'
+    ? { item: undefined, count: values.filter(value => value === undefined).length }
+    : majority(inList ? values.filter(value => value !== undefined) : values, voteKey);
+  if (values.some(value => value !== undefined)) {
+    agreement[path || '(root)'] = {
+      score: winner.count / values.length,
+      votes: winner.count,
+      runs: values.length,
+      consensus: winner.item,
+      values
+    };
+  }
+  return winner.item;
+}
+
+/**
+ * Build a consensus result from independent runs
+ * @param {Array} results - Parsed JSON per run
+ * @returns {Object} - { data, agreement: { [path]: entry }, overall: number, runs: number }
+ */
+export function buildConsensus(results) {
+  const agreement = {};
+  const data = consensusNode(results, '', agreement);
+  const scores = Object.values(agreement).map(entry => entry.score);
+  const overall = scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : 1;
+  return { data, agreement, overall, runs: results.length };
+}
+
+/**
+ * Whether a field needs a reviewer's attention
+ * @param {Object} entry - Agreement entry
+ * @returns {boolean}
+ */
+export function isLowAgreement(entry) {
+  return !!entry && entry.score < LOW_AGREEMENT;
+}
+
+export default {
+  LOW_AGREEMENT,
+  buildConsensus,
+  isLowAgreement
+};
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { buildConsensus, isLowAgreement } from './consensus';
+
+describe('buildConsensus', () => {
+  it('takes the most common value of each field', () => {
+    const { data, agreement } = buildConsensus([
+      { vendor: 'ACME', total: 10 },
+      { vendor: 'acme ', total: 12 },
+      { vendor: 'ACME', total: 10 }
+    ]);
+    expect(data).toEqual({ vendor: 'ACME', total: 10 });
+    expect(agreement.vendor.score).toBe(1);
+    expect(agreement.total).toMatchObject({ score: 2 / 3, votes: 2, runs: 3 });
+  });
+
+  it('treats numeric strings and numbers as the same answer', () => {
+    const { data, agreement } = buildConsensus([{ total: '12.50' }, { total: 12.5 }]);
+    expect(data).toEqual({ total: '12.50' });
+    expect(agreement.total.score).toBe(1);
+  });
+
+  it('drops a field most runs left out and keeps it for review', () => {
+    const { data, agreement } = buildConsensus([
+      { vendor: 'ACME', note: 'rush' },
+      { vendor: 'ACME' },
+      { vendor: 'ACME' }
+    ]);
+    expect(data).toEqual({ vendor: 'ACME' });
+    expect(agreement.note).toEqual({ score: 2 / 3, votes: 2, runs: 3, consensus: undefined, values: ['rush', undefined, undefined] });
+    expect(isLowAgreement(agreement.note)).toBe(true);
+  });
+
+  it('keeps a field most runs returned, with lower agreement', () => {
+    const { data, agreement } = buildConsensus([{ a: { b: 1 } }, { a: { b: 1 } }, { a: {} }]);
+    expect(data).toEqual({ a: { b: 1 } });
+    expect(agreement['a.b']).toMatchObject({ score: 2 / 3, votes: 2, consensus: 1 });
+  });
+
+  it('drops nested objects only one run returned', () => {
+    const { data, agreement } = buildConsensus([{ a: 1, extra: { b: 2 } }, { a: 1 }, { a: 1 }]);
+    expect(data).toEqual({ a: 1 });
+    expect(agreement.extra.consensus).toBeUndefined();
+  });
+
+  it('votes on array length and aligns rows by index', () => {
+    const { data, agreement } = buildConsensus([
+      { items: [{ qty: 1 }, { qty: 2 }] },
+      { items: [{ qty: 1 }, { qty: 3 }] },
+      { items: [{ qty: 1 }] }
+    ]);
+    expect(data.items).toEqual([{ qty: 1 }, { qty: 2 }]);
+    expect(agreement['items[0].qty'].score).toBe(1);
+    expect(agreement['items[1].qty'].score).toBe(1 / 3);
+  });
+
+  it('counts runs without the list when voting on its length', () => {
+    expect(buildConsensus([{ items: [1, 2, 3] }, { items: [1] }, { items: [] }, {}]).data.items).toEqual([]);
+    expect(buildConsensus([{ items: [1, 2] }, { items: [] }, {}]).data.items).toEqual([]);
+  });
+
+  it('keeps every row inside the voted length', () => {
+    const { data, agreement } = buildConsensus([{ items: [1, 2] }, { items: [1, 2] }, { items: [1] }]);
+    expect(data.items).toEqual([1, 2]);
+    expect(agreement['items[1]']).toMatchObject({ votes: 2, runs: 3, consensus: 2 });
+  });
+
+  it('averages leaf scores into an overall score', () => {
+    const { overall, runs } = buildConsensus([{ a: 1, b: 1 }, { a: 1, b: 2 }]);
+    expect(runs).toBe(2);
+    expect(overall).toBe(0.75);
+  });
+});
+
+describe('isLowAgreement', () => {
+  it('flags fields below the threshold', () => {
+    expect(isLowAgreement({ score: 0.5 })).toBe(true);
+    expect(isLowAgreement({ score: 0.75 })).toBe(false);
+    expect(isLowAgreement(undefined)).toBe(false);
+  });
+});
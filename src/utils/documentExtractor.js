@@ -0,0 +1,266 @@
+// src/utils/documentExtractor.js
+
+import { extractJSONFromImages, planPageBatches, getModelParams } from './chromeAI';
+import { mergeResults } from './resultMerger';
+import { buildConsensus } from './consensus';
+import { fitPagesToBudget } from './tokenBudget';
+import { getAtPath } from './jsonPath';
+import { validateFields, needsReprompt, schemaForEntry, applyFieldAnswers } from './fieldValidator';
+
+// Upper bound on fields sent in one re-prompt, to keep the request small
+const MAX_REPROMPT_FIELDS = 20;
+
+function buildFieldPrompt(schemaPrompt, entries, data) {
+  const lines = entries.map(item => {
+    const current = getAtPath(data, item.path);
+    return `- "${item.path}": ${item.message}${current !== undefined ? ` (current value: ${JSON.stringify(current)})` : ''}`;
+  });
+
+  return `An earlier extraction for the request "${schemaPrompt}" had problems with these fields:
+${lines.join('\n')}
+
+Look at the document again and return a JSON object whose keys are exactly these field paths, each with the corrected value. Use null only if the value really is not in the document.`;
+}
+
+/**
+ * Ask the model again for only the fields that failed validation and merge
+ * the answers back in. Failures here never fail the whole extraction.
+ */
+async function repromptFailingFields({ data, failing, pages, batches, inputMode, schemaPrompt, onProgress, signal }) {
+  let updated = data;
+  let remaining = failing.slice(0, MAX_REPROMPT_FIELDS);
+  const fixedPaths = [];
+
+  for (const batch of batches) {
+    if (remaining.length === 0) break;
+    onProgress?.({ stage: 'reprompt', fieldCount: remaining.length });
+
+    const fieldSchema = {
+      type: 'object',
+      properties: Object.fromEntries(remaining.map(item => [item.path, schemaForEntry(item)])),
+      required: remaining.map(item => item.path),
+      additionalProperties: false
+    };
+
+    try {
+      const answers = await extractJSONFromImages({
+        imageBlobs: batch.map(index => pages[index].blob),
+        pageTexts: batch.map(index => pages[index].text || ''),
+        inputMode,
+        schemaPrompt: buildFieldPrompt(schemaPrompt, remaining, updated),
+        jsonSchema: fieldSchema,
+        pageInfo: {
+          from: batch[0] + 1,
+          to: batch[batch.length - 1] + 1,
+          total: pages.length
+        },
+        signal
+      });
+
+      const applied = applyFieldAnswers(updated, remaining, answers);
+      updated = applied.data;
+      fixedPaths.push(...applied.fixedPaths);
+      remaining = remaining.filter(item => !applied.fixedPaths.includes(item.path));
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      console.warn('Field re-prompt failed:', error.message);
+    }
+  }
+
+  return { data: updated, fixedPaths };
+}
+
+/**
+ * Sampling temperature for one of several self-consistency runs.
+ * The first run uses the model default, later ones spread up towards the
+ * maximum so the runs are genuinely independent.
+ */
+function temperatureForRun(params, run, runs) {
+  if (run === 0 || !params) return null;
+  const step = (params.maxTemperature - params.defaultTemperature) / runs;
+  return params.defaultTemperature + step * run;
+}
+
+/**
+ * Extract every batch once and merge the batch results
+ */
+async function extractAllBatches({ pages, batches, inputMode, schemaPrompt, jsonSchema, temperature, run, runs, onPartial, onProgress, signal }) {
+  const results = [];
+  const rawOutputs = [];
+
+  for (let i = 0; i < batches.length; i++) {
+    const batch = batches[i];
+    onProgress?.({ stage: 'extract', batch: i + 1, batchCount: batches.length, pageCount: pages.length, run: run + 1, runCount: runs });
+
+    try {
+      const data = await extractJSONFromImages({
+        imageBlobs: batch.map(index => pages[index].blob),
+        pageTexts: batch.map(index => pages[index].text || ''),
+        inputMode,
+        schemaPrompt,
+        jsonSchema,
+        pageInfo: {
+          from: batch[0] + 1,
+          to: batch[batch.length - 1] + 1,
+          total: pages.length
+        },
+        onPartial: onPartial && ((partial) => onPartial(mergeResults([...results, partial]).data)),
+        onRawOutput: (raw) => rawOutputs.push(raw),
+        temperature,
+        signal
+      });
+      results.push(data);
+    } catch (error) {
+      if (batches.length === 1 || error.name === 'AbortError') throw error;
+      throw new Error(`Pages ${batch[0] + 1}-${batch[batch.length - 1] + 1}: ${error.message}`);
+    }
+  }
+
+  const merged = mergeResults(results);
+  if (merged.conflicts.length > 0) {
+    console.warn(`Merged ${results.length} batches with ${merged.conflicts.length} conflict(s):`, merged.conflicts);
+  }
+  return { ...merged, rawOutputs };
+}
+
+/**
+ * Extract one JSON result from a document of any length.
+ * A pre-flight step first picks a page rendering that fits the session's input
+ * quota (see tokenBudget.js). Pages are then split into batches that fit, each batch
+ * is extracted on a fresh session and the partial results are merged.
+ * With runs > 1 the whole document is extracted several times and the runs
+ * are combined field by field (see consensus.js).
+ * @param {Object} options
+ * @param {Array} options.pages - Processed pages from processFiles()
+ * @param {string} [options.inputMode] - 'image' | 'hybrid' (adds the PDF text layer) | 'text'
+ * @param {string} options.schemaPrompt - Natural-language extraction request
+ * @param {Object} [options.jsonSchema] - JSON Schema the output must conform to
+ * @param {boolean} [options.reprompt] - Re-ask the model for fields that fail validation
+ * @param {number} [options.runs] - Independent extractions to combine (1 = single run)
+ * @param {Function} [options.onPartial] - Called with the merged partial JSON while streaming
+ * @param {Function} [options.onProgress] - Called with { stage: 'budget' } during the pre-flight,
+ *   { stage: 'extract', batch, batchCount, pageCount, run, runCount, budget } before each batch
+ *   and { stage: 'reprompt', fieldCount, budget } before each re-prompt
+ * @param {AbortSignal} [options.signal] - Cancels the extraction: model calls in flight are aborted,
+ *   their session is destroyed and the promise rejects with an AbortError
+ * @returns {Promise<Object>} - { data, conflicts, batchCount, rawOutputs, validation: { report, repromptedPaths },
+ *   consensus: { runs, failedRuns, agreement, overall } | null, budget }
+ */
+export async function extractDocument({
+  pages: originalPages,
+  inputMode = 'image',
+  schemaPrompt,
+  jsonSchema = null,
+  reprompt = true,
+  runs = 1,
+  onPartial = null,
+  onProgress: reportProgress = null,
+  signal = null
+}) {
+  if (!originalPages || originalPages.length === 0) {
+    throw new Error('No pages provided for extraction');
+  }
+
+  const { pages, budget } = await fitPagesToBudget({
+    pages: originalPages,
+    inputMode,
+    schemaPrompt,
+    jsonSchema,
+    onProgress: reportProgress,
+    signal
+  });
+  // Later progress events carry the chosen budget so it can be shown
+  const onProgress = reportProgress && ((event) => reportProgress({ ...event, budget }));
+
+  const imageBlobs = pages.map(page => page.blob);
+  const pageTexts = pages.map(page => page.text || '');
+  const batches = await planPageBatches({ imageBlobs, pageTexts, inputMode, schemaPrompt, jsonSchema, signal });
+  const params = runs > 1 ? await getModelParams() : null;
+
+  const runResults = [];
+  const rawOutputs = [];
+  let firstError = null;
+
+  for (let run = 0; run < runs; run++) {
+    try {
+      const result = await extractAllBatches({
+        pages,
+        batches,
+        inputMode,
+        schemaPrompt,
+        jsonSchema,
+        temperature: temperatureForRun(params, run, runs),
+        run,
+        runs,
+        onPartial,
+        onProgress,
+        signal
+      });
+      runResults.push(result);
+      rawOutputs.push(...result.rawOutputs);
+    } catch (error) {
+      // One failed run doesn't sink a self-consistency extraction
+      if (runs === 1 || error.name === 'AbortError') throw error;
+      console.warn(`Run ${run + 1} of ${runs} failed:`, error.message);
+      firstError = firstError || error;
+    }
+  }
+
+  if (runResults.length === 0) throw firstError;
+
+  const { conflicts } = runResults[0];
+  let data;
+  let consensus = null;
+  if (runs > 1) {
+    const combined = buildConsensus(runResults.map(result => result.data));
+    data = combined.data;
+    consensus = {
+      runs: combined.runs,
+      failedRuns: runs - runResults.length,
+      agreement: combined.agreement,
+      overall: combined.overall
+    };
+    console.log(`🗳️ Consensus of ${combined.runs} runs, ${Math.round(combined.overall * 100)}% agreement`);
+  } else {
+    data = runResults[0].data;
+  }
+
+  // Validation stage: check every requested field, re-ask only for failures
+  let report = validateFields(data, jsonSchema);
+  let repromptedPaths = [];
+  const failing = report.filter(needsReprompt);
+
+  if (reprompt && failing.length > 0) {
+    console.log(`🔁 Re-prompting for ${failing.length} field(s):`, failing.map(item => item.path));
+    const repaired = await repromptFailingFields({
+      data,
+      failing,
+      pages,
+      batches,
+      inputMode,
+      schemaPrompt,
+      onProgress,
+      signal
+    });
+    data = repaired.data;
+    repromptedPaths = repaired.fixedPaths;
+    report = validateFields(data, jsonSchema);
+  }
+
+  // Cancelled during a step that can't be interrupted; don't hand back a result
+  signal?.throwIfAborted();
+
+  return {
+    data,
+    conflicts,
+    batchCount: batches.length,
+    rawOutputs,
+    validation: { report, repromptedPaths },
+    consensus,
+    budget
+  };
+}
+
+export default {
+  extractDocument
+};
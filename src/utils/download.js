@@ -0,0 +1,21 @@
+// src/utils/download.js
+
+/**
+ * Trigger a browser download for generated content
+ * @param {Blob|string} content - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} [type] - MIME type when content is a string
+ */
+export function downloadFile(content, filename, type = 'application/json') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+export default {
+  downloadFile
+};
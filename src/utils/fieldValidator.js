@@ -0,0 +1,186 @@
+// src/utils/fieldValidator.js
+
+import { joinPath, getAtPath, setAtPath } from './jsonPath';
+import { matchesType, isISODate, getJSONType, validateAgainstSchema } from './schemaValidator';
+
+/**
+ * Per-field validation of an extraction result.
+ * With a JSON Schema every requested field is checked; without one, only
+ * nulls and date-like fields can be judged.
+ *
+ * Report entry: { path, status, message, nullable, schema? }
+ * status is one of 'ok' | 'missing' | 'null' | 'wrong-type' | 'invalid-date'
+ */
+
+const DATE_KEY_PATTERN = /date|_on$|^on_/i;
+const LOOSE_DATE_PATTERN = /^\d{1,4}[./-]\d{1,2}[./-]\d{1,4}$/;
+
+function schemaTypes(schema) {
+  if (!schema?.type) return [];
+  return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+function entry(path, status, message, nullable, schema) {
+  return { path: path || '(root)', status, message, nullable, schema };
+}
+
+function walkSchema(schema, value, path, present, report) {
+  const types = schemaTypes(schema);
+  const nullable = types.includes('null');
+
+  if (!present) {
+    report.push(entry(path, 'missing', 'Field is missing from the result', nullable, schema));
+    return;
+  }
+
+  if (value === null) {
+    report.push(entry(path, 'null', nullable ? 'No value found' : 'Required value is null', nullable, schema));
+    return;
+  }
+
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    const expected = types.filter(type => type !== 'null').join(' or ');
+    report.push(entry(path, 'wrong-type', `Expected ${expected}, got ${getJSONType(value)}`, nullable, schema));
+    return;
+  }
+
+  if (schema?.properties && getJSONType(value) === 'object') {
+    for (const [key, child] of Object.entries(schema.properties)) {
+      walkSchema(child, value[key], joinPath(path, key), key in value, report);
+    }
+    return;
+  }
+
+  if (schema?.items && Array.isArray(value)) {
+    value.forEach((item, index) => walkSchema(schema.items, item, joinPath(path, index), true, report));
+    return;
+  }
+
+  if (schema?.format === 'date' && !isISODate(value)) {
+    report.push(entry(path, 'invalid-date', `"${value}" is not a valid YYYY-MM-DD date`, nullable, schema));
+    return;
+  }
+
+  report.push(entry(path, 'ok', null, nullable, schema));
+}
+
+function isParseableDate(value) {
+  return isISODate(value) || LOOSE_DATE_PATTERN.test(value.trim()) || !Number.isNaN(Date.parse(value));
+}
+
+function walkData(value, path, key, report) {
+  if (value === null) {
+    report.push(entry(path, 'null', 'No value found', true));
+    return;
+  }
+
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => walkData(item, joinPath(path, index), key, report));
+    return;
+  }
+
+  if (typeof value === 'object') {
+    for (const [childKey, child] of Object.entries(value)) {
+      walkData(child, joinPath(path, childKey), childKey, report);
+    }
+    return;
+  }
+
+  if (typeof value === 'string' && DATE_KEY_PATTERN.test(key || '') && !isParseableDate(value)) {
+    report.push(entry(path, 'invalid-date', `"${value}" is not a recognizable date`, true, { type: ['string', 'null'] }));
+    return;
+  }
+
+  report.push(entry(path, 'ok', null, true));
+}
+
+/**
+ * Build a per-field report for an extraction result
+ * @param {*} data - Extracted JSON
+ * @param {Object} [jsonSchema] - Requested schema, if any
+ * @returns {Array} - Report entries
+ */
+export function validateFields(data, jsonSchema = null) {
+  const report = [];
+  if (jsonSchema) {
+    walkSchema(jsonSchema, data, '', data !== undefined, report);
+  } else {
+    walkData(data, '', null, report);
+  }
+  return report;
+}
+
+/**
+ * Whether a report entry is worth asking the model about again.
+ * Nulls in optional fields are usually genuinely absent, so they are skipped.
+ * @param {Object} reportEntry
+ * @returns {boolean}
+ */
+export function needsReprompt(reportEntry) {
+  if (reportEntry.status === 'ok') return false;
+  if (reportEntry.status === 'null' && reportEntry.nullable) return false;
+  return reportEntry.path !== '(root)';
+}
+
+/**
+ * Summarize a report by status
+ * @param {Array} report
+ * @returns {Object} - Counts keyed by status, plus `issues` (everything but ok)
+ */
+export function summarizeReport(report) {
+  const summary = { ok: 0, missing: 0, null: 0, 'wrong-type': 0, 'invalid-date': 0, issues: 0 };
+  for (const item of report) {
+    summary[item.status] = (summary[item.status] || 0) + 1;
+    if (item.status !== 'ok') summary.issues++;
+  }
+  return summary;
+}
+
+/**
+ * Schema for a value that would fix a report entry
+ * @param {Object} reportEntry
+ * @returns {Object} - JSON Schema
+ */
+export function schemaForEntry(reportEntry) {
+  return reportEntry.schema || { type: ['string', 'number', 'boolean', 'null'] };
+}
+
+/**
+ * Merge re-prompted answers back into the data. Answers that still don't
+ * fit the field's schema are ignored.
+ * @param {*} data - Extracted JSON
+ * @param {Array} entries - Report entries that were re-prompted
+ * @param {Object} answers - Values keyed by path
+ * @returns {Object} - { data, fixedPaths: string[] }
+ */
+export function applyFieldAnswers(data, entries, answers) {
+  let updated = data;
+  const fixedPaths = [];
+
+  for (const item of entries) {
+    if (!answers || !(item.path in answers)) continue;
+
+    const answer = answers[item.path];
+    const schema = schemaForEntry(item);
+    const stillNull = answer === null && !item.nullable;
+    const { valid } = validateAgainstSchema(answer, schema);
+    const stillBadDate = item.status === 'invalid-date' && !item.schema?.format
+      && (typeof answer !== 'string' || !isParseableDate(answer));
+
+    if (!valid || stillNull || stillBadDate || answer === undefined) continue;
+    if (JSON.stringify(getAtPath(updated, item.path)) === JSON.stringify(answer)) continue;
+
+    updated = setAtPath(updated, item.path, answer);
+    fixedPaths.push(item.path);
+  }
+
+  return { data: updated, fixedPaths };
+}
+
+export default {
+  validateFields,
+  needsReprompt,
+  summarizeReport,
+  schemaForEntry,
+  applyFieldAnswers
+};
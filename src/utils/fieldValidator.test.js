@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import { validateFields, needsReprompt, summarizeReport, schemaForEntry, applyFieldAnswers } from './fieldValidator';
+
+const schema = {
+  type: 'object',
+  properties: {
+    invoice_number: { type: 'string' },
+    po: { type: ['string', 'null'] },
+    date: { type: 'string', format: 'date' },
+    total: { type: 'number' },
+    items: {
+      type: 'array',
+      items: { type: 'object', properties: { qty: { type: 'integer' } } }
+    }
+  }
+};
+
+const statusByPath = (report) => Object.fromEntries(report.map(item => [item.path, item.status]));
+
+describe('validateFields with a schema', () => {
+  it('checks every requested field', () => {
+    const report = validateFields({ po: null, date: '2024-02-30', total: '12', items: [{ qty: 2 }, { qty: null }] }, schema);
+    expect(statusByPath(report)).toEqual({
+      invoice_number: 'missing',
+      po: 'null',
+      date: 'invalid-date',
+      total: 'wrong-type',
+      'items[0].qty': 'ok',
+      'items[1].qty': 'null'
+    });
+    expect(report.find(item => item.path === 'total').message).toBe('Expected number, got string');
+  });
+
+  it('tells optional nulls from required ones', () => {
+    const report = validateFields({ po: null, items: [{ qty: null }] }, schema);
+    expect(report.find(item => item.path === 'po')).toMatchObject({ nullable: true, message: 'No value found' });
+    expect(report.find(item => item.path === 'items[0].qty')).toMatchObject({ nullable: false, message: 'Required value is null' });
+  });
+});
+
+describe('validateFields without a schema', () => {
+  it('only judges nulls and date-like fields', () => {
+    const report = validateFields({ due_date: 'next week', issued_on: '15/01/2024', paid_on: 'March 3, 2024', note: 'next week', po: null });
+    expect(statusByPath(report)).toEqual({
+      due_date: 'invalid-date',
+      issued_on: 'ok',
+      paid_on: 'ok',
+      note: 'ok',
+      po: 'null'
+    });
+  });
+});
+
+describe('needsReprompt', () => {
+  it('skips fine fields, optional nulls and the root', () => {
+    expect(needsReprompt({ path: 'a', status: 'ok' })).toBe(false);
+    expect(needsReprompt({ path: 'a', status: 'null', nullable: true })).toBe(false);
+    expect(needsReprompt({ path: 'a', status: 'null', nullable: false })).toBe(true);
+    expect(needsReprompt({ path: 'a', status: 'wrong-type' })).toBe(true);
+    expect(needsReprompt({ path: '(root)', status: 'wrong-type' })).toBe(false);
+  });
+});
+
+describe('summarizeReport', () => {
+  it('counts entries by status', () => {
+    const report = validateFields({ invoice_number: 'A', po: null, date: 'x', total: 1, items: [] }, schema);
+    expect(summarizeReport(report)).toEqual({ ok: 2, missing: 0, null: 1, 'wrong-type': 0, 'invalid-date': 1, issues: 2 });
+  });
+});
+
+describe('applyFieldAnswers', () => {
+  it('merges answers that fit the field and ignores the rest', () => {
+    const data = { date: 'x', total: '12', items: [{ qty: null }] };
+    const entries = validateFields(data, schema).filter(needsReprompt);
+    const { data: updated, fixedPaths } = applyFieldAnswers(data, entries, {
+      date: '2024-01-15',
+      total: 'twelve',
+      invoice_number: 'INV-7',
+      'items[0].qty': 3
+    });
+    expect(updated).toEqual({ date: '2024-01-15', total: '12', invoice_number: 'INV-7', items: [{ qty: 3 }] });
+    expect(fixedPaths).toEqual(['invoice_number', 'date', 'items[0].qty']);
+    expect(data.items[0].qty).toBeNull();
+  });
+
+  it('rejects nulls for required fields and unrecognizable dates without a schema', () => {
+    const data = { due_date: 'soon' };
+    const entries = validateFields(data).filter(needsReprompt);
+    expect(applyFieldAnswers(data, entries, { due_date: 'later' }).fixedPaths).toEqual([]);
+    expect(applyFieldAnswers(data, entries, { due_date: '2024-03-01' }).data).toEqual({ due_date: '2024-03-01' });
+
+    const required = [{ path: 'total', status: 'null', nullable: false, schema: { type: 'number' } }];
+    expect(applyFieldAnswers({ total: null }, required, { total: null }).fixedPaths).toEqual([]);
+  });
+
+  it('falls back to a scalar schema for entries without one', () => {
+    expect(schemaForEntry({ path: 'a' })).toEqual({ type: ['string', 'number', 'boolean', 'null'] });
+  });
+});
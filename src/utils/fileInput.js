@@ -0,0 +1,146 @@
+// src/utils/fileInput.js
+
+/**
+ * Ways to get files in besides the file picker: drag and drop (including
+ * whole folders), pasting from the clipboard and taking photos with the camera.
+ * Everything comes out as plain File objects, so it goes through the same
+ * validateFile() / processFiles() path as picked files.
+ */
+
+// Folder uploads are read in name order, "2.jpg" before "10.jpg"
+const byPath = (a, b) => a.path.localeCompare(b.path, undefined, { numeric: true });
+
+function readEntries(reader) {
+  return new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+}
+
+function entryToFile(entry) {
+  return new Promise((resolve, reject) => entry.file(resolve, reject));
+}
+
+// Files in a dropped entry; folders are read recursively, hidden files skipped
+async function collectEntry(entry) {
+  if (entry.name.startsWith('.')) return [];
+
+  if (entry.isFile) {
+    return [{ path: entry.fullPath, file: await entryToFile(entry) }];
+  }
+
+  const reader = entry.createReader();
+  const collected = [];
+  // readEntries() returns the folder in chunks until it returns an empty one
+  let batch = await readEntries(reader);
+  while (batch.length > 0) {
+    for (const child of batch) {
+      collected.push(...await collectEntry(child));
+    }
+    batch = await readEntries(reader);
+  }
+  return collected;
+}
+
+/**
+ * Files from a drop event, with dropped folders expanded
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<File[]>}
+ */
+export async function filesFromDataTransfer(dataTransfer) {
+  // Entries must be taken synchronously; the DataTransfer is emptied after the event
+  const entries = Array.from(dataTransfer.items || [])
+    .filter(item => item.kind === 'file')
+    .map(item => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+
+  if (entries.length === 0) {
+    return Array.from(dataTransfer.files || []);
+  }
+
+  const collected = [];
+  for (const entry of entries) {
+    collected.push(...await collectEntry(entry));
+  }
+  return collected.sort(byPath).map(({ file }) => file);
+}
+
+/**
+ * Images and files from a paste event
+ * @param {DataTransfer} clipboardData
+ * @returns {File[]} - Screenshots get a name with the time they were pasted
+ */
+export function filesFromClipboard(clipboardData) {
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+  return Array.from(clipboardData?.items || [])
+    .filter(item => item.kind === 'file')
+    .map(item => item.getAsFile())
+    .filter(Boolean)
+    .map((file, i) => (
+      // Screenshots all arrive as "image.png"
+      file.name === 'image.png' || !file.name
+        ? new File([file], `Pasted image ${stamp}${i > 0 ? `-${i + 1}` : ''}.png`, { type: file.type || 'image/png' })
+        : file
+    ));
+}
+
+/**
+ * Start the camera, preferring the one facing away from the user
+ * @returns {Promise<MediaStream>}
+ * @throws {Error} - When there is no camera or permission is denied
+ */
+export async function openCamera() {
+  if (!navigator.mediaDevices?.getUserMedia) {
+    throw new Error('This browser cannot use the camera here. Camera access needs HTTPS or localhost.');
+  }
+
+  try {
+    return await navigator.mediaDevices.getUserMedia({
+      video: { facingMode: { ideal: 'environment' }, width: { ideal: 3840 }, height: { ideal: 2160 } },
+      audio: false
+    });
+  } catch (error) {
+    if (error.name === 'NotAllowedError') {
+      throw new Error('Camera permission was denied. Allow it in the address bar and try again.');
+    }
+    if (error.name === 'NotFoundError' || error.name === 'OverconstrainedError') {
+      throw new Error('No camera was found.');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Stop every track of a camera stream
+ * @param {MediaStream|null} stream
+ */
+export function closeCamera(stream) {
+  stream?.getTracks().forEach(track => track.stop());
+}
+
+/**
+ * Take a photo from a playing video element
+ * @param {HTMLVideoElement} video
+ * @param {number} shotNumber - Used in the file name
+ * @returns {Promise<File>} - JPEG file
+ */
+export async function captureFrame(video, shotNumber) {
+  const canvas = document.createElement('canvas');
+  canvas.width = video.videoWidth;
+  canvas.height = video.videoHeight;
+  canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+
+  const blob = await new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (result) => (result ? resolve(result) : reject(new Error('Canvas to blob conversion failed'))),
+      'image/jpeg',
+      0.92
+    );
+  });
+  return new File([blob], `Camera shot ${shotNumber}.jpg`, { type: 'image/jpeg' });
+}
+
+export default {
+  filesFromDataTransfer,
+  filesFromClipboard,
+  openCamera,
+  closeCamera,
+  captureFrame
+};
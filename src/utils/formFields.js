@@ -0,0 +1,287 @@
+// src/utils/formFields.js
+
+/**
+ * Fillable form fields read straight from a PDF, no model involved.
+ * AcroForm fields come from pdf.js's getFieldObjects(); pure XFA forms (which
+ * have no AcroForm) are read from the form layout pdf.js builds for them.
+ * Values are exactly what is stored in the file: text as typed, checkboxes as
+ * true/false, radio groups and dropdowns as the chosen option.
+ *
+ * Field: { name, type, value, page, source: 'acroform' | 'xfa', options?, document? }
+ * type is 'text' | 'checkbox' | 'radiobutton' | 'combobox' | 'listbox'
+ */
+
+const FILLABLE_TYPES = ['text', 'checkbox', 'radiobutton', 'combobox', 'listbox'];
+
+// Values a listbox has selected; getFieldObjects() only reports the first
+async function listboxSelection(pdf, widget, annotationCache) {
+  if (!annotationCache.has(widget.page)) {
+    const page = await pdf.getPage(widget.page + 1);
+    annotationCache.set(widget.page, await page.getAnnotations());
+  }
+  const annotation = annotationCache.get(widget.page).find(item => item.id === widget.id);
+  return annotation?.fieldValue || (widget.value !== null ? [widget.value] : []);
+}
+
+async function readAcroFormFields(pdf) {
+  const objects = await pdf.getFieldObjects();
+  if (!objects) return [];
+
+  const fields = [];
+  const annotationCache = new Map();
+
+  for (const [name, widgets] of Object.entries(objects)) {
+    // Parents, push buttons and signatures have no value of their own
+    const fillable = widgets.filter(widget => FILLABLE_TYPES.includes(widget.type));
+    if (fillable.length === 0) continue;
+
+    const [first] = fillable;
+    const field = { name, type: first.type, value: null, page: first.page ?? 0, source: 'acroform' };
+
+    switch (first.type) {
+      case 'checkbox': {
+        const isOn = widget => widget.value !== 'Off' && (!widget.exportValues || widget.value === widget.exportValues);
+        if (fillable.length > 1) {
+          // Several boxes sharing a name work like a radio group
+          field.type = 'radiobutton';
+          field.value = fillable.find(isOn)?.exportValues ?? null;
+          field.options = fillable.map(widget => widget.exportValues);
+        } else {
+          field.value = isOn(first);
+        }
+        break;
+      }
+      case 'radiobutton':
+        // Every button in the group carries the group's value
+        field.value = first.value && first.value !== 'Off' ? first.value : null;
+        field.options = fillable.map(widget => widget.exportValues);
+        break;
+      case 'listbox':
+        field.value = first.multipleSelection
+          ? await listboxSelection(pdf, first, annotationCache)
+          : first.value ?? null;
+        field.options = first.items?.map(item => item.exportValue);
+        break;
+      case 'combobox':
+        field.value = first.value || null;
+        field.options = first.items?.map(item => item.exportValue);
+        break;
+      default:
+        field.value = first.value !== '' ? first.value : null;
+    }
+
+    fields.push(field);
+  }
+
+  return fields.sort((a, b) => a.page - b.page);
+}
+
+function readXfaFields(xfaHtml) {
+  const fields = [];
+  const radioGroups = new Map();
+
+  const walk = (node, page) => {
+    if (!node || typeof node !== 'object') return;
+    const { name: tag, attributes = {} } = node;
+    const name = attributes['aria-label'] || attributes.fieldId;
+
+    if (tag === 'input' && attributes.type === 'checkbox') {
+      fields.push({ name, type: 'checkbox', value: !!attributes.checked, page, source: 'xfa' });
+    } else if (tag === 'input' && attributes.type === 'radio') {
+      if (!radioGroups.has(attributes.name)) {
+        const group = { name, type: 'radiobutton', value: null, page, source: 'xfa', options: [] };
+        radioGroups.set(attributes.name, group);
+        fields.push(group);
+      }
+      const group = radioGroups.get(attributes.name);
+      group.options.push(attributes.xfaOn);
+      if (attributes.checked) group.value = attributes.xfaOn;
+    } else if (tag === 'input') {
+      fields.push({ name, type: 'text', value: attributes.value || null, page, source: 'xfa' });
+    } else if (tag === 'textarea') {
+      fields.push({ name, type: 'text', value: attributes.textContent || null, page, source: 'xfa' });
+    } else if (tag === 'select') {
+      // The hidden option is pdf.js's placeholder for "nothing chosen"
+      const options = (node.children || []).filter(option => !option.attributes?.hidden);
+      const selected = options.filter(option => option.attributes.selected).map(option => option.attributes.value);
+      fields.push({
+        name,
+        type: attributes.multiple ? 'listbox' : 'combobox',
+        value: attributes.multiple ? selected : selected[0] ?? null,
+        page,
+        source: 'xfa',
+        options: options.map(option => option.attributes.value)
+      });
+    }
+
+    (node.children || []).forEach(child => walk(child, page));
+  };
+
+  (xfaHtml?.children || []).forEach((pageNode, i) => walk(pageNode, i));
+
+  // XFA labels repeat (e.g. "Amount" in every row); keep them apart
+  const seen = new Map();
+  return fields.map(field => {
+    const count = (seen.get(field.name) || 0) + 1;
+    seen.set(field.name, count);
+    return count > 1 ? { ...field, name: `${field.name} (${count})` } : field;
+  });
+}
+
+/**
+ * Read a PDF's fillable form fields
+ * @param {PDFDocumentProxy} pdf - Loaded with pdf.js
+ * @returns {Promise<Array>} - Fields in page order; empty when the PDF has no form
+ */
+export async function readFormFields(pdf) {
+  try {
+    return pdf.isPureXfa ? readXfaFields(pdf.allXfaHtml) : await readAcroFormFields(pdf);
+  } catch (error) {
+    // A broken form should never stop the pages from being used
+    console.warn('Could not read form fields:', error);
+    return [];
+  }
+}
+
+/**
+ * Form fields of the given pages, in page order. Each field is tagged with the
+ * file it came from so forms from different uploads stay apart.
+ * @param {Array} pages - Processed pages (PDF pages carry formFields)
+ * @returns {Array} - Fields with `document` set to the file's name
+ */
+export function formFieldsOfPages(pages) {
+  const documents = new Map();
+  const names = new Set();
+
+  return pages.flatMap(page => {
+    if (!page.formFields?.length) return [];
+
+    const file = page.source || page;
+    if (!documents.has(file)) {
+      // Two uploads with the same name get "(2)", "(3)", ...
+      const base = page.source?.name || page.name;
+      let name = base;
+      for (let count = 2; names.has(name); count++) name = `${base} (${count})`;
+      names.add(name);
+      documents.set(file, name);
+    }
+    return page.formFields.map(field => ({ ...field, document: documents.get(file) }));
+  });
+}
+
+// Key that keeps a field's own value when other fields are nested under its name
+export const OWN_VALUE_KEY = '$value';
+
+// "applicant.row[1].amt[0]" -> [{ key: 'applicant' }, { key: 'row', index: 1 }, { key: 'amt', index: 0 }]
+function parseFieldName(field) {
+  if (field.source !== 'acroform') return [{ key: field.name }];
+  return field.name.split('.').map(part => {
+    const match = part.match(/^(.*)\[(\d+)\]$/);
+    return match ? { key: match[1], index: Number(match[2]) } : { key: part };
+  });
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// The object or array stored under key, created (or wrapping a value already there) when needed
+function childContainer(node, key, array) {
+  const current = node[key];
+  if (array ? Array.isArray(current) : isPlainObject(current)) return current;
+
+  const container = array ? [] : {};
+  if (current !== undefined) {
+    if (array) {
+      container[0] = current;
+    } else {
+      container[OWN_VALUE_KEY] = current;
+    }
+  }
+  node[key] = container;
+  return container;
+}
+
+function setValue(node, key, value) {
+  if (isPlainObject(node[key])) {
+    node[key][OWN_VALUE_KEY] = value;
+  } else {
+    node[key] = value;
+  }
+}
+
+function fieldsToObject(fields) {
+  const paths = fields.map(parseFieldName);
+
+  // Only names repeated with an index above 0 are lists; the [0] on every
+  // segment of single fields ("form1[0].name[0]") is dropped
+  const lists = new Set();
+  for (const path of paths) {
+    path.forEach((segment, i) => {
+      if (segment.index > 0) lists.add(path.slice(0, i + 1).map(part => part.key).join('.'));
+    });
+  }
+
+  const result = {};
+  fields.forEach((field, fieldIndex) => {
+    const path = paths[fieldIndex];
+    let node = result;
+    path.forEach((segment, i) => {
+      const last = i === path.length - 1;
+      const isList = segment.index !== undefined
+        && lists.has(path.slice(0, i + 1).map(part => part.key).join('.'));
+
+      if (isList) {
+        const list = childContainer(node, segment.key, true);
+        if (last) {
+          setValue(list, segment.index, field.value);
+        } else {
+          node = childContainer(list, segment.index, false);
+        }
+      } else if (last) {
+        setValue(node, segment.key, field.value);
+      } else {
+        node = childContainer(node, segment.key, false);
+      }
+    });
+  });
+  return result;
+}
+
+/**
+ * Turn fields into JSON. AcroForm names are dotted paths
+ * ("applicant.address[1].city[0]"), so they become nested objects, and rows
+ * repeated by index become arrays. A field that other fields are nested under
+ * keeps its own value under OWN_VALUE_KEY. Fields from more than one document
+ * are grouped under each document's name.
+ * @param {Array} fields - From formFieldsOfPages()
+ * @returns {Object}
+ */
+export function formFieldsToJSON(fields) {
+  const documents = [...new Set(fields.map(field => field.document))];
+  if (documents.length <= 1) return fieldsToObject(fields);
+
+  return Object.fromEntries(documents.map(document => [
+    document,
+    fieldsToObject(fields.filter(field => field.document === document))
+  ]));
+}
+
+/**
+ * Add form field values to a model extraction, under "formFields"
+ * @param {*} data - Extracted JSON
+ * @param {Object} formData - From formFieldsToJSON()
+ * @returns {Object}
+ */
+export function mergeFormFields(data, formData) {
+  if (data && typeof data === 'object' && !Array.isArray(data)) {
+    return { ...data, formFields: formData };
+  }
+  return { data, formFields: formData };
+}
+
+export default {
+  OWN_VALUE_KEY,
+  readFormFields,
+  formFieldsOfPages,
+  formFieldsToJSON,
+  mergeFormFields
+};
@@ -0,0 +1,163 @@
+import { describe, it, expect } from 'vitest';
+import { readFormFields, formFieldsOfPages, formFieldsToJSON, mergeFormFields, OWN_VALUE_KEY } from './formFields';
+
+// Just enough of a pdf.js document for readFormFields()
+const acroPdf = (objects, annotations = {}) => ({
+  isPureXfa: false,
+  getFieldObjects: async () => objects,
+  getPage: async (pageNum) => ({ getAnnotations: async () => annotations[pageNum - 1] || [] })
+});
+
+const acro = (name, value) => ({ name, type: 'text', value, page: 0, source: 'acroform' });
+
+describe('readFormFields (AcroForm)', () => {
+  it('reads text fields, combo boxes and multi-select list boxes', async () => {
+    const fields = await readFormFields(acroPdf({
+      'applicant.name': [{ type: 'text', value: 'Ada', page: 0 }],
+      'applicant.note': [{ type: 'text', value: '', page: 1 }],
+      state: [{ type: 'combobox', value: 'CA', page: 0, items: [{ exportValue: 'CA' }, { exportValue: 'NY' }] }],
+      tags: [{ id: '7R', type: 'listbox', value: 'a', multipleSelection: true, page: 0, items: [{ exportValue: 'a' }, { exportValue: 'b' }] }],
+      submit: [{ type: 'button', page: 0 }]
+    }, { 0: [{ id: '7R', fieldValue: ['a', 'b'] }] }));
+
+    expect(fields).toEqual([
+      { name: 'applicant.name', type: 'text', value: 'Ada', page: 0, source: 'acroform' },
+      { name: 'state', type: 'combobox', value: 'CA', page: 0, source: 'acroform', options: ['CA', 'NY'] },
+      { name: 'tags', type: 'listbox', value: ['a', 'b'], page: 0, source: 'acroform', options: ['a', 'b'] },
+      { name: 'applicant.note', type: 'text', value: null, page: 1, source: 'acroform' }
+    ]);
+  });
+
+  it('reads checkboxes, radio groups and boxes that share a name', async () => {
+    const fields = await readFormFields(acroPdf({
+      agree: [{ type: 'checkbox', value: 'Yes', exportValues: 'Yes', page: 0 }],
+      optOut: [{ type: 'checkbox', value: 'Off', exportValues: 'Yes', page: 0 }],
+      plan: [
+        { type: 'radiobutton', value: 'Gold', exportValues: 'Silver', page: 0 },
+        { type: 'radiobutton', value: 'Gold', exportValues: 'Gold', page: 0 }
+      ],
+      size: [
+        { type: 'checkbox', value: 'Off', exportValues: 'S', page: 0 },
+        { type: 'checkbox', value: 'M', exportValues: 'M', page: 0 }
+      ],
+      unset: [{ type: 'radiobutton', value: 'Off', exportValues: 'A', page: 0 }]
+    }));
+
+    expect(fields.map(({ name, type, value, options }) => ({ name, type, value, options }))).toEqual([
+      { name: 'agree', type: 'checkbox', value: true, options: undefined },
+      { name: 'optOut', type: 'checkbox', value: false, options: undefined },
+      { name: 'plan', type: 'radiobutton', value: 'Gold', options: ['Silver', 'Gold'] },
+      { name: 'size', type: 'radiobutton', value: 'M', options: ['S', 'M'] },
+      { name: 'unset', type: 'radiobutton', value: null, options: ['A'] }
+    ]);
+  });
+
+  it('returns no fields for a PDF without a form or with a broken one', async () => {
+    expect(await readFormFields(acroPdf(null))).toEqual([]);
+    expect(await readFormFields({ getFieldObjects: async () => { throw new Error('bad'); } })).toEqual([]);
+  });
+});
+
+describe('readFormFields (XFA)', () => {
+  it('reads XFA inputs and numbers repeated labels', async () => {
+    const input = (label, attributes) => ({ name: 'input', attributes: { 'aria-label': label, ...attributes } });
+    const fields = await readFormFields({
+      isPureXfa: true,
+      allXfaHtml: {
+        children: [
+          {
+            children: [
+              input('Name', { type: 'text', value: 'Ada' }),
+              input('Amount', { type: 'text', value: '10' }),
+              input('Amount', { type: 'text', value: '20' }),
+              input('Member', { type: 'checkbox', checked: true }),
+              input('Plan', { type: 'radio', name: 'plan', xfaOn: 'basic' }),
+              input('Plan', { type: 'radio', name: 'plan', xfaOn: 'pro', checked: true }),
+              {
+                name: 'select',
+                attributes: { 'aria-label': 'Country' },
+                children: [
+                  { attributes: { hidden: true, value: '' } },
+                  { attributes: { value: 'DE' } },
+                  { attributes: { value: 'FR', selected: true } }
+                ]
+              }
+            ]
+          },
+          { children: [input('Amount', { type: 'text', value: '30' })] }
+        ]
+      }
+    });
+
+    expect(fields).toEqual([
+      { name: 'Name', type: 'text', value: 'Ada', page: 0, source: 'xfa' },
+      { name: 'Amount', type: 'text', value: '10', page: 0, source: 'xfa' },
+      { name: 'Amount (2)', type: 'text', value: '20', page: 0, source: 'xfa' },
+      { name: 'Member', type: 'checkbox', value: true, page: 0, source: 'xfa' },
+      { name: 'Plan', type: 'radiobutton', value: 'pro', page: 0, source: 'xfa', options: ['basic', 'pro'] },
+      { name: 'Country', type: 'combobox', value: 'FR', page: 0, source: 'xfa', options: ['DE', 'FR'] },
+      { name: 'Amount (3)', type: 'text', value: '30', page: 1, source: 'xfa' }
+    ]);
+    expect(formFieldsToJSON(fields)).toMatchObject({ Amount: '10', 'Amount (2)': '20', 'Amount (3)': '30' });
+  });
+});
+
+describe('formFieldsToJSON', () => {
+  it('nests dotted AcroForm names and drops the [0] of single fields', () => {
+    expect(formFieldsToJSON([
+      acro('form1[0].applicant[0].name[0]', 'Ada'),
+      acro('form1[0].applicant[0].city[0]', 'Paris')
+    ])).toEqual({ form1: { applicant: { name: 'Ada', city: 'Paris' } } });
+  });
+
+  it('turns repeated rows into arrays', () => {
+    expect(formFieldsToJSON([
+      acro('row[0].amt[0]', 1),
+      acro('row[1].amt[0]', 2),
+      acro('phone[0]', 'a'),
+      acro('phone[1]', 'b')
+    ])).toEqual({ row: [{ amt: 1 }, { amt: 2 }], phone: ['a', 'b'] });
+  });
+
+  it('keeps a field’s own value next to the fields nested under it', () => {
+    expect(formFieldsToJSON([acro('a', 'x'), acro('a.b', 'y')])).toEqual({ a: { [OWN_VALUE_KEY]: 'x', b: 'y' } });
+    expect(formFieldsToJSON([acro('a.b', 'y'), acro('a', 'x')])).toEqual({ a: { b: 'y', [OWN_VALUE_KEY]: 'x' } });
+  });
+
+  it('keeps names of XFA fields whole', () => {
+    expect(formFieldsToJSON([{ name: 'Total.due', type: 'text', value: '5', page: 0, source: 'xfa' }])).toEqual({ 'Total.due': '5' });
+  });
+
+  it('groups fields by document when several forms were uploaded', () => {
+    const first = { name: 'tax.pdf' };
+    const second = { name: 'tax.pdf' };
+    const fields = formFieldsOfPages([
+      { source: first, formFields: [acro('name', 'Ada')] },
+      { source: first, formFields: [acro('total', 1)] },
+      { source: second, formFields: [acro('name', 'Bob')] },
+      { source: null, name: 'photo.jpg' }
+    ]);
+    expect(formFieldsToJSON(fields)).toEqual({
+      'tax.pdf': { name: 'Ada', total: 1 },
+      'tax.pdf (2)': { name: 'Bob' }
+    });
+  });
+
+  it('keeps a single document flat', () => {
+    const source = { name: 'a.pdf' };
+    const fields = formFieldsOfPages([{ source, formFields: [acro('name', 'Ada')] }]);
+    expect(fields[0].document).toBe('a.pdf');
+    expect(formFieldsToJSON(fields)).toEqual({ name: 'Ada' });
+  });
+});
+
+describe('mergeFormFields', () => {
+  it('adds the form values under "formFields"', () => {
+    expect(mergeFormFields({ total: 5 }, { name: 'Ada' })).toEqual({ total: 5, formFields: { name: 'Ada' } });
+  });
+
+  it('wraps extractions that are not objects', () => {
+    expect(mergeFormFields([1, 2], { name: 'Ada' })).toEqual({ data: [1, 2], formFields: { name: 'Ada' } });
+    expect(mergeFormFields(null, {})).toEqual({ data: null, formFields: {} });
+  });
+});
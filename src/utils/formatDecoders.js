@@ -0,0 +1,431 @@
+// src/utils/formatDecoders.js
+
+/**
+ * Decoders for uploads the model can't read as they are.
+ * - Multi-page TIFF (scanners, fax) is split into one PNG per page
+ * - HEIC (iPhone photos) becomes JPEG; BMP and GIF become PNG
+ * - Plain text, HTML and emails (.eml) become text pages: the text is kept
+ *   for the text prompt, and also drawn onto page images so previews,
+ *   batching and image mode work as they do for PDFs
+ * The TIFF and HEIC libraries are only loaded when such a file is uploaded.
+ */
+
+// Types the model takes directly
+const DIRECT_IMAGE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+
+const KINDS_BY_TYPE = {
+  'application/pdf': 'pdf',
+  'image/tiff': 'tiff',
+  'image/heic': 'heic',
+  'image/heif': 'heic',
+  'image/bmp': 'bitmap',
+  'image/gif': 'bitmap',
+  'text/plain': 'text',
+  'text/markdown': 'text',
+  'text/csv': 'text',
+  'text/html': 'html',
+  'message/rfc822': 'email'
+};
+
+// Browsers often leave the type empty for HEIC, TIFF and .eml files
+const KINDS_BY_EXTENSION = {
+  jpg: 'image', jpeg: 'image', png: 'image', webp: 'image',
+  pdf: 'pdf',
+  tif: 'tiff', tiff: 'tiff',
+  heic: 'heic', heif: 'heic',
+  bmp: 'bitmap', gif: 'bitmap',
+  txt: 'text', md: 'text', csv: 'text',
+  htm: 'html', html: 'html',
+  eml: 'email'
+};
+
+// For <input type="file" accept>
+export const ACCEPTED_FILES = [
+  'image/*',
+  'application/pdf',
+  'text/plain',
+  'text/html',
+  'message/rfc822',
+  ...Object.keys(KINDS_BY_EXTENSION).map(extension => `.${extension}`)
+].join(',');
+
+// Text pages are drawn like an A4 page at 150 dpi
+const TEXT_PAGE = { width: 1240, height: 1754, margin: 90, fontSize: 22, lineHeight: 31 };
+
+/**
+ * What kind of upload a file is
+ * @param {File} file
+ * @returns {string|null} - 'image' | 'pdf' | 'tiff' | 'heic' | 'bitmap' | 'text' | 'html' | 'email', or null when unsupported
+ */
+export function detectFileKind(file) {
+  const type = (file.type || '').toLowerCase();
+  if (DIRECT_IMAGE_TYPES.includes(type)) return 'image';
+  if (KINDS_BY_TYPE[type]) return KINDS_BY_TYPE[type];
+
+  const extension = file.name?.split('.').pop().toLowerCase();
+  return KINDS_BY_EXTENSION[extension] || null;
+}
+
+function canvasToBlob(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (result) => (result ? resolve(result) : reject(new Error('Canvas to blob conversion failed'))),
+      type,
+      quality
+    );
+  });
+}
+
+// Re-encode anything the browser can decode itself
+async function reencode(blob, type, quality) {
+  const bitmap = await createImageBitmap(blob);
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  canvas.getContext('2d').drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return await canvasToBlob(canvas, type, quality);
+}
+
+async function decodeTiff(file, { maxPages, onWarning }) {
+  const { default: UTIF } = await import('utif');
+  const buffer = await file.arrayBuffer();
+  // Skip reduced-resolution copies (thumbnails) stored next to the pages
+  const ifds = UTIF.decode(buffer).filter(ifd => !((ifd.t254?.[0] || 0) & 1));
+  if (ifds.length === 0) throw new Error('No pages found in the TIFF');
+
+  const pageCount = Math.min(ifds.length, maxPages);
+  if (ifds.length > pageCount) {
+    onWarning?.({
+      code: 'truncated',
+      message: `"${file.name}" has ${ifds.length} pages; only the first ${pageCount} were loaded.`,
+      fileName: file.name
+    });
+  }
+
+  const pages = [];
+  for (let i = 0; i < pageCount; i++) {
+    const ifd = ifds[i];
+    UTIF.decodeImage(buffer, ifd);
+    const rgba = UTIF.toRGBA8(ifd);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = ifd.width;
+    canvas.height = ifd.height;
+    canvas.getContext('2d').putImageData(
+      new ImageData(new Uint8ClampedArray(rgba.buffer, rgba.byteOffset, rgba.length), ifd.width, ifd.height),
+      0,
+      0
+    );
+
+    pages.push({
+      blob: await canvasToBlob(canvas, 'image/png'),
+      type: 'image',
+      pageNum: i + 1,
+      pageCount: ifds.length,
+      name: ifds.length > 1 ? `${file.name} - Page ${i + 1}` : file.name,
+      dimensions: { width: ifd.width, height: ifd.height }
+    });
+    // Decoded pixels are large; let them go page by page
+    delete ifd.data;
+  }
+  return pages;
+}
+
+async function decodeHeic(file) {
+  // Safari decodes HEIC itself
+  try {
+    return await reencode(file, 'image/jpeg', 0.92);
+  } catch {
+    // Not supported natively; use the bundled decoder
+  }
+
+  const { default: heic2any } = await import('heic2any');
+  const result = await heic2any({ blob: file, toType: 'image/jpeg', quality: 0.92 });
+  return Array.isArray(result) ? result[0] : result;
+}
+
+/**
+ * Plain text of an HTML document, keeping line breaks and table cells apart
+ * @param {string} html
+ * @returns {string}
+ */
+export function htmlToText(html) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  doc.querySelectorAll('script, style, noscript, template').forEach(node => node.remove());
+  // Source indentation between tags is a space, not a line; blocks add their own breaks below
+  const walker = doc.createTreeWalker(doc.body || doc, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    if (/^\s*\n\s*$/.test(walker.currentNode.data)) walker.currentNode.data = ' ';
+  }
+  doc.querySelectorAll('br').forEach(node => node.replaceWith('\n'));
+  doc.querySelectorAll('td, th').forEach(node => node.append(' | '));
+  doc.querySelectorAll('p, div, tr, li, h1, h2, h3, h4, h5, h6, table, section, article, header, footer, blockquote, pre')
+    .forEach(node => node.append('\n'));
+
+  return (doc.body?.textContent || '')
+    .split('\n')
+    .map(line => line.replace(/[ \t\u00a0]+/g, ' ').replace(/(\s*\|\s*)+$/, '').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function decodeBytes(bytes, charset) {
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(bytes);
+  } catch {
+    // Unknown charset label
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+function base64ToBytes(data) {
+  const binary = atob(data.replace(/[^A-Za-z0-9+/=]/g, ''));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+function quotedPrintableToBytes(data) {
+  const text = data.replace(/=\r?\n/g, '');
+  const bytes = [];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(text.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(text.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      // Characters outside ASCII were read as UTF-8; keep their bytes
+      bytes.push(...new TextEncoder().encode(text[i]));
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+// RFC 2047 encoded words in headers, e.g. =?UTF-8?B?SW52b2ljZQ==?=
+function decodeHeaderValue(value) {
+  return value
+    .replace(/(\?=)\s+(=\?)/g, '$1$2')
+    .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (_, charset, encoding, data) => decodeBytes(
+      encoding.toUpperCase() === 'B' ? base64ToBytes(data) : quotedPrintableToBytes(data.replace(/_/g, ' ')),
+      charset
+    ));
+}
+
+function headerParam(value, name) {
+  const match = value.match(new RegExp(`${name}\\*?=\\s*(?:"([^"]*)"|([^;\\s]*))`, 'i'));
+  return match ? decodeHeaderValue(match[1] ?? match[2]) : null;
+}
+
+function parseMimePart(raw) {
+  const separator = raw.match(/\r?\n\r?\n/);
+  // A part without headers starts with the blank line
+  const startsBlank = /^\r?\n/.test(raw);
+  const headerBlock = startsBlank ? '' : separator ? raw.slice(0, separator.index) : raw;
+  const body = startsBlank ? raw.replace(/^\r?\n/, '') : separator ? raw.slice(separator.index + separator[0].length) : '';
+
+  const headers = {};
+  for (const line of headerBlock.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon <= 0) continue;
+    const name = line.slice(0, colon).trim().toLowerCase();
+    if (!(name in headers)) headers[name] = line.slice(colon + 1).trim();
+  }
+  return { headers, body };
+}
+
+function decodeMimeBody(body, encoding, charset) {
+  switch ((encoding || '').toLowerCase()) {
+    case 'base64':
+      return decodeBytes(base64ToBytes(body), charset);
+    case 'quoted-printable':
+      return decodeBytes(quotedPrintableToBytes(body), charset);
+    default:
+      return body;
+  }
+}
+
+// Walk a MIME tree for the first plain-text and HTML bodies and any attachments
+function collectMimeParts(raw, found) {
+  const { headers, body } = parseMimePart(raw);
+  const contentType = headers['content-type'] || 'text/plain';
+  const boundary = headerParam(contentType, 'boundary');
+
+  if (/^multipart\//i.test(contentType) && boundary) {
+    const parts = body.split(`--${boundary}`).slice(1);
+    for (const part of parts) {
+      // The closing delimiter is the boundary followed by "--"
+      if (part.startsWith('--')) break;
+      collectMimeParts(part.replace(/^[ \t]*\r?\n/, ''), found);
+    }
+    return found;
+  }
+
+  const disposition = headers['content-disposition'] || '';
+  const fileName = headerParam(disposition, 'filename') || headerParam(contentType, 'name');
+  if (/^attachment/i.test(disposition) || (fileName && !/^text\//i.test(contentType))) {
+    found.attachments.push(fileName || 'unnamed attachment');
+    return found;
+  }
+
+  const text = decodeMimeBody(body, headers['content-transfer-encoding'], headerParam(contentType, 'charset'));
+  if (/^text\/html/i.test(contentType)) {
+    found.html = found.html ?? text;
+  } else if (/^text\//i.test(contentType)) {
+    found.plain = found.plain ?? text;
+  }
+  return found;
+}
+
+/**
+ * Read an email (.eml) as text: the main headers followed by the message body
+ * @param {string} raw - The .eml file contents
+ * @returns {Object} - { text, attachments: string[] }
+ */
+export function parseEmail(raw) {
+  const { headers } = parseMimePart(raw);
+  const found = collectMimeParts(raw, { plain: null, html: null, attachments: [] });
+
+  const headerLines = ['from', 'to', 'cc', 'date', 'subject']
+    .filter(name => headers[name])
+    .map(name => `${name[0].toUpperCase()}${name.slice(1)}: ${decodeHeaderValue(headers[name])}`);
+  const body = found.plain ?? (found.html ? htmlToText(found.html) : '');
+
+  return {
+    text: [...headerLines, '', body.replace(/\r\n/g, '\n').trim()].join('\n').trim(),
+    attachments: found.attachments
+  };
+}
+
+/**
+ * Break text into lines that fit a page width
+ * @param {string} text
+ * @param {number} maxChars - Characters per line
+ * @returns {string[]}
+ */
+export function wrapLines(text, maxChars) {
+  const lines = [];
+  for (const paragraph of text.replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/(\s+)/)) {
+      if ((line + word).length <= maxChars) {
+        line += word;
+        continue;
+      }
+      if (line.trim()) lines.push(line.trimEnd());
+      line = word.trimStart();
+      // Words longer than a line are cut
+      while (line.length > maxChars) {
+        lines.push(line.slice(0, maxChars));
+        line = line.slice(maxChars);
+      }
+    }
+    lines.push(line.trimEnd());
+  }
+  return lines;
+}
+
+/**
+ * Lay text out on page images, like a PDF of the document
+ * @param {string} text
+ * @param {string} name - File name the pages are named after
+ * @param {Object} [options]
+ * @param {number} [options.maxPages]
+ * @param {Function} [options.onWarning]
+ * @returns {Promise<Array>} - Page objects of type 'text', each with the text it shows
+ */
+export async function textToPages(text, name, { maxPages = Infinity, onWarning = null } = {}) {
+  const { width, height, margin, fontSize, lineHeight } = TEXT_PAGE;
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d', { alpha: false });
+  context.font = `${fontSize}px ui-monospace, Menlo, Consolas, monospace`;
+
+  const maxChars = Math.floor((width - 2 * margin) / context.measureText('M').width);
+  const linesPerPage = Math.floor((height - 2 * margin) / lineHeight);
+  const lines = wrapLines(text, maxChars);
+
+  const chunks = [];
+  for (let i = 0; i < lines.length; i += linesPerPage) {
+    chunks.push(lines.slice(i, i + linesPerPage));
+  }
+  if (chunks.length === 0) chunks.push([]);
+
+  const pageCount = Math.min(chunks.length, maxPages);
+  if (chunks.length > pageCount) {
+    onWarning?.({
+      code: 'truncated',
+      message: `"${name}" fills ${chunks.length} pages; only the first ${pageCount} were loaded.`,
+      fileName: name
+    });
+  }
+
+  const pages = [];
+  for (let i = 0; i < pageCount; i++) {
+    context.fillStyle = 'white';
+    context.fillRect(0, 0, width, height);
+    context.fillStyle = '#1e293b';
+    context.font = `${fontSize}px ui-monospace, Menlo, Consolas, monospace`;
+    context.textBaseline = 'top';
+    chunks[i].forEach((line, row) => context.fillText(line, margin, margin + row * lineHeight));
+
+    pages.push({
+      blob: await canvasToBlob(canvas, 'image/png'),
+      type: 'text',
+      pageNum: i + 1,
+      pageCount: chunks.length,
+      name: chunks.length > 1 ? `${name} - Page ${i + 1}` : name,
+      dimensions: { width, height },
+      text: chunks[i].join('\n').trim()
+    });
+  }
+  return pages;
+}
+
+/**
+ * Turn a file of a kind from detectFileKind() into page objects
+ * (JPEG, PNG, WebP and PDF are handled by processFiles itself)
+ * @param {File} file
+ * @param {string} kind
+ * @param {Object} [options]
+ * @param {number} [options.maxPages]
+ * @param {Function} [options.onWarning] - Called with { code, message, fileName } for anything left out
+ * @returns {Promise<Array>} - Page objects
+ * @throws {Error} - When the file can't be decoded
+ */
+export async function decodeFile(file, kind, { maxPages = Infinity, onWarning = null } = {}) {
+  switch (kind) {
+    case 'tiff':
+      return await decodeTiff(file, { maxPages, onWarning });
+    case 'heic':
+      return [{ blob: await decodeHeic(file), type: 'image', name: file.name }];
+    case 'bitmap':
+      return [{ blob: await reencode(file, 'image/png'), type: 'image', name: file.name }];
+    case 'text':
+      return await textToPages(await file.text(), file.name, { maxPages, onWarning });
+    case 'html':
+      return await textToPages(htmlToText(await file.text()), file.name, { maxPages, onWarning });
+    case 'email': {
+      const { text, attachments } = parseEmail(await file.text());
+      if (attachments.length > 0) {
+        onWarning?.({
+          code: 'attachments',
+          message: `Attachments in "${file.name}" were not read (${attachments.join(', ')}). Save them and upload them to include them.`,
+          fileName: file.name
+        });
+      }
+      return await textToPages(text, file.name, { maxPages, onWarning });
+    }
+    default:
+      throw new Error(`Unsupported file type: ${file.type || 'unknown'}`);
+  }
+}
+
+export default {
+  ACCEPTED_FILES,
+  detectFileKind,
+  decodeFile,
+  htmlToText,
+  parseEmail,
+  wrapLines,
+  textToPages
+};
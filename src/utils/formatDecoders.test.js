@@ -0,0 +1,111 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import { detectFileKind, htmlToText, parseEmail, wrapLines } from './formatDecoders';
+
+const eml = (...lines) => lines.join('\r\n');
+
+describe('detectFileKind', () => {
+  it('uses the MIME type, then the extension', () => {
+    expect(detectFileKind({ name: 'a.jpg', type: 'image/jpeg' })).toBe('image');
+    expect(detectFileKind({ name: 'scan', type: 'image/tiff' })).toBe('tiff');
+    expect(detectFileKind({ name: 'IMG_0001.HEIC', type: '' })).toBe('heic');
+    expect(detectFileKind({ name: 'order.eml', type: '' })).toBe('email');
+    expect(detectFileKind({ name: 'archive.zip', type: 'application/zip' })).toBeNull();
+  });
+});
+
+describe('htmlToText', () => {
+  it('keeps block and table structure and drops scripts and styles', () => {
+    const html = `
+      <style>p { color: red }</style>
+      <h1>Invoice&nbsp;42</h1>
+      <p>Thanks for<br>your order</p>
+      <table>
+        <tr><th>Item</th><th>Price</th></tr>
+        <tr><td>Widget</td><td>$5.00</td></tr>
+      </table>
+      <script>alert(1)</script>`;
+    expect(htmlToText(html)).toBe('Invoice 42\nThanks for\nyour order\nItem | Price\nWidget | $5.00');
+  });
+
+  it('reads line breaks between inline tags in the source as spaces', () => {
+    expect(htmlToText('<p><b>Total</b>\n  <i>5.00</i></p>')).toBe('Total 5.00');
+  });
+});
+
+describe('parseEmail', () => {
+  it('reads the headers and a plain-text body', () => {
+    const { text, attachments } = parseEmail(eml(
+      'From: Shop <orders@shop.example>',
+      'To: me@example.com',
+      'Subject: =?UTF-8?B?T3JkZXIg4oSWIDQy?=',
+      'Date: Mon, 15 Jan 2024 10:00:00 +0000',
+      'X-Mailer: test',
+      '',
+      'Total: 12.50'
+    ));
+    expect(text).toBe([
+      'From: Shop <orders@shop.example>',
+      'To: me@example.com',
+      'Date: Mon, 15 Jan 2024 10:00:00 +0000',
+      'Subject: Order № 42',
+      '',
+      'Total: 12.50'
+    ].join('\n'));
+    expect(attachments).toEqual([]);
+  });
+
+  it('prefers the plain part of a multipart message and lists attachments', () => {
+    const { text, attachments } = parseEmail(eml(
+      'Subject: Receipt',
+      'Content-Type: multipart/mixed; boundary="outer"',
+      '',
+      '--outer',
+      'Content-Type: multipart/alternative; boundary=inner',
+      '',
+      '--inner',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: quoted-printable',
+      '',
+      'Caf=C3=A9 au lait =E2=82=AC3.50, soft=',
+      'break',
+      '--inner',
+      'Content-Type: text/html',
+      '',
+      '<p>HTML version</p>',
+      '--inner--',
+      '--outer',
+      'Content-Type: application/pdf; name="receipt.pdf"',
+      'Content-Disposition: attachment; filename="receipt.pdf"',
+      'Content-Transfer-Encoding: base64',
+      '',
+      'JVBERi0xLjQK',
+      '--outer--'
+    ));
+    expect(text).toBe('Subject: Receipt\n\nCafé au lait €3.50, softbreak');
+    expect(attachments).toEqual(['receipt.pdf']);
+  });
+
+  it('falls back to the HTML part, decoding base64', () => {
+    const html = btoa('<p>Order <b>42</b></p><p>Total 5</p>');
+    const { text } = parseEmail(eml(
+      'Content-Type: multipart/alternative; boundary=b',
+      '',
+      '--b',
+      'Content-Type: text/html; charset=utf-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      html,
+      '--b--'
+    ));
+    expect(text).toBe('Order 42\nTotal 5');
+  });
+});
+
+describe('wrapLines', () => {
+  it('wraps at word boundaries and cuts words longer than a line', () => {
+    expect(wrapLines('the quick brown fox', 10)).toEqual(['the quick', 'brown fox']);
+    expect(wrapLines('abcdefghijkl', 5)).toEqual(['abcde', 'fghij', 'kl']);
+    expect(wrapLines('a\r\n\r\nb', 5)).toEqual(['a', '', 'b']);
+  });
+});
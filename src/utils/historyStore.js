@@ -0,0 +1,187 @@
+// src/utils/historyStore.js
+
+/**
+ * Extraction history kept in the browser's IndexedDB.
+ * Nothing here leaves the device: records, thumbnails and (optionally) the
+ * original files are stored locally and can be deleted at any time.
+ *
+ * Record: {
+ *   id, createdAt, title, fileNames, pageCount,
+ *   thumbnails: Blob[], files: File[] | null,
+ *   request: { schemaPrompt, jsonSchemaText, schemaMode, schemaFields, inputMode },
+ *   rawOutputs: string[], data, meta: { conflicts, batchCount, validation }
+ * }
+ */
+
+const DB_NAME = 'buggu-history';
+const DB_VERSION = 1;
+const STORE_NAME = 'extractions';
+const SETTINGS_KEY = 'buggu.history.settings';
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  keepFiles: false
+};
+
+let dbPromise = null;
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available in this browser'));
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        store.createIndex('createdAt', 'createdAt');
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+async function withStore(mode, callback) {
+  const db = await openDatabase();
+  const transaction = db.transaction(STORE_NAME, mode);
+  const completed = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+  const result = await callback(transaction.objectStore(STORE_NAME));
+  await completed;
+  return result;
+}
+
+/**
+ * Read history settings from localStorage
+ * @returns {Object} - { enabled: boolean, keepFiles: boolean }
+ */
+export function getHistorySettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    return { ...DEFAULT_SETTINGS, ...stored };
+  } catch {
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Update history settings
+ * @param {Object} patch - Settings to change
+ * @returns {Object} - The updated settings
+ */
+export function setHistorySettings(patch) {
+  const settings = { ...getHistorySettings(), ...patch };
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  return settings;
+}
+
+/**
+ * Store a finished extraction
+ * @param {Object} entry - Record fields (id and createdAt are filled in)
+ * @returns {Promise<Object>} - The stored record
+ */
+export async function saveExtraction(entry) {
+  const record = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    createdAt: Date.now(),
+    files: null,
+    thumbnails: [],
+    rawOutputs: [],
+    ...entry
+  };
+
+  await withStore('readwrite', store => requestToPromise(store.put(record)));
+  return record;
+}
+
+/**
+ * List stored extractions, newest first. Original files are left out to keep
+ * the list light; use getExtraction() for the full record.
+ * @returns {Promise<Array>}
+ */
+export async function listExtractions() {
+  const records = await withStore('readonly', store => requestToPromise(store.getAll()));
+  return records
+    .map(({ files, ...record }) => ({ ...record, hasFiles: Array.isArray(files) && files.length > 0 }))
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Load one extraction
+ * @param {string} id
+ * @returns {Promise<Object|undefined>}
+ */
+export async function getExtraction(id) {
+  return withStore('readonly', store => requestToPromise(store.get(id)));
+}
+
+/**
+ * Delete one extraction
+ * @param {string} id
+ */
+export async function deleteExtraction(id) {
+  await withStore('readwrite', store => requestToPromise(store.delete(id)));
+}
+
+/**
+ * Delete every stored extraction
+ */
+export async function clearHistory() {
+  await withStore('readwrite', store => requestToPromise(store.clear()));
+}
+
+/**
+ * Filter history records by a free-text query. Matches file names, the
+ * request and any value in the extracted JSON.
+ * @param {Array} records - Records from listExtractions()
+ * @param {string} query
+ * @returns {Array}
+ */
+export function searchExtractions(records, query) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return records;
+
+  return records.filter(record => {
+    const haystack = [
+      record.title,
+      ...(record.fileNames || []),
+      record.request?.schemaPrompt,
+      JSON.stringify(record.data)
+    ].join('\n').toLowerCase();
+    return terms.every(term => haystack.includes(term));
+  });
+}
+
+export default {
+  getHistorySettings,
+  setHistorySettings,
+  saveExtraction,
+  listExtractions,
+  getExtraction,
+  deleteExtraction,
+  clearHistory,
+  searchExtractions
+};
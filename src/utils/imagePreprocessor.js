@@ -0,0 +1,590 @@
+// src/utils/imagePreprocessor.js
+
+/**
+ * Clean up photographed pages before they reach the model:
+ * - EXIF orientation is applied and baked into the pixels
+ * - the document is found against its background and cropped with a
+ *   perspective correction; pages that fill the frame are deskewed instead
+ * - faded pages get a contrast stretch, or adaptive black-and-white for
+ *   thermal receipts
+ * - large photos are scaled down to a target resolution
+ * Everything runs on a canvas in the browser. PDF pages are left alone, since
+ * they are rendered cleanly and their text layer positions must stay valid.
+ *
+ * Step: { code: 'rotated' | 'cropped' | 'deskewed' | 'resized' | 'contrast' | 'binarized', label }
+ */
+
+const SETTINGS_KEY = 'buggu.preprocess.settings';
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  straighten: true,
+  enhance: 'auto', // auto | binarize | off
+  maxDimension: 2048 // null keeps the original size
+};
+
+// Detection and skew estimation run on a small copy of the image
+const ANALYSIS_SIZE = 600;
+// Resolution kept while working, relative to the output size, so a crop still has detail
+const WORK_MARGIN = 1.5;
+const MAX_WORK_SIZE = 4096;
+
+// Share of the frame a detected document must cover to be cropped
+const MIN_DOCUMENT_AREA = 0.2;
+const MAX_DOCUMENT_AREA = 0.95;
+
+const MAX_SKEW = 15;
+const MIN_SKEW = 0.3;
+
+// Auto contrast leaves images alone whose tones already span this range
+const GOOD_CONTRAST = 160;
+
+/**
+ * Read preprocessing settings
+ * @returns {Object} - { enabled, straighten, enhance, maxDimension }
+ */
+export function getPreprocessSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    return { ...DEFAULT_SETTINGS, ...stored };
+  } catch {
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Update preprocessing settings
+ * @param {Object} patch - Settings to change
+ * @returns {Object} - The updated settings
+ */
+export function setPreprocessSettings(patch) {
+  const settings = { ...getPreprocessSettings(), ...patch };
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  return settings;
+}
+
+/**
+ * Read the EXIF orientation of a JPEG
+ * @param {ArrayBuffer} buffer - Start of the file
+ * @returns {number} - 1-8, 1 when upright or unknown
+ */
+function readExifOrientation(buffer) {
+  const view = new DataView(buffer);
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return 1;
+
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    const length = view.getUint16(offset + 2);
+    if ((marker & 0xff00) !== 0xff00) return 1;
+
+    // APP1 with an "Exif\0\0" header
+    if (marker === 0xffe1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+      const tiff = offset + 10;
+      if (tiff + 8 > view.byteLength) return 1;
+      const little = view.getUint16(tiff) === 0x4949;
+      const ifd = tiff + view.getUint32(tiff + 4, little);
+      if (ifd + 2 > view.byteLength) return 1;
+
+      const count = view.getUint16(ifd, little);
+      for (let i = 0; i < count; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 12 > view.byteLength) return 1;
+        if (view.getUint16(entry, little) === 0x0112) {
+          const orientation = view.getUint16(entry + 8, little);
+          return orientation >= 1 && orientation <= 8 ? orientation : 1;
+        }
+      }
+      return 1;
+    }
+    offset += 2 + length;
+  }
+  return 1;
+}
+
+function toGray({ data, width, height }) {
+  const gray = new Uint8ClampedArray(width * height);
+  for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+    gray[i] = (data[p] * 299 + data[p + 1] * 587 + data[p + 2] * 114) / 1000;
+  }
+  return gray;
+}
+
+function boxBlur(gray, width, height, radius) {
+  const pass = (source, horizontal) => {
+    const out = new Uint8ClampedArray(source.length);
+    const outer = horizontal ? height : width;
+    const inner = horizontal ? width : height;
+    const index = (o, i) => (horizontal ? o * width + i : i * width + o);
+
+    for (let o = 0; o < outer; o++) {
+      let sum = 0;
+      let count = 0;
+      for (let i = -radius; i < inner + radius; i++) {
+        const add = i + radius;
+        if (add < inner) {
+          sum += source[index(o, add)];
+          count++;
+        }
+        const drop = i - radius - 1;
+        if (drop >= 0) {
+          sum -= source[index(o, drop)];
+          count--;
+        }
+        if (i >= 0 && i < inner) out[index(o, i)] = sum / count;
+      }
+    }
+    return out;
+  };
+  return pass(pass(gray, true), false);
+}
+
+function histogram(gray) {
+  const counts = new Uint32Array(256);
+  for (let i = 0; i < gray.length; i++) counts[gray[i]]++;
+  return counts;
+}
+
+function otsuThreshold(counts, total) {
+  let sum = 0;
+  for (let t = 0; t < 256; t++) sum += t * counts[t];
+
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let best = 0;
+  let threshold = 127;
+  for (let t = 0; t < 256; t++) {
+    weightBackground += counts[t];
+    if (weightBackground === 0) continue;
+    const weightForeground = total - weightBackground;
+    if (weightForeground === 0) break;
+
+    sumBackground += t * counts[t];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sum - sumBackground) / weightForeground;
+    const between = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+    if (between > best) {
+      best = between;
+      threshold = t;
+    }
+  }
+  return threshold;
+}
+
+function percentile(counts, total, share) {
+  let seen = 0;
+  for (let t = 0; t < 256; t++) {
+    seen += counts[t];
+    if (seen >= total * share) return t;
+  }
+  return 255;
+}
+
+/**
+ * Find the corners of a light document on a darker background
+ * @param {Uint8ClampedArray} gray - Grayscale pixels
+ * @param {number} width
+ * @param {number} height
+ * @returns {Array|null} - [topLeft, topRight, bottomRight, bottomLeft] as { x, y } in 0-1, or null
+ */
+function detectDocumentQuad(gray, width, height) {
+  const blurred = boxBlur(gray, width, height, 2);
+  const threshold = otsuThreshold(histogram(blurred), blurred.length);
+
+  // Largest connected region brighter than the threshold
+  const labels = new Int32Array(width * height);
+  const stack = new Int32Array(width * height);
+  let bestLabel = 0;
+  let bestSize = 0;
+  let label = 0;
+
+  for (let start = 0; start < labels.length; start++) {
+    if (labels[start] || blurred[start] <= threshold) continue;
+    label++;
+    let size = 0;
+    let top = 0;
+    stack[top++] = start;
+    labels[start] = label;
+
+    while (top > 0) {
+      const index = stack[--top];
+      size++;
+      const x = index % width;
+      const neighbours = [
+        x > 0 ? index - 1 : -1,
+        x < width - 1 ? index + 1 : -1,
+        index - width,
+        index + width
+      ];
+      for (const next of neighbours) {
+        if (next >= 0 && next < labels.length && !labels[next] && blurred[next] > threshold) {
+          labels[next] = label;
+          stack[top++] = next;
+        }
+      }
+    }
+
+    if (size > bestSize) {
+      bestSize = size;
+      bestLabel = label;
+    }
+  }
+
+  if (bestSize / labels.length < MIN_DOCUMENT_AREA) return null;
+
+  // Extreme points along the diagonals are the corners of a roughly upright quad
+  const corners = { tl: null, tr: null, br: null, bl: null };
+  const best = { tl: Infinity, tr: -Infinity, br: -Infinity, bl: Infinity };
+  for (let index = 0; index < labels.length; index++) {
+    if (labels[index] !== bestLabel) continue;
+    const x = index % width;
+    const y = (index - x) / width;
+    if (x + y < best.tl) { best.tl = x + y; corners.tl = { x, y }; }
+    if (x - y > best.tr) { best.tr = x - y; corners.tr = { x, y }; }
+    if (x + y > best.br) { best.br = x + y; corners.br = { x, y }; }
+    if (x - y < best.bl) { best.bl = x - y; corners.bl = { x, y }; }
+  }
+
+  const quad = [corners.tl, corners.tr, corners.br, corners.bl];
+  const area = Math.abs(quad.reduce((sum, p, i) => {
+    const q = quad[(i + 1) % 4];
+    return sum + p.x * q.y - q.x * p.y;
+  }, 0)) / 2;
+
+  // A page filling the frame has nothing to crop
+  if (area / labels.length > MAX_DOCUMENT_AREA) return null;
+  // The region must actually be shaped like the quad (not a blob or an L-shape).
+  // Text inside the page leaves holes in the region, so it may be somewhat smaller than the quad
+  if (area / bestSize < 0.85 || area / bestSize > 1.35) return null;
+  const minSide = Math.min(width, height) * 0.2;
+  for (let i = 0; i < 4; i++) {
+    const q = quad[(i + 1) % 4];
+    if (Math.hypot(q.x - quad[i].x, q.y - quad[i].y) < minSide) return null;
+  }
+
+  return quad.map(({ x, y }) => ({ x: (x + 0.5) / width, y: (y + 0.5) / height }));
+}
+
+/**
+ * Estimate how far text lines are tilted, using the projection profile of
+ * dark pixels: rows are sharpest when the page is level
+ * @param {Uint8ClampedArray} gray
+ * @param {number} width
+ * @param {number} height
+ * @returns {number} - Angle in degrees to rotate the image by (canvas rotate direction)
+ */
+function estimateSkewAngle(gray, width, height) {
+  const counts = histogram(gray);
+  const threshold = Math.min(otsuThreshold(counts, gray.length), percentile(counts, gray.length, 0.5) - 30);
+
+  const points = [];
+  for (let index = 0; index < gray.length; index++) {
+    if (gray[index] <= threshold) points.push(index);
+  }
+  const darkShare = points.length / gray.length;
+  if (darkShare < 0.002 || darkShare > 0.4) return 0;
+
+  const stride = Math.max(1, Math.floor(points.length / 30000));
+  const xs = [];
+  const ys = [];
+  for (let i = 0; i < points.length; i += stride) {
+    const x = points[i] % width;
+    xs.push(x - width / 2);
+    ys.push((points[i] - x) / width - height / 2);
+  }
+
+  const diagonal = Math.ceil(Math.hypot(width, height));
+  const bins = new Float64Array(diagonal + 2);
+  const score = (degrees) => {
+    const angle = (degrees * Math.PI) / 180;
+    const sin = Math.sin(angle);
+    const cos = Math.cos(angle);
+    bins.fill(0);
+    for (let i = 0; i < xs.length; i++) {
+      bins[Math.round(xs[i] * sin + ys[i] * cos + diagonal / 2)]++;
+    }
+    let total = 0;
+    for (let i = 0; i < bins.length; i++) total += bins[i] * bins[i];
+    return total;
+  };
+
+  let bestAngle = 0;
+  let bestScore = score(0);
+  const level = bestScore;
+  for (let degrees = -MAX_SKEW; degrees <= MAX_SKEW; degrees += 0.5) {
+    const value = score(degrees);
+    if (value > bestScore) {
+      bestScore = value;
+      bestAngle = degrees;
+    }
+  }
+  for (let degrees = bestAngle - 0.4; degrees <= bestAngle + 0.4; degrees += 0.1) {
+    const value = score(degrees);
+    if (value > bestScore) {
+      bestScore = value;
+      bestAngle = degrees;
+    }
+  }
+
+  // Ignore noise: a real tilt makes the profile clearly sharper
+  if (bestScore < level * 1.05) return 0;
+  return Math.round(bestAngle * 10) / 10;
+}
+
+// Solve the 8 coefficients mapping the unit-less rectangle corners onto the quad
+function perspectiveTransform(from, to) {
+  const rows = [];
+  for (let i = 0; i < 4; i++) {
+    const { x, y } = from[i];
+    const { x: u, y: v } = to[i];
+    rows.push([x, y, 1, 0, 0, 0, -x * u, -y * u, u]);
+    rows.push([0, 0, 0, x, y, 1, -x * v, -y * v, v]);
+  }
+
+  for (let col = 0; col < 8; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < 8; row++) {
+      if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+    }
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+    for (let row = 0; row < 8; row++) {
+      if (row === col) continue;
+      const factor = rows[row][col] / rows[col][col];
+      for (let k = col; k < 9; k++) rows[row][k] -= factor * rows[col][k];
+    }
+  }
+  return rows.map((row, i) => row[8] / row[i]);
+}
+
+function warpPerspective(source, quad, width, height) {
+  const [a, b, c, d, e, f, g, h] = perspectiveTransform(
+    [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }],
+    quad.map(({ x, y }) => ({ x: x * source.width, y: y * source.height }))
+  );
+  const out = new ImageData(width, height);
+  const { data: src, width: sw, height: sh } = source;
+
+  for (let y = 0; y < height; y++) {
+    const cy = y + 0.5;
+    for (let x = 0; x < width; x++) {
+      // Sample at pixel centers
+      const cx = x + 0.5;
+      const w = g * cx + h * cy + 1;
+      const sx = Math.min(sw - 1.001, Math.max(0, (a * cx + b * cy + c) / w - 0.5));
+      const sy = Math.min(sh - 1.001, Math.max(0, (d * cx + e * cy + f) / w - 0.5));
+      const x0 = Math.floor(sx);
+      const y0 = Math.floor(sy);
+      const fx = sx - x0;
+      const fy = sy - y0;
+      const p00 = (y0 * sw + x0) * 4;
+      const p10 = p00 + 4;
+      const p01 = p00 + sw * 4;
+      const p11 = p01 + 4;
+      const o = (y * width + x) * 4;
+      for (let k = 0; k < 3; k++) {
+        const top = src[p00 + k] + (src[p10 + k] - src[p00 + k]) * fx;
+        const bottom = src[p01 + k] + (src[p11 + k] - src[p01 + k]) * fx;
+        out.data[o + k] = top + (bottom - top) * fy;
+      }
+      out.data[o + 3] = 255;
+    }
+  }
+  return out;
+}
+
+function stretchContrast(image, force) {
+  const gray = toGray(image);
+  const counts = histogram(gray);
+  const low = percentile(counts, gray.length, 0.01);
+  const high = percentile(counts, gray.length, 0.99);
+  if (high - low < 8 || (!force && high - low >= GOOD_CONTRAST)) return false;
+
+  const scale = 255 / (high - low);
+  const { data } = image;
+  for (let p = 0; p < data.length; p += 4) {
+    data[p] = (data[p] - low) * scale;
+    data[p + 1] = (data[p + 1] - low) * scale;
+    data[p + 2] = (data[p + 2] - low) * scale;
+  }
+  return true;
+}
+
+// Bradley adaptive threshold: a pixel is ink when it is clearly darker than its surroundings
+function binarize(image) {
+  const { width, height, data } = image;
+  const gray = toGray(image);
+  const integral = new Float64Array((width + 1) * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let row = 0;
+    for (let x = 0; x < width; x++) {
+      row += gray[y * width + x];
+      integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + row;
+    }
+  }
+
+  const half = Math.max(7, Math.round(Math.max(width, height) / 32));
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - half);
+    const y1 = Math.min(height, y + half + 1);
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - half);
+      const x1 = Math.min(width, x + half + 1);
+      const sum = integral[y1 * (width + 1) + x1] - integral[y0 * (width + 1) + x1]
+        - integral[y1 * (width + 1) + x0] + integral[y0 * (width + 1) + x0];
+      const area = (x1 - x0) * (y1 - y0);
+      const value = gray[y * width + x] * area < sum * 0.85 ? 0 : 255;
+      const p = (y * width + x) * 4;
+      data[p] = data[p + 1] = data[p + 2] = value;
+    }
+  }
+}
+
+function createCanvas(width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+function canvasToBlob(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error('Canvas to blob conversion failed'))),
+      type,
+      quality
+    );
+  });
+}
+
+/**
+ * Run the cleanup pipeline on one photo
+ * @param {Blob} blob - Original image
+ * @param {Object} [settings] - See getPreprocessSettings()
+ * @returns {Promise<Object>} - { blob, steps, width, height }; the original blob when nothing changed
+ */
+export async function preprocessImage(blob, settings = DEFAULT_SETTINGS) {
+  const steps = [];
+  const orientation = blob.type === 'image/jpeg' || blob.type === 'image/jpg'
+    ? readExifOrientation(await blob.slice(0, 128 * 1024).arrayBuffer())
+    : 1;
+  if (orientation > 1) steps.push({ code: 'rotated', label: 'Rotated upright' });
+
+  const bitmap = await createImageBitmap(blob, { imageOrientation: 'from-image' });
+  const longest = Math.max(bitmap.width, bitmap.height);
+  const target = settings.maxDimension || longest;
+
+  // Working copy, larger than the target so a crop keeps enough detail
+  const workScale = Math.min(1, Math.min(MAX_WORK_SIZE, target * WORK_MARGIN) / longest);
+  const work = createCanvas(Math.round(bitmap.width * workScale), Math.round(bitmap.height * workScale));
+  const workContext = work.getContext('2d', { willReadFrequently: true });
+  workContext.fillStyle = 'white';
+  workContext.fillRect(0, 0, work.width, work.height);
+  workContext.drawImage(bitmap, 0, 0, work.width, work.height);
+  bitmap.close();
+
+  const analysisScale = Math.min(1, ANALYSIS_SIZE / Math.max(work.width, work.height));
+  const analysis = createCanvas(Math.max(1, Math.round(work.width * analysisScale)), Math.max(1, Math.round(work.height * analysisScale)));
+  const analysisContext = analysis.getContext('2d', { willReadFrequently: true });
+  analysisContext.drawImage(work, 0, 0, analysis.width, analysis.height);
+  const gray = toGray(analysisContext.getImageData(0, 0, analysis.width, analysis.height));
+
+  let image = null;
+  let downscaled = false;
+  const quad = settings.straighten ? detectDocumentQuad(gray, analysis.width, analysis.height) : null;
+
+  if (quad) {
+    const [tl, tr, br, bl] = quad.map(({ x, y }) => ({ x: x * work.width, y: y * work.height }));
+    const docWidth = Math.max(Math.hypot(tr.x - tl.x, tr.y - tl.y), Math.hypot(br.x - bl.x, br.y - bl.y));
+    const docHeight = Math.max(Math.hypot(bl.x - tl.x, bl.y - tl.y), Math.hypot(br.x - tr.x, br.y - tr.y));
+    const scale = Math.min(1, target / Math.max(docWidth, docHeight));
+    downscaled = Math.max(docWidth, docHeight) / workScale > target;
+    image = warpPerspective(
+      workContext.getImageData(0, 0, work.width, work.height),
+      quad,
+      Math.max(1, Math.round(docWidth * scale)),
+      Math.max(1, Math.round(docHeight * scale))
+    );
+    steps.push({ code: 'cropped', label: 'Cropped to document' });
+  } else {
+    const angle = settings.straighten ? estimateSkewAngle(gray, analysis.width, analysis.height) : 0;
+    const scale = Math.min(1, target / Math.max(work.width, work.height));
+    downscaled = longest > target;
+    const output = createCanvas(Math.round(work.width * scale), Math.round(work.height * scale));
+    const context = output.getContext('2d', { willReadFrequently: true });
+    context.fillStyle = 'white';
+    context.fillRect(0, 0, output.width, output.height);
+
+    if (Math.abs(angle) >= MIN_SKEW) {
+      context.translate(output.width / 2, output.height / 2);
+      context.rotate((angle * Math.PI) / 180);
+      context.translate(-output.width / 2, -output.height / 2);
+      steps.push({ code: 'deskewed', label: `Straightened ${Math.abs(angle)}°` });
+    }
+    context.drawImage(work, 0, 0, output.width, output.height);
+    image = context.getImageData(0, 0, output.width, output.height);
+  }
+
+  if (downscaled) {
+    steps.push({ code: 'resized', label: `Scaled to ${image.width}×${image.height}` });
+  }
+
+  if (settings.enhance === 'binarize') {
+    binarize(image);
+    steps.push({ code: 'binarized', label: 'Black and white' });
+  } else if (settings.enhance === 'auto' && stretchContrast(image, false)) {
+    steps.push({ code: 'contrast', label: 'Contrast boosted' });
+  }
+
+  if (steps.length === 0) {
+    return { blob, steps, width: image.width, height: image.height };
+  }
+
+  const result = createCanvas(image.width, image.height);
+  result.getContext('2d').putImageData(image, 0, 0);
+  const processed = settings.enhance === 'binarize'
+    ? await canvasToBlob(result, 'image/png')
+    : await canvasToBlob(result, 'image/jpeg', 0.92);
+  return { blob: processed, steps, width: image.width, height: image.height };
+}
+
+/**
+ * Preprocess the photos among processed pages. Pages keep their original
+ * image as originalBlob, so settings can be changed and the pipeline re-run.
+ * @param {Array} pages - From processFiles()
+ * @param {Object} settings - See getPreprocessSettings()
+ * @returns {Promise<Array>} - Pages with { blob, originalBlob?, preprocessing: Step[] | null }
+ */
+export async function preprocessPages(pages, settings) {
+  const results = [];
+  for (const page of pages) {
+    if (page.type !== 'image') {
+      results.push(page);
+      continue;
+    }
+
+    const { originalBlob, ...rest } = page;
+    const original = originalBlob || page.blob;
+    if (!settings.enabled) {
+      results.push({ ...rest, blob: original, preprocessing: null });
+      continue;
+    }
+
+    try {
+      const { blob, steps, width, height } = await preprocessImage(original, settings);
+      results.push(steps.length > 0
+        ? { ...rest, blob, originalBlob: original, preprocessing: steps, dimensions: { width, height } }
+        : { ...rest, blob: original, preprocessing: steps });
+    } catch (error) {
+      console.warn(`Could not preprocess "${page.name}":`, error);
+      results.push({ ...rest, blob: original, preprocessing: null });
+    }
+  }
+  return results;
+}
+
+export default {
+  getPreprocessSettings,
+  setPreprocessSettings,
+  preprocessImage,
+  preprocessPages
+};
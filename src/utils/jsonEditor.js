@@ -0,0 +1,134 @@
+// src/utils/jsonEditor.js
+
+import { getAtPath, setAtPath, removeAtPath, joinPath } from './jsonPath';
+
+/**
+ * State helpers for reviewing and correcting an extraction result.
+ * The history keeps every edit together with the value it replaced, so undo
+ * and redo move both the data and the edit log:
+ * { past: [{ value, edit }], present, future: [{ value, edit }] }
+ *
+ * Edit: { type: 'set' | 'add-row' | 'remove', path, before, after, at }
+ */
+
+/**
+ * Start an edit history
+ * @param {*} value - The model's output
+ * @returns {Object}
+ */
+export function createEditHistory(value) {
+  return { past: [], present: value, future: [] };
+}
+
+function commit(history, value, edit) {
+  return {
+    past: [...history.past, { value: history.present, edit: { ...edit, at: Date.now() } }],
+    present: value,
+    future: []
+  };
+}
+
+/**
+ * Set the value at a path
+ * @param {Object} history
+ * @param {string} path
+ * @param {*} value
+ * @returns {Object} - New history
+ */
+export function setValue(history, path, value) {
+  const before = getAtPath(history.present, path);
+  if (JSON.stringify(before) === JSON.stringify(value)) return history;
+  return commit(history, setAtPath(history.present, path, value), { type: 'set', path, before, after: value });
+}
+
+/**
+ * Append a row to the array at a path, shaped like the existing rows
+ * @param {Object} history
+ * @param {string} path - Path of the array
+ * @returns {Object} - New history
+ */
+export function addRow(history, path) {
+  const rows = getAtPath(history.present, path) || [];
+  const row = rows.length > 0 ? emptyLike(rows[rows.length - 1]) : null;
+  return commit(history, setAtPath(history.present, path, [...rows, row]), {
+    type: 'add-row',
+    path: joinPath(path, rows.length),
+    before: undefined,
+    after: row
+  });
+}
+
+/**
+ * Remove an array row or object field
+ * @param {Object} history
+ * @param {string} path
+ * @returns {Object} - New history
+ */
+export function removeValue(history, path) {
+  const before = getAtPath(history.present, path);
+  return commit(history, removeAtPath(history.present, path), { type: 'remove', path, before, after: undefined });
+}
+
+/**
+ * Step back one edit
+ * @param {Object} history
+ * @returns {Object} - New history
+ */
+export function undoEdit(history) {
+  if (history.past.length === 0) return history;
+  const last = history.past[history.past.length - 1];
+  return {
+    past: history.past.slice(0, -1),
+    present: last.value,
+    future: [{ value: history.present, edit: last.edit }, ...history.future]
+  };
+}
+
+/**
+ * Re-apply the last undone edit
+ * @param {Object} history
+ * @returns {Object} - New history
+ */
+export function redoEdit(history) {
+  if (history.future.length === 0) return history;
+  const [next, ...rest] = history.future;
+  return {
+    past: [...history.past, { value: history.present, edit: next.edit }],
+    present: next.value,
+    future: rest
+  };
+}
+
+/**
+ * Edits currently applied, oldest first
+ * @param {Object} history
+ * @returns {Array}
+ */
+export function getEditLog(history) {
+  return history.past.map(step => step.edit);
+}
+
+/**
+ * A blank value with the same shape, used for new array rows
+ * @param {*} value - Example value (usually the last row)
+ * @returns {*}
+ */
+export function emptyLike(value) {
+  if (Array.isArray(value)) return [];
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).map(key => [key, emptyLike(value[key])]));
+  }
+  if (typeof value === 'string') return '';
+  return null;
+}
+
+export default {
+  createEditHistory,
+  setValue,
+  addRow,
+  removeValue,
+  undoEdit,
+  redoEdit,
+  getEditLog,
+  emptyLike
+};
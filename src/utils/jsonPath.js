@@ -0,0 +1,114 @@
+// src/utils/jsonPath.js
+
+/**
+ * Helpers for the dotted paths used in reports and edit logs,
+ * e.g. "vendor.name" or "items[0].price".
+ */
+
+/**
+ * Join a parent path and a key into a dotted path ("items[0].price")
+ * @param {string} parent
+ * @param {string|number} key
+ * @returns {string}
+ */
+export function joinPath(parent, key) {
+  if (typeof key === 'number') return `${parent}[${key}]`;
+  return parent ? `${parent}.${key}` : key;
+}
+
+/**
+ * Split a dotted path into keys; array indices become numbers
+ * @param {string} path
+ * @returns {Array<string|number>}
+ */
+export function parsePath(path) {
+  if (!path || path === '(root)') return [];
+
+  const keys = [];
+  const pattern = /([^.[\]]+)|\[(\d+)\]/g;
+  let match;
+  while ((match = pattern.exec(path)) !== null) {
+    keys.push(match[2] !== undefined ? Number(match[2]) : match[1]);
+  }
+  return keys;
+}
+
+/**
+ * Read the value at a path
+ * @param {*} data
+ * @param {string} path
+ * @returns {*} - The value, or undefined when any segment is missing
+ */
+export function getAtPath(data, path) {
+  return parsePath(path).reduce(
+    (value, key) => (value === null || value === undefined ? undefined : value[key]),
+    data
+  );
+}
+
+/**
+ * Return a copy of data with the value at path replaced.
+ * Missing objects and arrays along the path are created.
+ * @param {*} data
+ * @param {string} path
+ * @param {*} value
+ * @returns {*} - Updated copy
+ */
+export function setAtPath(data, path, value) {
+  const keys = parsePath(path);
+  if (keys.length === 0) return value;
+
+  const [key, ...rest] = keys;
+  const container = data !== null && typeof data === 'object'
+    ? (Array.isArray(data) ? [...data] : { ...data })
+    : (typeof key === 'number' ? [] : {});
+
+  container[key] = rest.length === 0
+    ? value
+    : setAtPath(container[key], keysToPath(rest), value);
+  return container;
+}
+
+/**
+ * Return a copy of data with the value at path removed.
+ * Array items are spliced out so later indices shift down.
+ * @param {*} data
+ * @param {string} path
+ * @returns {*} - Updated copy (data itself when the path is the root)
+ */
+export function removeAtPath(data, path) {
+  const keys = parsePath(path);
+  if (keys.length === 0) return data;
+
+  const parentPath = keysToPath(keys.slice(0, -1));
+  const key = keys[keys.length - 1];
+  const parent = parentPath ? getAtPath(data, parentPath) : data;
+  if (parent === null || typeof parent !== 'object') return data;
+
+  let updated;
+  if (Array.isArray(parent)) {
+    updated = parent.filter((_, index) => index !== key);
+  } else {
+    const { [key]: _removed, ...rest } = parent;
+    updated = rest;
+  }
+  return parentPath ? setAtPath(data, parentPath, updated) : updated;
+}
+
+/**
+ * Build a dotted path from keys
+ * @param {Array<string|number>} keys
+ * @returns {string}
+ */
+export function keysToPath(keys) {
+  return keys.reduce((path, key) => joinPath(path, key), '');
+}
+
+export default {
+  joinPath,
+  parsePath,
+  getAtPath,
+  setAtPath,
+  removeAtPath,
+  keysToPath
+};
@@ -47,29 +47,377 @@ export function sanitizeJSON(rawText) {
     return cleaned;
 }
 
+const FENCE_PATTERN = /```(?:json)?\s*/gi;
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/;
+const WORD_PATTERN = /^[A-Za-z_$][\w$]*/;
+
+const LITERALS = {
+    true: true,
+    false: false,
+    null: null,
+    True: true,
+    False: false,
+    None: null,
+    NaN: null,
+    Infinity: null,
+    undefined: null
+};
+
+/**
+ * Tolerant JSON parser that repairs common LLM output problems:
+ * markdown fences and surrounding prose, comments, single-quoted strings,
+ * unquoted keys and values, Python literals (None/True/False), NaN/Infinity,
+ * unescaped newlines and quotes inside strings, thousands separators in
+ * numbers, missing or trailing commas, mismatched brackets and truncated output (open strings, arrays and
+ * objects are closed).
+ * @param {string} text - Raw model output
+ * @returns {Object} - { value, fixes: string[], truncated: boolean }
+ * @throws {SyntaxError} - When no JSON value can be recovered
+ */
+export function repairJSONWithReport(text) {
+    if (!text) {
+        throw new SyntaxError('Empty response from AI model');
+    }
+
+    const fixes = new Set();
+    const fix = (message) => fixes.add(message);
+
+    let input = text;
+    if (input.includes('```')) {
+        input = input.replace(FENCE_PATTERN, '');
+        fix('Removed markdown code fences');
+    }
+
+    const start = input.search(/[{[]/);
+    if (start === -1) {
+        throw new SyntaxError('AI response does not contain a JSON object or array');
+    }
+    if (input.slice(0, start).trim()) fix('Removed text before the JSON');
+
+    let pos = start;
+    let truncated = false;
+
+    const atEnd = () => pos >= input.length;
+
+    // "#" between tokens starts a comment, except where a value starts
+    // right against it ("ref": #4411), which is text
+    const isHashComment = (beforeValue) => input[pos] === '#'
+        && !(beforeValue && /\S/.test(input[pos + 1] ?? ' '));
+
+    const skipWhitespace = (beforeValue = false) => {
+        while (!atEnd()) {
+            const ch = input[pos];
+            if (/\s/.test(ch)) {
+                pos++;
+            } else if (ch === '/' && input[pos + 1] === '/' || isHashComment(beforeValue)) {
+                const end = input.indexOf('\n', pos);
+                pos = end === -1 ? input.length : end + 1;
+                fix('Removed comments');
+            } else if (ch === '/' && input[pos + 1] === '*') {
+                const end = input.indexOf('*/', pos + 2);
+                pos = end === -1 ? input.length : end + 2;
+                fix('Removed comments');
+            } else {
+                break;
+            }
+        }
+    };
+
+    // A quote ends the string if what follows can't continue a string
+    const isClosingQuote = (isKey) => {
+        let look = pos + 1;
+        let sawNewline = false;
+        while (look < input.length && /\s/.test(input[look])) {
+            if (input[look] === '\n') sawNewline = true;
+            look++;
+        }
+        if (look >= input.length || sawNewline) return true;
+        const next = input[look];
+        return isKey ? next === ':' : ',}]:'.includes(next) || next === '/';
+    };
+
+    const parseString = (isKey = false) => {
+        const quote = input[pos];
+        if (quote === "'") fix('Converted single-quoted strings');
+        pos++;
+
+        let result = '';
+        while (!atEnd()) {
+            const ch = input[pos];
+
+            if (ch === quote) {
+                if (isClosingQuote(isKey)) {
+                    pos++;
+                    return { value: result, complete: true };
+                }
+                fix('Escaped stray quotes inside strings');
+                result += ch;
+                pos++;
+                continue;
+            }
+
+            if (ch === '\\') {
+                const next = input[pos + 1];
+                if (next === undefined) {
+                    pos++;
+                    break;
+                }
+                if (next === 'u') {
+                    const hex = input.slice(pos + 2, pos + 6);
+                    if (/^[0-9a-fA-F]{4}$/.test(hex)) {
+                        result += String.fromCharCode(parseInt(hex, 16));
+                        pos += 6;
+                        continue;
+                    }
+                    if (pos + 6 > input.length) {
+                        pos = input.length;
+                        break;
+                    }
+                }
+                const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', '"': '"', "'": "'", '\\': '\\', '/': '/' };
+                if (!(next in escapes)) fix('Removed invalid escape sequences');
+                result += escapes[next] ?? next;
+                pos += 2;
+                continue;
+            }
+
+            if (ch === '\n' || ch === '\r' || ch === '\t') fix('Escaped control characters inside strings');
+            result += ch;
+            pos++;
+        }
+
+        truncated = true;
+        fix('Closed unterminated string');
+        return { value: result, complete: false };
+    };
+
+    const parseBareWord = () => {
+        const rest = input.slice(pos);
+        const word = rest.match(WORD_PATTERN)?.[0];
+
+        if (word && word in LITERALS) {
+            pos += word.length;
+            if (word === 'True' || word === 'False' || word === 'None') fix('Converted Python literals');
+            if (word === 'NaN' || word === 'Infinity' || word === 'undefined') fix('Replaced NaN/Infinity/undefined with null');
+            return { value: LITERALS[word], complete: true };
+        }
+
+        // Cut off mid-literal at the end of the output ("tru", "nul")
+        if (word && pos + word.length >= input.length) {
+            const literal = ['true', 'false', 'null'].find(candidate => candidate.startsWith(word));
+            if (literal) {
+                pos = input.length;
+                truncated = true;
+                fix('Completed truncated literal');
+                return { value: LITERALS[literal], complete: false };
+            }
+        }
+
+        // Unquoted string value: read up to the next delimiter on this line
+        const bare = rest.match(/^[^,}\]\n]+/)?.[0]?.trim();
+        if (!bare) throw new SyntaxError(`Unexpected character "${input[pos]}" at position ${pos}`);
+        pos += rest.indexOf(bare) + bare.length;
+        fix('Quoted bare string values');
+        return { value: bare, complete: true };
+    };
+
+    const parseNumber = (inObject) => {
+        const rest = input.slice(pos);
+
+        // "1,234.50" as an object value: a comma there can't start the next key
+        const grouped = inObject && rest.match(/^-?\d{1,3}(?:,\d{3})+(?:\.\d+)?(?=\s*(?:[,}\]]|$))/);
+        if (grouped) {
+            pos += grouped[0].length;
+            fix('Removed thousands separators from numbers');
+            return { value: Number(grouped[0].replace(/,/g, '')), complete: true };
+        }
+
+        const match = rest.match(NUMBER_PATTERN);
+
+        if (!match) {
+            if (/^[+-]$/.test(rest)) {
+                pos = input.length;
+                truncated = true;
+                return { value: undefined, complete: false };
+            }
+            if (rest[0] === '-' && rest.slice(1).startsWith('Infinity')) {
+                pos += 'Infinity'.length + 1;
+                fix('Replaced NaN/Infinity/undefined with null');
+                return { value: null, complete: true };
+            }
+            return parseBareWord();
+        }
+
+        // A token that only starts like a number ("1e", "2023-01-15") is kept as text,
+        // unless the output was cut off inside it
+        const token = rest.match(/^(?:[^\s,{}[\]"'/]|\/(?![/*]))+/)[0];
+        if (token.length > match[0].length && pos + token.length < input.length) {
+            return parseBareWord();
+        }
+
+        pos += match[0].length;
+        const source = match[0];
+        const strict = source.replace(/^\+/, '').replace(/^(-?)\./, '$10.').replace(/\.(?=$|[eE])/, '');
+        if (strict !== source) fix('Normalized number formats');
+        return { value: Number(strict), complete: true };
+    };
+
+    const parseValue = (inObject = false) => {
+        skipWhitespace(true);
+        if (atEnd()) {
+            truncated = true;
+            return { value: undefined, complete: false };
+        }
+
+        const ch = input[pos];
+        if (ch === '{') return parseObject();
+        if (ch === '[') return parseArray();
+        if (ch === '"' || ch === "'") return parseString();
+        if (/[-+.\d]/.test(ch)) return parseNumber(inObject);
+        // Anything else that isn't structure is an unquoted value
+        if (!',:}]'.includes(ch)) return parseBareWord();
+
+        throw new SyntaxError(`Unexpected character "${ch}" at position ${pos}`);
+    };
+
+    // Skip a separator after an element; returns false on a missing comma
+    const consumeSeparator = (closer) => {
+        skipWhitespace();
+        if (atEnd()) return true;
+        if (input[pos] === ',') {
+            pos++;
+            skipWhitespace();
+            if (input[pos] === closer) fix('Removed trailing commas');
+            return true;
+        }
+        return '}]'.includes(input[pos]);
+    };
+
+    const closeContainer = (closer, kind) => {
+        if (atEnd()) {
+            truncated = true;
+            fix(`Closed unterminated ${kind}`);
+            return false;
+        }
+        if (input[pos] !== closer) fix('Fixed mismatched brackets');
+        pos++;
+        return true;
+    };
+
+    const parseKey = () => {
+        const ch = input[pos];
+        if (ch === '"' || ch === "'") return parseString(true);
+
+        const key = input.slice(pos).match(/^[^\s:,{}[\]"']+/)?.[0];
+        if (!key) throw new SyntaxError(`Expected a key at position ${pos}`);
+        pos += key.length;
+        fix('Quoted unquoted keys');
+        return { value: key, complete: !atEnd() };
+    };
+
+    const parseObject = () => {
+        pos++;
+        const result = {};
+
+        while (true) {
+            skipWhitespace();
+            if (atEnd() || input[pos] === '}' || input[pos] === ']') {
+                return { value: result, complete: closeContainer('}', 'object') };
+            }
+            if (input[pos] === ',') {
+                fix('Removed extra commas');
+                pos++;
+                continue;
+            }
+
+            const key = parseKey();
+            skipWhitespace();
+            if (!key.complete || atEnd()) {
+                truncated = true;
+                fix('Dropped incomplete trailing key');
+                return { value: result, complete: false };
+            }
+
+            if (input[pos] === ':' || input[pos] === '=') {
+                pos++;
+            } else {
+                fix('Inserted missing colons');
+            }
+
+            const item = parseValue(true);
+            if (item.value === undefined) {
+                fix('Dropped incomplete trailing key');
+                return { value: result, complete: false };
+            }
+            result[key.value] = item.value;
+            if (!item.complete) return { value: result, complete: false };
+
+            if (!consumeSeparator('}')) fix('Inserted missing commas');
+        }
+    };
+
+    const parseArray = () => {
+        pos++;
+        const result = [];
+
+        while (true) {
+            skipWhitespace();
+            if (atEnd() || input[pos] === ']' || input[pos] === '}') {
+                return { value: result, complete: closeContainer(']', 'array') };
+            }
+            if (input[pos] === ',') {
+                fix('Removed extra commas');
+                pos++;
+                continue;
+            }
+
+            const item = parseValue();
+            if (item.value !== undefined) result.push(item.value);
+            if (!item.complete) return { value: result, complete: false };
+
+            if (!consumeSeparator(']')) fix('Inserted missing commas');
+        }
+    };
+
+    const { value } = parseValue();
+    skipWhitespace();
+    if (!atEnd()) fix('Ignored text after the JSON');
+
+    if (truncated) fix('Repaired truncated output');
+
+    return { value, fixes: [...fixes], truncated };
+}
+
 /**
  * Attempt to repair malformed JSON by fixing common issues
+ * @param {string} jsonString - Malformed JSON text
+ * @returns {*} - Parsed value
+ * @throws {SyntaxError} - When the text can't be repaired
  */
 export function repairJSON(jsonString) {
     try {
         // Try parsing as-is first
         return JSON.parse(jsonString);
-    } catch (parseError) {
-        // Common fixes for malformed JSON
-        let fixed = jsonString;
-        
-        // Fix trailing commas before closing brackets/braces
-        fixed = fixed.replace(/,(\s*[}\]])/g, '$1');
-        
-        // Fix single quotes to double quotes (be careful not to break strings containing quotes)
-        // This is complex, so we'll try a simpler approach for basic cases
-        try {
-            // Try parsing again after basic fixes
-            return JSON.parse(fixed);
-        } catch {
-            // If still failing, try more aggressive fixes
-            // This is a more basic approach - in a full implementation you'd want a more robust JSON repair library
-            throw new Error('Unable to repair JSON automatically');
-        }
+    } catch {
+        const { value, fixes } = repairJSONWithReport(jsonString);
+        console.log('🔧 Repaired JSON:', fixes);
+        return value;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Best-effort parse of an incomplete JSON prefix, e.g. a streaming response.
+ * Unfinished strings and numbers are kept, dangling keys are dropped and
+ * open objects/arrays are closed.
+ * @param {string} text - JSON text received so far (may include a preamble)
+ * @returns {*} - Parsed partial value, or undefined if nothing usable yet
+ */
+export function parsePartialJSON(text) {
+    if (!text || text.search(/[{[]/) === -1) return undefined;
+
+    try {
+        return repairJSONWithReport(text).value;
+    } catch {
+        return undefined;
+    }
+}
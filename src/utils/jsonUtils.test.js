@@ -0,0 +1,172 @@
+import { describe, it, expect } from 'vitest';
+import { repairJSONWithReport, repairJSON, parsePartialJSON, sanitizeJSON } from './jsonUtils';
+
+const repair = (text) => repairJSONWithReport(text);
+
+describe('repairJSONWithReport', () => {
+  it('leaves valid JSON alone', () => {
+    const { value, fixes, truncated } = repair('{"a": [1, 2.5, -3], "b": {"c": null}}');
+    expect(value).toEqual({ a: [1, 2.5, -3], b: { c: null } });
+    expect(fixes).toEqual([]);
+    expect(truncated).toBe(false);
+  });
+
+  it('strips markdown fences and surrounding prose', () => {
+    const { value, fixes } = repair('Here is the JSON:\n```json\n{"a": 1}\n```\nHope this helps!');
+    expect(value).toEqual({ a: 1 });
+    expect(fixes).toEqual(expect.arrayContaining([
+      'Removed markdown code fences',
+      'Removed text before the JSON',
+      'Ignored text after the JSON'
+    ]));
+  });
+
+  it('converts single-quoted strings', () => {
+    const { value, fixes } = repair("{'name': 'ACME', 'tags': ['a', 'b']}");
+    expect(value).toEqual({ name: 'ACME', tags: ['a', 'b'] });
+    expect(fixes).toContain('Converted single-quoted strings');
+  });
+
+  it('keeps apostrophes inside single-quoted strings', () => {
+    expect(repair("{'note': 'it's late'}").value).toEqual({ note: "it's late" });
+    expect(repair("['don't', 'won't']").value).toEqual(["don't", "won't"]);
+  });
+
+  it('quotes unquoted keys', () => {
+    const { value, fixes } = repair('{invoice_number: "A-1", total: 5}');
+    expect(value).toEqual({ invoice_number: 'A-1', total: 5 });
+    expect(fixes).toContain('Quoted unquoted keys');
+  });
+
+  it('removes line and block comments', () => {
+    const { value, fixes } = repair('{\n  // the id\n  "id": 1, /* inline */ "x": 2\n  # hash comment\n}');
+    expect(value).toEqual({ id: 1, x: 2 });
+    expect(fixes).toContain('Removed comments');
+  });
+
+  it('skips "#" comments after a value', () => {
+    const { value, fixes } = repair('{"a": 1, # note\n "b": 2}');
+    expect(value).toEqual({ a: 1, b: 2 });
+    expect(fixes).toContain('Removed comments');
+    expect(fixes).not.toContain('Quoted unquoted keys');
+    expect(repair('{"a": 1 # note\n}').value).toEqual({ a: 1 });
+    expect(repair('{"a": # note\n 1}').value).toEqual({ a: 1 });
+  });
+
+  it('reads thousands separators in object values', () => {
+    const { value, fixes } = repair('{"amount": 1,234.50}');
+    expect(value).toEqual({ amount: 1234.5 });
+    expect(fixes).toContain('Removed thousands separators from numbers');
+    expect(repair('{"a": -1,234,567, "b": 2}').value).toEqual({ a: -1234567, b: 2 });
+    expect(repair('{"a": 1,"b": 2}').value).toEqual({ a: 1, b: 2 });
+    expect(repair('[1,234]').value).toEqual([1, 234]);
+  });
+
+  it('keeps "#" that is part of a value', () => {
+    const { value } = repair('{"ref": "PO "#4411" approved", "total": 5}');
+    expect(value).toEqual({ ref: 'PO "#4411" approved', total: 5 });
+    expect(repair('{"ref": PO #4411, "total": 5}').value).toEqual({ ref: 'PO #4411', total: 5 });
+    expect(repair('{"ref": #4411, "total": 5}').value).toEqual({ ref: '#4411', total: 5 });
+  });
+
+  it('converts Python literals', () => {
+    const { value, fixes } = repair('{"a": None, "b": True, "c": False}');
+    expect(value).toEqual({ a: null, b: true, c: false });
+    expect(fixes).toContain('Converted Python literals');
+  });
+
+  it('replaces NaN, Infinity and undefined with null', () => {
+    const { value, fixes } = repair('[NaN, Infinity, -Infinity, undefined]');
+    expect(value).toEqual([null, null, null, null]);
+    expect(fixes).toContain('Replaced NaN/Infinity/undefined with null');
+  });
+
+  it('keeps unescaped newlines inside strings', () => {
+    const { value, fixes } = repair('{"address": "1 Main St\nSpringfield"}');
+    expect(value).toEqual({ address: '1 Main St\nSpringfield' });
+    expect(fixes).toContain('Escaped control characters inside strings');
+  });
+
+  it('keeps unescaped quotes inside strings', () => {
+    const { value, fixes } = repair('{"title": "The "Best" Widget", "qty": 2}');
+    expect(value).toEqual({ title: 'The "Best" Widget', qty: 2 });
+    expect(fixes).toContain('Escaped stray quotes inside strings');
+  });
+
+  it('inserts missing commas between elements', () => {
+    const { value, fixes } = repair('{"a": 1 "b": 2}');
+    expect(value).toEqual({ a: 1, b: 2 });
+    expect(fixes).toContain('Inserted missing commas');
+    expect(repair('[1 2 {"c": 3} {"d": 4}]').value).toEqual([1, 2, { c: 3 }, { d: 4 }]);
+  });
+
+  it('removes trailing and extra commas', () => {
+    const { value, fixes } = repair('{"a": [1, 2,], "b": 3,,}');
+    expect(value).toEqual({ a: [1, 2], b: 3 });
+    expect(fixes).toEqual(expect.arrayContaining(['Removed trailing commas', 'Removed extra commas']));
+  });
+
+  it('fixes mismatched brackets', () => {
+    const { value, fixes } = repair('{"items": [1, 2}');
+    expect(value).toEqual({ items: [1, 2] });
+    expect(fixes).toContain('Fixed mismatched brackets');
+  });
+
+  it('closes a truncated string, array and object', () => {
+    const { value, fixes, truncated } = repair('{"items": [{"name": "Wid');
+    expect(value).toEqual({ items: [{ name: 'Wid' }] });
+    expect(truncated).toBe(true);
+    expect(fixes).toEqual(expect.arrayContaining(['Closed unterminated string', 'Repaired truncated output']));
+  });
+
+  it('drops a dangling key and completes a cut-off literal', () => {
+    expect(repair('{"a": 1, "b"').value).toEqual({ a: 1 });
+    expect(repair('{"a": 1, "b": ').value).toEqual({ a: 1 });
+    expect(repair('{"ok": tru').value).toEqual({ ok: true });
+  });
+
+  it('normalizes number formats', () => {
+    const { value, fixes } = repair('[+1, .5, 2., -.25]');
+    expect(value).toEqual([1, 0.5, 2, -0.25]);
+    expect(fixes).toContain('Normalized number formats');
+  });
+
+  it('keeps unparseable bare tokens as strings', () => {
+    expect(repair('{"a": 1e, "b": 2}').value).toEqual({ a: '1e', b: 2 });
+    expect(repair('{"date": 2023-01-15, "total": 5}').value).toEqual({ date: '2023-01-15', total: 5 });
+    expect(repair('{"status": paid in full}').value).toEqual({ status: 'paid in full' });
+    expect(repair('{"at": @home}').value).toEqual({ at: '@home' });
+  });
+
+  it('throws when there is no JSON at all', () => {
+    expect(() => repair('')).toThrow(SyntaxError);
+    expect(() => repair('no json here')).toThrow(SyntaxError);
+  });
+});
+
+describe('repairJSON', () => {
+  it('parses valid JSON directly and repairs the rest', () => {
+    expect(repairJSON('{"a": 1}')).toEqual({ a: 1 });
+    expect(repairJSON("{a: 'b',}")).toEqual({ a: 'b' });
+  });
+});
+
+describe('parsePartialJSON', () => {
+  it('returns what has streamed so far', () => {
+    expect(parsePartialJSON('{"vendor": "AC')).toEqual({ vendor: 'AC' });
+    expect(parsePartialJSON('{"total": 1.5')).toEqual({ total: 1.5 });
+    expect(parsePartialJSON('{"total": 1.5e')).toEqual({ total: 1.5 });
+  });
+
+  it('returns undefined before any JSON arrives', () => {
+    expect(parsePartialJSON('')).toBeUndefined();
+    expect(parsePartialJSON('Sure, here')).toBeUndefined();
+  });
+});
+
+describe('sanitizeJSON', () => {
+  it('cuts the JSON out of surrounding text', () => {
+    expect(sanitizeJSON('```json\n{"a": 1}\n```')).toBe('{"a": 1}');
+    expect(() => sanitizeJSON('nothing')).toThrow();
+  });
+});
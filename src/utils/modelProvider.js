@@ -0,0 +1,185 @@
+// src/utils/modelProvider.js
+import { chromePromptProvider } from './chromePromptProvider';
+import { createOpenAICompatibleProvider, DEFAULT_OPENAI_SETTINGS, getEndpointError } from './openAICompatibleProvider';
+import { createFixture, createRecordingProvider, createReplayProvider } from './recordReplay';
+
+/**
+ * Model providers run the extraction prompts. The active one is chosen in
+ * Model settings and stored in localStorage. With recording on, the active
+ * provider's responses are also collected into a fixture that the replay
+ * provider can serve later (see recordReplay.js).
+ *
+ * Provider: {
+ *   id, label, setupHint, imageInputHint,
+ *   availability(): Promise<{ available, status, detail, error? }>,
+ *   params(): Promise<{ defaultTemperature, maxTemperature, defaultTopK, maxTopK } | null>,
+ *   createSession({ systemPrompt, multimodal, temperature, signal }): Promise<Session>
+ * }
+ * Sessions follow the Prompt API's LanguageModel shape:
+ * prompt(messages, { responseConstraint, signal }), promptStreaming() (async
+ * iterable of text), inputUsage, inputQuota, clone(), destroy() and optionally
+ * measureInputUsage(messages).
+ */
+
+const SETTINGS_KEY = 'buggu.provider.settings';
+const FIXTURE_KEY = 'buggu.provider.fixture';
+
+export const PROVIDER_OPTIONS = [
+  { id: 'chrome', label: 'Chrome built-in AI', description: 'Gemini Nano, built into Chrome' },
+  { id: 'openai-compatible', label: 'Local model server', description: 'llama.cpp, Ollama or LM Studio on this machine' },
+  { id: 'replay', label: 'Replay a recording', description: 'Answer from recorded responses, no model needed' }
+];
+
+const DEFAULT_SETTINGS = {
+  provider: 'chrome',
+  record: false,
+  openai: DEFAULT_OPENAI_SETTINGS
+};
+
+let cached = { key: null, provider: null };
+// Responses recorded since the page was loaded (or the recording was cleared)
+let recording = createFixture();
+
+/**
+ * Read provider settings
+ * @returns {Object} - { provider, openai: { baseUrl, model, apiKey, contextWindow } }
+ */
+export function getProviderSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+    return {
+      ...DEFAULT_SETTINGS,
+      ...stored,
+      openai: { ...DEFAULT_SETTINGS.openai, ...stored.openai }
+    };
+  } catch {
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Update provider settings
+ * @param {Object} patch - Settings to change; openai settings are merged
+ * @returns {Object} - The updated settings
+ */
+export function setProviderSettings(patch) {
+  const current = getProviderSettings();
+  const settings = {
+    ...current,
+    ...patch,
+    openai: { ...current.openai, ...patch.openai }
+  };
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  return settings;
+}
+
+/**
+ * Check settings before saving them
+ * @param {Object} settings
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function getProviderSettingsError(settings) {
+  if (!PROVIDER_OPTIONS.some(option => option.id === settings.provider)) {
+    return 'Choose a model provider';
+  }
+  if (settings.provider === 'openai-compatible') {
+    const endpointError = getEndpointError(settings.openai.baseUrl);
+    if (endpointError) return endpointError;
+
+    const { contextWindow } = settings.openai;
+    if (contextWindow !== null && !(Number.isInteger(contextWindow) && contextWindow > 0)) {
+      return 'Context size must be a whole number of tokens';
+    }
+  }
+  return null;
+}
+
+/**
+ * The recording loaded for replay
+ * @returns {Object|null} - Fixture
+ */
+export function getReplayFixture() {
+  try {
+    return JSON.parse(localStorage.getItem(FIXTURE_KEY));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Store the recording to replay
+ * @param {Object|null} fixture - Parsed fixture, or null to remove it
+ */
+export function setReplayFixture(fixture) {
+  if (fixture) {
+    localStorage.setItem(FIXTURE_KEY, JSON.stringify(fixture));
+  } else {
+    localStorage.removeItem(FIXTURE_KEY);
+  }
+  cached = { key: null, provider: null };
+}
+
+/**
+ * Responses recorded so far
+ * @returns {Object} - Fixture
+ */
+export function getRecording() {
+  return recording;
+}
+
+/**
+ * Drop recorded responses and start a new recording
+ */
+export function clearRecording() {
+  recording = createFixture();
+  cached = { key: null, provider: null };
+}
+
+/**
+ * Build a provider from settings
+ * @param {Object} settings
+ * @returns {Object} - Model provider
+ */
+export function createProvider(settings) {
+  switch (settings.provider) {
+    case 'openai-compatible':
+      return createOpenAICompatibleProvider(settings.openai);
+    case 'replay':
+      return createReplayProvider(getReplayFixture());
+    default:
+      return chromePromptProvider;
+  }
+}
+
+/**
+ * The provider selected in settings. The same object is returned until the
+ * settings change, so callers can tell when to drop their sessions.
+ * @returns {Object} - Model provider
+ */
+export function getActiveProvider() {
+  const settings = getProviderSettings();
+  const key = JSON.stringify(settings);
+  if (cached.key !== key) {
+    const provider = createProvider(settings);
+    if (settings.record && provider.id !== 'replay') {
+      recording.provider = provider.label;
+      cached = { key, provider: createRecordingProvider(provider, recording) };
+    } else {
+      cached = { key, provider };
+    }
+  }
+  return cached.provider;
+}
+
+export default {
+  PROVIDER_OPTIONS,
+  getProviderSettings,
+  setProviderSettings,
+  getProviderSettingsError,
+  getReplayFixture,
+  setReplayFixture,
+  getRecording,
+  clearRecording,
+  createProvider,
+  getActiveProvider
+};
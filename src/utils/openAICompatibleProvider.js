@@ -0,0 +1,314 @@
+// src/utils/openAICompatibleProvider.js
+
+/**
+ * Model provider for a local server with an OpenAI-compatible chat API, such
+ * as llama.cpp's llama-server, Ollama or LM Studio running a vision model.
+ * Only servers on this machine are accepted, so documents still never leave it.
+ *
+ * Sessions behave like Prompt API sessions: they keep the conversation, take
+ * the same message format ({ type: 'text' | 'image', value }) and expose
+ * prompt(), promptStreaming() and the inputUsage / inputQuota counters.
+ */
+
+export const DEFAULT_OPENAI_SETTINGS = {
+  baseUrl: 'http://localhost:11434/v1',
+  model: '',
+  apiKey: '',
+  // Tokens the loaded model accepts; null when unknown
+  contextWindow: null
+};
+
+const AVAILABILITY_TIMEOUT = 5000;
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+// llama.cpp's sampling defaults; servers don't report them
+const MODEL_PARAMS = {
+  defaultTemperature: 0.8,
+  maxTemperature: 2,
+  defaultTopK: 40,
+  maxTopK: 100
+};
+
+/**
+ * Check that a base URL points at this machine
+ * @param {string} baseUrl
+ * @returns {string|null} - Error message, or null when usable
+ */
+export function getEndpointError(baseUrl) {
+  let url;
+  try {
+    url = new URL(baseUrl);
+  } catch {
+    return 'Enter a full URL, e.g. http://localhost:11434/v1';
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return 'The URL must start with http:// or https://';
+  }
+  if (!LOCAL_HOSTNAMES.includes(url.hostname) && !url.hostname.endsWith('.localhost')) {
+    return 'Only servers running on this machine (localhost) are allowed';
+  }
+  return null;
+}
+
+function endpoint(settings, path) {
+  return `${settings.baseUrl.replace(/\/+$/, '')}${path}`;
+}
+
+function headers(settings) {
+  return {
+    'Content-Type': 'application/json',
+    ...(settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {})
+  };
+}
+
+// Map the server's refusal onto the DOMException names the Prompt API uses,
+// so callers recover the same way (drop the constraint, fall back to text, ...)
+async function responseError(response) {
+  const text = await response.text().catch(() => '');
+  let message = text;
+  try {
+    message = JSON.parse(text)?.error?.message || text;
+  } catch {
+    // Not JSON; keep the raw body
+  }
+
+  const error = new Error(`Local model server returned ${response.status}${message ? `: ${message.slice(0, 300)}` : ''}`);
+  if (/context|too long|exceed/i.test(message)) {
+    error.name = 'QuotaExceededError';
+  } else if (response.status === 400 || response.status === 422) {
+    error.name = 'NotSupportedError';
+  }
+  return error;
+}
+
+// Data URLs are cached so images repeated in the conversation are encoded once
+const dataURLs = new WeakMap();
+
+async function blobToDataURL(blob) {
+  if (dataURLs.has(blob)) return dataURLs.get(blob);
+
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  const url = `data:${blob.type || 'image/png'};base64,${btoa(binary)}`;
+  dataURLs.set(blob, url);
+  return url;
+}
+
+async function toChatMessage({ role, content }) {
+  if (typeof content === 'string') return { role, content };
+
+  const parts = await Promise.all(content.map(async (part) => (
+    part.type === 'image'
+      ? { type: 'image_url', image_url: { url: await blobToDataURL(part.value) } }
+      : { type: 'text', text: part.value }
+  )));
+  return { role, content: parts };
+}
+
+/**
+ * Model ids the server has available
+ * @param {Object} settings
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<string[]>}
+ */
+async function listModels(settings, signal) {
+  const response = await fetch(endpoint(settings, '/models'), { headers: headers(settings), signal });
+  if (!response.ok) throw await responseError(response);
+  const body = await response.json();
+  return (body.data || body.models || []).map(model => model.id || model.name).filter(Boolean);
+}
+
+function createChatSession({ settings, model, systemPrompt, temperature, history = null }) {
+  const messages = history || (systemPrompt ? [{ role: 'system', content: systemPrompt }] : []);
+  const controllers = new Set();
+
+  const request = async (input, options, stream) => {
+    const body = {
+      model,
+      messages: await Promise.all([...messages, ...input].map(toChatMessage)),
+      stream
+    };
+    if (temperature !== null) body.temperature = temperature;
+    if (options?.responseConstraint) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: 'response', schema: options.responseConstraint, strict: true }
+      };
+    }
+    if (stream) body.stream_options = { include_usage: true };
+
+    // Aborted by the caller's signal (options.signal) or by destroy()
+    const controller = new AbortController();
+    const abort = () => controller.abort(options.signal.reason);
+    options?.signal?.addEventListener('abort', abort);
+    if (options?.signal?.aborted) abort();
+    controllers.add(controller);
+    const release = () => {
+      controllers.delete(controller);
+      options?.signal?.removeEventListener('abort', abort);
+    };
+    try {
+      const response = await fetch(endpoint(settings, '/chat/completions'), {
+        method: 'POST',
+        headers: headers(settings),
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+      if (!response.ok) throw await responseError(response);
+      return { response, done: release };
+    } catch (error) {
+      release();
+      throw error;
+    }
+  };
+
+  const remember = (input, text, usage) => {
+    messages.push(...input, { role: 'assistant', content: text });
+    if (usage?.total_tokens) session.inputUsage = usage.total_tokens;
+  };
+
+  const session = {
+    inputUsage: 0,
+    inputQuota: settings.contextWindow || undefined,
+
+    async prompt(input, options = {}) {
+      const { response, done } = await request(input, options, false);
+      try {
+        const body = await response.json();
+        const text = body.choices?.[0]?.message?.content || '';
+        remember(input, text, body.usage);
+        return text;
+      } finally {
+        done();
+      }
+    },
+
+    // Server-sent events; yields text deltas like newer Prompt API builds
+    async *promptStreaming(input, options = {}) {
+      const { response, done } = await request(input, options, true);
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = '';
+      let text = '';
+      let usage = null;
+
+      try {
+        while (true) {
+          const { value, done: finished } = await reader.read();
+          if (finished) break;
+          buffer += value;
+
+          const lines = buffer.split('\n');
+          buffer = lines.pop();
+          for (const line of lines) {
+            const trimmed = line.trim();
+            if (!trimmed.startsWith('data:')) continue;
+            const data = trimmed.slice(5).trim();
+            if (data === '[DONE]') continue;
+
+            let event;
+            try {
+              event = JSON.parse(data);
+            } catch {
+              // Keep-alive pings and other non-JSON data lines carry no text
+              continue;
+            }
+            if (event.usage) usage = event.usage;
+            const delta = event.choices?.[0]?.delta?.content;
+            if (delta) {
+              text += delta;
+              yield delta;
+            }
+          }
+        }
+        remember(input, text, usage);
+      } finally {
+        reader.releaseLock();
+        done();
+      }
+    },
+
+    async clone() {
+      const copy = createChatSession({ settings, model, systemPrompt, temperature, history: [...messages] });
+      copy.inputUsage = session.inputUsage;
+      return copy;
+    },
+
+    destroy() {
+      controllers.forEach(controller => controller.abort());
+      controllers.clear();
+    }
+  };
+
+  return session;
+}
+
+/**
+ * Create a provider for a local OpenAI-compatible server
+ * @param {Object} settings - { baseUrl, model, apiKey, contextWindow }
+ * @returns {Object} - Model provider
+ */
+export function createOpenAICompatibleProvider(settings) {
+  const config = { ...DEFAULT_OPENAI_SETTINGS, ...settings };
+
+  const availability = async () => {
+    const endpointError = getEndpointError(config.baseUrl);
+    if (endpointError) {
+      return { available: false, status: 'error', detail: null, error: endpointError };
+    }
+
+    try {
+      const models = await listModels(config, AbortSignal.timeout(AVAILABILITY_TIMEOUT));
+      if (config.model && models.length > 0 && !models.includes(config.model)) {
+        return { available: false, status: 'unavailable', detail: `The server has no model named "${config.model}"` };
+      }
+      if (!config.model && models.length === 0) {
+        return { available: false, status: 'unavailable', detail: 'The server has no models loaded' };
+      }
+      return { available: true, status: 'available', detail: null };
+    } catch (error) {
+      console.error('Local model server check failed:', error);
+      return {
+        available: false,
+        status: 'unavailable',
+        detail: `Could not reach ${config.baseUrl}. Is the server running and allowing requests from this page?`
+      };
+    }
+  };
+
+  const createSession = async ({ systemPrompt, temperature = null, signal = null }) => {
+    const endpointError = getEndpointError(config.baseUrl);
+    if (endpointError) throw new Error(endpointError);
+
+    // Without a configured model, use whatever the server has loaded first
+    const model = config.model || (await listModels(config, signal))[0];
+    if (!model) throw new Error('The local model server has no models loaded');
+
+    return createChatSession({
+      settings: config,
+      model,
+      systemPrompt,
+      temperature: temperature !== null ? Math.min(temperature, MODEL_PARAMS.maxTemperature) : null
+    });
+  };
+
+  return {
+    id: 'openai-compatible',
+    label: 'Local model server',
+    setupHint: 'Start your local model server, then check its URL and model under Model settings.',
+    imageInputHint: 'Load a vision model (with its image projector) in your local server, or use Text mode.',
+    availability,
+    params: async () => MODEL_PARAMS,
+    createSession,
+    listModels: (signal) => listModels(config, signal)
+  };
+}
+
+export default {
+  DEFAULT_OPENAI_SETTINGS,
+  getEndpointError,
+  createOpenAICompatibleProvider
+};
@@ -0,0 +1,96 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { getEndpointError, createOpenAICompatibleProvider } from './openAICompatibleProvider';
+
+// A streamed chat response arriving in the given pieces
+const streamResponse = (...pieces) => new Response(new ReadableStream({
+  start(controller) {
+    const encoder = new TextEncoder();
+    pieces.forEach(piece => controller.enqueue(encoder.encode(piece)));
+    controller.close();
+  }
+}));
+
+const deltaEvent = (content) => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+
+const collect = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return chunks;
+};
+
+const createSession = () => createOpenAICompatibleProvider({ model: 'vision' }).createSession({ systemPrompt: 'Be brief' });
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('getEndpointError', () => {
+  it('accepts servers on this machine', () => {
+    expect(getEndpointError('http://localhost:11434/v1')).toBeNull();
+    expect(getEndpointError('http://127.0.0.1:8080/v1')).toBeNull();
+    expect(getEndpointError('http://[::1]:8080/v1')).toBeNull();
+    expect(getEndpointError('https://models.localhost/v1')).toBeNull();
+  });
+
+  it('rejects other hosts, even ones that look local', () => {
+    const message = 'Only servers running on this machine (localhost) are allowed';
+    expect(getEndpointError('http://localhost.evil.com/v1')).toBe(message);
+    expect(getEndpointError('http://127.0.0.1.nip.io/v1')).toBe(message);
+    expect(getEndpointError('http://example.com/v1')).toBe(message);
+  });
+
+  it('rejects URLs that are incomplete or not http', () => {
+    expect(getEndpointError('localhost:11434')).toBe('The URL must start with http:// or https://');
+    expect(getEndpointError('/v1')).toBe('Enter a full URL, e.g. http://localhost:11434/v1');
+    expect(getEndpointError('file:///etc/passwd')).toBe('The URL must start with http:// or https://');
+  });
+});
+
+describe('promptStreaming', () => {
+  it('yields text deltas from events split across reads', async () => {
+    const first = deltaEvent('{"total"');
+    vi.stubGlobal('fetch', vi.fn(async () => streamResponse(
+      first.slice(0, 20),
+      first.slice(20),
+      deltaEvent(': 12}'),
+      `data: ${JSON.stringify({ choices: [], usage: { total_tokens: 321 } })}\n\n`,
+      'data: [DONE]\n\n'
+    )));
+
+    const session = await createSession();
+    expect(await collect(session.promptStreaming([{ role: 'user', content: 'Read it' }]))).toEqual(['{"total"', ': 12}']);
+    expect(session.inputUsage).toBe(321);
+  });
+
+  it('skips comments, keep-alive and other non-JSON data lines', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => streamResponse(
+      ': keep-alive\n\n',
+      'data: \n\n',
+      'data: ping\n\n',
+      'event: message\n',
+      deltaEvent('ok'),
+      'data: [DONE]\n\n'
+    )));
+
+    const session = await createSession();
+    expect(await collect(session.promptStreaming([{ role: 'user', content: 'Read it' }]))).toEqual(['ok']);
+  });
+
+  it('sends the streamed answer back as part of the conversation', async () => {
+    const fetch = vi.fn(async () => streamResponse(deltaEvent('first answer'), 'data: [DONE]\n\n'));
+    vi.stubGlobal('fetch', fetch);
+
+    const session = await createSession();
+    await collect(session.promptStreaming([{ role: 'user', content: 'One' }]));
+    await collect(session.promptStreaming([{ role: 'user', content: 'Two' }]));
+
+    const body = JSON.parse(fetch.mock.calls[1][1].body);
+    expect(body).toMatchObject({ model: 'vision', stream: true, stream_options: { include_usage: true } });
+    expect(body.messages).toEqual([
+      { role: 'system', content: 'Be brief' },
+      { role: 'user', content: 'One' },
+      { role: 'assistant', content: 'first answer' },
+      { role: 'user', content: 'Two' }
+    ]);
+  });
+});
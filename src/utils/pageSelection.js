@@ -0,0 +1,96 @@
+// src/utils/pageSelection.js
+
+/**
+ * Which uploaded pages are extracted, and in what order.
+ * Pages stay in the upload list when they are deselected (selected: false),
+ * so they can be picked again; only selected pages are sent to the model.
+ * Page ranges are written the way print dialogs take them: "4-7, 12".
+ */
+
+/**
+ * The pages to extract, in the user's order
+ * @param {Array} pages - Processed pages
+ * @returns {Array}
+ */
+export function selectedPages(pages) {
+  return pages.filter(page => page.selected !== false);
+}
+
+/**
+ * Parse a page range such as "4-7, 12"
+ * @param {string} text - Ranges separated by commas or spaces; en dashes are accepted
+ * @param {number} pageCount - Pages in the document
+ * @returns {number[]} - Sorted, unique 1-based page numbers
+ * @throws {Error} - When the text is not a valid range for the document
+ */
+export function parsePageRanges(text, pageCount) {
+  const parts = text.replace(/[–—]/g, '-').replace(/\s*-\s*/g, '-').split(/[\s,;]+/).filter(Boolean);
+  if (parts.length === 0) {
+    throw new Error('Enter pages like 4-7, 12');
+  }
+
+  const pages = new Set();
+  for (const part of parts) {
+    const match = part.match(/^(\d+)(?:-(\d*))?$/);
+    if (!match) {
+      throw new Error(`"${part}" is not a page or range`);
+    }
+
+    const from = Number(match[1]);
+    // "9-" runs to the last page
+    const to = match[2] === undefined ? from : match[2] === '' ? pageCount : Number(match[2]);
+    if (from > to) {
+      throw new Error(`"${part}" runs backwards`);
+    }
+    if (from < 1 || to > pageCount) {
+      throw new Error(`"${part}" is outside pages 1-${pageCount}`);
+    }
+    for (let page = from; page <= to; page++) {
+      pages.add(page);
+    }
+  }
+
+  return [...pages].sort((a, b) => a - b);
+}
+
+/**
+ * Write page numbers as compact ranges
+ * @param {number[]} pageNums - 1-based page numbers
+ * @returns {string} - e.g. "4–7, 12"
+ */
+export function formatPageRanges(pageNums) {
+  const sorted = [...new Set(pageNums)].sort((a, b) => a - b);
+  const ranges = [];
+
+  for (const page of sorted) {
+    const last = ranges[ranges.length - 1];
+    if (last && page === last[1] + 1) {
+      last[1] = page;
+    } else {
+      ranges.push([page, page]);
+    }
+  }
+
+  return ranges.map(([from, to]) => (from === to ? `${from}` : `${from}–${to}`)).join(', ');
+}
+
+/**
+ * Move a page to another position
+ * @param {Array} pages
+ * @param {number} from - Current index
+ * @param {number} to - Index it should end up at
+ * @returns {Array} - New array
+ */
+export function movePage(pages, from, to) {
+  const moved = [...pages];
+  const [page] = moved.splice(from, 1);
+  moved.splice(to, 0, page);
+  return moved;
+}
+
+export default {
+  selectedPages,
+  parsePageRanges,
+  formatPageRanges,
+  movePage
+};
@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { selectedPages, parsePageRanges, formatPageRanges, movePage } from './pageSelection';
+
+describe('parsePageRanges', () => {
+  it('reads pages and ranges the way print dialogs take them', () => {
+    expect(parsePageRanges('4-7, 12', 20)).toEqual([4, 5, 6, 7, 12]);
+    expect(parsePageRanges('12 4–5;1', 20)).toEqual([1, 4, 5, 12]);
+    expect(parsePageRanges('2 - 3', 20)).toEqual([2, 3]);
+  });
+
+  it('runs an open range to the last page and drops duplicates', () => {
+    expect(parsePageRanges('9-', 11)).toEqual([9, 10, 11]);
+    expect(parsePageRanges('1-3, 2', 5)).toEqual([1, 2, 3]);
+  });
+
+  it('explains what is wrong with the range', () => {
+    expect(() => parsePageRanges(' , ', 5)).toThrow('Enter pages like 4-7, 12');
+    expect(() => parsePageRanges('1-2, x', 5)).toThrow('"x" is not a page or range');
+    expect(() => parsePageRanges('5-2', 5)).toThrow('"5-2" runs backwards');
+    expect(() => parsePageRanges('4-9', 5)).toThrow('"4-9" is outside pages 1-5');
+    expect(() => parsePageRanges('0', 5)).toThrow('"0" is outside pages 1-5');
+  });
+});
+
+describe('formatPageRanges', () => {
+  it('writes consecutive pages as ranges', () => {
+    expect(formatPageRanges([12, 4, 5, 6, 7, 5])).toBe('4–7, 12');
+    expect(formatPageRanges([])).toBe('');
+  });
+
+  it('round-trips through parsePageRanges', () => {
+    expect(parsePageRanges(formatPageRanges([1, 2, 3, 8, 10, 11]), 11)).toEqual([1, 2, 3, 8, 10, 11]);
+  });
+});
+
+describe('page list helpers', () => {
+  it('keeps only selected pages, in order', () => {
+    const pages = [{ id: 1 }, { id: 2, selected: false }, { id: 3, selected: true }];
+    expect(selectedPages(pages).map(page => page.id)).toEqual([1, 3]);
+  });
+
+  it('moves a page without changing the original list', () => {
+    const pages = ['a', 'b', 'c', 'd'];
+    expect(movePage(pages, 0, 2)).toEqual(['b', 'c', 'a', 'd']);
+    expect(movePage(pages, 3, 0)).toEqual(['d', 'a', 'b', 'c']);
+    expect(pages).toEqual(['a', 'b', 'c', 'd']);
+  });
+});
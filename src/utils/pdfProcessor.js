@@ -1,27 +1,47 @@
 // src/utils/pdfProcessor.js
 
-import * as pdfjsLib from 'pdfjs-dist';
+import { preprocessPages } from './imagePreprocessor';
+import { detectFileKind, decodeFile } from './formatDecoders';
+import { renderDocument, DEFAULT_RENDERING } from './pdfRenderer';
 
-// Configure PDF.js worker with static path
-// The worker will be automatically available after npm install
-pdfjsLib.GlobalWorkerOptions.workerSrc = new URL(
-  'pdfjs-dist/build/pdf.worker.min.mjs',
-  import.meta.url
-).toString();
+// Safety cap on rendered pages per upload; extraction batches pages to fit the model quota
+export const MAX_PAGES = 100;
 
-const MAX_PAGES = 3;
+// Passwords of unlocked PDFs, so pages can be rendered again (rotate, page ranges)
+// without asking. Memory only: never stored, and gone with the File.
+const pdfPasswords = new WeakMap();
 
 /**
- * Process uploaded files (images or PDFs) into image blobs
+ * Process uploaded files (images, PDFs, TIFF/HEIC/BMP/GIF, text, HTML or email) into image blobs
  * @param {FileList|File[]} files - The uploaded files
- * @returns {Promise<Array>} - Array of { blob: Blob, type: 'image'|'pdf', name: string, pageNum?: number }
+ * @param {Object} [options]
+ * @param {number} [options.maxPages] - Maximum number of pages to return
+ * @param {Function} [options.onWarning] - Called with { code, message, fileName? } for anything dropped
+ * @param {Object} [options.preprocess] - Photo cleanup settings (see imagePreprocessor.js); null sends images as uploaded
+ * @param {Function} [options.getPassword] - Called with { fileName, incorrect } for encrypted PDFs; resolves to the
+ *   password, or null to skip the file. Without it, encrypted PDFs are skipped.
+ * @param {Function} [options.onProgress] - Called with { fileName, page, pageCount } as PDF pages are rendered
+ * @param {AbortSignal} [options.signal] - Cancels processing; the promise rejects with an AbortError
+ * @returns {Promise<Array>} - Array of { blob: Blob, type: 'image'|'pdf'|'text', name: string, pageNum?: number, pageCount?: number,
+ *   source?: File, rotation?: number, text?: string, textItems?: Array, formFields?: Array, originalBlob?: Blob, preprocessing?: Array }
  */
-export async function processFiles(files) {
+export async function processFiles(files, { maxPages = MAX_PAGES, onWarning = null, preprocess = null, getPassword = null, onProgress = null, signal = null } = {}) {
   const filesArray = Array.isArray(files) ? files : Array.from(files);
   const results = [];
   
   for (const file of filesArray) {
-    if (file.type.startsWith('image/')) {
+    signal?.throwIfAborted();
+
+    if (results.length >= maxPages) {
+      const message = `Page limit of ${maxPages} reached. "${file.name}" was skipped.`;
+      console.warn(message);
+      onWarning?.({ code: 'truncated', message, fileName: file.name });
+      continue;
+    }
+
+    const kind = detectFileKind(file);
+
+    if (kind === 'image') {
       // Direct image file - no processing needed
       results.push({
         blob: file,
@@ -29,117 +49,275 @@ export async function processFiles(files) {
         name: file.name
       });
       
-    } else if (file.type === 'application/pdf') {
+    } else if (kind === 'pdf') {
       // Convert PDF pages to images
       try {
-        const pdfImages = await convertPdfToImages(file);
+        const pdfImages = await renderPdf(file, {
+          maxPages: maxPages - results.length,
+          onWarning,
+          getPassword,
+          onProgress,
+          signal
+        });
+        console.log(`✅ Converted ${pdfImages.length} PDF page(s) to images`);
         results.push(...pdfImages);
       } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        if (error.name === 'PasswordException') {
+          const message = `"${file.name}" is password protected and was skipped.`;
+          console.warn(message);
+          onWarning?.({ code: 'locked', message, fileName: file.name });
+          continue;
+        }
         console.error(`Failed to process PDF "${file.name}":`, error);
         throw new Error(`PDF processing failed: ${error.message}`);
       }
+    } else if (kind) {
+      // Other formats are decoded to page images; one bad file doesn't stop the rest
+      try {
+        results.push(...await decodeFile(file, kind, { maxPages: maxPages - results.length, onWarning }));
+      } catch (error) {
+        const message = `Could not read "${file.name}": ${error.message}`;
+        console.warn(message, error);
+        onWarning?.({ code: 'unreadable', message, fileName: file.name });
+      }
     } else {
-      console.warn(`Unsupported file type: ${file.type} for file "${file.name}"`);
+      const message = `Unsupported file type: ${file.type || 'unknown'} for file "${file.name}"`;
+      console.warn(message);
+      onWarning?.({ code: 'unsupported', message, fileName: file.name });
     }
   }
   
-  // Enforce max page limit
-  if (results.length > MAX_PAGES) {
-    console.warn(`File count (${results.length}) exceeds limit. Using first ${MAX_PAGES} pages.`);
-    return results.slice(0, MAX_PAGES);
-  }
-  
-  return results;
+  return preprocess ? await preprocessPages(results, preprocess) : results;
 }
 
+// Pages are rendered in a worker when the browser can draw on OffscreenCanvas there
+const canUseWorker = typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined';
+let workerUnavailable = false;
+
 /**
- * Convert PDF to array of image blobs (one per page)
- * @param {File} pdfFile - PDF file
- * @returns {Promise<Array>} - Array of processed page objects
+ * Run renderDocument() in pdfRenderWorker.js. The worker is terminated when
+ * rendering ends or is cancelled, which frees the document and its canvases.
+ * @param {File} pdfFile - PDF file, handed to the worker as is
+ * @param {Object} options - As for renderDocument()
+ * @returns {Promise<void>}
+ * @throws {Error} - Named 'WorkerUnavailable' when the worker could not start
  */
-async function convertPdfToImages(pdfFile) {
-  // Read PDF file as ArrayBuffer
-  const arrayBuffer = await pdfFile.arrayBuffer();
-  
-  // Load PDF document
-  const loadingTask = pdfjsLib.getDocument({ 
-    data: arrayBuffer,
-    // Disable font loading to speed up rendering
-    disableFontFace: false,
-    // Enable text content for better extraction quality
-    enableXfa: true
+function renderInWorker(pdfFile, { pageNums, maxPages, rotation, rendering, password, getPassword, onDocument, onPage, signal }) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('PDF rendering was cancelled', 'AbortError'));
+      return;
+    }
+
+    const worker = new Worker(new URL('./pdfRenderWorker.js', import.meta.url), { type: 'module' });
+    let started = false;
+    let settled = false;
+    // Messages are handled one at a time, in the order they arrive
+    let queue = Promise.resolve();
+
+    const finish = (error) => {
+      if (settled) return;
+      settled = true;
+      worker.terminate();
+      signal?.removeEventListener('abort', cancel);
+      if (error) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    };
+    const cancel = () => finish(new DOMException('PDF rendering was cancelled', 'AbortError'));
+    signal?.addEventListener('abort', cancel);
+
+    const handle = async (message) => {
+      switch (message.type) {
+        case 'document':
+          onDocument(message);
+          break;
+        case 'password':
+          worker.postMessage({ type: 'password', password: await getPassword({ incorrect: message.incorrect }) });
+          break;
+        case 'page':
+          onPage(message.page);
+          break;
+        case 'done':
+          finish();
+          break;
+        case 'error': {
+          const error = new Error(message.message);
+          error.name = message.name;
+          finish(error);
+          break;
+        }
+      }
+    };
+
+    worker.onmessage = ({ data }) => {
+      started = true;
+      queue = queue.then(() => !settled && handle(data)).catch(finish);
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      const error = new Error(event.message || 'The PDF worker stopped unexpectedly');
+      if (!started) error.name = 'WorkerUnavailable';
+      finish(error);
+    };
+
+    worker.postMessage({ type: 'render', file: pdfFile, pageNums, maxPages, rotation, rendering, password });
   });
-  
-  const pdf = await loadingTask.promise;
-  const numPages = Math.min(pdf.numPages, MAX_PAGES);
-  const images = [];
-  
-  console.log(`📄 Processing PDF: ${numPages} page(s) from "${pdfFile.name}"`);
-  
-  // Process each page sequentially
-  for (let pageNum = 1; pageNum <= numPages; pageNum++) {
-    try {
-      const page = await pdf.getPage(pageNum);
-      
-      // Get viewport at 2x scale for better quality
-      const viewport = page.getViewport({ scale: 2.0 });
-      
-      // Create canvas element
-      const canvas = document.createElement('canvas');
-      const context = canvas.getContext('2d', { 
-        alpha: false  // Opaque canvas for smaller file size
-      });
-      
-      canvas.width = viewport.width;
-      canvas.height = viewport.height;
-      
-      // Render PDF page to canvas
-      const renderContext = {
-        canvasContext: context,
-        viewport: viewport,
-        // Optional: set background color
-        background: 'white'
-      };
-      
-      await page.render(renderContext).promise;
-      
-      // Convert canvas to blob
-      const blob = await new Promise((resolve, reject) => {
-        canvas.toBlob(
-          (result) => {
-            if (result) {
-              resolve(result);
-            } else {
-              reject(new Error('Canvas to blob conversion failed'));
-            }
-          },
-          'image/png',
-          0.95  // Quality (0.0 - 1.0)
-        );
-      });
-      
-      images.push({
-        blob,
+}
+
+/**
+ * Render pages of a PDF into page objects, in a worker when the browser allows it
+ * @param {File} pdfFile - PDF file
+ * @param {Object} [options]
+ * @param {number[]} [options.pageNums] - 1-based pages to render; defaults to the first maxPages
+ * @param {number} [options.maxPages] - Maximum number of pages to render
+ * @param {number} [options.rotation] - Clockwise degrees: 0, 90, 180 or 270
+ * @param {Object} [options.rendering] - Scale and image format (see pdfRenderer.js)
+ * @param {Function} [options.getPassword] - See processFiles()
+ * @param {Function} [options.onWarning] - Called when pages are left out
+ * @param {Function} [options.onProgress] - See processFiles()
+ * @param {AbortSignal} [options.signal] - See processFiles()
+ * @returns {Promise<Array>} - Processed page objects, in the order rendered
+ */
+async function renderPdf(pdfFile, {
+  pageNums = null,
+  maxPages = MAX_PAGES,
+  rotation = 0,
+  rendering = DEFAULT_RENDERING,
+  getPassword = null,
+  onWarning = null,
+  onProgress = null,
+  signal = null
+} = {}) {
+  const pages = [];
+  let pageCount = 0;
+  let formFields = [];
+  let total = 0;
+
+  const options = {
+    pageNums,
+    maxPages,
+    rotation,
+    rendering,
+    signal,
+    password: pdfPasswords.get(pdfFile),
+    getPassword: async ({ incorrect }) => {
+      const password = getPassword ? await getPassword({ fileName: pdfFile.name, incorrect }) : null;
+      if (password !== null && password !== undefined) {
+        pdfPasswords.set(pdfFile, password);
+      }
+      return password ?? null;
+    },
+    onDocument: (info) => {
+      ({ pageCount, formFields } = info);
+      total = info.pageNums.length;
+
+      if (!pageNums && pageCount > total) {
+        const message = `"${pdfFile.name}" has ${pageCount} pages; only the first ${total} were loaded (limit ${maxPages} pages for this file). Enter a page range to pick others.`;
+        console.warn(message);
+        onWarning?.({ code: 'truncated', message, fileName: pdfFile.name });
+      }
+      if (formFields.length > 0) {
+        console.log(`📝 Found ${formFields.length} form field(s) in "${pdfFile.name}"`);
+      }
+      console.log(`📄 Processing PDF: ${total} page(s) from "${pdfFile.name}"`);
+      onProgress?.({ fileName: pdfFile.name, page: 0, pageCount: total });
+    },
+    onPage: (rendered) => {
+      pages.push({
+        ...rendered,
         type: 'pdf',
-        pageNum,
-        name: `${pdfFile.name} - Page ${pageNum}`,
-        dimensions: {
-          width: viewport.width,
-          height: viewport.height
-        }
+        pageCount,
+        name: `${pdfFile.name} - Page ${rendered.pageNum}`,
+        source: pdfFile,
+        rotation,
+        formFields: formFields.filter(field => field.page === rendered.pageNum - 1)
       });
-      
-      // Clean up
-      page.cleanup();
-      
+      onProgress?.({ fileName: pdfFile.name, page: pages.length, pageCount: total });
+    }
+  };
+
+  if (canUseWorker && !workerUnavailable) {
+    try {
+      await renderInWorker(pdfFile, options);
+      return pages;
     } catch (error) {
-      console.error(`Error processing page ${pageNum}:`, error);
-      throw new Error(`Failed to render page ${pageNum}: ${error.message}`);
+      if (error.name !== 'WorkerUnavailable') throw error;
+      // e.g. no module workers; fall back to the main thread for the rest of the session
+      console.warn('PDF render worker unavailable, rendering on the main thread:', error);
+      workerUnavailable = true;
+      pages.length = 0;
     }
   }
-  
-  console.log(`✅ Converted ${images.length} PDF page(s) to images`);
-  return images;
+
+  await renderDocument(await pdfFile.arrayBuffer(), options);
+  return pages;
+}
+
+/**
+ * Render chosen pages of a PDF again, e.g. rotated, beyond the upload limit or smaller
+ * @param {File} pdfFile - PDF file
+ * @param {number[]} pageNums - 1-based page numbers
+ * @param {Object} [options]
+ * @param {number} [options.rotation] - Clockwise degrees: 0, 90, 180 or 270
+ * @param {Object} [options.rendering] - { scale, type, quality? }; defaults to 2x PNG
+ * @param {Function} [options.onProgress] - See processFiles()
+ * @param {AbortSignal} [options.signal] - See processFiles()
+ * @returns {Promise<Array>} - Processed page objects, in the order given
+ */
+export async function renderPdfPages(pdfFile, pageNums, { rotation = 0, rendering = DEFAULT_RENDERING, onProgress = null, signal = null } = {}) {
+  const pages = await renderPdf(pdfFile, { pageNums, rotation, rendering, onProgress, signal });
+  console.log(`✅ Rendered ${pages.length} PDF page(s) from "${pdfFile.name}"`);
+  return pages;
+}
+
+/**
+ * Turn a page a quarter turn clockwise. PDF pages are rendered again from the
+ * PDF so text stays sharp and the text layer matches; photos are rotated from
+ * their original and cleaned up again.
+ * @param {Object} page - Processed page
+ * @param {Object} [options]
+ * @param {Object} [options.preprocess] - Photo cleanup settings; null keeps the rotated photo as is
+ * @returns {Promise<Object>} - The rotated page
+ */
+export async function rotatePage(page, { preprocess = null } = {}) {
+  const rotation = ((page.rotation || 0) + 90) % 360;
+
+  if (page.type === 'pdf' && page.source) {
+    const [rendered] = await renderPdfPages(page.source, [page.pageNum], { rotation });
+    return { ...page, ...rendered };
+  }
+
+  const { originalBlob, ...rest } = page;
+  const bitmap = await createImageBitmap(originalBlob || page.blob);
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.height;
+  canvas.height = bitmap.width;
+
+  const context = canvas.getContext('2d');
+  context.translate(canvas.width, 0);
+  context.rotate(Math.PI / 2);
+  context.drawImage(bitmap, 0, 0);
+  bitmap.close();
+
+  const blob = await new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (result) => (result ? resolve(result) : reject(new Error('Canvas to blob conversion failed'))),
+      'image/png'
+    );
+  });
+
+  const rotated = {
+    ...rest,
+    blob,
+    rotation,
+    preprocessing: null,
+    dimensions: { width: canvas.width, height: canvas.height }
+  };
+  return preprocess ? (await preprocessPages([rotated], preprocess))[0] : rotated;
 }
 
 /**
@@ -174,6 +352,31 @@ export function revokePreviewURL(url) {
   URL.revokeObjectURL(url);
 }
 
+/**
+ * Create a small JPEG thumbnail of a page image
+ * @param {Blob} blob - Image blob
+ * @param {number} [maxSize] - Longest side in pixels
+ * @returns {Promise<Blob>} - Thumbnail blob
+ */
+export async function createThumbnail(blob, maxSize = 240) {
+  const bitmap = await createImageBitmap(blob);
+  const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+  canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (thumbnail) => (thumbnail ? resolve(thumbnail) : reject(new Error('Thumbnail conversion failed'))),
+      'image/jpeg',
+      0.7
+    );
+  });
+}
+
 /**
  * Validate file before processing
  * @param {File} file
@@ -181,13 +384,6 @@ export function revokePreviewURL(url) {
  */
 export function validateFile(file) {
   const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB
-  const ALLOWED_TYPES = [
-    'image/jpeg',
-    'image/jpg',
-    'image/png',
-    'image/webp',
-    'application/pdf'
-  ];
   
   if (!file) {
     return { valid: false, error: 'No file provided' };
@@ -200,10 +396,10 @@ export function validateFile(file) {
     };
   }
   
-  if (!ALLOWED_TYPES.includes(file.type)) {
+  if (!detectFileKind(file)) {
     return { 
       valid: false, 
-      error: `Unsupported file type: ${file.type}` 
+      error: `Unsupported file type: ${file.type || 'unknown'}` 
     };
   }
   
@@ -212,8 +408,11 @@ export function validateFile(file) {
 
 export default {
   processFiles,
+  renderPdfPages,
+  rotatePage,
   blobToDataURL,
   createPreviewURL,
   revokePreviewURL,
+  createThumbnail,
   validateFile
 };
@@ -0,0 +1,53 @@
+// src/utils/pdfRenderWorker.js
+
+/**
+ * Web Worker that renders PDF pages off the main thread (see pdfRenderer.js).
+ * One worker renders one file and is then terminated, which also frees
+ * everything pdf.js held; cancelling simply terminates it early.
+ *
+ * In:  { type: 'render', file, pageNums?, maxPages?, rotation?, rendering?, password? }
+ *      { type: 'password', password }   - answer to a password request (null skips the file)
+ * Out: { type: 'document', pageCount, formFields, pageNums }
+ *      { type: 'page', page }           - one per rendered page
+ *      { type: 'password', incorrect }  - the PDF is encrypted
+ *      { type: 'done' } | { type: 'error', name, message }
+ */
+
+import { renderDocument } from './pdfRenderer';
+
+let answerPassword = null;
+
+const getPassword = ({ incorrect }) => new Promise((resolve) => {
+  answerPassword = resolve;
+  self.postMessage({ type: 'password', incorrect });
+});
+
+self.onmessage = async ({ data: message }) => {
+  if (message.type === 'password') {
+    answerPassword?.(message.password);
+    answerPassword = null;
+    return;
+  }
+  if (message.type !== 'render') return;
+
+  const { file, pageNums, maxPages, rotation, rendering, password } = message;
+  try {
+    await renderDocument(await file.arrayBuffer(), {
+      pageNums,
+      maxPages,
+      rotation,
+      rendering,
+      password,
+      getPassword,
+      onDocument: ({ pageCount, formFields, pageNums: pages }) => {
+        self.postMessage({ type: 'document', pageCount, formFields, pageNums: pages });
+      },
+      onPage: (page) => {
+        self.postMessage({ type: 'page', page });
+      }
+    });
+    self.postMessage({ type: 'done' });
+  } catch (error) {
+    self.postMessage({ type: 'error', name: error.name, message: error.message });
+  }
+};
@@ -0,0 +1,302 @@
+// src/utils/pdfRenderer.js
+
+/**
+ * PDF rendering with pdf.js, shared by the render worker (pdfRenderWorker.js)
+ * and the main-thread fallback in pdfProcessor.js. In a worker pages are drawn
+ * on OffscreenCanvas; on the main thread on a detached <canvas>.
+ * Every document is destroyed and every canvas shrunk to 0x0 when done, so
+ * large uploads don't pile up in memory.
+ *
+ * Rendered page: { pageNum, blob, dimensions: { width, height }, text, textItems }
+ * Pages are drawn at DEFAULT_RENDERING unless a rendering is given.
+ */
+
+import * as pdfjsLib from 'pdfjs-dist';
+import { readFormFields } from './formFields';
+
+// Configure PDF.js worker with static path
+// The worker will be automatically available after npm install
+pdfjsLib.GlobalWorkerOptions.workerSrc = new URL(
+  'pdfjs-dist/build/pdf.worker.min.mjs',
+  import.meta.url
+).toString();
+
+const IN_WORKER = typeof document === 'undefined';
+
+// 2x scale for better quality; PNG keeps text edges crisp
+export const DEFAULT_RENDERING = { scale: 2, type: 'image/png' };
+
+// pdf.js draws through this factory; its default creates <canvas> elements
+class OffscreenCanvasFactory {
+  create(width, height) {
+    const canvas = new OffscreenCanvas(width, height);
+    return { canvas, context: canvas.getContext('2d') };
+  }
+
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  }
+
+  destroy(canvasAndContext) {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+}
+
+// SVG filters (transfer functions, soft masks) need a DOM; in a worker they are drawn unfiltered
+class NoFilterFactory {
+  addFilter() { return 'none'; }
+  addHCMFilter() { return 'none'; }
+  addAlphaFilter() { return 'none'; }
+  addLuminosityFilter() { return 'none'; }
+  addHighlightHCMFilter() { return 'none'; }
+  destroy() {}
+}
+
+function createCanvas(width, height) {
+  if (IN_WORKER) return new OffscreenCanvas(width, height);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+function canvasToBlob(canvas, { type, quality }) {
+  if (canvas.convertToBlob) {
+    return canvas.convertToBlob({ type, quality });
+  }
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (result) => (result ? resolve(result) : reject(new Error('Canvas to blob conversion failed'))),
+      type,
+      quality
+    );
+  });
+}
+
+function abortError() {
+  return new DOMException('PDF rendering was cancelled', 'AbortError');
+}
+
+/**
+ * Load a PDF with pdf.js
+ * @param {ArrayBuffer} data - PDF bytes
+ * @param {Object} [options]
+ * @param {string} [options.password] - Known password, tried first
+ * @param {Function} [options.getPassword] - Called with { incorrect } when a password is needed;
+ *   resolves to the password, or null to give up
+ * @returns {Promise<PDFDocumentProxy>}
+ * @throws {Error} - Named 'PasswordException' when the PDF is encrypted and no password was given
+ */
+async function loadPdf(data, { password, getPassword = null } = {}) {
+  const loadingTask = pdfjsLib.getDocument({
+    data,
+    // Workers have no document.fonts; glyphs are drawn as paths instead
+    disableFontFace: IN_WORKER,
+    enableXfa: true,
+    password,
+    ...(IN_WORKER && { CanvasFactory: OffscreenCanvasFactory, FilterFactory: NoFilterFactory })
+  });
+
+  // pdf.js asks again with INCORRECT_PASSWORD until it gets the right one
+  let skipped = false;
+  loadingTask.onPassword = async (updatePassword, reason) => {
+    const answer = getPassword
+      ? await getPassword({ incorrect: reason === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD })
+      : null;
+
+    if (answer === null || answer === undefined) {
+      skipped = true;
+      loadingTask.destroy();
+      return;
+    }
+    updatePassword(answer);
+  };
+
+  try {
+    return await loadingTask.promise;
+  } catch (error) {
+    if (!skipped && error.name !== 'PasswordException') throw error;
+    const locked = new Error('The PDF is password protected');
+    locked.name = 'PasswordException';
+    throw locked;
+  }
+}
+
+/**
+ * Render one page to an image and read its text layer
+ * @param {PDFDocumentProxy} pdf - Loaded PDF
+ * @param {number} pageNum - 1-based page number
+ * @param {number} rotation - Clockwise degrees on top of the page's own rotation
+ * @param {Object} rendering - { scale, type, quality? }
+ * @param {AbortSignal} [signal] - Cancels the render in progress
+ * @returns {Promise<Object>} - Rendered page
+ */
+async function renderPage(pdf, pageNum, rotation, rendering, signal) {
+  const page = await pdf.getPage(pageNum);
+  let canvas = null;
+
+  try {
+    const viewport = page.getViewport({ scale: rendering.scale, rotation: (page.rotate + rotation) % 360 });
+
+    canvas = createCanvas(viewport.width, viewport.height);
+    const renderTask = page.render({
+      // Opaque canvas for smaller file size
+      canvasContext: canvas.getContext('2d', { alpha: false }),
+      viewport,
+      background: 'white'
+    });
+    const cancel = () => renderTask.cancel();
+    signal?.addEventListener('abort', cancel);
+
+    try {
+      await renderTask.promise;
+    } catch (error) {
+      throw signal?.aborted ? abortError() : error;
+    } finally {
+      signal?.removeEventListener('abort', cancel);
+    }
+
+    // Keep the exact text layer for born-digital PDFs (empty for scans)
+    const { text, textItems } = await extractTextLayer(page, viewport);
+    const blob = await canvasToBlob(canvas, rendering);
+
+    return {
+      pageNum,
+      blob,
+      dimensions: { width: viewport.width, height: viewport.height },
+      text,
+      textItems
+    };
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    console.error(`Error processing page ${pageNum}:`, error);
+    throw new Error(`Failed to render page ${pageNum}: ${error.message}`);
+  } finally {
+    if (canvas) {
+      canvas.width = 0;
+      canvas.height = 0;
+    }
+    page.cleanup();
+  }
+}
+
+/**
+ * Render pages of a PDF one after another
+ * @param {ArrayBuffer} data - PDF bytes
+ * @param {Object} [options]
+ * @param {number[]} [options.pageNums] - 1-based pages to render; defaults to the first maxPages
+ * @param {number} [options.maxPages] - Used when pageNums is not given
+ * @param {number} [options.rotation] - Clockwise degrees: 0, 90, 180 or 270
+ * @param {Object} [options.rendering] - { scale, type, quality? }; defaults to DEFAULT_RENDERING
+ * @param {string} [options.password] - See loadPdf()
+ * @param {Function} [options.getPassword] - See loadPdf()
+ * @param {Function} [options.onDocument] - Called with { pageCount, formFields } once the PDF is open
+ * @param {Function} [options.onPage] - Called with each rendered page as soon as it is done
+ * @param {AbortSignal} [options.signal] - Stops rendering; the promise rejects with an AbortError
+ * @returns {Promise<void>}
+ */
+export async function renderDocument(data, {
+  pageNums = null,
+  maxPages = Infinity,
+  rotation = 0,
+  rendering = DEFAULT_RENDERING,
+  password,
+  getPassword = null,
+  onDocument = null,
+  onPage = null,
+  signal = null
+} = {}) {
+  const pdf = await loadPdf(data, { password, getPassword });
+
+  try {
+    // Fillable forms already hold their values; read them without the model
+    const formFields = await readFormFields(pdf);
+    const pages = pageNums || Array.from({ length: Math.min(pdf.numPages, maxPages) }, (_, i) => i + 1);
+    await onDocument?.({ pageCount: pdf.numPages, formFields, pageNums: pages });
+
+    for (const pageNum of pages) {
+      if (signal?.aborted) throw abortError();
+      await onPage?.(await renderPage(pdf, pageNum, rotation, rendering, signal));
+    }
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * Extract the positioned text layer of a PDF page
+ * @param {PDFPageProxy} page - pdf.js page
+ * @param {PageViewport} viewport - Viewport the page was rendered with
+ * @returns {Promise<Object>} - { text: string, textItems: Array<{ str, x, y, width, height }> }
+ *   Item boxes are normalized to 0-1 of the page, origin top-left.
+ */
+async function extractTextLayer(page, viewport) {
+  const content = await page.getTextContent();
+  const textItems = [];
+
+  for (const item of content.items) {
+    if (!item.str || !item.str.trim()) continue;
+
+    const tx = pdfjsLib.Util.transform(viewport.transform, item.transform);
+    const height = Math.hypot(tx[2], tx[3]);
+    const width = item.width * viewport.scale;
+
+    textItems.push({
+      str: item.str,
+      x: tx[4] / viewport.width,
+      y: (tx[5] - height) / viewport.height,
+      width: width / viewport.width,
+      height: height / viewport.height
+    });
+  }
+
+  return { text: textItemsToLines(textItems), textItems };
+}
+
+/**
+ * Group positioned text items into lines, top to bottom and left to right
+ * @param {Array} textItems - Normalized text items
+ * @returns {Array<Array>} - Items per line
+ */
+export function groupTextLines(textItems) {
+  const sorted = [...textItems].sort((a, b) => a.y - b.y || a.x - b.x);
+  const lines = [];
+
+  for (const item of sorted) {
+    const line = lines[lines.length - 1];
+    // Same line when vertical centers are within half a line height
+    if (line && Math.abs((line.y + line.height / 2) - (item.y + item.height / 2)) < item.height / 2) {
+      line.items.push(item);
+    } else {
+      lines.push({ y: item.y, height: item.height, items: [item] });
+    }
+  }
+
+  return lines.map(line => line.items.sort((a, b) => a.x - b.x));
+}
+
+/**
+ * Reassemble positioned text items into reading-order lines
+ * @param {Array} textItems - Normalized text items
+ * @returns {string}
+ */
+function textItemsToLines(textItems) {
+  return groupTextLines(textItems)
+    .map(items => items
+      .map(item => item.str)
+      .join(' ')
+      .replace(/\s+/g, ' ')
+      .trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+export default {
+  DEFAULT_RENDERING,
+  renderDocument,
+  groupTextLines
+};
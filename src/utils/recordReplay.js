@@ -0,0 +1,279 @@
+// src/utils/recordReplay.js
+
+import { createStreamText } from './streamText';
+
+/**
+ * Record and replay model responses.
+ * A recording provider wraps the real one and writes every prompt (text plus
+ * SHA-256 hashes of its images) with the raw response, or the error, into a
+ * fixture. A replay provider serves those responses back in place of the
+ * model, so parsing, repair and the UI run exactly as they did, on any machine.
+ *
+ * Fixture: {
+ *   format: 'buggu-fixture', version: 1, createdAt, provider, params, inputQuota,
+ *   entries: [{ type: 'prompt' | 'measure', key, messages, responseConstraint, response?, error? }]
+ * }
+ * Prompts are matched by key, the hash of their messages and constraint;
+ * identical prompts (consensus runs, retries) are answered in the order they
+ * were recorded.
+ */
+
+export const FIXTURE_FORMAT = 'buggu-fixture';
+const FIXTURE_VERSION = 1;
+
+// Replayed streams are cut into chunks so partial results render as they did live
+const REPLAY_CHUNK_SIZE = 24;
+const REPLAY_CHUNK_DELAY = 10;
+
+const imageHashes = new WeakMap();
+
+async function sha256(data) {
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+async function hashBlob(blob) {
+  if (!imageHashes.has(blob)) {
+    imageHashes.set(blob, sha256(await blob.arrayBuffer()));
+  }
+  return await imageHashes.get(blob);
+}
+
+// Messages with images replaced by their hashes
+async function describeMessages(messages) {
+  return await Promise.all(messages.map(async ({ role, content }) => ({
+    role,
+    content: typeof content === 'string'
+      ? content
+      : await Promise.all(content.map(async part => (
+        part.type === 'image'
+          ? { type: 'image', sha256: await hashBlob(part.value) }
+          : { type: part.type, value: part.value }
+      )))
+  })));
+}
+
+async function describeRequest(type, messages, options) {
+  const described = await describeMessages(messages);
+  const responseConstraint = options?.responseConstraint || null;
+  const key = await sha256(new TextEncoder().encode(JSON.stringify({ type, messages: described, responseConstraint })));
+  return { type, key, messages: described, responseConstraint };
+}
+
+function serializeError(error) {
+  return { name: error.name, message: error.message };
+}
+
+function restoreError({ name, message }) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+/**
+ * Start an empty fixture
+ * @param {string} [provider] - Label of the provider being recorded
+ * @returns {Object}
+ */
+export function createFixture(provider = null) {
+  return {
+    format: FIXTURE_FORMAT,
+    version: FIXTURE_VERSION,
+    createdAt: new Date().toISOString(),
+    provider,
+    params: null,
+    inputQuota: null,
+    entries: []
+  };
+}
+
+/**
+ * Read a fixture file's contents
+ * @param {string} text
+ * @returns {Object} - The fixture
+ * @throws {Error} - When the file is not a fixture
+ */
+export function parseFixtureFile(text) {
+  let fixture;
+  try {
+    fixture = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+
+  if (fixture?.format !== FIXTURE_FORMAT || !Array.isArray(fixture.entries)) {
+    throw new Error('The file is not a Buggu recording');
+  }
+  if (fixture.version > FIXTURE_VERSION) {
+    throw new Error('The recording was made by a newer version of Buggu');
+  }
+  return fixture;
+}
+
+function recordSession(session, fixture) {
+  const record = async (type, messages, options, outcome) => {
+    const request = await describeRequest(type, messages, options);
+    fixture.entries.push({ ...request, ...outcome });
+  };
+
+  const recorded = {
+    get inputUsage() {
+      return session.inputUsage;
+    },
+    get inputQuota() {
+      return session.inputQuota;
+    },
+
+    async prompt(messages, options = {}) {
+      try {
+        const response = await session.prompt(messages, options);
+        await record('prompt', messages, options, { response });
+        return response;
+      } catch (error) {
+        // A cancelled prompt says nothing about the model's answer
+        if (error.name !== 'AbortError') {
+          await record('prompt', messages, options, { error: serializeError(error) });
+        }
+        throw error;
+      }
+    },
+
+    async *promptStreaming(messages, options = {}) {
+      const append = createStreamText();
+      let text = '';
+      try {
+        for await (const chunk of session.promptStreaming(messages, options)) {
+          text = append(chunk);
+          yield chunk;
+        }
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          await record('prompt', messages, options, { error: serializeError(error) });
+        }
+        throw error;
+      }
+      await record('prompt', messages, options, { response: text });
+    },
+
+    async clone() {
+      return recordSession(await session.clone(), fixture);
+    },
+
+    destroy() {
+      session.destroy();
+    }
+  };
+
+  if (typeof session.measureInputUsage === 'function') {
+    recorded.measureInputUsage = async (messages, options) => {
+      const usage = await session.measureInputUsage(messages, options);
+      await record('measure', messages, null, { response: usage });
+      return usage;
+    };
+  }
+
+  return recorded;
+}
+
+/**
+ * Wrap a provider so everything it answers is added to a fixture
+ * @param {Object} provider - Model provider
+ * @param {Object} fixture - From createFixture(); entries are appended in place
+ * @returns {Object} - Model provider
+ */
+export function createRecordingProvider(provider, fixture) {
+  return {
+    ...provider,
+    async params() {
+      const params = await provider.params();
+      fixture.params = params;
+      return params;
+    },
+    async createSession(options) {
+      const session = await provider.createSession(options);
+      if (session.inputQuota) fixture.inputQuota = session.inputQuota;
+      return recordSession(session, fixture);
+    }
+  };
+}
+
+/**
+ * A provider that answers from a fixture instead of a model
+ * @param {Object|null} fixture - From parseFixtureFile()
+ * @returns {Object} - Model provider
+ */
+export function createReplayProvider(fixture) {
+  const entries = fixture?.entries || [];
+  // Position per key, shared by all sessions so repeated prompts advance
+  const served = new Map();
+
+  const answer = async (type, messages, options) => {
+    options?.signal?.throwIfAborted();
+    const { key } = await describeRequest(type, messages, options);
+    const matches = entries.filter(entry => entry.key === key);
+    if (matches.length === 0) {
+      throw new Error('This prompt is not in the recording. Record again with the same files and request.');
+    }
+
+    // Start over once every response was used, so a replay can be run again
+    const index = served.get(key) || 0;
+    served.set(key, index + 1);
+
+    const entry = matches[index % matches.length];
+    if (entry.error) throw restoreError(entry.error);
+    return entry.response;
+  };
+
+  const createSession = async () => {
+    const session = {
+      inputUsage: 0,
+      inputQuota: fixture?.inputQuota || undefined,
+
+      async prompt(messages, options = {}) {
+        return await answer('prompt', messages, options);
+      },
+
+      async *promptStreaming(messages, options = {}) {
+        const response = await answer('prompt', messages, options);
+        for (let i = 0; i < response.length; i += REPLAY_CHUNK_SIZE) {
+          await new Promise(resolve => setTimeout(resolve, REPLAY_CHUNK_DELAY));
+          options.signal?.throwIfAborted();
+          yield response.slice(i, i + REPLAY_CHUNK_SIZE);
+        }
+      },
+
+      async clone() {
+        return await createSession();
+      },
+
+      destroy() {}
+    };
+
+    if (entries.some(entry => entry.type === 'measure')) {
+      session.measureInputUsage = (messages, options) => answer('measure', messages, options);
+    }
+    return session;
+  };
+
+  return {
+    id: 'replay',
+    label: 'Recorded responses',
+    setupHint: 'Load a recording under Model settings.',
+    imageInputHint: 'The recording was made without image support.',
+    async availability() {
+      return entries.length > 0
+        ? { available: true, status: 'available', detail: null }
+        : { available: false, status: 'unavailable', detail: 'No recording loaded. Load one under Model settings.' };
+    },
+    params: async () => fixture?.params || null,
+    createSession
+  };
+}
+
+export default {
+  FIXTURE_FORMAT,
+  createFixture,
+  parseFixtureFile,
+  createRecordingProvider,
+  createReplayProvider
+};
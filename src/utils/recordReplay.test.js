@@ -0,0 +1,147 @@
+import { describe, it, expect } from 'vitest';
+import { createFixture, parseFixtureFile, createRecordingProvider, createReplayProvider } from './recordReplay';
+
+// SHA-256 of the bytes "abc"
+const ABC_SHA256 = 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad';
+
+const ask = (text, ...images) => [{
+  role: 'user',
+  content: [{ type: 'text', value: text }, ...images.map(value => ({ type: 'image', value }))]
+}];
+
+// A provider whose session answers from a list of scripted outcomes
+const scriptedProvider = (outcomes) => {
+  const next = () => {
+    const outcome = outcomes.shift();
+    if (outcome instanceof Error) throw outcome;
+    return outcome;
+  };
+  return {
+    id: 'scripted',
+    params: async () => ({ defaultTopK: 3 }),
+    createSession: async () => ({
+      inputUsage: 0,
+      inputQuota: 4096,
+      prompt: async () => next(),
+      async *promptStreaming() {
+        yield* next();
+      },
+      measureInputUsage: async () => next(),
+      destroy() {}
+    })
+  };
+};
+
+const collect = async (stream) => {
+  let text = '';
+  for await (const chunk of stream) text += chunk;
+  return text;
+};
+
+const record = async (outcomes, run) => {
+  const fixture = createFixture('scripted');
+  const provider = createRecordingProvider(scriptedProvider(outcomes), fixture);
+  await provider.params();
+  await run(await provider.createSession());
+  return fixture;
+};
+
+describe('createRecordingProvider', () => {
+  it('records prompts, streamed prompts, errors and usage measurements', async () => {
+    const failure = new Error('Model crashed');
+    failure.name = 'UnknownError';
+
+    const fixture = await record(['{"a":1}', ['{"b"', ':2}'], failure, 120], async (session) => {
+      expect(await session.prompt(ask('first'))).toBe('{"a":1}');
+      expect(await collect(session.promptStreaming(ask('second')))).toBe('{"b":2}');
+      await expect(session.prompt(ask('third'))).rejects.toThrow('Model crashed');
+      expect(await session.measureInputUsage(ask('fourth'))).toBe(120);
+    });
+
+    expect(fixture).toMatchObject({ provider: 'scripted', params: { defaultTopK: 3 }, inputQuota: 4096 });
+    expect(fixture.entries).toMatchObject([
+      { type: 'prompt', response: '{"a":1}' },
+      { type: 'prompt', response: '{"b":2}' },
+      { type: 'prompt', error: { name: 'UnknownError', message: 'Model crashed' } },
+      { type: 'measure', response: 120 }
+    ]);
+  });
+
+  it('stores images by the SHA-256 of their bytes', async () => {
+    const fixture = await record(['ok', 'ok'], async (session) => {
+      await session.prompt(ask('read', new Blob(['abc'])));
+      await session.prompt(ask('read', new Blob(['abd'])));
+    });
+
+    const [first, second] = fixture.entries;
+    expect(first.messages[0].content[1]).toEqual({ type: 'image', sha256: ABC_SHA256 });
+    expect(JSON.stringify(first)).not.toContain('"abc"');
+    expect(first.key).not.toBe(second.key);
+  });
+
+  it('leaves out cancelled prompts', async () => {
+    const abort = new Error('Cancelled');
+    abort.name = 'AbortError';
+    const fixture = await record([abort], async (session) => {
+      await expect(session.prompt(ask('first'))).rejects.toThrow('Cancelled');
+    });
+    expect(fixture.entries).toEqual([]);
+  });
+});
+
+describe('createReplayProvider', () => {
+  it('answers identical prompts in recorded order and starts over after the last', async () => {
+    const fixture = await record(['one', 'two', 'other'], async (session) => {
+      await session.prompt(ask('same', new Blob(['abc'])));
+      await session.prompt(ask('same', new Blob(['abc'])));
+      await session.prompt(ask('different'));
+    });
+
+    const replay = createReplayProvider(fixture);
+    expect(await replay.availability()).toMatchObject({ available: true });
+    expect(await replay.params()).toEqual({ defaultTopK: 3 });
+
+    const session = await replay.createSession();
+    const same = () => ask('same', new Blob(['abc']));
+    expect(await session.prompt(same())).toBe('one');
+    expect(await (await session.clone()).prompt(same())).toBe('two');
+    expect(await session.prompt(ask('different'))).toBe('other');
+    expect(await collect(session.promptStreaming(same()))).toBe('one');
+  });
+
+  it('replays recorded errors and usage measurements', async () => {
+    const fixture = await record([new Error('Model crashed'), 42], async (session) => {
+      await session.prompt(ask('first')).catch(() => {});
+      await session.measureInputUsage(ask('second'));
+    });
+
+    const session = await createReplayProvider(fixture).createSession();
+    await expect(session.prompt(ask('first'))).rejects.toThrow('Model crashed');
+    expect(await session.measureInputUsage(ask('second'))).toBe(42);
+  });
+
+  it('refuses prompts that were not recorded', async () => {
+    const fixture = await record(['ok'], session => session.prompt(ask('first')));
+    const session = await createReplayProvider(fixture).createSession();
+    await expect(session.prompt(ask('first, reworded'))).rejects.toThrow('This prompt is not in the recording');
+    await expect(session.prompt(ask('first', new Blob(['abc'])))).rejects.toThrow('This prompt is not in the recording');
+  });
+
+  it('is unavailable without a recording', async () => {
+    expect(await createReplayProvider(null).availability()).toMatchObject({ available: false });
+  });
+});
+
+describe('parseFixtureFile', () => {
+  it('reads a saved fixture', () => {
+    const fixture = createFixture('scripted');
+    expect(parseFixtureFile(JSON.stringify(fixture))).toEqual(fixture);
+  });
+
+  it('rejects other files and newer formats', () => {
+    expect(() => parseFixtureFile('{oops')).toThrow('The file is not valid JSON');
+    expect(() => parseFixtureFile('{"format": "other", "entries": []}')).toThrow('The file is not a Buggu recording');
+    expect(() => parseFixtureFile('{"format": "buggu-fixture"}')).toThrow('The file is not a Buggu recording');
+    expect(() => parseFixtureFile(JSON.stringify({ ...createFixture(), version: 2 }))).toThrow('made by a newer version');
+  });
+});
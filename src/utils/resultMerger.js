@@ -0,0 +1,81 @@
+// src/utils/resultMerger.js
+
+import { joinPath } from './jsonPath';
+
+/**
+ * Merge rules for combining per-batch extraction results into one document:
+ * - objects are merged key by key
+ * - arrays (line items, transactions) are concatenated in page order
+ * - empty values (null, undefined, '') never override a real value
+ * - conflicting scalars keep the first value, except totals and balances,
+ *   which keep the last one since they are usually printed on the final page
+ */
+
+const LAST_WINS_PATTERN = /total|balance|amount_?due|grand|closing/i;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '';
+}
+
+function lastKey(path) {
+  const match = path.match(/([^.[\]]+)\]?$/);
+  return match ? match[1] : path;
+}
+
+function mergeValues(left, right, path, conflicts) {
+  if (isEmpty(right)) return left;
+  if (isEmpty(left)) return right;
+
+  if (Array.isArray(left) && Array.isArray(right)) {
+    return [...left, ...right];
+  }
+
+  if (isPlainObject(left) && isPlainObject(right)) {
+    const merged = { ...left };
+    for (const [key, value] of Object.entries(right)) {
+      merged[key] = key in merged
+        ? mergeValues(merged[key], value, joinPath(path, key), conflicts)
+        : value;
+    }
+    return merged;
+  }
+
+  if (JSON.stringify(left) === JSON.stringify(right)) return left;
+
+  const chosen = LAST_WINS_PATTERN.test(lastKey(path)) ? right : left;
+  const existing = conflicts.find(conflict => conflict.path === (path || '(root)'));
+  if (existing) {
+    existing.values.push(right);
+    existing.chosen = chosen;
+  } else {
+    conflicts.push({ path: path || '(root)', values: [left, right], chosen });
+  }
+  return chosen;
+}
+
+/**
+ * Merge extraction results from consecutive page batches
+ * @param {Array} results - Parsed JSON per batch, in page order
+ * @returns {Object} - { data, conflicts: Array<{ path, values, chosen }> }
+ */
+export function mergeResults(results) {
+  const conflicts = [];
+  const present = results.filter(result => result !== undefined);
+
+  if (present.length === 0) return { data: null, conflicts };
+
+  const data = present.slice(1).reduce(
+    (merged, result) => mergeValues(merged, result, '', conflicts),
+    present[0]
+  );
+
+  return { data, conflicts };
+}
+
+export default {
+  mergeResults
+};
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { mergeResults } from './resultMerger';
+
+describe('mergeResults', () => {
+  it('merges objects key by key and concatenates arrays in page order', () => {
+    const { data, conflicts } = mergeResults([
+      { vendor: { name: 'ACME' }, items: [{ sku: 'A' }] },
+      { vendor: { address: '1 Main St' }, items: [{ sku: 'B' }, { sku: 'C' }] }
+    ]);
+    expect(data).toEqual({
+      vendor: { name: 'ACME', address: '1 Main St' },
+      items: [{ sku: 'A' }, { sku: 'B' }, { sku: 'C' }]
+    });
+    expect(conflicts).toEqual([]);
+  });
+
+  it('never lets an empty value override a real one', () => {
+    const { data, conflicts } = mergeResults([
+      { po: 'PO-1', note: null, ref: '' },
+      { po: null, note: 'rush', ref: 'R-9' }
+    ]);
+    expect(data).toEqual({ po: 'PO-1', note: 'rush', ref: 'R-9' });
+    expect(conflicts).toEqual([]);
+  });
+
+  it('keeps the first value of a conflicting field', () => {
+    const { data, conflicts } = mergeResults([{ invoice_date: '2024-01-01' }, { invoice_date: '2024-01-31' }]);
+    expect(data.invoice_date).toBe('2024-01-01');
+    expect(conflicts).toEqual([
+      { path: 'invoice_date', values: ['2024-01-01', '2024-01-31'], chosen: '2024-01-01' }
+    ]);
+  });
+
+  it('keeps the last value of totals and balances', () => {
+    const pages = [
+      { total: 10, subtotal: 8, closing_balance: 1, amount_due: 5, grand_total: 10, summary: { Total: 1 } },
+      { total: 30, subtotal: 25, closing_balance: 2, amount_due: 15, grand_total: 30, summary: { Total: 3 } }
+    ];
+    expect(mergeResults(pages).data).toEqual(pages[1]);
+  });
+
+  it('does not treat other amounts as totals', () => {
+    expect(mergeResults([{ amount: 1, tax_rate: 5 }, { amount: 2, tax_rate: 7 }]).data).toEqual({ amount: 1, tax_rate: 5 });
+  });
+
+  it('collects every value of a field that conflicts across several batches', () => {
+    const { data, conflicts } = mergeResults([{ total: 1 }, { total: 2 }, { total: 3 }]);
+    expect(data.total).toBe(3);
+    expect(conflicts).toEqual([{ path: 'total', values: [1, 2, 3], chosen: 3 }]);
+  });
+
+  it('skips batches that returned nothing', () => {
+    expect(mergeResults([undefined, { a: 1 }])).toEqual({ data: { a: 1 }, conflicts: [] });
+    expect(mergeResults([])).toEqual({ data: null, conflicts: [] });
+  });
+});
@@ -0,0 +1,249 @@
+// src/utils/schemaBuilder.js
+
+/**
+ * Field model behind the visual schema builder.
+ * A field is { id, name, type, required, description, fields } where
+ * `fields` holds the children of 'object' and 'array' (array of objects) fields.
+ * The field list compiles to both a JSON Schema and the natural-language
+ * request that extractJSONFromImages sends to the model.
+ */
+
+export const FIELD_TYPES = [
+  { value: 'string', label: 'Text' },
+  { value: 'number', label: 'Number' },
+  { value: 'date', label: 'Date' },
+  { value: 'currency', label: 'Currency' },
+  { value: 'boolean', label: 'Yes / No' },
+  { value: 'object', label: 'Group (object)' },
+  { value: 'array', label: 'List of objects' }
+];
+
+const CONTAINER_TYPES = ['object', 'array'];
+
+let fieldCounter = 0;
+
+/**
+ * Create a new field with sensible defaults
+ * @param {Object} overrides - Field properties to set
+ * @returns {Object} - Field
+ */
+export function createField(overrides = {}) {
+  fieldCounter += 1;
+  return {
+    id: `field-${Date.now().toString(36)}-${fieldCounter}`,
+    name: '',
+    type: 'string',
+    required: false,
+    description: '',
+    fields: [],
+    ...overrides
+  };
+}
+
+/**
+ * Whether a field type holds nested fields
+ * @param {string} type
+ * @returns {boolean}
+ */
+export function isContainerType(type) {
+  return CONTAINER_TYPES.includes(type);
+}
+
+/**
+ * Apply a patch to the field with the given id, anywhere in the tree
+ * @param {Array} fields
+ * @param {string} id
+ * @param {Object} patch
+ * @returns {Array} - New field list
+ */
+export function updateField(fields, id, patch) {
+  return fields.map(field => {
+    if (field.id === id) return { ...field, ...patch };
+    if (field.fields.length === 0) return field;
+    return { ...field, fields: updateField(field.fields, id, patch) };
+  });
+}
+
+/**
+ * Remove the field with the given id, anywhere in the tree
+ * @param {Array} fields
+ * @param {string} id
+ * @returns {Array} - New field list
+ */
+export function removeField(fields, id) {
+  return fields
+    .filter(field => field.id !== id)
+    .map(field => field.fields.length === 0
+      ? field
+      : { ...field, fields: removeField(field.fields, id) });
+}
+
+/**
+ * Append a new field at the top level or inside a container field
+ * @param {Array} fields
+ * @param {string|null} parentId - Container field id, or null for top level
+ * @returns {Array} - New field list
+ */
+export function addField(fields, parentId = null) {
+  if (!parentId) return [...fields, createField()];
+
+  return fields.map(field => {
+    if (field.id === parentId) return { ...field, fields: [...field.fields, createField()] };
+    if (field.fields.length === 0) return field;
+    return { ...field, fields: addField(field.fields, parentId) };
+  });
+}
+
+/**
+ * Find problems that would make the compiled schema ambiguous
+ * @param {Array} fields
+ * @param {string} [parentLabel] - Dotted name of the enclosing field
+ * @returns {string[]} - Human-readable problems (empty when valid)
+ */
+export function getFieldErrors(fields, parentLabel = '') {
+  const errors = [];
+  const seen = new Set();
+
+  if (fields.length === 0) {
+    errors.push(parentLabel ? `"${parentLabel}" needs at least one nested field` : 'Add at least one field');
+  }
+
+  for (const field of fields) {
+    const name = field.name.trim();
+    const label = parentLabel ? `${parentLabel}.${name}` : name;
+
+    if (!name) {
+      errors.push(parentLabel ? `A field inside "${parentLabel}" has no name` : 'A field has no name');
+    } else if (seen.has(name)) {
+      errors.push(`Duplicate field name "${label}"`);
+    }
+    seen.add(name);
+
+    if (name && isContainerType(field.type)) {
+      errors.push(...getFieldErrors(field.fields, label));
+    }
+  }
+
+  return errors;
+}
+
+function fieldToSchema(field) {
+  const description = field.description.trim() || undefined;
+  let schema;
+
+  switch (field.type) {
+    case 'number':
+      schema = { type: 'number' };
+      break;
+    case 'date':
+      schema = { type: 'string', format: 'date', description: description || 'Date in YYYY-MM-DD format' };
+      break;
+    case 'currency':
+      schema = { type: 'number', description: description || 'Monetary amount as a plain number, without currency symbols' };
+      break;
+    case 'boolean':
+      schema = { type: 'boolean' };
+      break;
+    case 'object':
+      schema = fieldsToObjectSchema(field.fields);
+      break;
+    case 'array':
+      schema = { type: 'array', items: fieldsToObjectSchema(field.fields) };
+      break;
+    default:
+      schema = { type: 'string' };
+  }
+
+  if (description && !schema.description) schema.description = description;
+
+  // Optional fields stay present but may be null, so key names never drift
+  if (!field.required) schema.type = [schema.type, 'null'];
+
+  return schema;
+}
+
+function fieldsToObjectSchema(fields) {
+  const properties = {};
+  for (const field of fields) {
+    const name = field.name.trim();
+    if (name) properties[name] = fieldToSchema(field);
+  }
+
+  return {
+    type: 'object',
+    properties,
+    required: Object.keys(properties),
+    additionalProperties: false
+  };
+}
+
+/**
+ * Compile builder fields to a JSON Schema. Every field is listed in
+ * `required` so its key is always emitted; non-required fields are nullable.
+ * @param {Array} fields
+ * @returns {Object} - JSON Schema
+ */
+export function compileToJSONSchema(fields) {
+  return fieldsToObjectSchema(fields);
+}
+
+const TYPE_DESCRIPTIONS = {
+  string: 'text',
+  number: 'number',
+  date: 'date, YYYY-MM-DD',
+  currency: 'amount as a plain number',
+  boolean: 'true/false',
+  object: 'object',
+  array: 'list of objects'
+};
+
+function fieldsToPromptLines(fields, depth) {
+  const indent = '  '.repeat(depth);
+  const lines = [];
+
+  for (const field of fields) {
+    const name = field.name.trim();
+    if (!name) continue;
+
+    const traits = [TYPE_DESCRIPTIONS[field.type] || field.type];
+    if (field.required) traits.push('required');
+
+    const description = field.description.trim();
+    lines.push(`${indent}- "${name}" (${traits.join(', ')})${description ? `: ${description}` : ''}`);
+
+    if (isContainerType(field.type) && field.fields.length > 0) {
+      lines.push(`${indent}  ${field.type === 'array' ? 'Each item has' : 'With'}:`);
+      lines.push(...fieldsToPromptLines(field.fields, depth + 1));
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Compile builder fields to the natural-language extraction request
+ * @param {Array} fields
+ * @returns {string}
+ */
+export function compileToPrompt(fields) {
+  const lines = fieldsToPromptLines(fields, 0);
+  if (lines.length === 0) return '';
+
+  return [
+    'Extract the following fields, using exactly these key names:',
+    ...lines,
+    'Use null for any field that is not present in the document.'
+  ].join('\n');
+}
+
+export default {
+  FIELD_TYPES,
+  createField,
+  isContainerType,
+  updateField,
+  removeField,
+  addField,
+  getFieldErrors,
+  compileToJSONSchema,
+  compileToPrompt
+};
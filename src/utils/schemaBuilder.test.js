@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createField,
+  updateField,
+  removeField,
+  addField,
+  getFieldErrors,
+  compileToJSONSchema,
+  compileToPrompt
+} from './schemaBuilder';
+
+const invoiceFields = () => [
+  createField({ id: 'number', name: 'invoice_number', required: true }),
+  createField({ id: 'date', name: 'date', type: 'date' }),
+  createField({ id: 'total', name: 'total', type: 'currency', required: true, description: 'Grand total' }),
+  createField({
+    id: 'items',
+    name: 'items',
+    type: 'array',
+    fields: [createField({ id: 'qty', name: 'qty', type: 'number', required: true })]
+  })
+];
+
+describe('field tree edits', () => {
+  it('updates, adds and removes nested fields by id', () => {
+    let fields = invoiceFields();
+    fields = updateField(fields, 'qty', { name: 'quantity' });
+    expect(fields[3].fields[0].name).toBe('quantity');
+
+    fields = addField(fields, 'items');
+    expect(fields[3].fields).toHaveLength(2);
+    expect(addField(fields)).toHaveLength(5);
+
+    fields = removeField(fields, 'qty');
+    expect(fields[3].fields.map(field => field.name)).toEqual(['']);
+  });
+
+  it('gives every new field its own id', () => {
+    expect(createField().id).not.toBe(createField().id);
+  });
+});
+
+describe('getFieldErrors', () => {
+  it('accepts a complete field list', () => {
+    expect(getFieldErrors(invoiceFields())).toEqual([]);
+  });
+
+  it('reports missing, duplicate and empty fields with their path', () => {
+    const fields = [
+      createField({ name: 'total' }),
+      createField({ name: 'total' }),
+      createField({ name: '' }),
+      createField({ name: 'vendor', type: 'object' })
+    ];
+    expect(getFieldErrors(fields)).toEqual([
+      'Duplicate field name "total"',
+      'A field has no name',
+      '"vendor" needs at least one nested field'
+    ]);
+    expect(getFieldErrors([])).toEqual(['Add at least one field']);
+  });
+});
+
+describe('compileToJSONSchema', () => {
+  it('lists every field as required and makes optional ones nullable', () => {
+    expect(compileToJSONSchema(invoiceFields())).toEqual({
+      type: 'object',
+      properties: {
+        invoice_number: { type: 'string' },
+        date: { type: ['string', 'null'], format: 'date', description: 'Date in YYYY-MM-DD format' },
+        total: { type: 'number', description: 'Grand total' },
+        items: {
+          type: ['array', 'null'],
+          items: {
+            type: 'object',
+            properties: { qty: { type: 'number' } },
+            required: ['qty'],
+            additionalProperties: false
+          }
+        }
+      },
+      required: ['invoice_number', 'date', 'total', 'items'],
+      additionalProperties: false
+    });
+  });
+
+  it('skips fields without a name', () => {
+    expect(compileToJSONSchema([createField({ name: '  ' })]).properties).toEqual({});
+  });
+});
+
+describe('compileToPrompt', () => {
+  it('describes each field with its type and nested fields', () => {
+    expect(compileToPrompt(invoiceFields())).toBe([
+      'Extract the following fields, using exactly these key names:',
+      '- "invoice_number" (text, required)',
+      '- "date" (date, YYYY-MM-DD)',
+      '- "total" (amount as a plain number, required): Grand total',
+      '- "items" (list of objects)',
+      '  Each item has:',
+      '  - "qty" (number, required)',
+      'Use null for any field that is not present in the document.'
+    ].join('\n'));
+  });
+
+  it('is empty without named fields', () => {
+    expect(compileToPrompt([createField()])).toBe('');
+  });
+});
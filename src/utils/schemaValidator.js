@@ -0,0 +1,142 @@
+// src/utils/schemaValidator.js
+
+import { joinPath } from './jsonPath';
+
+/**
+ * Minimal JSON Schema validator for extraction results.
+ * Covers the subset of JSON Schema that the Prompt API's responseConstraint
+ * understands: type, enum, properties, required, additionalProperties, items
+ * and the date/date-time formats.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {*} value
+ * @returns {string}
+ */
+export function getJSONType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Whether a value satisfies a single JSON Schema type
+ * @param {*} value
+ * @param {string} type
+ * @returns {boolean}
+ */
+export function matchesType(value, type) {
+  const actual = getJSONType(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Whether a string is a real calendar date in YYYY-MM-DD format
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isISODate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+function validateNode(value, schema, path, errors) {
+  if (!schema || typeof schema !== 'object') return;
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({
+        path: path || '(root)',
+        message: `expected ${types.join(' or ')}, got ${getJSONType(value)}`
+      });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    errors.push({
+      path: path || '(root)',
+      message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`
+    });
+  }
+
+  if (typeof value === 'string' && schema.format) {
+    if (schema.format === 'date' && !isISODate(value)) {
+      errors.push({ path: path || '(root)', message: 'expected a date in YYYY-MM-DD format' });
+    } else if (schema.format === 'date-time' && !DATE_TIME_PATTERN.test(value)) {
+      errors.push({ path: path || '(root)', message: 'expected an ISO 8601 date-time' });
+    }
+  }
+
+  if (getJSONType(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push({ path: joinPath(path, key), message: 'required field is missing' });
+      }
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        validateNode(child, properties[key], joinPath(path, key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: joinPath(path, key), message: 'unexpected field' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateNode(child, schema.additionalProperties, joinPath(path, key), errors);
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => validateNode(item, schema.items, joinPath(path, index), errors));
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {*} value - Parsed JSON value
+ * @param {Object} schema - JSON Schema object
+ * @returns {Object} - { valid: boolean, errors: Array<{ path: string, message: string }> }
+ */
+export function validateAgainstSchema(value, schema) {
+  const errors = [];
+  validateNode(value, schema, '', errors);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Parse a user-supplied JSON Schema string
+ * @param {string} text - Schema source
+ * @returns {Object} - { schema: Object|null, error?: string }
+ */
+export function parseSchema(text) {
+  if (!text || !text.trim()) return { schema: null };
+
+  try {
+    const schema = JSON.parse(text);
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+      return { schema: null, error: 'Schema must be a JSON object' };
+    }
+    return { schema };
+  } catch (error) {
+    return { schema: null, error: `Invalid JSON: ${error.message}` };
+  }
+}
+
+export default {
+  validateAgainstSchema,
+  parseSchema,
+  getJSONType,
+  matchesType,
+  isISODate
+};
@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { validateAgainstSchema, parseSchema, getJSONType, matchesType, isISODate } from './schemaValidator';
+
+const invoiceSchema = {
+  type: 'object',
+  required: ['invoice_number', 'items'],
+  additionalProperties: false,
+  properties: {
+    invoice_number: { type: 'string' },
+    date: { type: 'string', format: 'date' },
+    status: { type: 'string', enum: ['paid', 'unpaid'] },
+    total: { type: ['number', 'null'] },
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { qty: { type: 'integer' } }
+      }
+    }
+  }
+};
+
+describe('validateAgainstSchema', () => {
+  it('accepts a matching value', () => {
+    const value = { invoice_number: 'A-1', date: '2024-02-29', status: 'paid', total: null, items: [{ qty: 2 }] };
+    expect(validateAgainstSchema(value, invoiceSchema)).toEqual({ valid: true, errors: [] });
+  });
+
+  it('reports each problem with its path', () => {
+    const value = { date: '2023-02-30', status: 'late', total: '5', items: [{ qty: 1.5 }], extra: 1 };
+    const { valid, errors } = validateAgainstSchema(value, invoiceSchema);
+    expect(valid).toBe(false);
+    expect(errors).toEqual([
+      { path: 'invoice_number', message: 'required field is missing' },
+      { path: 'date', message: 'expected a date in YYYY-MM-DD format' },
+      { path: 'status', message: 'must be one of "paid", "unpaid"' },
+      { path: 'total', message: 'expected number or null, got string' },
+      { path: 'items[0].qty', message: 'expected integer, got number' },
+      { path: 'extra', message: 'unexpected field' }
+    ]);
+  });
+
+  it('checks extra fields against an additionalProperties schema', () => {
+    const schema = { type: 'object', additionalProperties: { type: 'number' } };
+    expect(validateAgainstSchema({ a: 1, b: 'x' }, schema).errors).toEqual([
+      { path: 'b', message: 'expected number, got string' }
+    ]);
+  });
+
+  it('names the root when the top-level type is wrong', () => {
+    expect(validateAgainstSchema([], { type: 'object' }).errors).toEqual([
+      { path: '(root)', message: 'expected object, got array' }
+    ]);
+  });
+
+  it('checks date-time strings', () => {
+    const schema = { type: 'string', format: 'date-time' };
+    expect(validateAgainstSchema('2024-01-15T10:30:00Z', schema).valid).toBe(true);
+    expect(validateAgainstSchema('2024-01-15 10:30', schema).valid).toBe(true);
+    expect(validateAgainstSchema('Jan 15, 2024', schema).valid).toBe(false);
+  });
+});
+
+describe('type helpers', () => {
+  it('tells integers from other numbers', () => {
+    expect(getJSONType(3)).toBe('integer');
+    expect(getJSONType(3.5)).toBe('number');
+    expect(getJSONType(null)).toBe('null');
+    expect(getJSONType([])).toBe('array');
+    expect(matchesType(3, 'number')).toBe(true);
+    expect(matchesType(3.5, 'integer')).toBe(false);
+  });
+
+  it('only accepts real calendar dates', () => {
+    expect(isISODate('2024-02-29')).toBe(true);
+    expect(isISODate('2023-02-29')).toBe(false);
+    expect(isISODate('2024-13-01')).toBe(false);
+    expect(isISODate('15/01/2024')).toBe(false);
+  });
+});
+
+describe('parseSchema', () => {
+  it('parses a schema object and treats blank text as no schema', () => {
+    expect(parseSchema('{"type": "object"}')).toEqual({ schema: { type: 'object' } });
+    expect(parseSchema('  ')).toEqual({ schema: null });
+  });
+
+  it('explains what is wrong with the text', () => {
+    expect(parseSchema('[1]')).toEqual({ schema: null, error: 'Schema must be a JSON object' });
+    expect(parseSchema('{type:')).toMatchObject({ schema: null, error: expect.stringMatching(/^Invalid JSON: /) });
+  });
+});
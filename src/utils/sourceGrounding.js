@@ -0,0 +1,317 @@
+// src/utils/sourceGrounding.js
+
+import { joinPath } from './jsonPath';
+import { groupTextLines } from './pdfRenderer';
+import { locateValuesInImage } from './chromeAI';
+
+/**
+ * Link extracted values to where they appear on the page.
+ * PDF pages are searched through their positioned text layer; pages without
+ * one (photos, scans) rely on regions reported by the model.
+ *
+ * Location: {
+ *   status: 'matched' | 'partial' | 'unmatched' | 'unverified' | 'skipped',
+ *   source?: 'text' | 'model', pageIndex?, box?: { x, y, width, height }, value
+ * }
+ * Boxes are normalized to 0-1 of the page, origin top-left.
+ * 'unmatched' means the value appears nowhere it could have been checked and
+ * is likely hallucinated; 'unverified' means some pages could not be checked.
+ */
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+// Long strings are matched by their words when the exact text isn't found
+const MIN_PARTIAL_TOKENS = 4;
+const PARTIAL_COVERAGE = 0.8;
+
+// Values per region request, to keep the prompt and schema small
+const MAX_LOCATE_VALUES = 25;
+
+function normalize(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+function dateCandidates(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value);
+  if (!match) return [];
+
+  const [, year, mm, dd] = match;
+  const m = Number(mm);
+  const d = Number(dd);
+  const yy = year.slice(2);
+  const month = MONTHS[m - 1];
+  if (!month) return [];
+  const mon = month.slice(0, 3);
+
+  return [
+    `${year}-${mm}-${dd}`, `${year}/${mm}/${dd}`,
+    `${mm}/${dd}/${year}`, `${m}/${d}/${year}`, `${dd}/${mm}/${year}`, `${d}/${m}/${year}`,
+    `${mm}/${dd}/${yy}`, `${m}/${d}/${yy}`, `${dd}/${mm}/${yy}`, `${d}/${m}/${yy}`,
+    `${dd}.${mm}.${year}`, `${d}.${m}.${year}`, `${dd}-${mm}-${year}`, `${mm}-${dd}-${year}`,
+    `${month} ${d}, ${year}`, `${mon} ${d}, ${year}`, `${month} ${d} ${year}`, `${mon} ${d} ${year}`,
+    `${d} ${month} ${year}`, `${d} ${mon} ${year}`, `${pad(d)} ${mon} ${year}`, `${d}-${mon}-${year}`, `${pad(d)}-${mon}-${yy}`
+  ];
+}
+
+function numberCandidates(value) {
+  const candidates = new Set([String(value)]);
+  const decimals = Number.isInteger(value) ? [0, 2] : [2, Math.min(String(value).split('.')[1]?.length || 2, 4)];
+
+  for (const digits of decimals) {
+    const fixed = Math.abs(value).toFixed(digits);
+    const [whole, fraction] = fixed.split('.');
+    const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+    const sign = value < 0 ? '-' : '';
+    candidates.add(`${sign}${fixed}`);
+    candidates.add(`${sign}${fraction ? `${grouped}.${fraction}` : grouped}`);
+    // European style: 1.234,56
+    candidates.add(`${sign}${fraction ? `${grouped.replace(/,/g, '.')},${fraction}` : grouped.replace(/,/g, '.')}`);
+    // Accounting style negatives: (1,234.56)
+    if (value < 0) candidates.add(`(${fraction ? `${grouped}.${fraction}` : grouped})`);
+  }
+  return [...candidates];
+}
+
+/**
+ * Build a searchable index of one page's text layer
+ * @param {Array} textItems
+ * @returns {Object|null} - { text, spans: [{ start, end, item }], tokens: Map<string, item[]> }
+ */
+function indexPage(textItems) {
+  if (!textItems || textItems.length === 0) return null;
+
+  let text = '';
+  const spans = [];
+  const tokens = new Map();
+
+  for (const line of groupTextLines(textItems)) {
+    for (const item of line) {
+      const str = normalize(item.str);
+      if (!str) continue;
+      if (text) text += ' ';
+      spans.push({ start: text.length, end: text.length + str.length, item });
+      text += str;
+
+      for (const token of str.split(/[^\p{L}\p{N}]+/u).filter(Boolean)) {
+        if (!tokens.has(token)) tokens.set(token, []);
+        tokens.get(token).push(item);
+      }
+    }
+  }
+
+  return { text, spans, tokens };
+}
+
+function unionBox(items) {
+  const left = Math.min(...items.map(item => item.x));
+  const top = Math.min(...items.map(item => item.y));
+  const right = Math.max(...items.map(item => item.x + item.width));
+  const bottom = Math.max(...items.map(item => item.y + item.height));
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+// A match must not continue a longer word or number ("12" in "2012" or "5,12").
+// step is -1 when checking before the match and 1 after it.
+function isBoundary(text, index, step, numeric) {
+  const char = text[index];
+  if (char === undefined) return true;
+  if (!numeric) return !/[\p{L}\p{N}]/u.test(char);
+  if (/\d/.test(char)) return false;
+  if (/[.,]/.test(char)) return !/\d/.test(text[index + step] || '');
+  return true;
+}
+
+function findExact(page, candidates, numeric) {
+  for (const candidate of candidates) {
+    const needle = normalize(candidate);
+    if (!needle) continue;
+
+    let index = page.text.indexOf(needle);
+    while (index !== -1) {
+      const end = index + needle.length;
+      if (isBoundary(page.text, index - 1, -1, numeric) && isBoundary(page.text, end, 1, numeric)) {
+        const items = page.spans.filter(span => span.start < end && span.end > index).map(span => span.item);
+        return unionBox(items);
+      }
+      index = page.text.indexOf(needle, index + 1);
+    }
+  }
+  return null;
+}
+
+function findTokens(page, value) {
+  const tokens = normalize(value).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  if (tokens.length < MIN_PARTIAL_TOKENS) return null;
+
+  const found = tokens.filter(token => page.tokens.has(token));
+  if (found.length / tokens.length < PARTIAL_COVERAGE) return null;
+
+  const items = [...new Set(found.map(token => page.tokens.get(token)[0]))];
+  return unionBox(items);
+}
+
+function candidatesFor(value) {
+  if (typeof value === 'number') return numberCandidates(value);
+  const dates = dateCandidates(value);
+  return dates.length > 0 ? [value, ...dates] : [value];
+}
+
+function isGroundable(value) {
+  return (typeof value === 'number' && Number.isFinite(value))
+    || (typeof value === 'string' && value.trim() !== '');
+}
+
+function collectLeaves(value, path, leaves) {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => collectLeaves(item, joinPath(path, index), leaves));
+  } else if (value !== null && typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      collectLeaves(child, joinPath(path, key), leaves);
+    }
+  } else {
+    leaves.push({ path: path || '(root)', value });
+  }
+  return leaves;
+}
+
+/**
+ * Locate every leaf value on the pages' text layers
+ * @param {*} data - Extracted JSON
+ * @param {Array} pages - Processed pages (textItems are used when present)
+ * @returns {Object} - Locations keyed by path
+ */
+export function groundValues(data, pages) {
+  const indexes = pages.map(page => indexPage(page.textItems));
+  const allChecked = indexes.length > 0 && indexes.every(Boolean);
+  const locations = {};
+
+  for (const { path, value } of collectLeaves(data, '', [])) {
+    if (!isGroundable(value)) {
+      locations[path] = { status: 'skipped', value };
+      continue;
+    }
+
+    const numeric = typeof value === 'number';
+    const candidates = candidatesFor(value);
+    let location = null;
+
+    for (let pageIndex = 0; pageIndex < indexes.length && !location; pageIndex++) {
+      const page = indexes[pageIndex];
+      if (!page) continue;
+      const box = findExact(page, candidates, numeric);
+      if (box) location = { status: 'matched', source: 'text', pageIndex, box, value };
+    }
+
+    for (let pageIndex = 0; pageIndex < indexes.length && !location && !numeric; pageIndex++) {
+      const page = indexes[pageIndex];
+      const box = page && findTokens(page, value);
+      if (box) location = { status: 'partial', source: 'text', pageIndex, box, value };
+    }
+
+    locations[path] = location || { status: allChecked ? 'unmatched' : 'unverified', value };
+  }
+
+  return locations;
+}
+
+/**
+ * Paths still waiting for a model-reported region
+ * @param {Object} locations - From groundValues()
+ * @returns {Array<{ path, value }>}
+ */
+export function getUnverified(locations) {
+  return Object.entries(locations)
+    .filter(([, location]) => location.status === 'unverified')
+    .map(([path, location]) => ({ path, value: location.value }));
+}
+
+/**
+ * Ask the model for the regions of values that pages without a text layer
+ * could not confirm. Pages are tried in order; values it cannot find on any
+ * of them are reported with pageIndex null.
+ * @param {Object} options
+ * @param {Object} options.locations - From groundValues()
+ * @param {Array} options.pages - Processed pages
+ * @param {Function} [options.onProgress] - Called with { page, pageCount } before each page
+ * @param {AbortSignal} [options.signal] - Stops locating; rejects with an AbortError
+ * @returns {Promise<Object>} - Regions for applyModelRegions()
+ */
+export async function locateWithModel({ locations, pages, onProgress = null, signal = null }) {
+  const imagePages = pages
+    .map((page, pageIndex) => ({ page, pageIndex }))
+    .filter(({ page }) => !page.textItems?.length);
+  let remaining = getUnverified(locations);
+  const regions = {};
+
+  for (let i = 0; i < imagePages.length && remaining.length > 0; i++) {
+    const { page, pageIndex } = imagePages[i];
+    onProgress?.({ page: i + 1, pageCount: imagePages.length });
+
+    for (let start = 0; start < remaining.length; start += MAX_LOCATE_VALUES) {
+      const chunk = remaining.slice(start, start + MAX_LOCATE_VALUES);
+      signal?.throwIfAborted();
+      const boxes = await locateValuesInImage({ imageBlob: page.blob, values: chunk, signal });
+      for (const { path, value } of chunk) {
+        if (boxes[path]) regions[path] = { value, pageIndex, box: boxes[path] };
+      }
+    }
+    remaining = remaining.filter(({ path }) => !regions[path]);
+  }
+
+  for (const { path, value } of remaining) {
+    regions[path] = { value, pageIndex: null };
+  }
+  return regions;
+}
+
+/**
+ * Combine text-layer locations with model-reported regions. Regions are only
+ * used while the value they were reported for is unchanged.
+ * @param {Object} locations - From groundValues()
+ * @param {Object} regions - { [path]: { value, pageIndex, box } | { value, pageIndex: null } }
+ * @returns {Object} - Locations keyed by path
+ */
+export function applyModelRegions(locations, regions) {
+  const merged = { ...locations };
+  for (const [path, region] of Object.entries(regions || {})) {
+    const location = merged[path];
+    if (location?.status !== 'unverified' || region.value !== location.value) continue;
+
+    merged[path] = region.box
+      ? { status: 'matched', source: 'model', pageIndex: region.pageIndex, box: region.box, value: region.value }
+      : { status: 'unmatched', source: 'model', value: region.value };
+  }
+  return merged;
+}
+
+/**
+ * Count locations by status
+ * @param {Object} locations
+ * @returns {Object} - { matched, partial, unmatched, unverified, skipped, total }
+ */
+export function summarizeGrounding(locations) {
+  const summary = { matched: 0, partial: 0, unmatched: 0, unverified: 0, skipped: 0, total: 0 };
+  for (const location of Object.values(locations)) {
+    summary[location.status]++;
+    summary.total++;
+  }
+  return summary;
+}
+
+export default {
+  groundValues,
+  getUnverified,
+  locateWithModel,
+  applyModelRegions,
+  summarizeGrounding
+};
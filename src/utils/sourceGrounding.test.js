@@ -0,0 +1,109 @@
+import { describe, it, expect, vi } from 'vitest';
+import { groundValues, getUnverified, locateWithModel, applyModelRegions, summarizeGrounding } from './sourceGrounding';
+import { locateValuesInImage } from './chromeAI';
+
+vi.mock('./chromeAI', () => ({ locateValuesInImage: vi.fn() }));
+// Only groupTextLines is used here; pdf.js itself needs browser APIs
+vi.mock('pdfjs-dist', () => ({ GlobalWorkerOptions: {} }));
+
+// One text item per line, stacked down the page
+const textPage = (...lines) => ({
+  textItems: lines.map((str, index) => ({ str, x: 0.1, y: 0.05 * (index + 1), width: 0.3, height: 0.02 }))
+});
+
+const statusOf = (data, page) => groundValues(data, [page]).value.status;
+
+describe('groundValues', () => {
+  it('finds numbers however the page formats them', () => {
+    const page = textPage('Total: $1,234.50', 'Refund (45.00)', 'Betrag 2.345,60 EUR', 'Qty 3', 'Rate 0.125');
+    expect(statusOf({ value: 1234.5 }, page)).toBe('matched');
+    expect(statusOf({ value: -45 }, page)).toBe('matched');
+    expect(statusOf({ value: 2345.6 }, page)).toBe('matched');
+    expect(statusOf({ value: 3 }, page)).toBe('matched');
+    expect(statusOf({ value: 0.125 }, page)).toBe('matched');
+  });
+
+  it('does not match a number inside a longer one', () => {
+    const page = textPage('Invoice 2012', 'Amount 5,120.00');
+    expect(statusOf({ value: 12 }, page)).toBe('unmatched');
+    expect(statusOf({ value: 5.12 }, page)).toBe('unmatched');
+  });
+
+  it('finds ISO dates written in common formats', () => {
+    expect(statusOf({ value: '2024-03-05' }, textPage('Date: 03/05/2024'))).toBe('matched');
+    expect(statusOf({ value: '2024-03-05' }, textPage('Date: 5.3.2024'))).toBe('matched');
+    expect(statusOf({ value: '2024-03-05' }, textPage('Issued March 5, 2024'))).toBe('matched');
+    expect(statusOf({ value: '2024-03-05' }, textPage('Issued 05-Mar-24'))).toBe('matched');
+    expect(statusOf({ value: '2024-03-05' }, textPage('Issued 2024-03-06'))).toBe('unmatched');
+  });
+
+  it('matches text ignoring case, spacing and typographic quotes', () => {
+    expect(statusOf({ value: "O'Brien   Supply" }, textPage('o’brien supply co.'))).toBe('matched');
+  });
+
+  it('matches long strings by their words when the exact text is split up', () => {
+    const page = textPage('Acme Industrial Supply', 'Company of Springfield');
+    const location = groundValues({ value: 'Acme Industrial Supply Company, Springfield' }, [page]).value;
+    expect(location).toMatchObject({ status: 'partial', source: 'text', pageIndex: 0 });
+  });
+
+  it('returns the box of the matching text items', () => {
+    const location = groundValues({ value: 'ACME' }, [textPage('Invoice', 'ACME')]).value;
+    expect(location).toEqual({
+      status: 'matched',
+      source: 'text',
+      pageIndex: 0,
+      box: { x: 0.1, y: 0.1, width: expect.closeTo(0.3), height: expect.closeTo(0.02) },
+      value: 'ACME'
+    });
+  });
+
+  it('marks values on pages without text as unverified and skips empty ones', () => {
+    const locations = groundValues({ vendor: 'ACME', po: null, items: [{ qty: 2 }] }, [{ textItems: [] }]);
+    expect(summarizeGrounding(locations)).toEqual({ matched: 0, partial: 0, unmatched: 0, unverified: 2, skipped: 1, total: 3 });
+    expect(getUnverified(locations)).toEqual([{ path: 'vendor', value: 'ACME' }, { path: 'items[0].qty', value: 2 }]);
+  });
+});
+
+describe('locateWithModel', () => {
+  it('asks about each image page until every value is found', async () => {
+    const pages = [{ blob: 'page-1', textItems: [] }, textPage('text page'), { blob: 'page-3' }];
+    const locations = groundValues({ vendor: 'ACME', total: 10, po: 'PO-1' }, pages);
+    const box = { x: 0, y: 0, width: 0.1, height: 0.1 };
+    locateValuesInImage
+      .mockResolvedValueOnce({ vendor: box })
+      .mockResolvedValueOnce({ total: box });
+
+    const signal = new AbortController().signal;
+    const progress = [];
+    const regions = await locateWithModel({ locations, pages, onProgress: p => progress.push(p), signal });
+
+    expect(locateValuesInImage).toHaveBeenNthCalledWith(2, {
+      imageBlob: 'page-3',
+      values: [{ path: 'total', value: 10 }, { path: 'po', value: 'PO-1' }],
+      signal
+    });
+    expect(progress).toEqual([{ page: 1, pageCount: 2 }, { page: 2, pageCount: 2 }]);
+    expect(regions).toEqual({
+      vendor: { value: 'ACME', pageIndex: 0, box },
+      total: { value: 10, pageIndex: 2, box },
+      po: { value: 'PO-1', pageIndex: null }
+    });
+
+    const merged = applyModelRegions(locations, { ...regions, vendor: { ...regions.vendor, value: 'Other' } });
+    expect(merged.vendor.status).toBe('unverified');
+    expect(merged.total).toMatchObject({ status: 'matched', source: 'model', pageIndex: 2 });
+    expect(merged.po).toMatchObject({ status: 'unmatched', source: 'model' });
+  });
+
+  it('stops before asking when cancelled', async () => {
+    locateValuesInImage.mockClear();
+    const controller = new AbortController();
+    controller.abort();
+    const pages = [{ blob: 'page-1' }];
+    const locations = groundValues({ vendor: 'ACME' }, pages);
+
+    await expect(locateWithModel({ locations, pages, signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+    expect(locateValuesInImage).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,30 @@
+// src/utils/streamText.js
+
+/**
+ * Older Chrome builds stream the whole text received so far in every chunk,
+ * newer ones (and local servers) stream only the new part. The mode is read
+ * once from the first two non-empty chunks: a second chunk that extends the
+ * first means the stream is cumulative. Deciding per chunk would misread a
+ * delta that happens to repeat the text before it.
+ */
+
+/**
+ * Start collecting a streamed response
+ * @returns {Function} - Takes the next chunk and returns the full text so far
+ */
+export function createStreamText() {
+  let text = '';
+  let cumulative = null;
+
+  return (chunk) => {
+    if (cumulative === null && text && chunk) {
+      cumulative = chunk.length > text.length && chunk.startsWith(text);
+    }
+    text = cumulative ? chunk : text + chunk;
+    return text;
+  };
+}
+
+export default {
+  createStreamText
+};
@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { createStreamText } from './streamText';
+
+const read = (...chunks) => {
+  const append = createStreamText();
+  return chunks.map(append);
+};
+
+describe('createStreamText', () => {
+  it('joins delta chunks', () => {
+    expect(read('{"a"', ': 1', '}')).toEqual(['{"a"', '{"a": 1', '{"a": 1}']);
+  });
+
+  it('keeps the latest chunk of a cumulative stream', () => {
+    expect(read('{"a"', '{"a": 1', '{"a": 1}')).toEqual(['{"a"', '{"a": 1', '{"a": 1}']);
+  });
+
+  it('keeps joining deltas that repeat the text before them', () => {
+    expect(read('1', '2', '12', '123')).toEqual(['1', '12', '1212', '1212123']);
+    expect(read(' ', ' ', ' x')).toEqual([' ', '  ', '   x']);
+  });
+
+  it('decides only once both chunks have text', () => {
+    expect(read('', 'ab', 'abc')).toEqual(['', 'ab', 'abc']);
+  });
+});
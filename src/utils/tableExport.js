@@ -0,0 +1,163 @@
+// src/utils/tableExport.js
+
+/**
+ * Turn extracted JSON into spreadsheet tables.
+ * - nested objects become dotted columns ("vendor.address.city")
+ * - arrays of objects (line items, transactions) explode into one row per
+ *   item, with the parent fields repeated on every row
+ * - sibling arrays are stacked rather than multiplied, so two lists of 10
+ *   give 20 rows, not 100; a list with one item is stacked the same way
+ * - arrays of plain values are joined into a single cell
+ */
+
+const LIST_SEPARATOR = '; ';
+const SHEET_NAME_MAX = 31;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isScalarList(value) {
+  return Array.isArray(value) && value.every(item => !isPlainObject(item) && !Array.isArray(item));
+}
+
+function column(prefix, key) {
+  return prefix ? `${prefix}.${key}` : String(key);
+}
+
+// Fields of an object (nested objects included) go into base; every list of
+// objects becomes a group of rows, however many items it has
+function collect(value, prefix, base, groups) {
+  for (const [key, child] of Object.entries(value)) {
+    const path = column(prefix, key);
+
+    if (isScalarList(child)) {
+      base[path] = child.join(LIST_SEPARATOR);
+    } else if (Array.isArray(child)) {
+      groups.push(explode(child, path));
+    } else if (isPlainObject(child)) {
+      collect(child, path, base, groups);
+    } else {
+      base[path] = child;
+    }
+  }
+}
+
+function explode(value, prefix) {
+  if (Array.isArray(value)) {
+    if (isScalarList(value)) return [{ [prefix || 'value']: value.join(LIST_SEPARATOR) }];
+    return value.flatMap(item => explode(item, prefix));
+  }
+
+  if (!isPlainObject(value)) {
+    return [{ [prefix || 'value']: value }];
+  }
+
+  const base = {};
+  const groups = [];
+  collect(value, prefix, base, groups);
+
+  if (groups.length === 0) return [base];
+  return groups.flatMap(rows => rows.map(row => ({ ...base, ...row })));
+}
+
+function toTable(rowObjects) {
+  const columns = [];
+  const seen = new Set();
+  for (const row of rowObjects) {
+    for (const key of Object.keys(row)) {
+      if (!seen.has(key)) {
+        seen.add(key);
+        columns.push(key);
+      }
+    }
+  }
+
+  const rows = rowObjects.map(row => columns.map(key => (key in row ? row[key] : null)));
+  return { columns, rows };
+}
+
+/**
+ * Flatten extracted JSON into a single table
+ * @param {*} data - Extracted JSON
+ * @returns {Object} - { columns: string[], rows: Array<Array> }
+ */
+export function flattenToTable(data) {
+  if (data === null || data === undefined) return { columns: [], rows: [] };
+  return toTable(explode(data, ''));
+}
+
+function sheetName(name, used) {
+  const cleaned = String(name).replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, SHEET_NAME_MAX) || 'Sheet';
+  let candidate = cleaned;
+  for (let i = 2; used.has(candidate.toLowerCase()); i++) {
+    const suffix = ` (${i})`;
+    candidate = `${cleaned.slice(0, SHEET_NAME_MAX - suffix.length)}${suffix}`;
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+/**
+ * Split extracted JSON into one table per top-level array, plus a table for
+ * the remaining top-level fields
+ * @param {*} data - Extracted JSON
+ * @returns {Array} - [{ name, columns, rows }]
+ */
+export function splitIntoSheets(data) {
+  const used = new Set();
+
+  if (!isPlainObject(data)) {
+    return [{ name: sheetName('Data', used), ...flattenToTable(data) }];
+  }
+
+  const fields = {};
+  const lists = [];
+  for (const [key, value] of Object.entries(data)) {
+    if (Array.isArray(value) && !isScalarList(value)) {
+      lists.push([key, value]);
+    } else {
+      fields[key] = value;
+    }
+  }
+
+  const sheets = [];
+  if (Object.keys(fields).length > 0 || lists.length === 0) {
+    sheets.push({ name: sheetName(lists.length > 0 ? 'Summary' : 'Data', used), ...flattenToTable(fields) });
+  }
+  for (const [key, value] of lists) {
+    sheets.push({ name: sheetName(key, used), ...flattenToTable(value) });
+  }
+  return sheets;
+}
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  // Extracted text is untrusted: "=HYPERLINK(...)" must stay text when opened in Excel
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    return `"'${text.replace(/"/g, '""')}"`;
+  }
+  return /[",\r\n]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize a table as RFC 4180 CSV. Text that a spreadsheet would run as a
+ * formula (starting with =, +, -, @, tab or CR) is prefixed with an apostrophe.
+ * @param {Object} table - { columns, rows }
+ * @returns {string}
+ */
+export function tableToCSV({ columns, rows }) {
+  return [columns, ...rows]
+    .map(row => row.map(csvCell).join(','))
+    .join('\r\n');
+}
+
+export default {
+  flattenToTable,
+  splitIntoSheets,
+  tableToCSV
+};
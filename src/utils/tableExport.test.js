@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { flattenToTable, splitIntoSheets, tableToCSV } from './tableExport';
+
+describe('flattenToTable', () => {
+  it('turns nested objects into dotted columns', () => {
+    expect(flattenToTable({ vendor: { name: 'ACME', address: { city: 'Pune' } }, total: 5 })).toEqual({
+      columns: ['vendor.name', 'vendor.address.city', 'total'],
+      rows: [['ACME', 'Pune', 5]]
+    });
+  });
+
+  it('explodes a list of objects into one row per item with parent fields repeated', () => {
+    const table = flattenToTable({ invoice: 'A-1', items: [{ sku: 'x', qty: 1 }, { sku: 'y', qty: 2 }] });
+    expect(table.columns).toEqual(['invoice', 'items.sku', 'items.qty']);
+    expect(table.rows).toEqual([['A-1', 'x', 1], ['A-1', 'y', 2]]);
+  });
+
+  it('stacks sibling lists instead of multiplying them', () => {
+    const { rows } = flattenToTable({
+      items: [{ sku: 'x' }, { sku: 'y' }],
+      payments: [{ amount: 1 }, { amount: 2 }]
+    });
+    expect(rows).toHaveLength(4);
+  });
+
+  it('stacks a one-item list like any other list', () => {
+    const { columns, rows } = flattenToTable({
+      line_items: [{ sku: 'x' }],
+      payments: [{ amount: 1 }, { amount: 2 }]
+    });
+    expect(columns).toEqual(['line_items.sku', 'payments.amount']);
+    expect(rows).toEqual([['x', null], [null, 1], [null, 2]]);
+  });
+
+  it('gives the same shape for one and for two items', () => {
+    const one = flattenToTable({ a: [{ x: 1 }], b: [{ y: 1 }] });
+    const two = flattenToTable({ a: [{ x: 1 }, { x: 2 }], b: [{ y: 1 }] });
+    expect(one.rows).toEqual([[1, null], [null, 1]]);
+    expect(two.rows).toEqual([[1, null], [2, null], [null, 1]]);
+  });
+
+  it('keeps lists nested inside objects apart from sibling lists', () => {
+    const { rows } = flattenToTable({ invoice: { items: [{ sku: 'x' }] }, payments: [{ amount: 1 }] });
+    expect(rows).toEqual([['x', null], [null, 1]]);
+  });
+
+  it('joins lists of plain values into one cell', () => {
+    expect(flattenToTable({ tags: ['a', 'b'], n: 1 })).toEqual({ columns: ['tags', 'n'], rows: [['a; b', 1]] });
+  });
+
+  it('handles top-level arrays and scalars', () => {
+    expect(flattenToTable([{ a: 1 }, { b: 2 }])).toEqual({ columns: ['a', 'b'], rows: [[1, null], [null, 2]] });
+    expect(flattenToTable('text')).toEqual({ columns: ['value'], rows: [['text']] });
+    expect(flattenToTable(null)).toEqual({ columns: [], rows: [] });
+  });
+});
+
+describe('splitIntoSheets', () => {
+  it('puts each top-level list on its own sheet after a summary', () => {
+    const sheets = splitIntoSheets({ invoice: 'A-1', tags: ['x'], items: [{ sku: 'x' }], 'a/b': [{ c: 1 }] });
+    expect(sheets.map(sheet => sheet.name)).toEqual(['Summary', 'items', 'a b']);
+    expect(sheets[0]).toMatchObject({ columns: ['invoice', 'tags'], rows: [['A-1', 'x']] });
+    expect(sheets[1]).toMatchObject({ columns: ['sku'], rows: [['x']] });
+  });
+
+  it('keeps sheet names unique and short', () => {
+    const long = 'x'.repeat(40);
+    const sheets = splitIntoSheets({ [long]: [{ a: 1 }], [long.toUpperCase()]: [{ a: 2 }] });
+    expect(sheets.map(sheet => sheet.name)).toEqual(['x'.repeat(31), `${'X'.repeat(27)} (2)`]);
+  });
+});
+
+describe('tableToCSV', () => {
+  it('quotes cells that need it', () => {
+    const csv = tableToCSV({ columns: ['a', 'b'], rows: [['x,y', 'say "hi"'], [' pad', null], ['line\nbreak', 2]] });
+    expect(csv).toBe('a,b\r\n"x,y","say ""hi"""\r\n" pad",\r\n"line\nbreak",2');
+  });
+
+  it('neutralizes text that a spreadsheet would run as a formula', () => {
+    const csv = tableToCSV({
+      columns: ['v'],
+      rows: [['=HYPERLINK("http://x")'], ['+1'], ['-2+3'], ['@SUM(A1)'], ['\tx'], ['\rx']]
+    });
+    expect(csv.split('\r\n').slice(1)).toEqual([
+      `"'=HYPERLINK(""http://x"")"`,
+      `"'+1"`,
+      `"'-2+3"`,
+      `"'@SUM(A1)"`,
+      `"'\tx"`,
+      `"'\rx"`
+    ]);
+  });
+
+  it('leaves negative numbers as numbers', () => {
+    expect(tableToCSV({ columns: ['n'], rows: [[-5]] })).toBe('n\r\n-5');
+  });
+});
@@ -0,0 +1,236 @@
+// src/utils/templateStore.js
+
+/**
+ * Extraction templates saved in localStorage.
+ * A template is { id, name, prompt, schema, fields, sampleOutput, createdAt, updatedAt }
+ * where `schema` is an optional JSON Schema object, `fields` the visual
+ * builder's field list (when the template was built there) and
+ * `sampleOutput` an optional example of the expected JSON.
+ * Templates can be exported to and imported from a JSON file so a team can
+ * share identical extraction definitions.
+ */
+
+const STORAGE_KEY = 'buggu.templates';
+const EXPORT_FORMAT = 'buggu-templates';
+const EXPORT_VERSION = 1;
+
+// Seeded on first use; editable and deletable like any other template
+const DEFAULT_TEMPLATES = [
+  {
+    id: 'default-invoice',
+    name: 'Invoice',
+    prompt: 'Extract invoice number, date, vendor name, line items with descriptions and prices, subtotal, tax, and total amount'
+  },
+  {
+    id: 'default-receipt',
+    name: 'Receipt',
+    prompt: 'Extract receipt items with names, quantities, and prices; also get the store name, date, and total'
+  },
+  {
+    id: 'default-document',
+    name: 'Document',
+    prompt: 'Extract all text content and organize it by sections with headings'
+  }
+];
+
+let templateCounter = 0;
+
+function newId() {
+  templateCounter += 1;
+  return `template-${Date.now().toString(36)}-${templateCounter}`;
+}
+
+/**
+ * Create a template with sensible defaults
+ * @param {Object} overrides - Template properties to set
+ * @returns {Object} - Template
+ */
+export function createTemplate(overrides = {}) {
+  const now = Date.now();
+  return {
+    id: newId(),
+    name: '',
+    prompt: '',
+    schema: null,
+    fields: null,
+    sampleOutput: null,
+    createdAt: now,
+    updatedAt: now,
+    ...overrides
+  };
+}
+
+/**
+ * Load saved templates, seeding the defaults on first use
+ * @returns {Array} - Templates
+ */
+export function loadTemplates() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored === null) return DEFAULT_TEMPLATES.map(template => createTemplate(template));
+    const templates = JSON.parse(stored);
+    return Array.isArray(templates) ? templates : [];
+  } catch (error) {
+    console.warn('Could not read saved templates:', error);
+    return [];
+  }
+}
+
+/**
+ * Persist the template list
+ * @param {Array} templates
+ */
+export function saveTemplates(templates) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(templates));
+}
+
+/**
+ * Insert a template or replace the one with the same id
+ * @param {Array} templates
+ * @param {Object} template
+ * @returns {Array} - New template list
+ */
+export function upsertTemplate(templates, template) {
+  const updated = { ...template, updatedAt: Date.now() };
+  return templates.some(existing => existing.id === template.id)
+    ? templates.map(existing => (existing.id === template.id ? updated : existing))
+    : [...templates, updated];
+}
+
+/**
+ * Remove a template
+ * @param {Array} templates
+ * @param {string} id
+ * @returns {Array} - New template list
+ */
+export function removeTemplate(templates, id) {
+  return templates.filter(template => template.id !== id);
+}
+
+/**
+ * Copy a template under a new id, inserted right after the original
+ * @param {Array} templates
+ * @param {string} id
+ * @returns {Array} - New template list
+ */
+export function duplicateTemplate(templates, id) {
+  const index = templates.findIndex(template => template.id === id);
+  if (index === -1) return templates;
+
+  const { id: _id, createdAt: _createdAt, updatedAt: _updatedAt, ...rest } = templates[index];
+  const copy = createTemplate({ ...rest, name: `${rest.name} (copy)` });
+  return [...templates.slice(0, index + 1), copy, ...templates.slice(index + 1)];
+}
+
+/**
+ * Check a template's fields
+ * @param {Object} template
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function getTemplateError(template) {
+  if (!template || typeof template !== 'object') return 'Template must be an object';
+  if (typeof template.name !== 'string' || !template.name.trim()) return 'Template needs a name';
+  if (typeof template.prompt !== 'string' || !template.prompt.trim()) return `"${template.name}" needs a prompt`;
+  if (template.schema != null && (typeof template.schema !== 'object' || Array.isArray(template.schema))) {
+    return `"${template.name}" has a schema that is not a JSON object`;
+  }
+  if (template.fields != null && !Array.isArray(template.fields)) {
+    return `"${template.name}" has an invalid field list`;
+  }
+  return null;
+}
+
+/**
+ * Serialize templates for sharing
+ * @param {Array} templates
+ * @returns {string} - JSON file contents
+ */
+export function exportTemplates(templates) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    templates: templates.map(({ id, name, prompt, schema, fields, sampleOutput }) => ({
+      id, name, prompt, schema, fields, sampleOutput
+    }))
+  }, null, 2);
+}
+
+/**
+ * Parse an exported template file. Accepts the export format or a bare array.
+ * Invalid entries are skipped and reported.
+ * @param {string} text - File contents
+ * @returns {Object} - { templates: Array, errors: string[] }
+ */
+export function parseTemplateFile(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    return { templates: [], errors: [`Invalid JSON: ${error.message}`] };
+  }
+
+  const entries = Array.isArray(parsed) ? parsed : parsed?.templates;
+  if (!Array.isArray(entries)) {
+    return { templates: [], errors: ['File does not contain a list of templates'] };
+  }
+
+  const templates = [];
+  const errors = [];
+  entries.forEach((entry, index) => {
+    const error = getTemplateError(entry);
+    if (error) {
+      errors.push(`Template ${index + 1}: ${error}`);
+      return;
+    }
+    // Keep the shared id so re-importing a file updates instead of duplicating
+    const hasId = typeof entry.id === 'string' && entry.id;
+    templates.push(createTemplate({
+      ...(hasId ? { id: entry.id } : {}),
+      name: entry.name.trim(),
+      prompt: entry.prompt,
+      schema: entry.schema ?? null,
+      fields: entry.fields ?? null,
+      sampleOutput: entry.sampleOutput ?? null
+    }));
+  });
+
+  return { templates, errors };
+}
+
+/**
+ * Merge imported templates into the library. Templates with a known id
+ * replace the local copy so everyone ends up with the same definition.
+ * @param {Array} templates - Current library
+ * @param {Array} imported - Templates from parseTemplateFile()
+ * @returns {Object} - { templates: Array, added: number, replaced: number }
+ */
+export function mergeTemplates(templates, imported) {
+  let merged = templates;
+  let added = 0;
+  let replaced = 0;
+
+  for (const template of imported) {
+    if (merged.some(existing => existing.id === template.id)) {
+      replaced++;
+    } else {
+      added++;
+    }
+    merged = upsertTemplate(merged, template);
+  }
+
+  return { templates: merged, added, replaced };
+}
+
+export default {
+  createTemplate,
+  loadTemplates,
+  saveTemplates,
+  upsertTemplate,
+  removeTemplate,
+  duplicateTemplate,
+  getTemplateError,
+  exportTemplates,
+  parseTemplateFile,
+  mergeTemplates
+};
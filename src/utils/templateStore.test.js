@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createTemplate,
+  upsertTemplate,
+  duplicateTemplate,
+  getTemplateError,
+  exportTemplates,
+  parseTemplateFile,
+  mergeTemplates
+} from './templateStore';
+
+const invoice = () => createTemplate({
+  id: 'invoice',
+  name: 'Invoice',
+  prompt: 'Extract the invoice number',
+  schema: { type: 'object' }
+});
+
+describe('template edits', () => {
+  it('replaces a template with the same id and appends new ones', () => {
+    const templates = [invoice()];
+    expect(upsertTemplate(templates, { ...templates[0], name: 'Bill' }).map(t => t.name)).toEqual(['Bill']);
+    expect(upsertTemplate(templates, createTemplate({ name: 'Receipt' }))).toHaveLength(2);
+  });
+
+  it('inserts a copy with a new id right after the original', () => {
+    const templates = [invoice(), createTemplate({ id: 'receipt', name: 'Receipt', prompt: 'p' })];
+    const result = duplicateTemplate(templates, 'invoice');
+    expect(result.map(t => t.name)).toEqual(['Invoice', 'Invoice (copy)', 'Receipt']);
+    expect(result[1].id).not.toBe('invoice');
+    expect(result[1].schema).toEqual({ type: 'object' });
+  });
+});
+
+describe('getTemplateError', () => {
+  it('requires a name and a prompt, and checks schema and fields', () => {
+    expect(getTemplateError(invoice())).toBeNull();
+    expect(getTemplateError(null)).toBe('Template must be an object');
+    expect(getTemplateError({ name: ' ', prompt: 'p' })).toBe('Template needs a name');
+    expect(getTemplateError({ name: 'A', prompt: '' })).toBe('"A" needs a prompt');
+    expect(getTemplateError({ name: 'A', prompt: 'p', schema: [] })).toBe('"A" has a schema that is not a JSON object');
+    expect(getTemplateError({ name: 'A', prompt: 'p', fields: {} })).toBe('"A" has an invalid field list');
+  });
+});
+
+describe('parseTemplateFile', () => {
+  it('reads its own export', () => {
+    const { templates, errors } = parseTemplateFile(exportTemplates([invoice()]));
+    expect(errors).toEqual([]);
+    expect(templates).toEqual([expect.objectContaining({
+      id: 'invoice',
+      name: 'Invoice',
+      prompt: 'Extract the invoice number',
+      schema: { type: 'object' },
+      fields: null,
+      sampleOutput: null
+    })]);
+  });
+
+  it('accepts a bare array, skipping and reporting invalid entries', () => {
+    const { templates, errors } = parseTemplateFile(JSON.stringify([
+      { name: ' Receipt ', prompt: 'Extract items' },
+      { name: 'Broken' },
+      'nope'
+    ]));
+    expect(templates).toHaveLength(1);
+    expect(templates[0].name).toBe('Receipt');
+    expect(templates[0].id).toMatch(/^template-/);
+    expect(errors).toEqual(['Template 2: "Broken" needs a prompt', 'Template 3: Template must be an object']);
+  });
+
+  it('rejects files that are not template lists', () => {
+    expect(parseTemplateFile('{oops')).toMatchObject({ templates: [], errors: [expect.stringMatching(/^Invalid JSON: /)] });
+    expect(parseTemplateFile('{"format": "other"}')).toEqual({ templates: [], errors: ['File does not contain a list of templates'] });
+  });
+});
+
+describe('mergeTemplates', () => {
+  it('replaces templates with a known id and adds the rest', () => {
+    const local = [invoice(), createTemplate({ id: 'mine', name: 'Mine', prompt: 'p' })];
+    const { templates: imported } = parseTemplateFile(JSON.stringify([
+      { id: 'invoice', name: 'Invoice', prompt: 'Extract the invoice number and total' },
+      { id: 'shared', name: 'Shared', prompt: 'p' }
+    ]));
+
+    const { templates, added, replaced } = mergeTemplates(local, imported);
+    expect({ added, replaced }).toEqual({ added: 1, replaced: 1 });
+    expect(templates.map(t => t.id)).toEqual(['invoice', 'mine', 'shared']);
+    expect(templates[0].prompt).toBe('Extract the invoice number and total');
+  });
+
+  it('updates rather than duplicates when the same file is imported twice', () => {
+    const { templates: imported } = parseTemplateFile(exportTemplates([invoice()]));
+    const once = mergeTemplates([], imported).templates;
+    const twice = mergeTemplates(once, imported);
+    expect(twice.templates).toHaveLength(1);
+    expect(twice.replaced).toBe(1);
+  });
+});
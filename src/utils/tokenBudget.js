@@ -0,0 +1,192 @@
+// src/utils/tokenBudget.js
+
+import { measureExtractionUsage } from './chromeAI';
+import { renderPdfPages } from './pdfProcessor';
+
+/**
+ * Pre-flight check of a document against the model's input quota.
+ * PDF pages are rendered at 2× as PNG. Before extracting, one page is measured
+ * at each rendering below, from best to cheapest, and the whole document is
+ * estimated from it:
+ * - the best rendering down to SINGLE_REQUEST_FLOOR that fits the whole
+ *   document in one request is used
+ * - otherwise the best rendering where a single page fits is used, and the
+ *   pages are batched
+ * Cheaper renderings are drawn again from the PDF at their own scale. Photos
+ * and other images are sent as preprocessing left them, so their largest one
+ * is measured once and stands in for every photo at each rendering; a
+ * document without PDF pages is only measured.
+ *
+ * Budget: {
+ *   quota, available, overhead, perPage (largest page), estimatedUsage,
+ *   rendering: { id, label, scale, type, quality }, fitsInOneRequest
+ * }
+ */
+
+export const RENDERINGS = [
+  { id: 'png-2', label: 'PNG at 2×', scale: 2, type: 'image/png' },
+  { id: 'jpeg-2', label: 'JPEG 85% at 2×', scale: 2, type: 'image/jpeg', quality: 0.85 },
+  { id: 'jpeg-1.5', label: 'JPEG 80% at 1.5×', scale: 1.5, type: 'image/jpeg', quality: 0.8 },
+  { id: 'webp-1.25', label: 'WebP 75% at 1.25×', scale: 1.25, type: 'image/webp', quality: 0.75 },
+  { id: 'jpeg-1', label: 'JPEG 70% at 1×', scale: 1, type: 'image/jpeg', quality: 0.7 }
+];
+
+// Lowest rendering worth using just to avoid splitting the document into batches
+const SINGLE_REQUEST_FLOOR = 2;
+
+const isPdfPage = (page) => page.type === 'pdf' && page.source;
+
+const largestPage = (pages) => pages.reduce((largest, page) => (page.blob.size > largest.blob.size ? page : largest), pages[0]);
+
+/**
+ * Render the PDF pages again from their PDF for a rendering. Other pages are
+ * kept as they are; photos are already scaled down by preprocessing.
+ * @param {Array} pages - Processed pages
+ * @param {Object} rendering - One of RENDERINGS
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with { stage: 'budget', page, pageCount }
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Array>} - The pages, in the same order
+ */
+async function renderPages(pages, rendering, { onProgress = null, signal = null } = {}) {
+  if (rendering === RENDERINGS[0]) return pages;
+
+  // One render per PDF and rotation, so each document is opened once
+  const groups = [];
+  pages.forEach((page, index) => {
+    if (!isPdfPage(page)) return;
+    const rotation = page.rotation || 0;
+    let group = groups.find(g => g.source === page.source && g.rotation === rotation);
+    if (!group) {
+      group = { source: page.source, rotation, indices: [] };
+      groups.push(group);
+    }
+    group.indices.push(index);
+  });
+
+  const result = [...pages];
+  const pageCount = groups.reduce((sum, group) => sum + group.indices.length, 0);
+  let done = 0;
+
+  for (const group of groups) {
+    const rendered = await renderPdfPages(group.source, group.indices.map(i => pages[i].pageNum), {
+      rotation: group.rotation,
+      rendering,
+      signal,
+      onProgress: ({ page }) => onProgress?.({ stage: 'budget', page: done + page, pageCount })
+    });
+    group.indices.forEach((index, i) => {
+      result[index] = { ...pages[index], blob: rendered[i].blob, dimensions: rendered[i].dimensions };
+    });
+    done += group.indices.length;
+  }
+  return result;
+}
+
+/**
+ * Choose how to render pages so the extraction fits the model's input quota
+ * @param {Object} options
+ * @param {Array} options.pages - Processed pages
+ * @param {string} [options.inputMode] - 'image' | 'hybrid' | 'text'
+ * @param {string} options.schemaPrompt
+ * @param {Object} [options.jsonSchema]
+ * @param {Function} [options.onProgress] - Called with { stage: 'budget', page?, pageCount? }
+ * @param {AbortSignal} [options.signal] - Cancels the pre-flight; rejects with an AbortError
+ * @returns {Promise<Object>} - { pages, budget }; budget is null when the provider can't measure usage
+ * @throws {Error} - When not even one page fits at the cheapest rendering
+ */
+export async function fitPagesToBudget({ pages, inputMode = 'image', schemaPrompt, jsonSchema = null, onProgress = null, signal = null }) {
+  onProgress?.({ stage: 'budget' });
+
+  const request = { inputMode, schemaPrompt, jsonSchema, signal };
+  const base = await measureExtractionUsage({ ...request, imageBlobs: [], pageTexts: [] });
+  if (!base) return { pages, budget: null };
+
+  const overhead = base.usage;
+  // Cost per page of each kind; photos keep theirs at every rendering
+  const describe = (measured, rendering, { perPdfPage = 0, perPhoto = 0, pdfCount = 0, photoCount = pages.length }) => {
+    const estimatedUsage = overhead + perPdfPage * pdfCount + perPhoto * photoCount;
+    return {
+      quota: measured.quota,
+      available: Math.floor(measured.budget),
+      overhead,
+      perPage: Math.max(pdfCount > 0 ? perPdfPage : 0, photoCount > 0 ? perPhoto : 0),
+      estimatedUsage,
+      rendering,
+      fitsInOneRequest: estimatedUsage <= measured.budget
+    };
+  };
+
+  if (inputMode === 'text') {
+    const measured = await measureExtractionUsage({
+      ...request,
+      imageBlobs: pages.map(page => page.blob),
+      pageTexts: pages.map(page => page.text || '')
+    });
+    if (!measured) return { pages, budget: null };
+    return { pages, budget: describe(measured, null, { perPhoto: Math.round((measured.usage - overhead) / pages.length) }) };
+  }
+
+  const measurePage = async (page, blob) => {
+    const measured = await measureExtractionUsage({ ...request, imageBlobs: [blob], pageTexts: [page.text || ''] });
+    return measured && { ...measured, perPage: Math.max(0, measured.usage - overhead) };
+  };
+
+  // The largest image of each kind stands in for its pages; only PDF pages can be rendered smaller
+  const pdfPages = pages.filter(isPdfPage);
+  const photos = pages.filter(page => !isPdfPage(page));
+  let photo = null;
+  if (photos.length > 0) {
+    const sample = largestPage(photos);
+    photo = await measurePage(sample, sample.blob);
+    if (!photo) return { pages, budget: null };
+  }
+
+  const pdfSample = pdfPages.length > 0 ? largestPage(pdfPages) : null;
+  const renderings = pdfSample ? RENDERINGS : [null];
+  let chosen = null;
+  let firstFittingPage = null;
+  let cheapest = null;
+
+  for (let i = 0; i < renderings.length && !chosen; i++) {
+    const rendering = renderings[i];
+    let measured = photo;
+    if (rendering) {
+      const [sampled] = await renderPages([pdfSample], rendering, { signal });
+      measured = await measurePage(pdfSample, sampled.blob);
+      if (!measured) return { pages, budget: null };
+    }
+
+    const candidate = describe(measured, rendering, {
+      perPdfPage: rendering ? measured.perPage : 0,
+      perPhoto: photo?.perPage || 0,
+      pdfCount: pdfPages.length,
+      photoCount: photos.length
+    });
+    cheapest = candidate;
+    if (overhead + candidate.perPage <= measured.budget) firstFittingPage = firstFittingPage || candidate;
+
+    if (candidate.fitsInOneRequest && i <= SINGLE_REQUEST_FLOOR) {
+      chosen = candidate;
+    } else if (i >= SINGLE_REQUEST_FLOOR && firstFittingPage) {
+      chosen = firstFittingPage;
+    }
+  }
+
+  // Without PDF pages there is nothing cheaper to try
+  chosen = chosen || firstFittingPage;
+  if (!chosen) {
+    const at = cheapest.rendering ? ` even at ${cheapest.rendering.label}` : '';
+    throw new Error(`A single page needs about ${overhead + cheapest.perPage} input tokens${at}, but the model accepts ${cheapest.available}. Try a shorter request or crop the pages.`);
+  }
+
+  if (!chosen.rendering) return { pages, budget: chosen };
+
+  console.log(`🎚️ Rendering pages as ${chosen.rendering.label}: ~${chosen.estimatedUsage} of ${chosen.available} input tokens`);
+  return { pages: await renderPages(pages, chosen.rendering, { onProgress, signal }), budget: chosen };
+}
+
+export default {
+  RENDERINGS,
+  fitPagesToBudget
+};
@@ -0,0 +1,90 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { fitPagesToBudget, RENDERINGS } from './tokenBudget';
+import { measureExtractionUsage } from './chromeAI';
+import { renderPdfPages } from './pdfProcessor';
+
+vi.mock('./chromeAI', () => ({ measureExtractionUsage: vi.fn() }));
+vi.mock('./pdfProcessor', () => ({ renderPdfPages: vi.fn() }));
+
+// Stand-in blobs whose size is their cost in tokens
+const OVERHEAD = 100;
+const blob = (size) => ({ size });
+
+const pdf = { name: 'scan.pdf' };
+const pdfPages = (count, size) => Array.from({ length: count }, (_, i) => ({ type: 'pdf', source: pdf, pageNum: i + 1, blob: blob(size) }));
+const photo = (size) => ({ type: 'image', source: null, blob: blob(size) });
+
+// Tokens per PDF page at each rendering, best first
+const costs = (...perPage) => {
+  renderPdfPages.mockImplementation(async (source, pageNums, { rendering }) => (
+    pageNums.map(() => ({ blob: blob(perPage[RENDERINGS.indexOf(rendering)]), dimensions: {} }))
+  ));
+};
+
+const fit = (pages) => fitPagesToBudget({ pages, schemaPrompt: 'Extract the total' });
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  measureExtractionUsage.mockImplementation(async ({ imageBlobs }) => ({
+    usage: OVERHEAD + imageBlobs.reduce((sum, image) => sum + image.size, 0),
+    budget: 1000,
+    quota: 1200
+  }));
+});
+
+describe('fitPagesToBudget', () => {
+  it('keeps the best rendering when the whole document fits', async () => {
+    const pages = pdfPages(3, 200);
+    const { pages: fitted, budget } = await fit(pages);
+    expect(fitted).toBe(pages);
+    expect(budget).toMatchObject({ overhead: OVERHEAD, perPage: 200, estimatedUsage: 700, rendering: RENDERINGS[0], fitsInOneRequest: true });
+    expect(renderPdfPages).not.toHaveBeenCalled();
+  });
+
+  it('renders the pages cheaper, down to the floor, to stay in one request', async () => {
+    costs(400, 300, 200, 100, 50);
+    const { pages, budget } = await fit(pdfPages(4, 400));
+    expect(budget).toMatchObject({ rendering: RENDERINGS[2], perPage: 200, estimatedUsage: 900, fitsInOneRequest: true });
+    expect(pages.map(page => page.blob.size)).toEqual([200, 200, 200, 200]);
+  });
+
+  it('batches at the best rendering where a page fits once the floor is passed', async () => {
+    costs(400, 300, 200, 100, 50);
+    const { pages, budget } = await fit(pdfPages(10, 400));
+    expect(budget).toMatchObject({ rendering: RENDERINGS[0], estimatedUsage: 4100, fitsInOneRequest: false });
+    expect(pages.map(page => page.blob.size)).toEqual(Array(10).fill(400));
+    expect(renderPdfPages.mock.calls.map(([, , { rendering }]) => rendering)).not.toContain(RENDERINGS[3]);
+  });
+
+  it('fails when not even one page fits at the cheapest rendering', async () => {
+    costs(5000, 4000, 3000, 2000, 1000);
+    await expect(fit(pdfPages(2, 5000))).rejects.toThrow(
+      'A single page needs about 1100 input tokens even at JPEG 70% at 1×, but the model accepts 1000'
+    );
+  });
+
+  it('costs photos by their own size and only renders the PDF pages cheaper', async () => {
+    costs(300, 250, 150, 100, 50);
+    const photos = [photo(300), photo(250)];
+    const { pages, budget } = await fit([...pdfPages(2, 300), ...photos]);
+    // PDF pages at 150 plus photos at 300 each; costing the photos as PDF pages would say 700
+    expect(budget).toMatchObject({ rendering: RENDERINGS[2], perPage: 300, estimatedUsage: 1000, fitsInOneRequest: true });
+    expect(pages.slice(2)).toEqual(photos);
+    expect(measureExtractionUsage).toHaveBeenCalledWith(expect.objectContaining({ imageBlobs: [photos[0].blob] }));
+  });
+
+  it('only measures documents without PDF pages', async () => {
+    const pages = [photo(300), photo(400)];
+    const { pages: fitted, budget } = await fit(pages);
+    expect(fitted).toBe(pages);
+    expect(budget).toMatchObject({ rendering: null, perPage: 400, estimatedUsage: 900, fitsInOneRequest: true });
+    expect(renderPdfPages).not.toHaveBeenCalled();
+  });
+
+  it('skips the check when the model cannot measure usage', async () => {
+    measureExtractionUsage.mockResolvedValue(null);
+    const pages = pdfPages(2, 300);
+    expect(await fit(pages)).toEqual({ pages, budget: null });
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { crc32 } from 'node:zlib';
+import { createWorkbook } from './xlsxWriter';
+
+// Entries of a stored (uncompressed) zip, checked against their CRCs
+async function readZip(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const view = new DataView(bytes.buffer);
+  const decoder = new TextDecoder();
+  const entries = {};
+
+  let offset = 0;
+  while (view.getUint32(offset, true) === 0x04034b50) {
+    const crc = view.getUint32(offset + 14, true);
+    const size = view.getUint32(offset + 18, true);
+    const nameLength = view.getUint16(offset + 26, true);
+    const name = decoder.decode(bytes.subarray(offset + 30, offset + 30 + nameLength));
+    const data = bytes.subarray(offset + 30 + nameLength, offset + 30 + nameLength + size);
+    expect(crc32(data)).toBe(crc);
+    entries[name] = decoder.decode(data);
+    offset += 30 + nameLength + size;
+  }
+  expect(view.getUint32(bytes.length - 22, true)).toBe(0x06054b50);
+  return entries;
+}
+
+describe('createWorkbook', () => {
+  it('writes a valid zip with one part per sheet', async () => {
+    const blob = createWorkbook([
+      { name: 'Summary', columns: ['a'], rows: [[1]] },
+      { name: 'Items & more', columns: ['b'], rows: [['x']] }
+    ]);
+    expect(blob.type).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+    const entries = await readZip(blob);
+    expect(Object.keys(entries)).toEqual([
+      '[Content_Types].xml',
+      '_rels/.rels',
+      'xl/workbook.xml',
+      'xl/_rels/workbook.xml.rels',
+      'xl/styles.xml',
+      'xl/worksheets/sheet1.xml',
+      'xl/worksheets/sheet2.xml'
+    ]);
+    expect(entries['xl/workbook.xml']).toContain('<sheet name="Items &amp; more" sheetId="2" r:id="rId2"/>');
+  });
+
+  it('writes numbers, booleans and escaped inline strings', async () => {
+    const entries = await readZip(createWorkbook([{
+      name: 'Data',
+      columns: ['n', 'b', 's', 'o', 'empty'],
+      rows: [[1.5, true, '<a & "b">\u0001', { x: 1 }, null]]
+    }]));
+    const sheet = entries['xl/worksheets/sheet1.xml'];
+
+    expect(sheet).toContain('<c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">n</t></is></c>');
+    expect(sheet).toContain('<c r="A2"><v>1.5</v></c>');
+    expect(sheet).toContain('<c r="B2" t="b"><v>1</v></c>');
+    expect(sheet).toContain('<t xml:space="preserve">&lt;a &amp; &quot;b&quot;&gt;</t>');
+    expect(sheet).toContain('<t xml:space="preserve">{&quot;x&quot;:1}</t>');
+    expect(sheet).not.toContain('r="E2"');
+  });
+
+  it('names columns past Z', async () => {
+    const columns = Array.from({ length: 28 }, (_, i) => `c${i}`);
+    const entries = await readZip(createWorkbook([{ name: 'Wide', columns, rows: [] }]));
+    expect(entries['xl/worksheets/sheet1.xml']).toContain('r="AB1"');
+  });
+});